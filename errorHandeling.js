@@ -1,54 +1,185 @@
 // errorHandler.js - Error handling middleware
 
+const { logger } = require('./lib/logger');
+
 /**
  * Custom error class for API errors
  */
 class ApiError extends Error {
-  constructor(statusCode, message, details = null) {
+  constructor(statusCode, message, details = null, code = 'api_error') {
     super(message);
     this.statusCode = statusCode;
     this.details = details;
+    this.code = code;
     this.name = 'ApiError';
   }
 }
 
+/**
+ * The requested Fishbowl record or route does not exist
+ */
+class NotFoundError extends ApiError {
+  constructor(message, details = null, code = 'not_found') {
+    super(404, message, details, code);
+    this.name = 'NotFoundError';
+  }
+}
+
+/**
+ * The request (or the data sent to Fishbowl) is invalid
+ */
+class ValidationError extends ApiError {
+  constructor(message, details = null, code = 'validation_failed') {
+    super(400, message, details, code);
+    this.name = 'ValidationError';
+  }
+}
+
+/**
+ * Credentials or session were rejected
+ */
+class AuthenticationError extends ApiError {
+  constructor(message, details = null, code = 'authentication_failed') {
+    super(401, message, details, code);
+    this.name = 'AuthenticationError';
+  }
+}
+
+/**
+ * The caller (or the Fishbowl integration) lacks the required rights
+ */
+class PermissionError extends ApiError {
+  constructor(message, details = null, code = 'permission_denied') {
+    super(403, message, details, code);
+    this.name = 'PermissionError';
+  }
+}
+
+/**
+ * The request conflicts with the current state of the record
+ */
+class ConflictError extends ApiError {
+  constructor(message, details = null, code = 'conflict') {
+    super(409, message, details, code);
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Fishbowl could not be reached or did not answer in time
+ */
+class UpstreamUnavailableError extends ApiError {
+  constructor(message, details = null, statusCode = 503, code = 'upstream_unavailable') {
+    super(statusCode, message, details, code);
+    this.name = 'UpstreamUnavailableError';
+  }
+}
+
+/**
+ * Fishbowl answered with an error we have no better category for
+ */
+class FishbowlError extends ApiError {
+  constructor(message, details = null, code = 'fishbowl_error') {
+    super(502, message, details, code);
+    this.name = 'FishbowlError';
+  }
+}
+
+/**
+ * Wrap an async route handler so rejected promises reach the error handler
+ */
+const asyncHandler = (handler) => (req, res, next) => {
+  Promise.resolve(handler(req, res, next)).catch(next);
+};
+
 /**
  * Error handler middleware
  */
 const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', err);
-  
+  const timestamp = new Date().toISOString();
+
+  // Kept for middleware that looks at the failure behind the response
+  res.locals.error = err;
+
   // Check if error came from Axios
   if (err.isAxiosError) {
-    const statusCode = err.response?.status || 500;
+    logger.error('Fishbowl API request failed', { method: req.method, path: req.path, error: err.message });
+    const statusCode = err.response?.status || 502;
     const message = err.response?.data?.message || 'Error communicating with Fishbowl API';
     const details = err.response?.data || null;
-    
+
     return res.status(statusCode).json({
+      success: false,
       error: message,
+      code: 'fishbowl_error',
       details,
-      statusCode
+      statusCode,
+      timestamp
     });
   }
-  
+
   // Handle custom API errors
   if (err instanceof ApiError) {
+    if (err.statusCode >= 500) {
+      logger.error('Request failed', { method: req.method, path: req.path, statusCode: err.statusCode, error: err });
+    } else {
+      logger.warn('Request failed', {
+        method: req.method,
+        path: req.path,
+        statusCode: err.statusCode,
+        code: err.code,
+        error: err.message
+      });
+    }
+
+    if (err.details && err.details.retryAfterSeconds !== undefined) {
+      res.set('Retry-After', String(err.details.retryAfterSeconds));
+    }
+
     return res.status(err.statusCode).json({
+      success: false,
       error: err.message,
+      code: err.code,
       details: err.details,
-      statusCode: err.statusCode
+      statusCode: err.statusCode,
+      timestamp
+    });
+  }
+
+  // Malformed request bodies rejected by express.json()
+  if (err.type === 'entity.parse.failed' || err.type === 'entity.too.large') {
+    const statusCode = err.statusCode || 400;
+    return res.status(statusCode).json({
+      success: false,
+      error: err.type === 'entity.too.large' ? 'Request body too large' : 'Malformed JSON in request body',
+      code: 'invalid_body',
+      details: null,
+      statusCode,
+      timestamp
     });
   }
-  
+
   // Handle generic errors
+  logger.error('Unhandled error', { method: req.method, path: req.path, error: err });
   return res.status(500).json({
+    success: false,
     error: 'Internal Server Error',
     message: err.message,
-    statusCode: 500
+    code: 'internal_error',
+    statusCode: 500,
+    timestamp
   });
 };
 
 module.exports = {
   ApiError,
+  NotFoundError,
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  ConflictError,
+  UpstreamUnavailableError,
+  FishbowlError,
+  asyncHandler,
   errorHandler
 };
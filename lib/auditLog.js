@@ -0,0 +1,198 @@
+// auditLog.js - Append-only record of every write sent to Fishbowl
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { runWithContext, currentContext } = require('./requestContext');
+const { redactObject } = require('./redact');
+const { logger } = require('./logger');
+const { ValidationError } = require('../errorHandeling');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+/**
+ * Parse an optional ISO 8601 date filter
+ */
+function parseDate(value, name) {
+  if (value === undefined || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be an ISO 8601 date`, { [name]: value });
+  }
+  return date;
+}
+
+function parseCount(value, name, fallback, max) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 0 || count > max) {
+    throw new ValidationError(`${name} must be an integer between 0 and ${max}`, { [name]: value });
+  }
+  return count;
+}
+
+/**
+ * Validate GET /audit query parameters into query() filters
+ */
+function parseAuditQuery(query) {
+  if (query.success !== undefined && !['true', 'false'].includes(query.success)) {
+    throw new ValidationError('success must be true or false', { success: query.success });
+  }
+  return {
+    caller: query.caller || null,
+    command: query.command || null,
+    source: query.source || null,
+    instance: query.instance || null,
+    success: query.success === undefined ? null : query.success === 'true',
+    statusCode: query.statusCode ? parseCount(query.statusCode, 'statusCode', null, 599) : null,
+    from: parseDate(query.from, 'from'),
+    to: parseDate(query.to, 'to'),
+    limit: parseCount(query.limit, 'limit', DEFAULT_LIMIT, MAX_LIMIT),
+    offset: parseCount(query.offset, 'offset', 0, Number.MAX_SAFE_INTEGER)
+  };
+}
+
+function matches(entry, filters) {
+  const timestamp = new Date(entry.timestamp);
+  return (!filters.caller || (entry.caller && entry.caller.id === filters.caller)) &&
+    (!filters.command || entry.command === filters.command) &&
+    (!filters.source || entry.source === filters.source) &&
+    (!filters.instance || entry.instance === filters.instance) &&
+    (filters.success === null || filters.success === undefined || entry.success === filters.success) &&
+    (!filters.statusCode || entry.statusCode === filters.statusCode) &&
+    (!filters.from || timestamp >= filters.from) &&
+    (!filters.to || timestamp <= filters.to);
+}
+
+/**
+ * Writes are recorded one JSON object per line to AUDIT_LOG_FILE. Entries
+ * are only ever appended; the file is never rewritten by the server.
+ */
+class AuditLog {
+  constructor(options = {}) {
+    this.file = options.file || process.env.AUDIT_LOG_FILE || path.join('data', 'audit.jsonl');
+    this.enabled = options.enabled !== undefined ? options.enabled : process.env.AUDIT_LOG_DISABLED !== 'true';
+    this.writes = Promise.resolve();
+    this.directoryReady = null;
+  }
+
+  /**
+   * Run fn (which performs a write) and record who asked for it, what was
+   * sent to Fishbowl and how it ended. Fishbowl requests made by fn are
+   * collected through the request context. statusCode is what the caller
+   * answers a success with (200 unless given).
+   */
+  async track({ principal, command, parameters, source, instance, statusCode }, fn) {
+    if (!this.enabled) {
+      return fn();
+    }
+
+    const context = { ...currentContext(), fishbowlCalls: [] };
+    const started = Date.now();
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: new Date(started).toISOString(),
+      caller: principal ? { id: principal.id, type: principal.type } : null,
+      source: source || null,
+      instance: instance || null,
+      requestId: context.requestId || null,
+      command,
+      parameters: redactObject(parameters || {})
+    };
+
+    try {
+      const result = await runWithContext(context, fn);
+      await this.append({ ...entry, ...this.outcome(context, started, null, statusCode) });
+      return result;
+    } catch (error) {
+      await this.append({ ...entry, ...this.outcome(context, started, error) });
+      throw error;
+    }
+  }
+
+  outcome(context, started, error, statusCode) {
+    return {
+      success: !error,
+      statusCode: error ? (error.statusCode || 500) : (statusCode || 200),
+      error: error ? { code: error.code || 'internal_error', message: error.message } : null,
+      durationMs: Date.now() - started,
+      fishbowl: context.fishbowlCalls
+    };
+  }
+
+  /**
+   * Append an entry. Writes are serialized so lines never interleave; a
+   * failure to write is logged rather than failing the caller's request,
+   * whose change Fishbowl has already applied.
+   */
+  append(entry) {
+    const write = this.writes.then(async () => {
+      if (!this.directoryReady) {
+        this.directoryReady = fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      }
+      await this.directoryReady;
+      await fs.promises.appendFile(this.file, `${JSON.stringify(entry)}\n`);
+    });
+    this.writes = write.catch((error) => {
+      logger.error('Failed to write audit log entry', { error: error.message });
+    });
+    return this.writes;
+  }
+
+  /**
+   * Entries matching filters, newest first, with the total before paging
+   */
+  async query(filters = {}) {
+    const limit = filters.limit !== undefined ? filters.limit : DEFAULT_LIMIT;
+    const offset = filters.offset || 0;
+
+    // Make sure entries still being written are included
+    await this.writes;
+
+    const matched = [];
+    try {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(this.file, { encoding: 'utf8' }),
+        crlfDelay: Infinity
+      });
+      for await (const line of lines) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          // A torn last line from a crash is skipped
+          continue;
+        }
+        if (matches(entry, filters)) {
+          matched.push(entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+
+    matched.reverse();
+    return {
+      entries: matched.slice(offset, offset + limit),
+      total: matched.length,
+      limit,
+      offset
+    };
+  }
+}
+
+module.exports = {
+  AuditLog,
+  parseAuditQuery
+};
@@ -0,0 +1,229 @@
+// auth.js - Authentication and scope checks for callers of the server
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { AuthenticationError, PermissionError } = require('../errorHandeling');
+const { registerSecret } = require('./redact');
+
+// Scopes understood by the server. '*' grants all of them.
+const SCOPES = {
+  INVENTORY_READ: 'inventory:read',
+  INVENTORY_WRITE: 'inventory:write',
+  ORDERS_READ: 'orders:read',
+  ORDERS_WRITE: 'orders:write',
+  ADMIN_SESSION: 'admin:session',
+  AUDIT_READ: 'audit:read',
+  ADMIN_CACHE: 'admin:cache',
+  WEBHOOKS_MANAGE: 'webhooks:manage',
+  METRICS_READ: 'metrics:read',
+  ALL: '*'
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const base64UrlDecode = (value) => Buffer.from(value, 'base64url');
+
+/**
+ * Load API keys and JWT settings. AUTH_CONFIG_FILE points to a JSON file of
+ * the form { apiKeys: [...], jwt: {...} }; API_KEYS (a JSON array of keys)
+ * and JWT_SECRET / JWT_ISSUER / JWT_AUDIENCE can be set in the environment
+ * instead. Each API key is { id, key | keySha256, scopes }.
+ */
+function loadAuthConfig(env = process.env) {
+  let config = {};
+  if (env.AUTH_CONFIG_FILE) {
+    config = JSON.parse(fs.readFileSync(env.AUTH_CONFIG_FILE, 'utf8'));
+  }
+
+  const apiKeys = [...(config.apiKeys || [])];
+  if (env.API_KEYS) {
+    apiKeys.push(...JSON.parse(env.API_KEYS));
+  }
+
+  const jwt = { ...(config.jwt || {}) };
+  if (env.JWT_SECRET) {
+    jwt.secret = env.JWT_SECRET;
+  }
+  if (env.JWT_ISSUER) {
+    jwt.issuer = env.JWT_ISSUER;
+  }
+  if (env.JWT_AUDIENCE) {
+    jwt.audience = env.JWT_AUDIENCE;
+  }
+
+  return {
+    disabled: env.AUTH_DISABLED === 'true',
+    apiKeys,
+    jwt: jwt.secret ? jwt : null
+  };
+}
+
+/**
+ * Authenticates requests with an API key (X-API-Key or Authorization:
+ * Bearer <key>) or an HS256-signed JWT (Authorization: Bearer <jwt>).
+ */
+class Authenticator {
+  constructor(config = loadAuthConfig()) {
+    this.disabled = config.disabled;
+    this.jwt = config.jwt;
+    if (this.jwt) {
+      registerSecret(this.jwt.secret);
+    }
+
+    // Keys are looked up by their hash so plain keys are never compared directly
+    this.keysByHash = new Map();
+    for (const [index, apiKey] of config.apiKeys.entries()) {
+      const hasKey = typeof apiKey.key === 'string' ? apiKey.key !== '' : typeof apiKey.key === 'number';
+      const hasHash = typeof apiKey.keySha256 === 'string' && /^[0-9a-f]{64}$/i.test(apiKey.keySha256);
+      // An entry with neither would otherwise accept the key "undefined"
+      if (!hasKey && !hasHash) {
+        throw new Error(`API key ${apiKey.id || index} needs a non-empty key or a 64 character hex keySha256`);
+      }
+      const hash = hasHash ? apiKey.keySha256.toLowerCase() : sha256(String(apiKey.key));
+      if (hasKey) {
+        registerSecret(String(apiKey.key));
+      }
+      this.keysByHash.set(hash, {
+        id: apiKey.id || `key-${hash.slice(0, 8)}`,
+        scopes: apiKey.scopes || []
+      });
+    }
+  }
+
+  isConfigured() {
+    return this.disabled || this.keysByHash.size > 0 || this.jwt !== null;
+  }
+
+  /**
+   * Resolve the caller of a request to a principal { id, type, scopes }
+   */
+  authenticate(req) {
+    if (this.disabled) {
+      return { id: 'anonymous', type: 'none', scopes: [SCOPES.ALL] };
+    }
+
+    const apiKey = req.get('X-API-Key');
+    const authorization = req.get('Authorization') || '';
+    const bearer = authorization.match(/^Bearer\s+(.+)$/i);
+
+    if (apiKey) {
+      return this.verifyApiKey(apiKey);
+    }
+    if (bearer) {
+      const token = bearer[1].trim();
+      return token.split('.').length === 3 ? this.verifyJwt(token) : this.verifyApiKey(token);
+    }
+    throw new AuthenticationError('Authentication required: send an API key or a bearer token',
+      null, 'authentication_required');
+  }
+
+  verifyApiKey(key) {
+    const entry = this.keysByHash.get(sha256(key));
+    if (!entry) {
+      throw new AuthenticationError('Invalid API key', null, 'invalid_credentials');
+    }
+    return { id: entry.id, type: 'api_key', scopes: entry.scopes };
+  }
+
+  verifyJwt(token) {
+    if (!this.jwt) {
+      throw new AuthenticationError('Bearer tokens are not accepted by this server', null, 'invalid_credentials');
+    }
+
+    const [headerPart, payloadPart, signaturePart] = token.split('.');
+    let header;
+    let payload;
+    try {
+      header = JSON.parse(base64UrlDecode(headerPart).toString('utf8'));
+      payload = JSON.parse(base64UrlDecode(payloadPart).toString('utf8'));
+    } catch (error) {
+      throw new AuthenticationError('Malformed bearer token', null, 'invalid_token');
+    }
+
+    if (header.alg !== 'HS256') {
+      throw new AuthenticationError('Unsupported token algorithm', null, 'invalid_token');
+    }
+
+    const expected = crypto.createHmac('sha256', this.jwt.secret)
+      .update(`${headerPart}.${payloadPart}`)
+      .digest();
+    const signature = base64UrlDecode(signaturePart);
+    if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+      throw new AuthenticationError('Invalid token signature', null, 'invalid_token');
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.exp === 'number' && now >= payload.exp) {
+      throw new AuthenticationError('Token has expired', null, 'token_expired');
+    }
+    if (typeof payload.nbf === 'number' && now < payload.nbf) {
+      throw new AuthenticationError('Token is not valid yet', null, 'invalid_token');
+    }
+    if (this.jwt.issuer && payload.iss !== this.jwt.issuer) {
+      throw new AuthenticationError('Token issuer is not accepted', null, 'invalid_token');
+    }
+    if (this.jwt.audience) {
+      const audiences = [].concat(payload.aud || []);
+      if (!audiences.includes(this.jwt.audience)) {
+        throw new AuthenticationError('Token audience is not accepted', null, 'invalid_token');
+      }
+    }
+
+    const scopes = Array.isArray(payload.scopes) ? payload.scopes :
+      (typeof payload.scope === 'string' ? payload.scope.split(' ').filter(Boolean) : []);
+
+    return { id: payload.sub || 'jwt', type: 'jwt', scopes };
+  }
+
+  /**
+   * Express middleware that sets req.principal or fails with a 401
+   */
+  middleware() {
+    return (req, res, next) => {
+      try {
+        req.principal = this.authenticate(req);
+        next();
+      } catch (error) {
+        res.set('WWW-Authenticate', 'Bearer');
+        next(error);
+      }
+    };
+  }
+}
+
+function hasScope(principal, scope) {
+  if (!scope) {
+    return true;
+  }
+  return Boolean(principal) && (principal.scopes.includes(SCOPES.ALL) || principal.scopes.includes(scope));
+}
+
+/**
+ * Throw unless the principal holds the scope
+ */
+function assertScope(principal, scope) {
+  if (!hasScope(principal, scope)) {
+    throw new PermissionError(`Missing required scope: ${scope}`, { requiredScope: scope }, 'insufficient_scope');
+  }
+}
+
+/**
+ * Express middleware requiring a scope on an authenticated request
+ */
+const requireScope = (scope) => (req, res, next) => {
+  try {
+    assertScope(req.principal, scope);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = {
+  SCOPES,
+  Authenticator,
+  loadAuthConfig,
+  hasScope,
+  assertScope,
+  requireScope
+};
@@ -0,0 +1,50 @@
+// backends.js - The Fishbowl APIs an instance can be reached through
+
+const { FishbowlClient } = require('./fishbowlClient');
+const { FishbowlRestClient } = require('./fishbowlRestClient');
+
+/**
+ * Client classes by backend name:
+ *
+ *   xml   FbiXml messages over Fishbowl's TCP API (FISHBOWL_HOST, FISHBOWL_PORT)
+ *   rest  Fishbowl's REST API (FISHBOWL_REST_API_URL)
+ *
+ * Every client offers the same methods (getParts, getInventory,
+ * addInventory, savePurchaseOrder, ping, login, logout, disconnect, ...)
+ * and resolves them to the parsed FbiXml form of the answer, so the pool,
+ * the cache and models.js work the same over either API. For the pool
+ * they also report isHealthy() and their session and reconnect state.
+ */
+const BACKENDS = {
+  xml: FishbowlClient,
+  rest: FishbowlRestClient
+};
+
+const DEFAULT_BACKEND = 'xml';
+
+/**
+ * Name of the backend config asks for, or FISHBOWL_BACKEND; fails on a
+ * name that is not in BACKENDS
+ */
+function backendName(config = {}) {
+  const name = config.backend || process.env.FISHBOWL_BACKEND || DEFAULT_BACKEND;
+  if (!Object.prototype.hasOwnProperty.call(BACKENDS, name)) {
+    throw new Error(`Unknown Fishbowl backend "${name}": use ${Object.keys(BACKENDS).join(' or ')}`);
+  }
+  return name;
+}
+
+/**
+ * A client for the Fishbowl instance config describes, using its backend
+ */
+function createFishbowlClient(config = {}) {
+  const Client = BACKENDS[backendName(config)];
+  return new Client(config);
+}
+
+module.exports = {
+  BACKENDS,
+  DEFAULT_BACKEND,
+  backendName,
+  createFishbowlClient
+};
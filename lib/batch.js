@@ -0,0 +1,186 @@
+// batch.js - Run many /mcp/execute commands in one request
+
+const { commands, executeCommand } = require('./commands');
+const { assertScope } = require('./auth');
+const { logger } = require('./logger');
+const { ApiError, ValidationError } = require('../errorHandeling');
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 16;
+
+const maxItems = () => parseInt(process.env.BATCH_MAX_ITEMS, 10) || 500;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Check the shape of a batch request body:
+ * { batch: [{ id?, command, parameters? }], concurrency?, allOrNothing? }
+ */
+function parseBatch(body) {
+  const { batch, concurrency, allOrNothing } = body;
+  if (!Array.isArray(batch) || batch.length === 0) {
+    throw new ValidationError('batch must be a non-empty array of commands', null, 'invalid_batch');
+  }
+  if (batch.length > maxItems()) {
+    throw new ValidationError(`A batch may hold at most ${maxItems()} commands`,
+      { items: batch.length, max: maxItems() }, 'invalid_batch');
+  }
+  const invalid = batch
+    .map((item, index) => (isObject(item) && typeof item.command === 'string' &&
+      (item.parameters === undefined || isObject(item.parameters)) ? null : index))
+    .filter(index => index !== null);
+  if (invalid.length > 0) {
+    throw new ValidationError('Each batch item needs a command and optional parameters object',
+      { items: invalid }, 'invalid_batch');
+  }
+  if (concurrency !== undefined &&
+    (!Number.isInteger(concurrency) || concurrency < 1 || concurrency > MAX_CONCURRENCY)) {
+    throw new ValidationError(`concurrency must be an integer between 1 and ${MAX_CONCURRENCY}`,
+      { concurrency }, 'invalid_batch');
+  }
+  if (allOrNothing !== undefined && typeof allOrNothing !== 'boolean') {
+    throw new ValidationError('allOrNothing must be a boolean', { allOrNothing }, 'invalid_batch');
+  }
+  return {
+    items: batch,
+    concurrency: concurrency || parseInt(process.env.BATCH_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+    allOrNothing: allOrNothing === true
+  };
+}
+
+/**
+ * True when any item of a batch body is a write command
+ */
+function batchHasWrites(body) {
+  return Array.isArray(body && body.batch) && body.batch.some(item =>
+    isObject(item) && Object.prototype.hasOwnProperty.call(commands, item.command) &&
+    commands[item.command].write === true);
+}
+
+function describeError(error) {
+  if (error instanceof ApiError) {
+    return { code: error.code, message: error.message, statusCode: error.statusCode, details: error.details };
+  }
+  logger.error('Batch item failed', { error });
+  return { code: 'internal_error', message: error.message, statusCode: 500, details: null };
+}
+
+/**
+ * Whether a failed item may still have changed Fishbowl. Only a write that
+ * failed before it was sent (notSent) or that was refused with a client
+ * error, such as Fishbowl rejecting it as invalid, is known not to have
+ * been applied; a timeout or a connection lost after sending is not.
+ */
+function possiblyApplied(item, error) {
+  const isWrite = Object.prototype.hasOwnProperty.call(commands, item.command) && commands[item.command].write === true;
+  return isWrite && !error.notSent && !(error instanceof ApiError && error.statusCode < 500);
+}
+
+/**
+ * Reject the whole batch before anything runs when an item names an
+ * unknown command, lacks a required parameter or needs a scope the caller
+ * does not hold. Used by all-or-nothing mode so that checks which can be
+ * made up front never leave a batch half applied.
+ */
+function preflight(items, principal) {
+  const problems = [];
+  items.forEach((item, index) => {
+    if (!Object.prototype.hasOwnProperty.call(commands, item.command)) {
+      problems.push({ index, code: 'unknown_command', message: `Unknown command: ${item.command}` });
+      return;
+    }
+    const definition = commands[item.command];
+    if (principal !== undefined) {
+      try {
+        assertScope(principal, definition.scope);
+      } catch (error) {
+        problems.push({ index, code: error.code, message: error.message });
+        return;
+      }
+    }
+    const parameters = item.parameters || {};
+    const missing = (definition.inputSchema.required || []).filter(name =>
+      parameters[name] === undefined || parameters[name] === null || parameters[name] === '');
+    if (missing.length > 0) {
+      problems.push({ index, code: 'validation_failed', message: `Missing parameters: ${missing.join(', ')}` });
+    }
+  });
+  if (problems.length > 0) {
+    throw new ValidationError('Batch rejected before running any command', { items: problems }, 'invalid_batch');
+  }
+}
+
+/**
+ * Run a parsed batch. Items run with up to batch.concurrency in flight and
+ * each gets its own result or error, in request order; a failed write that
+ * Fishbowl may have applied all the same is marked possiblyApplied. In
+ * all-or-nothing mode items run one at a time and the first failure stops
+ * the batch: the items before it were applied, the failed item is listed
+ * in possiblyApplied unless it is known not to have been, and the rest are
+ * reported as skipped. Fishbowl has no transactions, so applied items are
+ * not rolled back.
+ */
+async function executeBatch(fishbowl, batch, options = {}) {
+  const { items, allOrNothing } = batch;
+  const concurrency = allOrNothing ? 1 : Math.min(batch.concurrency, items.length);
+  if (allOrNothing) {
+    preflight(items, options.principal);
+  }
+
+  const results = items.map((item, index) => ({
+    index,
+    id: item.id !== undefined ? item.id : null,
+    command: item.command,
+    status: 'skipped'
+  }));
+  let next = 0;
+  let stopped = false;
+
+  const worker = async () => {
+    while (!stopped && next < items.length) {
+      const index = next++;
+      const item = items[index];
+      try {
+        const result = await executeCommand(fishbowl, item.command, item.parameters, options);
+        Object.assign(results[index], { status: 'succeeded', result });
+      } catch (error) {
+        Object.assign(results[index], {
+          status: 'failed',
+          error: describeError(error),
+          possiblyApplied: possiblyApplied(item, error)
+        });
+        if (allOrNothing) {
+          stopped = true;
+        }
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: concurrency }, worker));
+
+  const failedIndex = results.findIndex(result => result.status === 'failed');
+  const count = (status) => results.filter(result => result.status === status).length;
+  const summary = {
+    total: results.length,
+    succeeded: count('succeeded'),
+    failed: count('failed'),
+    skipped: count('skipped')
+  };
+
+  return {
+    success: summary.failed === 0,
+    allOrNothing,
+    summary,
+    ...(allOrNothing ? {
+      applied: results.filter(result => result.status === 'succeeded').map(result => result.index),
+      possiblyApplied: results.filter(result => result.possiblyApplied).map(result => result.index),
+      failedIndex: failedIndex >= 0 ? failedIndex : null
+    } : {}),
+    results
+  };
+}
+
+module.exports = {
+  parseBatch,
+  batchHasWrites,
+  executeBatch
+};
@@ -0,0 +1,142 @@
+// catalogExport.js - CSV and NDJSON exports of parts, products and orders
+
+const { Readable } = require('stream');
+const models = require('./models');
+const { csvRow } = require('./csv');
+const { ApiError, ValidationError } = require('../errorHandeling');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' }
+};
+
+// Media types accepted for each format
+const MEDIA_TYPES = {
+  'text/csv': 'csv',
+  'application/x-ndjson': 'ndjson',
+  'application/ndjson': 'ndjson'
+};
+
+// Item columns are prefixed so they cannot clash with the order's own fields
+const ITEM_PREFIX = 'item.';
+
+const scalarFields = (schema) => Object.entries(schema.properties)
+  .filter(([, property]) => ![].concat(property.type).some(type => type === 'array' || type === 'object'))
+  .map(([name]) => name);
+
+const itemFields = (schema) => scalarFields(schema.properties.items.items).map(name => `${ITEM_PREFIX}${name}`);
+
+/**
+ * Columns of each export. columns lists every column that may be asked
+ * for; defaults is used without ?columns=. Orders have one row per line
+ * item whenever an item column is exported.
+ */
+const EXPORTS = {
+  parts: {
+    columns: scalarFields(models.schemas.part),
+    defaults: ['id', 'number', 'description', 'uom', 'standardCost', 'vendor', 'active', 'serialized', 'tracked', 'createdAt', 'updatedAt']
+  },
+  products: {
+    columns: scalarFields(models.schemas.product),
+    defaults: ['id', 'number', 'partNumber', 'description', 'uom', 'price', 'active', 'taxable', 'createdAt', 'updatedAt']
+  },
+  purchaseOrders: {
+    columns: [...scalarFields(models.schemas.purchaseOrder), ...itemFields(models.schemas.purchaseOrder)],
+    defaults: ['number', 'status', 'vendor', 'locationGroup', 'createdAt', 'issuedAt',
+      'item.lineNumber', 'item.partNumber', 'item.description', 'item.quantity', 'item.quantityFulfilled',
+      'item.unitCost', 'item.totalCost', 'item.uom']
+  },
+  manufactureOrders: {
+    columns: [...scalarFields(models.schemas.manufactureOrder), ...itemFields(models.schemas.manufactureOrder)],
+    defaults: ['number', 'status', 'locationGroup', 'createdAt', 'scheduledAt',
+      'item.type', 'item.partNumber', 'item.description', 'item.quantity', 'item.quantityUsed', 'item.uom']
+  }
+};
+
+/**
+ * The export format from ?format= or, failing that, the Accept header.
+ * CSV is the default.
+ */
+function exportFormat(req) {
+  if (req.query.format !== undefined) {
+    if (!FORMATS[req.query.format]) {
+      throw new ValidationError(`format must be one of: ${Object.keys(FORMATS).join(', ')}`,
+        { format: req.query.format }, 'invalid_query');
+    }
+    return req.query.format;
+  }
+  const accepted = req.accepts(Object.keys(MEDIA_TYPES));
+  if (!accepted) {
+    throw new ApiError(406, 'Accept must allow text/csv or application/x-ndjson',
+      { accepted: Object.keys(MEDIA_TYPES) }, 'not_acceptable');
+  }
+  return MEDIA_TYPES[accepted];
+}
+
+/**
+ * The columns asked for with ?columns=a,b,item.c
+ */
+function exportColumns(name, value) {
+  const definition = EXPORTS[name];
+  if (value === undefined) {
+    return definition.defaults;
+  }
+  const columns = String(value).split(',').map(column => column.trim()).filter(Boolean);
+  const unknown = columns.filter(column => !definition.columns.includes(column));
+  if (unknown.length > 0 || columns.length === 0) {
+    throw new ValidationError(`Unknown columns: ${unknown.join(', ') || '(none given)'}`,
+      { columns: unknown, allowed: definition.columns }, 'invalid_query');
+  }
+  return columns;
+}
+
+/**
+ * Flat rows of the export, one per item, or one per line item of an order
+ * when an item column is exported. An order without items still gets a row.
+ */
+function* exportRows(items, columns) {
+  const perItem = columns.some(column => column.startsWith(ITEM_PREFIX));
+  const pick = (record, line) => Object.fromEntries(columns.map(column => [column,
+    column.startsWith(ITEM_PREFIX) ?
+      (line ? line[column.slice(ITEM_PREFIX.length)] : null) :
+      record[column]]));
+
+  for (const record of items) {
+    const lines = perItem && Array.isArray(record.items) && record.items.length > 0 ? record.items : [null];
+    for (const line of lines) {
+      yield pick(record, line);
+    }
+  }
+}
+
+function* formatRows(format, columns, rows) {
+  if (format === 'csv') {
+    yield csvRow(columns);
+    for (const row of rows) {
+      yield csvRow(columns.map(column => row[column]));
+    }
+    return;
+  }
+  for (const row of rows) {
+    yield `${JSON.stringify(row)}\n`;
+  }
+}
+
+/**
+ * A readable stream of the formatted export. Only the output is streamed:
+ * rows are formatted as the response consumes them, so the formatted
+ * document is never held in memory whole, but the items come from a
+ * Fishbowl response that was read in full.
+ */
+function exportStream(format, columns, items) {
+  return Readable.from(formatRows(format, columns, exportRows(items, columns)));
+}
+
+module.exports = {
+  EXPORTS,
+  FORMATS,
+  exportFormat,
+  exportColumns,
+  exportRows,
+  exportStream
+};
@@ -0,0 +1,356 @@
+// catalogQuery.js - Pagination, search, filters, sorting and field selection for catalog routes
+
+const crypto = require('crypto');
+const models = require('./models');
+const { ValidationError } = require('../errorHandeling');
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+// Parameters every catalog route accepts
+const COMMON_PARAMS = ['limit', 'cursor', 'q', 'sort', 'fields', 'raw'];
+
+const lower = (value) => (value === null || value === undefined ? '' : String(value).toLowerCase());
+
+const list = (value) => String(value).split(',').map(item => item.trim()).filter(Boolean);
+
+function parseBoolean(name, value) {
+  if (value !== 'true' && value !== 'false') {
+    throw new ValidationError(`${name} must be true or false`, { [name]: value }, 'invalid_query');
+  }
+  return value === 'true';
+}
+
+function parseDate(name, value) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${name} must be an ISO 8601 date`, { [name]: value }, 'invalid_query');
+  }
+  return date.getTime();
+}
+
+/**
+ * Filter on an order status given by name or ID, comma-separated
+ */
+function statusFilter(statuses) {
+  return (value) => {
+    const wanted = list(value).map((status) => {
+      const match = Object.entries(statuses).find(([id, name]) =>
+        id === status || name.toLowerCase() === status.toLowerCase());
+      if (!match) {
+        throw new ValidationError(`Unknown status: ${status}`,
+          { status, allowed: Object.values(statuses) }, 'invalid_query');
+      }
+      return Number(match[0]);
+    });
+    return (item) => wanted.includes(item.statusId);
+  };
+}
+
+const exactFilter = (field) => (value) => (item) => lower(item[field]) === lower(value);
+
+const booleanFilter = (name, field) => (value) => {
+  const wanted = parseBoolean(name, value);
+  return (item) => item[field] === wanted;
+};
+
+const itemSearch = (item) => (item.items || []).flatMap(line => [line.partNumber, line.description]);
+
+/**
+ * Query options of each catalog. search lists the text q is matched
+ * against, filters maps a query parameter to a predicate factory, dates
+ * maps a prefix to a date field (createdFrom / createdTo, ...), and
+ * upstream picks the filters that can also narrow the Fishbowl query.
+ */
+const CATALOGS = {
+  parts: {
+    schema: models.schemas.part,
+    search: (part) => [part.number, part.description],
+    filters: {
+      active: booleanFilter('active', 'active'),
+      vendor: exactFilter('vendor'),
+      tracked: booleanFilter('tracked', 'tracked')
+    },
+    dates: { created: 'createdAt', updated: 'updatedAt' },
+    sort: ['id', 'number', 'description', 'standardCost', 'vendor', 'createdAt', 'updatedAt'],
+    defaultSort: 'number'
+  },
+
+  products: {
+    schema: models.schemas.product,
+    search: (product) => [product.number, product.description, product.partNumber],
+    filters: {
+      active: booleanFilter('active', 'active')
+    },
+    dates: { created: 'createdAt', updated: 'updatedAt' },
+    sort: ['id', 'number', 'description', 'price', 'createdAt', 'updatedAt'],
+    defaultSort: 'number'
+  },
+
+  purchaseOrders: {
+    schema: models.schemas.purchaseOrder,
+    search: (order) => [order.number, order.vendor, ...itemSearch(order)],
+    filters: {
+      number: exactFilter('number'),
+      status: statusFilter(models.PO_STATUSES),
+      vendor: exactFilter('vendor'),
+      locationGroup: exactFilter('locationGroup')
+    },
+    dates: { created: 'createdAt', issued: 'issuedAt', scheduled: 'scheduledAt', completed: 'completedAt' },
+    sort: ['id', 'number', 'statusId', 'vendor', 'totalCost', 'createdAt', 'issuedAt', 'scheduledAt', 'completedAt'],
+    defaultSort: 'number',
+    upstream: { number: 'Number', vendor: 'VendorName' }
+  },
+
+  manufactureOrders: {
+    schema: models.schemas.manufactureOrder,
+    search: (order) => [order.number, order.note, ...itemSearch(order)],
+    filters: {
+      number: exactFilter('number'),
+      status: statusFilter(models.MO_STATUSES),
+      locationGroup: exactFilter('locationGroup')
+    },
+    dates: { created: 'createdAt', issued: 'issuedAt', scheduled: 'scheduledAt', completed: 'completedAt' },
+    sort: ['id', 'number', 'statusId', 'locationGroup', 'createdAt', 'issuedAt', 'scheduledAt', 'completedAt'],
+    defaultSort: 'number',
+    upstream: { number: 'Number' }
+  }
+};
+
+// Parameters that only apply to a paged listing
+const PAGE_PARAMS = ['limit', 'cursor', 'fields'];
+
+function allowedParams(catalog, options) {
+  return [
+    ...(options.paged ? COMMON_PARAMS : COMMON_PARAMS.filter(param => !PAGE_PARAMS.includes(param))),
+    ...(options.params || []),
+    ...Object.keys(catalog.filters),
+    ...Object.keys(catalog.dates).flatMap(prefix => [`${prefix}From`, `${prefix}To`])
+  ];
+}
+
+function parseLimit(value) {
+  if (value === undefined) {
+    return DEFAULT_LIMIT;
+  }
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`, { limit: value }, 'invalid_query');
+  }
+  return limit;
+}
+
+function parseSort(catalog, value) {
+  return list(value || catalog.defaultSort).map((entry) => {
+    const descending = entry.startsWith('-');
+    const field = descending ? entry.slice(1) : entry;
+    if (!catalog.sort.includes(field)) {
+      throw new ValidationError(`Cannot sort by ${field}`, { sort: field, allowed: catalog.sort }, 'invalid_query');
+    }
+    return { field, descending };
+  });
+}
+
+function parseFields(catalog, value) {
+  if (value === undefined) {
+    return null;
+  }
+  const fields = list(value);
+  const known = Object.keys(catalog.schema.properties);
+  const unknown = fields.filter(field => !known.includes(field));
+  if (unknown.length > 0 || fields.length === 0) {
+    throw new ValidationError(`Unknown fields: ${unknown.join(', ') || '(none given)'}`,
+      { fields: unknown, allowed: known }, 'invalid_query');
+  }
+  return fields;
+}
+
+/**
+ * Hash of everything that selects and orders the results. A cursor is only
+ * valid for the query it was issued for.
+ */
+function queryFingerprint(query) {
+  const { cursor, limit, fields, raw, ...selection } = query;
+  const canonical = Object.keys(selection).sort().map(key => `${key}=${selection[key]}`).join('&');
+  return crypto.createHash('sha1').update(canonical).digest('base64url').slice(0, 12);
+}
+
+function encodeCursor(offset, fingerprint) {
+  return Buffer.from(JSON.stringify({ o: offset, f: fingerprint })).toString('base64url');
+}
+
+function decodeCursor(value, fingerprint) {
+  if (value === undefined) {
+    return 0;
+  }
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    cursor = null;
+  }
+  if (!cursor || !Number.isInteger(cursor.o) || cursor.o < 0) {
+    throw new ValidationError('cursor is not valid', { cursor: value }, 'invalid_cursor');
+  }
+  if (cursor.f !== fingerprint) {
+    throw new ValidationError('cursor belongs to a different query; drop it or repeat the original filters',
+      { cursor: value }, 'invalid_cursor');
+  }
+  return cursor.o;
+}
+
+/**
+ * Validate the query string of a catalog route. Unknown parameters are
+ * rejected rather than silently ignored. options.paged: false drops the
+ * paging parameters (for exports) and options.params lists extra
+ * parameters the route handles itself.
+ */
+function parseCatalogQuery(name, query, options = {}) {
+  const catalog = CATALOGS[name];
+  const allowed = allowedParams(catalog, { paged: true, ...options });
+  const unknown = Object.keys(query).filter(key => !allowed.includes(key));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown query parameters: ${unknown.join(', ')}`,
+      { parameters: unknown, allowed }, 'invalid_query');
+  }
+  for (const [key, value] of Object.entries(query)) {
+    if (typeof value !== 'string') {
+      throw new ValidationError(`${key} may only be given once`, { parameter: key }, 'invalid_query');
+    }
+  }
+
+  const predicates = Object.entries(catalog.filters)
+    .filter(([key]) => query[key] !== undefined)
+    .map(([key, filter]) => filter(query[key]));
+
+  for (const [prefix, field] of Object.entries(catalog.dates)) {
+    if (query[`${prefix}From`] !== undefined) {
+      const from = parseDate(`${prefix}From`, query[`${prefix}From`]);
+      predicates.push(item => item[field] !== null && new Date(item[field]).getTime() >= from);
+    }
+    if (query[`${prefix}To`] !== undefined) {
+      const to = parseDate(`${prefix}To`, query[`${prefix}To`]);
+      predicates.push(item => item[field] !== null && new Date(item[field]).getTime() <= to);
+    }
+  }
+
+  const search = query.q ? query.q.toLowerCase() : null;
+  if (search) {
+    predicates.push(item => catalog.search(item).some(text => lower(text).includes(search)));
+  }
+
+  const fingerprint = queryFingerprint(query);
+  return {
+    catalog,
+    predicates,
+    // Exports keep Fishbowl's order unless a sort is asked for, so they can
+    // be written without holding every record
+    sort: query.sort === undefined && options.paged === false ? [] : parseSort(catalog, query.sort),
+    fields: parseFields(catalog, query.fields),
+    limit: parseLimit(query.limit),
+    offset: decodeCursor(query.cursor, fingerprint),
+    fingerprint
+  };
+}
+
+/**
+ * Fishbowl query fields for the filters Fishbowl can apply itself. The
+ * results are filtered again locally, so this only narrows the response.
+ */
+function upstreamFilters(name, query) {
+  const upstream = CATALOGS[name].upstream || {};
+  const filters = {};
+  for (const [key, field] of Object.entries(upstream)) {
+    if (query[key] !== undefined) {
+      filters[field] = query[key];
+    }
+  }
+  return filters;
+}
+
+function compare(a, b) {
+  // Missing values sort last in either direction
+  if (a === null || a === undefined) {
+    return b === null || b === undefined ? 0 : 1;
+  }
+  if (b === null || b === undefined) {
+    return -1;
+  }
+  if (typeof a === 'number' && typeof b === 'number') {
+    return a - b;
+  }
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+function project(item, fields) {
+  if (!fields) {
+    return item;
+  }
+  return Object.fromEntries(fields.map(field => [field, item[field]]));
+}
+
+/**
+ * The normalized items matching the query, in the order they come. items
+ * may be any iterable, such as records normalized as they are read (see
+ * models.eachRecord); each is tested as the caller asks for the next one.
+ */
+function* matchingItems(items, parsed) {
+  for (const item of items) {
+    if (parsed.predicates.every(predicate => predicate(item))) {
+      yield item;
+    }
+  }
+}
+
+/**
+ * The normalized items matching the query, sorted
+ */
+function selectItems(items, parsed) {
+  return [...matchingItems(items, parsed)].sort((a, b) => {
+    for (const { field, descending } of parsed.sort) {
+      const order = compare(a[field], b[field]);
+      if (order !== 0) {
+        const missing = a[field] === null || a[field] === undefined || b[field] === null || b[field] === undefined;
+        return descending && !missing ? -order : order;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * Filter, sort, page and project normalized items. Returns the page and the
+ * pagination block for the response.
+ */
+function applyCatalogQuery(items, parsed) {
+  const sorted = selectItems(items, parsed);
+  const page = sorted.slice(parsed.offset, parsed.offset + parsed.limit);
+  const nextOffset = parsed.offset + page.length;
+
+  return {
+    data: page.map(item => project(item, parsed.fields)),
+    pagination: {
+      total: sorted.length,
+      limit: parsed.limit,
+      count: page.length,
+      nextCursor: nextOffset < sorted.length ? encodeCursor(nextOffset, parsed.fingerprint) : null
+    }
+  };
+}
+
+/**
+ * The items of an export. Without a sort they are filtered lazily, as the
+ * export is written; sorting needs every match in memory first.
+ */
+function exportItems(items, parsed) {
+  return parsed.sort.length > 0 ? selectItems(items, parsed) : matchingItems(items, parsed);
+}
+
+module.exports = {
+  CATALOGS,
+  parseCatalogQuery,
+  selectItems,
+  exportItems,
+  applyCatalogQuery,
+  upstreamFilters
+};
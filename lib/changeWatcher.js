@@ -0,0 +1,256 @@
+// changeWatcher.js - Detect stock and order status changes by polling Fishbowl
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const models = require('./models');
+const { logger } = require('./logger');
+
+// Events the watcher emits
+const EVENT_TYPES = [
+  'inventory.changed',
+  'purchase_order.created',
+  'purchase_order.status_changed',
+  'manufacture_order.created',
+  'manufacture_order.status_changed'
+];
+
+// Inventory lookups run at most this many at a time
+const INVENTORY_CONCURRENCY = 4;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const locationKey = (quantity) => `${quantity.locationGroup || ''}/${quantity.location || ''}`;
+
+function inventorySnapshot(inventory) {
+  return {
+    totalOnHand: inventory.totalOnHand,
+    locations: new Map(inventory.quantities.map(quantity => [locationKey(quantity), quantity]))
+  };
+}
+
+function diffInventory(partNumber, previous, current) {
+  const keys = new Set([...previous.locations.keys(), ...current.locations.keys()]);
+  const locations = [];
+  for (const key of keys) {
+    const before = previous.locations.get(key);
+    const after = current.locations.get(key);
+    const was = before ? before.quantityOnHand : 0;
+    const now = after ? after.quantityOnHand : 0;
+    if (was !== now) {
+      const { locationGroup, location } = after || before;
+      locations.push({ locationGroup, location, quantityOnHand: now, previousQuantityOnHand: was });
+    }
+  }
+  if (locations.length === 0 && previous.totalOnHand === current.totalOnHand) {
+    return null;
+  }
+  return {
+    partNumber,
+    totalOnHand: current.totalOnHand,
+    previousTotalOnHand: previous.totalOnHand,
+    change: current.totalOnHand - previous.totalOnHand,
+    locations
+  };
+}
+
+function orderSummary(order) {
+  const { items, ...fields } = order;
+  return fields;
+}
+
+/**
+ * Polls Fishbowl through the pool every intervalMs, keeps a snapshot of
+ * the on-hand quantity of each part and of the status of each purchase and
+ * manufacture order, and emits an 'event' ({ id, type, instance,
+ * occurredAt, data })
+ * for every difference from the previous snapshot. The first poll only
+ * records the baseline. A poll is skipped (and the baseline dropped) while
+ * shouldPoll() is false, so Fishbowl is not queried when nobody listens.
+ *
+ * WATCH_INTERVAL_MS sets the interval (0 turns the watcher off) and
+ * WATCH_PARTS, a comma-separated list of part numbers, limits the
+ * inventory snapshot to those parts instead of every active part.
+ * options.partsOfInterest() may narrow it further to the parts the
+ * listeners actually follow; it returns null when they need every part.
+ */
+class ChangeWatcher extends EventEmitter {
+  constructor(fishbowl, options = {}) {
+    super();
+    this.fishbowl = fishbowl;
+    // Name of the Fishbowl instance, carried by every event
+    this.instance = options.instance || fishbowl.instance || null;
+    this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : envInt('WATCH_INTERVAL_MS', 60000);
+    this.partNumbers = options.partNumbers !== undefined ? options.partNumbers :
+      (process.env.WATCH_PARTS || '').split(',').map(number => number.trim()).filter(Boolean);
+    this.shouldPoll = options.shouldPoll || (() => this.listenerCount('event') > 0);
+    this.partsOfInterest = options.partsOfInterest || (() => null);
+    this.snapshot = null;
+    this.timer = null;
+    this.polling = null;
+    this.counters = { polls: 0, events: 0, lastPollAt: null, lastError: null };
+  }
+
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        logger.error('Change watcher poll failed', { error: error.message });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  async tick() {
+    if (!this.shouldPoll()) {
+      this.snapshot = null;
+      return [];
+    }
+    return this.poll();
+  }
+
+  /**
+   * Take a snapshot, emit the differences from the previous one and return
+   * them. Concurrent calls share one poll.
+   */
+  poll() {
+    if (!this.polling) {
+      this.polling = this.runPoll().finally(() => {
+        this.polling = null;
+      });
+    }
+    return this.polling;
+  }
+
+  async runPoll() {
+    try {
+      const current = await this.takeSnapshot(this.snapshot);
+      const events = this.snapshot ? this.diff(this.snapshot, current) : [];
+      this.snapshot = current;
+      this.counters.polls++;
+      this.counters.events += events.length;
+      this.counters.lastPollAt = new Date().toISOString();
+      this.counters.lastError = null;
+      for (const event of events) {
+        this.emit('event', event);
+      }
+      return events;
+    } catch (error) {
+      this.counters.lastError = error.message;
+      throw error;
+    }
+  }
+
+  async takeSnapshot(previous) {
+    const [purchaseOrders, manufactureOrders, inventory] = await Promise.all([
+      this.fishbowl.getPurchaseOrders({}),
+      this.fishbowl.getManufactureOrders({}),
+      this.inventorySnapshot(previous)
+    ]);
+    const byNumber = (orders) => new Map(orders.map(order => [order.number, orderSummary(order)]));
+    return {
+      inventory,
+      purchaseOrders: byNumber(models.normalizePurchaseOrders(purchaseOrders).purchaseOrders),
+      manufactureOrders: byNumber(models.normalizeManufactureOrders(manufactureOrders).manufactureOrders)
+    };
+  }
+
+  async watchedParts() {
+    const interest = this.partsOfInterest();
+    if (this.partNumbers.length > 0) {
+      return interest ? this.partNumbers.filter(number => interest.has(number)) : this.partNumbers;
+    }
+    if (interest) {
+      return [...interest];
+    }
+    const { parts } = models.normalizeParts(await this.fishbowl.getParts());
+    return parts.filter(part => part.active && part.number).map(part => part.number);
+  }
+
+  /**
+   * Fresh quantities of every watched part. A part whose lookup fails keeps
+   * its previous snapshot, so a passing error is not reported as a change.
+   */
+  async inventorySnapshot(previous) {
+    const partNumbers = await this.watchedParts();
+    const snapshot = new Map();
+    let next = 0;
+    const worker = async () => {
+      while (next < partNumbers.length) {
+        const partNumber = partNumbers[next++];
+        try {
+          const entry = await this.fishbowl.cached('getInventory', [partNumber], { refresh: true });
+          snapshot.set(partNumber, inventorySnapshot(models.normalizeInventory(entry.value, partNumber)));
+        } catch (error) {
+          if (previous && previous.inventory.has(partNumber)) {
+            snapshot.set(partNumber, previous.inventory.get(partNumber));
+          }
+          if (error.statusCode !== 404) {
+            logger.warn('Change watcher could not read inventory', { partNumber, error: error.message });
+          }
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(INVENTORY_CONCURRENCY, partNumbers.length) }, worker));
+    return snapshot;
+  }
+
+  diff(previous, current) {
+    const events = [];
+    const event = (type, data) => events.push({
+      id: crypto.randomUUID(),
+      type,
+      instance: this.instance,
+      occurredAt: new Date().toISOString(),
+      data
+    });
+
+    for (const [partNumber, snapshot] of current.inventory) {
+      const before = previous.inventory.get(partNumber);
+      const change = before ? diffInventory(partNumber, before, snapshot) : null;
+      if (change) {
+        event('inventory.changed', change);
+      }
+    }
+
+    for (const [kind, prefix] of [['purchaseOrders', 'purchase_order'], ['manufactureOrders', 'manufacture_order']]) {
+      for (const [number, order] of current[kind]) {
+        const before = previous[kind].get(number);
+        if (!before) {
+          event(`${prefix}.created`, order);
+        } else if (before.statusId !== order.statusId) {
+          event(`${prefix}.status_changed`, {
+            ...order,
+            previousStatusId: before.statusId,
+            previousStatus: before.status
+          });
+        }
+      }
+    }
+    return events;
+  }
+
+  status() {
+    return {
+      running: this.timer !== null,
+      intervalMs: this.intervalMs,
+      watching: this.snapshot !== null,
+      parts: this.snapshot ? this.snapshot.inventory.size : 0,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  ChangeWatcher,
+  EVENT_TYPES
+};
@@ -0,0 +1,107 @@
+// circuitBreaker.js - Fail fast while the Fishbowl server is unreachable
+
+const { UpstreamUnavailableError } = require('../errorHandeling');
+
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half_open';
+
+/**
+ * Classic three-state circuit breaker. After failureThreshold consecutive
+ * failures the circuit opens and calls are rejected with a 503 until
+ * resetTimeoutMs has passed; then a single trial call is let through and
+ * its outcome closes or re-opens the circuit.
+ */
+class CircuitBreaker {
+  constructor(options = {}) {
+    this.name = options.name || 'Fishbowl server';
+    this.failureThreshold = options.failureThreshold || 5;
+    this.resetTimeoutMs = options.resetTimeoutMs || 30000;
+    // Only failures matching this predicate count against the circuit
+    this.isFailure = options.isFailure || (() => true);
+
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+    this.lastError = null;
+    this.lastFailureAt = null;
+  }
+
+  async run(fn) {
+    this.beforeCall();
+
+    const trial = this.state === HALF_OPEN;
+    if (trial) {
+      this.trialInProgress = true;
+    }
+
+    try {
+      const result = await fn();
+      this.recordSuccess();
+      return result;
+    } catch (error) {
+      if (this.isFailure(error)) {
+        this.recordFailure(error);
+      } else if (trial) {
+        // The server answered, so it is reachable again
+        this.recordSuccess();
+      }
+      throw error;
+    } finally {
+      if (trial) {
+        this.trialInProgress = false;
+      }
+    }
+  }
+
+  beforeCall() {
+    if (this.state === OPEN && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = HALF_OPEN;
+    }
+
+    if (this.state === OPEN || (this.state === HALF_OPEN && this.trialInProgress)) {
+      const retryAfterMs = Math.max(0, this.openedAt + this.resetTimeoutMs - Date.now());
+      const reason = this.lastError ? ` (last error: ${this.lastError.message})` : '';
+      throw new UpstreamUnavailableError(`${this.name} is unavailable after repeated failures${reason}`, {
+        circuit: this.state,
+        retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+      }, 503, 'circuit_open');
+    }
+  }
+
+  recordSuccess() {
+    this.state = CLOSED;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  recordFailure(error) {
+    this.failures++;
+    this.lastError = error;
+    this.lastFailureAt = new Date();
+
+    if (this.state === HALF_OPEN || this.failures >= this.failureThreshold) {
+      this.state = OPEN;
+      this.openedAt = Date.now();
+    }
+  }
+
+  stats() {
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      lastError: this.lastError ? this.lastError.message : null,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CLOSED,
+  OPEN,
+  HALF_OPEN
+};
@@ -0,0 +1,514 @@
+// commands.js - Registry of Fishbowl commands shared by /mcp/execute and the MCP tools
+
+const models = require('./models');
+const { ValidationError } = require('../errorHandeling');
+const { SCOPES, assertScope } = require('./auth');
+const { orderNumber, orderItems, loadPurchaseOrder, assertAction } = require('./purchaseOrders');
+const manufactureOrders = require('./manufactureOrders');
+
+const sessionResultSchema = {
+  type: 'object',
+  properties: {
+    success: { type: 'boolean' },
+    message: { type: 'string' },
+    error: { type: 'string' }
+  },
+  required: ['success']
+};
+
+const orderFiltersSchema = {
+  type: 'object',
+  description: 'Query fields passed through to the Fishbowl query request',
+  additionalProperties: { type: ['string', 'number', 'boolean'] }
+};
+
+const purchaseOrderNumberSchema = {
+  type: 'object',
+  properties: {
+    number: { type: 'string', description: 'Purchase order number' }
+  },
+  required: ['number']
+};
+
+const purchaseOrderItemsSchema = {
+  type: 'array',
+  items: {
+    type: 'object',
+    properties: {
+      partNumber: { type: 'string' },
+      quantity: { type: 'number', description: 'Quantity to order' },
+      unitCost: { type: 'number' },
+      uom: { type: 'string', description: 'UOM code; the part\'s own when left out' }
+    },
+    required: ['partNumber', 'quantity']
+  }
+};
+
+const manufactureOrderNumberSchema = {
+  type: 'object',
+  properties: {
+    number: { type: 'string', description: 'Manufacture order number' }
+  },
+  required: ['number']
+};
+
+const moNumber = (parameters) =>
+  manufactureOrders.requiredString(parameters, 'number', 'identify the manufacture order');
+const bomNumber = (parameters) =>
+  manufactureOrders.requiredString(parameters, 'bomNumber', 'identify the bill of materials');
+
+/**
+ * A command moving a purchase order to another status (see PO_ACTIONS in purchaseOrders.js).
+ * The order's current status is checked before anything is sent.
+ */
+function purchaseOrderStatusCommand(action, description) {
+  const rsName = { issue: 'IssuePORs', unissue: 'UnissuePORs', closeShort: 'CloseShortPORs', void: 'VoidPORs' }[action];
+  return {
+    description,
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: purchaseOrderNumberSchema,
+    outputSchema: models.schemas.purchaseOrderSave,
+    normalize: (result) => models.normalizePurchaseOrderResponse(result, rsName),
+    run: async (fishbowl, parameters) => {
+      const number = orderNumber(parameters);
+      assertAction((await loadPurchaseOrder(fishbowl, number)).order, action);
+      return fishbowl.changePurchaseOrderStatus(number, action);
+    }
+  };
+}
+
+/**
+ * A command moving a manufacture order to another status (see MO_ACTIONS in
+ * manufactureOrders.js), checked like purchaseOrderStatusCommand
+ */
+function manufactureOrderStatusCommand(action, description) {
+  const rsName = { issue: 'IssueMORs', unissue: 'UnissueMORs', closeShort: 'CloseShortMORs' }[action];
+  return {
+    description,
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: manufactureOrderNumberSchema,
+    outputSchema: models.schemas.manufactureOrderSave,
+    normalize: (result) => models.normalizeManufactureOrderResponse(result, rsName),
+    run: async (fishbowl, parameters) => {
+      const number = moNumber(parameters);
+      manufactureOrders.assertAction((await manufactureOrders.loadManufactureOrder(fishbowl, number)).order, action);
+      return fishbowl.changeManufactureOrderStatus(number, action);
+    }
+  };
+}
+
+/**
+ * Every FishbowlClient method that callers may invoke. Each entry names the
+ * scope a caller needs and carries a JSON Schema for its parameters and its
+ * result so it can be published as an MCP tool. Commands that change data
+ * in Fishbowl are marked write and recorded in the audit log. run validates parameters and
+ * calls the client; normalize (for Fishbowl queries) maps the raw FbiXml
+ * response onto the models in models.js.
+ */
+const commands = {
+  getInventory: {
+    description: 'Get the inventory quantities for a part by part number',
+    scope: SCOPES.INVENTORY_READ,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        partNumber: { type: 'string', description: 'Fishbowl part number' }
+      },
+      required: ['partNumber']
+    },
+    outputSchema: models.schemas.inventory,
+    normalize: (result, parameters) => models.normalizeInventory(result, parameters.partNumber),
+    run: (fishbowl, parameters) => {
+      if (!parameters.partNumber) {
+        throw new ValidationError('Part number is required for inventory lookup');
+      }
+      return fishbowl.getInventory(parameters.partNumber);
+    }
+  },
+
+  getProducts: {
+    description: 'Get all products',
+    scope: SCOPES.INVENTORY_READ,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: models.schemas.products,
+    normalize: models.normalizeProducts,
+    run: (fishbowl) => fishbowl.getProducts()
+  },
+
+  getParts: {
+    description: 'Get all parts',
+    scope: SCOPES.INVENTORY_READ,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: models.schemas.parts,
+    normalize: models.normalizeParts,
+    run: (fishbowl) => fishbowl.getParts()
+  },
+
+  getLocations: {
+    description: 'Get all inventory locations',
+    scope: SCOPES.INVENTORY_READ,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: models.schemas.locations,
+    normalize: models.normalizeLocations,
+    run: (fishbowl) => fishbowl.getLocations()
+  },
+
+  getManufactureOrders: {
+    description: 'Search manufacture orders',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: orderFiltersSchema,
+    outputSchema: models.schemas.manufactureOrders,
+    normalize: models.normalizeManufactureOrders,
+    run: (fishbowl, parameters) => fishbowl.getManufactureOrders(parameters)
+  },
+
+  getManufactureOrder: {
+    description: 'Get a manufacture order and its items by order number',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: manufactureOrderNumberSchema,
+    outputSchema: models.schemas.manufactureOrderSave,
+    normalize: (result, parameters) => ({
+      manufactureOrder: models.normalizeManufactureOrders(result).manufactureOrders
+        .find(order => order.number === moNumber(parameters))
+    }),
+    run: async (fishbowl, parameters) =>
+      (await manufactureOrders.loadManufactureOrder(fishbowl, moNumber(parameters))).result
+  },
+
+  getBom: {
+    description: 'Get a bill of materials and its items by BOM number',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bomNumber: { type: 'string', description: 'Bill of materials number' }
+      },
+      required: ['bomNumber']
+    },
+    outputSchema: models.schemas.bomGet,
+    normalize: models.normalizeBom,
+    run: (fishbowl, parameters) => fishbowl.getBom(bomNumber(parameters))
+  },
+
+  checkKitAvailability: {
+    description: 'Check whether the components on hand cover building a quantity of a bill of materials, ' +
+      'listing the shortage of each component',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bomNumber: { type: 'string', description: 'Bill of materials number' },
+        quantity: { type: 'integer', description: 'Number of builds' },
+        locationGroup: { type: 'string', description: 'Only count stock in this location group' }
+      },
+      required: ['bomNumber', 'quantity']
+    },
+    outputSchema: manufactureOrders.kitAvailabilitySchema,
+    run: (fishbowl, parameters) => manufactureOrders.kitAvailability(fishbowl, bomNumber(parameters),
+      manufactureOrders.buildQuantity(parameters), parameters.locationGroup || null)
+  },
+
+  getPurchaseOrders: {
+    description: 'Search purchase orders',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: orderFiltersSchema,
+    outputSchema: models.schemas.purchaseOrders,
+    normalize: models.normalizePurchaseOrders,
+    run: (fishbowl, parameters) => fishbowl.getPurchaseOrders(parameters)
+  },
+
+  getPurchaseOrder: {
+    description: 'Get a purchase order and its lines by order number',
+    scope: SCOPES.ORDERS_READ,
+    inputSchema: purchaseOrderNumberSchema,
+    outputSchema: models.schemas.purchaseOrderSave,
+    normalize: (result, parameters) => ({
+      purchaseOrder: models.normalizePurchaseOrders(result).purchaseOrders
+        .find(order => order.number === orderNumber(parameters))
+    }),
+    run: async (fishbowl, parameters) => (await loadPurchaseOrder(fishbowl, orderNumber(parameters))).result
+  },
+
+  addInventory: {
+    description: 'Add inventory for a part at a location',
+    scope: SCOPES.INVENTORY_WRITE,
+    write: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        partId: { type: ['integer', 'string'], description: 'Fishbowl part ID' },
+        locationId: { type: ['integer', 'string'], description: 'Fishbowl location ID' },
+        quantity: { type: 'number', description: 'Quantity to add' },
+        trackingItems: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              partTracking: {
+                type: 'object',
+                properties: { id: { type: ['integer', 'string'] } },
+                required: ['id']
+              },
+              value: { type: 'string' }
+            },
+            required: ['partTracking', 'value']
+          }
+        }
+      },
+      required: ['partId', 'locationId', 'quantity']
+    },
+    outputSchema: models.schemas.inventoryAdd,
+    normalize: models.normalizeInventoryAdd,
+    run: (fishbowl, parameters) => {
+      if (!parameters.partId || !parameters.locationId || parameters.quantity === undefined) {
+        throw new ValidationError('partId, locationId, and quantity are required to add inventory');
+      }
+      return fishbowl.addInventory(
+        parameters.partId,
+        parameters.locationId,
+        parameters.quantity,
+        parameters.trackingItems || []
+      );
+    }
+  },
+
+  createPurchaseOrder: {
+    description: 'Create a purchase order as a bid request (draft) for a vendor',
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        vendor: { type: 'string', description: 'Vendor name' },
+        locationGroup: { type: 'string', description: 'Location group receiving the order' },
+        items: purchaseOrderItemsSchema
+      },
+      required: ['vendor', 'locationGroup', 'items']
+    },
+    outputSchema: models.schemas.purchaseOrderSave,
+    normalize: models.normalizePurchaseOrderSave,
+    run: (fishbowl, parameters) => {
+      if (!parameters.vendor || !parameters.locationGroup) {
+        throw new ValidationError('vendor and locationGroup are required to create a purchase order');
+      }
+      return fishbowl.savePurchaseOrder({
+        vendor: parameters.vendor,
+        locationGroup: parameters.locationGroup,
+        items: orderItems(parameters.items)
+      });
+    }
+  },
+
+  updatePurchaseOrder: {
+    description: 'Change the vendor, location group or lines of a bid request; lines given replace all current lines',
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        number: { type: 'string', description: 'Purchase order number' },
+        vendor: { type: 'string', description: 'Vendor name' },
+        locationGroup: { type: 'string', description: 'Location group receiving the order' },
+        items: purchaseOrderItemsSchema
+      },
+      required: ['number']
+    },
+    outputSchema: models.schemas.purchaseOrderSave,
+    normalize: models.normalizePurchaseOrderSave,
+    run: async (fishbowl, parameters) => {
+      const number = orderNumber(parameters);
+      const { vendor, locationGroup, items } = parameters;
+      if (vendor === undefined && locationGroup === undefined && items === undefined) {
+        throw new ValidationError('Give a vendor, locationGroup or items to change');
+      }
+      for (const [name, value] of Object.entries({ vendor, locationGroup })) {
+        if (value !== undefined && (typeof value !== 'string' || !value.trim())) {
+          throw new ValidationError(`${name} must be a non-empty string`, { [name]: value });
+        }
+      }
+      const lines = items !== undefined ? orderItems(items) : null;
+
+      const { order } = await loadPurchaseOrder(fishbowl, number);
+      assertAction(order, 'update');
+      return fishbowl.savePurchaseOrder({
+        number,
+        vendor: vendor !== undefined ? vendor : order.vendor,
+        locationGroup: locationGroup !== undefined ? locationGroup : order.locationGroup,
+        items: lines || order.items.map(item => ({
+          partNumber: item.partNumber,
+          quantity: item.quantity,
+          unitCost: item.unitCost !== null ? item.unitCost : undefined,
+          uom: item.uom !== null ? item.uom : undefined
+        }))
+      });
+    }
+  },
+
+  issuePurchaseOrder: purchaseOrderStatusCommand('issue', 'Issue a bid request to its vendor'),
+
+  unissuePurchaseOrder: purchaseOrderStatusCommand('unissue',
+    'Return an issued purchase order with nothing received to a bid request'),
+
+  closeShortPurchaseOrder: purchaseOrderStatusCommand('closeShort',
+    'Close a purchase order short, no longer expecting its unreceived quantities'),
+
+  voidPurchaseOrder: purchaseOrderStatusCommand('void', 'Void a purchase order with nothing received'),
+
+  deletePurchaseOrder: {
+    description: 'Delete a bid request',
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: purchaseOrderNumberSchema,
+    outputSchema: models.schemas.purchaseOrderDelete,
+    normalize: (result, parameters) => ({ number: orderNumber(parameters), deleted: true }),
+    run: async (fishbowl, parameters) => {
+      const number = orderNumber(parameters);
+      assertAction((await loadPurchaseOrder(fishbowl, number)).order, 'delete');
+      return fishbowl.deletePurchaseOrder(number);
+    }
+  },
+
+  createManufactureOrder: {
+    description: 'Create a manufacture order (Entered) building a quantity of a bill of materials',
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: {
+      type: 'object',
+      properties: {
+        bomNumber: { type: 'string', description: 'Bill of materials number' },
+        quantity: { type: 'integer', description: 'Number of builds' },
+        locationGroup: { type: 'string', description: 'Location group building the order' },
+        scheduledAt: { type: 'string', description: 'Scheduled date (ISO 8601)' },
+        note: { type: 'string' }
+      },
+      required: ['bomNumber', 'quantity', 'locationGroup']
+    },
+    outputSchema: models.schemas.manufactureOrderSave,
+    normalize: (result) => models.normalizeManufactureOrderResponse(result, 'SaveMORs'),
+    run: (fishbowl, parameters) => {
+      const order = {
+        bomNumber: bomNumber(parameters),
+        quantity: manufactureOrders.buildQuantity(parameters),
+        locationGroup: manufactureOrders.requiredString(parameters, 'locationGroup', 'create a manufacture order'),
+        note: parameters.note
+      };
+      if (parameters.scheduledAt !== undefined) {
+        const scheduledAt = new Date(parameters.scheduledAt);
+        if (Number.isNaN(scheduledAt.getTime())) {
+          throw new ValidationError('scheduledAt must be a date', { scheduledAt: parameters.scheduledAt });
+        }
+        order.scheduledAt = scheduledAt.toISOString();
+      }
+      return fishbowl.saveManufactureOrder(order);
+    }
+  },
+
+  issueManufactureOrder: manufactureOrderStatusCommand('issue', 'Issue an entered manufacture order to be built'),
+
+  unissueManufactureOrder: manufactureOrderStatusCommand('unissue',
+    'Return an issued manufacture order with nothing used to entered'),
+
+  closeShortManufactureOrder: manufactureOrderStatusCommand('closeShort',
+    'Close a manufacture order short, no longer building its remaining quantity'),
+
+  deleteManufactureOrder: {
+    description: 'Delete an entered manufacture order',
+    scope: SCOPES.ORDERS_WRITE,
+    write: true,
+    inputSchema: manufactureOrderNumberSchema,
+    outputSchema: models.schemas.manufactureOrderDelete,
+    normalize: (result, parameters) => ({ number: moNumber(parameters), deleted: true }),
+    run: async (fishbowl, parameters) => {
+      const number = moNumber(parameters);
+      manufactureOrders.assertAction((await manufactureOrders.loadManufactureOrder(fishbowl, number)).order, 'delete');
+      return fishbowl.deleteManufactureOrder(number);
+    }
+  },
+
+  login: {
+    description: 'Log in to the Fishbowl server',
+    scope: SCOPES.ADMIN_SESSION,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: {
+      type: 'object',
+      properties: {
+        success: { type: 'boolean' },
+        userId: { type: ['string', 'null'] }
+      },
+      required: ['success']
+    },
+    // The Fishbowl session token stays inside the server
+    run: async (fishbowl) => {
+      const { success, userId } = await fishbowl.login();
+      return { success, userId };
+    }
+  },
+
+  logout: {
+    description: 'Log out of the Fishbowl server',
+    scope: SCOPES.ADMIN_SESSION,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: sessionResultSchema,
+    run: (fishbowl) => fishbowl.logout()
+  },
+
+  connect: {
+    description: 'Open the connection to the Fishbowl server',
+    scope: SCOPES.ADMIN_SESSION,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: sessionResultSchema,
+    run: async (fishbowl) => {
+      await fishbowl.connect();
+      return { success: true, message: 'Connected to Fishbowl server' };
+    }
+  },
+
+  disconnect: {
+    description: 'Close the connection to the Fishbowl server',
+    scope: SCOPES.ADMIN_SESSION,
+    inputSchema: { type: 'object', properties: {} },
+    outputSchema: sessionResultSchema,
+    run: (fishbowl) => fishbowl.disconnect()
+  }
+};
+
+/**
+ * Run a command by name against a Fishbowl client. Results are normalized
+ * unless options.raw is set. When options.principal is given the caller
+ * must hold the command's scope. Write commands are recorded in
+ * options.audit (an AuditLog) under options.source, with options.statusCode
+ * as the status the caller answers a success with.
+ */
+async function executeCommand(fishbowl, command, parameters, options = {}) {
+  if (!Object.prototype.hasOwnProperty.call(commands, command)) {
+    throw new ValidationError(`Unknown command: ${command}`, { command }, 'unknown_command');
+  }
+  const definition = commands[command];
+  if (options.principal !== undefined) {
+    assertScope(options.principal, definition.scope);
+  }
+  const params = parameters || {};
+  const run = () => definition.run(fishbowl, params);
+  const result = definition.write && options.audit ?
+    await options.audit.track({
+      principal: options.principal,
+      command,
+      parameters: params,
+      source: options.source,
+      instance: fishbowl.instance,
+      statusCode: options.statusCode
+    }, run) :
+    await run();
+
+  if (options.raw || !definition.normalize) {
+    return result;
+  }
+  return definition.normalize(result, params);
+}
+
+module.exports = {
+  commands,
+  executeCommand
+};
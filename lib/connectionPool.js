@@ -0,0 +1,405 @@
+// connectionPool.js - Pool of authenticated Fishbowl connections
+
+const { createFishbowlClient } = require('./backends');
+const { notSent } = require('./fishbowlClient');
+const { CircuitBreaker } = require('./circuitBreaker');
+const { ResponseCache } = require('./responseCache');
+const models = require('./models');
+const { UpstreamUnavailableError } = require('../errorHandeling');
+
+const INTERACTIVE = 'interactive';
+const BULK = 'bulk';
+
+// Client methods routed through the long-running read lane
+const BULK_METHODS = new Set(['getParts', 'getProducts']);
+
+// Client reads that borrow a connection and run on it; writes are defined below
+const POOLED_METHODS = [
+  'getInventory',
+  'getProducts',
+  'getParts',
+  'getLocations',
+  'getManufactureOrders',
+  'getPurchaseOrders',
+  'getBom'
+];
+
+// Client methods whose results are cached, with the cache resource and key
+const CACHED_METHODS = {
+  getParts: { resource: 'parts', key: () => undefined },
+  getProducts: { resource: 'products', key: () => undefined },
+  getLocations: { resource: 'locations', key: () => undefined },
+  getInventory: { resource: 'inventory', key: (partNumber) => partNumber }
+};
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * A pooled connection and its bookkeeping
+ */
+class PooledConnection {
+  constructor(client) {
+    this.client = client;
+    this.busy = false;
+    this.lane = null;
+    this.lastUsed = Date.now();
+    this.lastError = null;
+  }
+
+  // A dropped connection that is re-opening itself is kept
+  isHealthy() {
+    return this.client.isHealthy();
+  }
+}
+
+/**
+ * Pool of Fishbowl connections, each with its own session (and, over the
+ * XML API, its own socket).
+ * Callers borrow a connection per operation. Long-running reads use the bulk
+ * lane, which may never occupy every connection, so quick lookups always have
+ * one to run on.
+ */
+class FishbowlPool {
+  constructor(options = {}) {
+    this.min = options.min !== undefined ? options.min : envInt('FISHBOWL_POOL_MIN', 1);
+    this.max = Math.max(1, options.max !== undefined ? options.max : envInt('FISHBOWL_POOL_MAX', 4));
+    this.idleTimeoutMs = options.idleTimeoutMs !== undefined ?
+      options.idleTimeoutMs : envInt('FISHBOWL_POOL_IDLE_MS', 5 * 60 * 1000);
+    this.acquireTimeoutMs = options.acquireTimeoutMs !== undefined ?
+      options.acquireTimeoutMs : envInt('FISHBOWL_POOL_ACQUIRE_TIMEOUT_MS', 30000);
+
+    // Leave at least one connection for the interactive lane when possible
+    const bulkMax = options.bulkMax !== undefined ? options.bulkMax : envInt('FISHBOWL_POOL_BULK_MAX', 1);
+    this.bulkMax = Math.max(1, Math.min(bulkMax, this.max > 1 ? this.max - 1 : 1));
+
+    // options.client: settings of the Fishbowl instance (see instances.js)
+    this.createClient = options.createClient || (() => createFishbowlClient(options.client));
+
+    // Shared by every connection: they all talk to the same server
+    this.breaker = options.breaker || new CircuitBreaker({
+      name: 'Fishbowl server',
+      failureThreshold: envInt('FISHBOWL_BREAKER_THRESHOLD', 5),
+      resetTimeoutMs: envInt('FISHBOWL_BREAKER_RESET_MS', 30000),
+      isFailure: (error) => error.connectionFailure === true
+    });
+
+    // Results of the heavy queries, shared by every route and command
+    this.cache = options.cache || new ResponseCache();
+
+    // Template client used for reporting configuration
+    const template = this.createClient();
+    this.instance = template.instance;
+    this.backend = template.backend;
+    this.host = template.host;
+    this.port = template.port;
+
+    this.connections = [];
+    // Connections being opened, in all and per lane
+    this.pending = 0;
+    this.pendingByLane = { [INTERACTIVE]: 0, [BULK]: 0 };
+    this.waiters = { [INTERACTIVE]: [], [BULK]: [] };
+    this.evictionTimer = null;
+
+    for (const method of POOLED_METHODS) {
+      this[method] = CACHED_METHODS[method] ?
+        async (...args) => (await this.cached(method, args)).value :
+        (...args) => this.call(method, args);
+    }
+  }
+
+  call(method, args) {
+    const lane = BULK_METHODS.has(method) ? BULK : INTERACTIVE;
+    return this.use(lane, client => client[method](...args));
+  }
+
+  /**
+   * The cache entry ({ value, etag, fetchedAt, ... }) for a cached method,
+   * loading it from Fishbowl when needed. options.refresh forces a reload.
+   */
+  cached(method, args = [], options = {}) {
+    const { resource, key } = CACHED_METHODS[method];
+    return this.cache.get(resource, key(...args), () => this.call(method, args), options);
+  }
+
+  async addInventory(partId, locationId, quantity, trackingItems = []) {
+    try {
+      return await this.call('addInventory', [partId, locationId, quantity, trackingItems]);
+    } finally {
+      // Even a failed write may have changed stock, so drop it either way
+      this.invalidateInventory(partId);
+    }
+  }
+
+  savePurchaseOrder(order, issue = false) {
+    return this.call('savePurchaseOrder', [order, issue]);
+  }
+
+  changePurchaseOrderStatus(number, action) {
+    return this.call('changePurchaseOrderStatus', [number, action]);
+  }
+
+  deletePurchaseOrder(number) {
+    return this.call('deletePurchaseOrder', [number]);
+  }
+
+  saveManufactureOrder(order) {
+    return this.call('saveManufactureOrder', [order]);
+  }
+
+  changeManufactureOrderStatus(number, action) {
+    return this.call('changeManufactureOrderStatus', [number, action]);
+  }
+
+  deleteManufactureOrder(number) {
+    return this.call('deleteManufactureOrder', [number]);
+  }
+
+  // Uncached round trip on a pooled connection, for the readiness probe
+  ping() {
+    return this.call('ping', []);
+  }
+
+  /**
+   * Drop the cached inventory of a part, identified by its ID. The part
+   * number comes from the cached parts list; without it every cached
+   * inventory entry is dropped.
+   */
+  invalidateInventory(partId) {
+    const parts = this.cache.peek('parts');
+    const part = parts ? models.normalizeParts(parts.value).parts.find(p => String(p.id) === String(partId)) : null;
+    this.cache.invalidate('inventory', part ? part.number : undefined);
+  }
+
+  /**
+   * Borrow a connection from a lane for the duration of fn. Fails fast with
+   * a 503 while the circuit breaker is open.
+   */
+  async use(lane, fn) {
+    return this.breaker.run(async () => {
+      const connection = await this.acquire(lane);
+      try {
+        return await fn(connection.client);
+      } catch (error) {
+        connection.lastError = error;
+        throw error;
+      } finally {
+        this.release(connection);
+      }
+    });
+  }
+
+  acquire(lane = INTERACTIVE) {
+    const connection = this.takeIdle(lane);
+    if (connection) {
+      return Promise.resolve(connection);
+    }
+    if (this.canGrow(lane)) {
+      return this.grow(lane);
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, timer: null };
+      waiter.timer = setTimeout(() => {
+        this.waiters[lane] = this.waiters[lane].filter(w => w !== waiter);
+        reject(new UpstreamUnavailableError(
+          `Timed out after ${this.acquireTimeoutMs}ms waiting for a Fishbowl connection`,
+          { pool: this.stats() }, 503, 'pool_exhausted'));
+      }, this.acquireTimeoutMs);
+      this.waiters[lane].push(waiter);
+    });
+  }
+
+  release(connection) {
+    connection.busy = false;
+    connection.lane = null;
+    connection.lastUsed = Date.now();
+
+    if (!connection.isHealthy()) {
+      this.remove(connection);
+    }
+    this.dispatchWaiters();
+  }
+
+  takeIdle(lane) {
+    if (lane === BULK && this.busyCount(BULK) >= this.bulkMax) {
+      return null;
+    }
+
+    for (const connection of this.connections) {
+      if (connection.busy) {
+        continue;
+      }
+      if (!connection.isHealthy()) {
+        this.remove(connection);
+        continue;
+      }
+      connection.busy = true;
+      connection.lane = lane;
+      return connection;
+    }
+    return null;
+  }
+
+  canGrow(lane) {
+    if (lane === BULK && this.busyCount(BULK) + this.pendingByLane[BULK] >= this.bulkMax) {
+      return false;
+    }
+    return this.connections.length + this.pending < this.max;
+  }
+
+  async grow(lane) {
+    this.pending++;
+    this.pendingByLane[lane]++;
+    const connection = new PooledConnection(this.createClient());
+    let failed = false;
+    try {
+      await connection.client.ensureAuthenticated();
+    } catch (error) {
+      failed = true;
+      connection.client.disconnect().catch(() => {});
+      // The caller's request was never written to this connection
+      throw notSent(error);
+    } finally {
+      this.pending--;
+      this.pendingByLane[lane]--;
+      // Waiters skipped while this connection was pending may grow now
+      if (failed) {
+        this.dispatchWaiters();
+      }
+    }
+
+    connection.busy = true;
+    connection.lane = lane;
+    this.connections.push(connection);
+    return connection;
+  }
+
+  dispatchWaiters() {
+    // Interactive callers are served first
+    for (const lane of [INTERACTIVE, BULK]) {
+      while (this.waiters[lane].length > 0) {
+        const connection = this.takeIdle(lane);
+        if (connection) {
+          this.handOff(lane, connection);
+        } else if (this.canGrow(lane)) {
+          const waiter = this.waiters[lane].shift();
+          clearTimeout(waiter.timer);
+          this.grow(lane).then(waiter.resolve, waiter.reject);
+        } else {
+          break;
+        }
+      }
+    }
+  }
+
+  handOff(lane, connection) {
+    const waiter = this.waiters[lane].shift();
+    clearTimeout(waiter.timer);
+    waiter.resolve(connection);
+  }
+
+  remove(connection) {
+    this.connections = this.connections.filter(c => c !== connection);
+    connection.client.disconnect().catch(() => {});
+  }
+
+  busyCount(lane) {
+    return this.connections.filter(c => c.busy && (!lane || c.lane === lane)).length;
+  }
+
+  /**
+   * Open connections up to the configured minimum and start idle eviction
+   */
+  async start() {
+    if (!this.evictionTimer && this.idleTimeoutMs > 0) {
+      this.evictionTimer = setInterval(() => this.evictIdle(), Math.max(1000, this.idleTimeoutMs / 2));
+      this.evictionTimer.unref();
+    }
+
+    while (this.connections.length + this.pending < this.min) {
+      const connection = await this.grow(INTERACTIVE);
+      this.release(connection);
+    }
+  }
+
+  evictIdle() {
+    const now = Date.now();
+    for (const connection of this.connections) {
+      if (this.connections.length <= this.min) {
+        break;
+      }
+      if (!connection.busy && now - connection.lastUsed >= this.idleTimeoutMs) {
+        this.remove(connection);
+      }
+    }
+  }
+
+  async connect() {
+    await this.start();
+  }
+
+  async login() {
+    return this.use(INTERACTIVE, client => client.login());
+  }
+
+  async logout() {
+    await Promise.all(this.connections.map(c => c.client.logout()));
+    return { success: true, message: 'Successfully logged out of Fishbowl' };
+  }
+
+  /**
+   * Close every connection and stop the pool
+   */
+  async disconnect() {
+    if (this.evictionTimer) {
+      clearInterval(this.evictionTimer);
+      this.evictionTimer = null;
+    }
+
+    for (const lane of [INTERACTIVE, BULK]) {
+      for (const waiter of this.waiters[lane]) {
+        clearTimeout(waiter.timer);
+        waiter.reject(new UpstreamUnavailableError('Fishbowl connection pool is shutting down'));
+      }
+      this.waiters[lane] = [];
+    }
+
+    const connections = this.connections;
+    this.connections = [];
+    await Promise.all(connections.map(c => c.client.disconnect()));
+
+    return connections.length > 0 ?
+      { success: true, message: 'Disconnected from Fishbowl server' } :
+      { success: true, message: 'Not connected to Fishbowl server' };
+  }
+
+  stats() {
+    return {
+      size: this.connections.length,
+      busy: this.busyCount(),
+      idle: this.connections.filter(c => !c.busy).length,
+      bulkBusy: this.busyCount(BULK),
+      authenticated: this.connections.filter(c => c.client.sessionToken !== null).length,
+      pending: this.pending,
+      waiting: {
+        interactive: this.waiters[INTERACTIVE].length,
+        bulk: this.waiters[BULK].length
+      },
+      min: this.min,
+      max: this.max,
+      bulkMax: this.bulkMax,
+      reconnecting: this.connections.filter(c => c.client.reconnectTimer !== null).length,
+      reconnectAttempts: this.connections.reduce((sum, c) => sum + c.client.reconnectAttempts, 0),
+      totalReconnects: this.connections.reduce((sum, c) => sum + c.client.totalReconnects, 0)
+    };
+  }
+}
+
+module.exports = {
+  FishbowlPool,
+  INTERACTIVE,
+  BULK
+};
@@ -0,0 +1,105 @@
+// csv.js - CSV formatting for exports and parsing for imports
+
+// Spreadsheet applications run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Format one value as a CSV field
+ */
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (typeof value === 'string' && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Format an array of values as a CSV line, including the line break
+ */
+function csvRow(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+/**
+ * Format rows as a CSV document. columns is a list of { header, value }
+ * where value picks the field from a row.
+ */
+function toCsv(columns, rows) {
+  return csvRow(columns.map(column => column.header)) +
+    rows.map(row => csvRow(columns.map(column => column.value(row)))).join('');
+}
+
+/**
+ * Parse a CSV document (RFC 4180: quoted fields may hold commas, quotes and
+ * line breaks) into an array of rows, each an array of strings. A leading
+ * byte order mark and blank lines are skipped. Each row carries the line it
+ * started on as row.line.
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+  const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      row.line = rowLine;
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+    rowLine = line;
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') {
+          line++;
+        }
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      line++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+  }
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+  return rows;
+}
+
+module.exports = {
+  csvField,
+  csvRow,
+  toCsv,
+  parseCsv
+};
@@ -0,0 +1,238 @@
+// eventStream.js - Server-Sent Events stream of change events
+
+const { EVENT_TYPES } = require('./changeWatcher');
+const { SCOPES, hasScope } = require('./auth');
+const { ApiError, ValidationError, PermissionError } = require('../errorHandeling');
+
+const INVENTORY_EVENTS = EVENT_TYPES.filter(type => type.startsWith('inventory.'));
+
+// Scope a client needs to receive each event type
+const EVENT_SCOPES = Object.fromEntries(EVENT_TYPES.map(type =>
+  [type, INVENTORY_EVENTS.includes(type) ? SCOPES.INVENTORY_READ : SCOPES.ORDERS_READ]));
+
+const STREAM_PARAMS = ['parts', 'orders', 'events', 'lastEventId'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const list = (value) => (value === undefined ? [] :
+  [].concat(value).join(',').split(',').map(item => item.trim()).filter(Boolean));
+
+/**
+ * The subscription of a stream client from its query string:
+ * ?parts=B-100,W-200 follows those parts' inventory, ?orders=PO-1001 those
+ * orders, and ?events= limits the event types. Naming parts or orders drops
+ * the events of the other kind unless ?events= asks for them. Event types
+ * the caller has no scope for are left out; asking for them explicitly is
+ * an error.
+ */
+function parseSubscription(query, principal) {
+  const unknownParams = Object.keys(query).filter(name => !STREAM_PARAMS.includes(name));
+  if (unknownParams.length > 0) {
+    throw new ValidationError(`Unknown query parameters: ${unknownParams.join(', ')}`,
+      { parameters: unknownParams, allowed: STREAM_PARAMS }, 'invalid_query');
+  }
+
+  const parts = list(query.parts);
+  const orders = list(query.orders);
+  const requested = list(query.events);
+  const unknown = requested.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown events: ${unknown.join(', ')}`,
+      { events: unknown, allowed: EVENT_TYPES }, 'invalid_query');
+  }
+  const forbidden = requested.filter(type => !hasScope(principal, EVENT_SCOPES[type]));
+  if (forbidden.length > 0) {
+    throw new PermissionError(`Missing required scope for events: ${forbidden.join(', ')}`,
+      { events: forbidden, requiredScopes: [...new Set(forbidden.map(type => EVENT_SCOPES[type]))] },
+      'insufficient_scope');
+  }
+
+  let types = requested.length > 0 ? requested : EVENT_TYPES.filter(type => {
+    if (parts.length > 0 || orders.length > 0) {
+      return INVENTORY_EVENTS.includes(type) ? parts.length > 0 : orders.length > 0;
+    }
+    return true;
+  });
+  types = types.filter(type => hasScope(principal, EVENT_SCOPES[type]));
+  if (types.length === 0) {
+    throw new PermissionError('The caller may not read any of the requested events',
+      { requiredScopes: [SCOPES.INVENTORY_READ, SCOPES.ORDERS_READ] }, 'insufficient_scope');
+  }
+
+  return {
+    parts: parts.length > 0 ? new Set(parts) : null,
+    orders: orders.length > 0 ? new Set(orders) : null,
+    types: new Set(types)
+  };
+}
+
+function matches(subscription, event) {
+  if (!subscription.types.has(event.type)) {
+    return false;
+  }
+  if (subscription.instance && event.instance !== subscription.instance) {
+    return false;
+  }
+  if (INVENTORY_EVENTS.includes(event.type)) {
+    return !subscription.parts || subscription.parts.has(event.data.partNumber);
+  }
+  return !subscription.orders || subscription.orders.has(event.data.number);
+}
+
+/**
+ * Fans change events out to Server-Sent Events clients. Every client
+ * shares the one change watcher; each only receives the events its
+ * subscription matches. Events get increasing ids and the last
+ * STREAM_BUFFER_SIZE are kept, so a client reconnecting with Last-Event-ID
+ * is sent what it missed. When that is no longer in the buffer it gets a
+ * 'resync' event and should reload its state. A comment line is written
+ * every STREAM_HEARTBEAT_MS so proxies keep idle connections open.
+ */
+class EventStream {
+  constructor(options = {}) {
+    this.bufferSize = options.bufferSize !== undefined ? options.bufferSize : envInt('STREAM_BUFFER_SIZE', 1000);
+    this.heartbeatMs = options.heartbeatMs !== undefined ? options.heartbeatMs : envInt('STREAM_HEARTBEAT_MS', 15000);
+    this.maxClients = options.maxClients !== undefined ? options.maxClients : envInt('STREAM_MAX_CLIENTS', 100);
+    this.clients = new Set();
+    this.buffer = [];
+    // Ids start at the current time so they keep increasing across restarts
+    this.lastId = Date.now();
+    this.counters = { connections: 0, sent: 0 };
+  }
+
+  /**
+   * Connected clients, or those that receive events of the given
+   * Fishbowl instance
+   */
+  clientCount(instance) {
+    return this.clientsOf(instance).length;
+  }
+
+  clientsOf(instance) {
+    return [...this.clients].filter(client =>
+      !instance || !client.subscription.instance || client.subscription.instance === instance);
+  }
+
+  /**
+   * Part numbers the clients (of an instance) follow, or null when one of
+   * them wants the inventory of every part
+   */
+  partsOfInterest(instance) {
+    const parts = new Set();
+    for (const { subscription } of this.clientsOf(instance)) {
+      if (!INVENTORY_EVENTS.some(type => subscription.types.has(type))) {
+        continue;
+      }
+      if (!subscription.parts) {
+        return null;
+      }
+      subscription.parts.forEach(part => parts.add(part));
+    }
+    return parts;
+  }
+
+  /**
+   * Serve a client: send the SSE headers, replay what it missed and keep
+   * the response open until it disconnects
+   */
+  connect(req, res) {
+    if (this.clients.size >= this.maxClients) {
+      throw new ApiError(503, `At most ${this.maxClients} stream clients may be connected`,
+        { maxClients: this.maxClients }, 'too_many_streams');
+    }
+    const subscription = parseSubscription(req.query, req.principal);
+    // Clients only receive the events of the Fishbowl instance they chose
+    subscription.instance = req.fishbowlInstance || null;
+    const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // Stops nginx from buffering the stream
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = { res, subscription, caller: req.principal ? req.principal.id : null };
+    this.clients.add(client);
+    this.counters.connections++;
+    if (lastEventId !== undefined) {
+      this.replay(client, lastEventId);
+    }
+
+    const heartbeat = setInterval(() => {
+      res.write(`: heartbeat ${new Date().toISOString()}\n\n`);
+    }, this.heartbeatMs);
+    heartbeat.unref();
+    client.heartbeat = heartbeat;
+
+    req.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(client);
+    });
+  }
+
+  replay(client, lastEventId) {
+    const id = Number(lastEventId);
+    const oldest = this.buffer.length > 0 ? this.buffer[0].id : this.lastId + 1;
+    if (!Number.isInteger(id) || id > this.lastId || id < oldest - 1) {
+      this.write(client, { id: this.lastId, type: 'resync', data: { lastEventId: String(lastEventId) } });
+      return;
+    }
+    for (const entry of this.buffer) {
+      if (entry.id > id && matches(client.subscription, entry.event)) {
+        this.write(client, { id: entry.id, type: entry.event.type, data: entry.event });
+      }
+    }
+  }
+
+  /**
+   * Number a change event, keep it for resuming clients and send it to the
+   * clients it matches
+   */
+  publish(event) {
+    const entry = { id: ++this.lastId, event };
+    this.buffer.push(entry);
+    if (this.buffer.length > this.bufferSize) {
+      this.buffer.splice(0, this.buffer.length - this.bufferSize);
+    }
+    for (const client of this.clients) {
+      if (matches(client.subscription, event)) {
+        this.write(client, { id: entry.id, type: event.type, data: event });
+      }
+    }
+  }
+
+  write(client, { id, type, data }) {
+    client.res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    this.counters.sent++;
+  }
+
+  // End every open stream, e.g. on shutdown
+  close() {
+    for (const client of this.clients) {
+      clearInterval(client.heartbeat);
+      client.res.end();
+    }
+    this.clients.clear();
+  }
+
+  stats() {
+    return {
+      clients: this.clients.size,
+      buffered: this.buffer.length,
+      lastEventId: this.lastId,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  EventStream,
+  parseSubscription
+};
@@ -0,0 +1,783 @@
+// fishbowlClient.js - Client for the Fishbowl XML API
+
+const net = require('net');
+const xml2js = require('xml2js');
+const { encodeMessage, MessageDecoder } = require('./fishbowlCodec');
+const { isSessionExpired, canReplay, checkResponse, elementStatus, envelopeStatus } = require('./fishbowlResponse');
+const { currentContext } = require('./requestContext');
+const { redactXml, registerSecret } = require('./redact');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const { UpstreamUnavailableError, FishbowlError } = require('../errorHandeling');
+
+// XML parser and builder
+const xmlParser = new xml2js.Parser();
+const xmlBuilder = new xml2js.Builder();
+
+// Default time allowed for Fishbowl to answer each message type
+const DEFAULT_TIMEOUT_MS = 30000;
+const MESSAGE_TIMEOUTS_MS = {
+  LoginRq: 15000,
+  LogoutRq: 5000,
+  PartGetRq: 120000,
+  ProductGetRq: 120000
+};
+
+// FbiXml messages moving a purchase order to another status, by action
+const PO_STATUS_MESSAGES = {
+  issue: 'IssuePORq',
+  unissue: 'UnissuePORq',
+  closeShort: 'CloseShortPORq',
+  void: 'VoidPORq'
+};
+
+// FbiXml messages moving a manufacture order to another status, by action
+const MO_STATUS_MESSAGES = {
+  issue: 'IssueMORq',
+  unissue: 'UnissueMORq',
+  closeShort: 'CloseShortMORq'
+};
+
+/**
+ * Per-message timeouts, overridable with FISHBOWL_TIMEOUT_MS (the default)
+ * and FISHBOWL_TIMEOUTS, a JSON object of message name to milliseconds
+ */
+function loadTimeouts() {
+  const timeouts = { ...MESSAGE_TIMEOUTS_MS };
+  if (process.env.FISHBOWL_TIMEOUTS) {
+    try {
+      Object.assign(timeouts, JSON.parse(process.env.FISHBOWL_TIMEOUTS));
+    } catch (error) {
+      logger.warn('Ignoring invalid FISHBOWL_TIMEOUTS', { error: error.message });
+    }
+  }
+  return {
+    defaultMs: parseInt(process.env.FISHBOWL_TIMEOUT_MS) || DEFAULT_TIMEOUT_MS,
+    messages: timeouts
+  };
+}
+
+/**
+ * Status of the answer to a message: the envelope's when it failed,
+ * otherwise that of the message's own *Rs element
+ */
+function callStatus(messageName, result) {
+  if (!result) {
+    return null;
+  }
+  const msgsRs = result.FbiXml && result.FbiXml.FbiMsgsRs ? result.FbiXml.FbiMsgsRs[0] : null;
+  const rsName = messageName.replace(/Rq$/, 'Rs');
+  const status = envelopeStatus(result);
+  if (!status || status.code === '1000') {
+    return (msgsRs && msgsRs[rsName] && elementStatus(msgsRs[rsName][0])) || status;
+  }
+  return status;
+}
+
+/**
+ * Count and log a client's Fishbowl round trip. Successful calls are
+ * logged at debug level, failed ones as warnings.
+ */
+function observeCall(client, messageName, started, status, error) {
+  const durationMs = Date.now() - started;
+  metrics.fishbowlRequestDuration.observe({
+    instance: client.instance,
+    message: messageName,
+    status: error ? 'error' : (status ? status.code : 'unknown')
+  }, durationMs / 1000);
+
+  const fields = {
+    fishbowlMessage: messageName,
+    durationMs,
+    fishbowlStatusCode: status ? Number(status.code) : null
+  };
+  if (error) {
+    client.logger.warn('Fishbowl call failed', { ...fields, error: error.message });
+  } else if (status && status.code !== '1000') {
+    client.logger.warn('Fishbowl call returned an error status', { ...fields, fishbowlStatusMessage: status.message });
+  } else {
+    client.logger.debug('Fishbowl call', fields);
+  }
+}
+
+/**
+ * Observe a Fishbowl request and note it on the current request context,
+ * if that collects them (see auditLog.js). request is the text sent, with
+ * secrets already redacted.
+ */
+function recordCall(client, messageName, request, started, status, error) {
+  observeCall(client, messageName, started, status, error);
+
+  const context = currentContext();
+  if (!context || !context.fishbowlCalls) {
+    return;
+  }
+
+  context.fishbowlCalls.push({
+    message: messageName,
+    request,
+    statusCode: status ? Number(status.code) : null,
+    statusMessage: status ? status.message : null,
+    error: error ? error.message : null,
+    durationMs: Date.now() - started
+  });
+}
+
+/**
+ * Turn a socket-level error into an UpstreamUnavailableError marked as a
+ * connection failure, as opposed to an error status returned by Fishbowl
+ */
+function connectionFailure(error) {
+  const failure = error instanceof UpstreamUnavailableError ? error :
+    new UpstreamUnavailableError(`Unable to reach Fishbowl server: ${error.message}`,
+      error.code ? { cause: error.code } : null);
+  failure.connectionFailure = true;
+  return failure;
+}
+
+/**
+ * Mark an error raised before the request was written: nothing reached
+ * Fishbowl, so the request may safely be sent again
+ */
+function notSent(error) {
+  error.notSent = true;
+  return error;
+}
+
+/**
+ * Fishbowl API client. config holds the settings of one Fishbowl instance
+ * (see instances.js); anything it leaves out comes from the environment.
+ */
+class FishbowlClient {
+  constructor(config = {}) {
+    this.backend = 'xml';
+
+    // Name of the Fishbowl instance, for logs and metrics
+    this.instance = config.instance || 'default';
+    this.logger = logger.child({ instance: this.instance });
+
+    // Native Fishbowl API settings
+    this.host = config.host || process.env.FISHBOWL_HOST || 'localhost';
+    this.port = parseInt(config.port || process.env.FISHBOWL_PORT) || 28192;
+    this.username = config.username || process.env.FISHBOWL_USERNAME;
+    this.password = config.password || process.env.FISHBOWL_PASSWORD;
+    registerSecret(this.password);
+    this.iaid = config.iaid || process.env.FISHBOWL_IAID || '54321';
+    this.appName = config.appName || process.env.FISHBOWL_APP_NAME || 'MCP Fishbowl Server';
+    this.appId = config.appId || process.env.FISHBOWL_APP_ID || '101';
+
+    // Timeouts and reconnection
+    this.timeouts = loadTimeouts();
+    this.connectTimeoutMs = parseInt(process.env.FISHBOWL_CONNECT_TIMEOUT_MS) || 10000;
+    this.reconnectBaseMs = parseInt(process.env.FISHBOWL_RECONNECT_BASE_MS) || 1000;
+    this.reconnectMaxMs = parseInt(process.env.FISHBOWL_RECONNECT_MAX_MS) || 30000;
+    
+    // Session state
+    this.client = null;
+    this.sessionToken = null;
+    this.userId = null;
+
+    // Socket state
+    this.connecting = null;
+    this.loggingIn = null;
+    this.inFlight = null;
+    this.queue = Promise.resolve();
+    this.closing = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.totalReconnects = 0;
+    this.lastError = null;
+  }
+
+  async connect() {
+    this.closing = false;
+    if (this.client) {
+      return;
+    }
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (!this.connecting) {
+      this.connecting = this.openSocket().catch((error) => {
+        throw notSent(error);
+      }).finally(() => {
+        this.connecting = null;
+      });
+    }
+    return this.connecting;
+  }
+
+  openSocket() {
+    return new Promise((resolve, reject) => {
+      const socket = new net.Socket();
+      const decoder = new MessageDecoder();
+      let connected = false;
+
+      const connectTimer = setTimeout(() => {
+        socket.destroy(new Error(`Timed out connecting to Fishbowl server at ${this.host}:${this.port}`));
+      }, this.connectTimeoutMs);
+
+      socket.connect(this.port, this.host, () => {
+        clearTimeout(connectTimer);
+        connected = true;
+        this.client = socket;
+        this.reconnectAttempts = 0;
+        this.logger.info('Connected to Fishbowl server', { host: this.host, port: this.port });
+        resolve();
+      });
+
+      socket.on('data', (chunk) => this.handleData(socket, decoder, chunk));
+
+      socket.on('error', (error) => {
+        this.logger.warn('Fishbowl connection error', { host: this.host, port: this.port, error: error.message });
+        const failure = connectionFailure(error);
+        this.lastError = failure;
+        if (!connected) {
+          clearTimeout(connectTimer);
+          reject(failure);
+        }
+        this.failInFlight(failure, socket);
+      });
+
+      socket.on('close', () => {
+        this.logger.info('Fishbowl connection closed', { host: this.host, port: this.port });
+        if (this.client === socket) {
+          this.client = null;
+          this.sessionToken = null;
+        }
+        this.failInFlight(connectionFailure(new Error('connection closed')), socket);
+
+        // Only connections that were up and dropped unexpectedly are re-opened
+        if (connected && !this.closing) {
+          this.scheduleReconnect();
+        }
+      });
+    });
+  }
+
+  /**
+   * Re-open the socket after an unexpected close, backing off exponentially
+   * (with jitter) between failed attempts
+   */
+  scheduleReconnect() {
+    if (this.reconnectTimer || this.closing) {
+      return;
+    }
+
+    const delay = Math.min(this.reconnectMaxMs, this.reconnectBaseMs * 2 ** this.reconnectAttempts);
+    const jitter = Math.floor(Math.random() * delay * 0.2);
+    this.reconnectAttempts++;
+
+    this.logger.info('Reconnecting to Fishbowl', { delayMs: delay + jitter, attempt: this.reconnectAttempts });
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.totalReconnects++;
+      metrics.fishbowlReconnects.inc({ instance: this.instance });
+      this.connect().catch(() => this.scheduleReconnect());
+    }, delay + jitter);
+    this.reconnectTimer.unref();
+  }
+
+  handleData(socket, decoder, chunk) {
+    let messages;
+    try {
+      messages = decoder.push(chunk);
+    } catch (error) {
+      // The stream is out of sync and cannot be recovered
+      socket.destroy(error);
+      return;
+    }
+
+    for (const message of messages) {
+      const request = this.inFlight;
+      if (!request) {
+        this.logger.warn('Discarding unsolicited message from Fishbowl server');
+        continue;
+      }
+      this.inFlight = null;
+      request.resolve(message);
+    }
+  }
+
+  /**
+   * Fail the request waiting for an answer. When socket is given, only a
+   * request written to that socket is failed; a late close of an abandoned
+   * socket must not fail the request on its replacement.
+   */
+  failInFlight(error, socket = null) {
+    const request = this.inFlight;
+    if (!request || (socket && request.socket !== socket)) {
+      return;
+    }
+    this.inFlight = null;
+    request.reject(error);
+  }
+
+  /**
+   * Whether the socket is open, or re-opening itself after a drop
+   */
+  isHealthy() {
+    if (this.client !== null && !this.client.destroyed) {
+      return true;
+    }
+    return this.reconnectTimer !== null || this.connecting !== null;
+  }
+
+  async ensureConnected() {
+    if (!this.client || this.client.destroyed) {
+      this.client = null;
+      await this.connect();
+    }
+    return this.client;
+  }
+
+  timeoutFor(messageName) {
+    return this.timeouts.messages[messageName] || this.timeouts.defaultMs;
+  }
+
+  /**
+   * Queue a request. Fishbowl answers messages one at a time on the socket,
+   * so requests are written strictly in order and each caller receives the
+   * response to its own message.
+   */
+  sendRequest(requestXml, messageName = null) {
+    const response = this.queue.then(() => this.dispatch(requestXml, messageName));
+    // Keep the queue moving whether or not this request succeeded
+    this.queue = response.catch(() => {});
+    return response;
+  }
+
+  async dispatch(requestXml, messageName) {
+    await this.ensureConnected();
+
+    const socket = this.client;
+    const timeoutMs = this.timeoutFor(messageName);
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        const error = connectionFailure(new UpstreamUnavailableError(
+          `Fishbowl did not answer ${messageName || 'request'} within ${timeoutMs}ms`,
+          { timeoutMs }, 504, 'upstream_timeout'));
+        this.lastError = error;
+        this.failInFlight(error, socket);
+        // A late response would be taken for the next request's, so drop the
+        // socket; the next request opens a new one and logs in again
+        if (this.client === socket) {
+          this.client = null;
+          this.sessionToken = null;
+        }
+        socket.destroy();
+      }, timeoutMs);
+
+      this.inFlight = {
+        socket,
+        resolve: (message) => {
+          clearTimeout(timer);
+          resolve(message);
+        },
+        reject: (error) => {
+          clearTimeout(timer);
+          reject(error);
+        }
+      };
+      socket.write(encodeMessage(requestXml));
+    });
+  }
+
+  async login() {
+    const started = Date.now();
+    let status = null;
+    try {
+      await this.ensureConnected();
+
+      const loginRequest = {
+        FbiXml: {
+          $: { version: '1.0' },
+          Ticket: {},
+          FbiMsgsRq: {
+            LoginRq: {
+              IAID: this.iaid,
+              IAName: this.appName,
+              IADescription: 'MCP Server for Fishbowl Integration',
+              UserName: this.username,
+              UserPassword: this.password
+            }
+          }
+        }
+      };
+
+      const requestXml = xmlBuilder.buildObject(loginRequest);
+      const response = await this.sendRequest(requestXml, 'LoginRq');
+      const result = await xmlParser.parseStringPromise(response);
+      status = callStatus('LoginRq', result);
+
+      checkResponse(result, 'LoginRs', 'Login failed');
+
+      const ticket = result.FbiXml && result.FbiXml.Ticket ? result.FbiXml.Ticket[0] : null;
+      if (ticket && ticket.Key) {
+        this.sessionToken = ticket.Key[0];
+        this.userId = ticket.UserID ? ticket.UserID[0] : null;
+        observeCall(this, 'LoginRq', started, status, null);
+        metrics.fishbowlLogins.inc({ instance: this.instance, result: 'success' });
+        this.logger.info('Logged in to Fishbowl', { userId: this.userId });
+        return { success: true, token: this.sessionToken, userId: this.userId };
+      }
+
+      throw new FishbowlError('Login failed: Unexpected response format');
+    } catch (error) {
+      observeCall(this, 'LoginRq', started, status, status ? null : error);
+      metrics.fishbowlLogins.inc({ instance: this.instance, result: 'failure' });
+      // Only the message: the error may carry the request with the password
+      this.logger.error('Fishbowl login failed', { error: error.message, code: error.code });
+      throw error;
+    }
+  }
+
+  async ensureAuthenticated() {
+    if (!this.sessionToken) {
+      // Concurrent callers share a single login
+      if (!this.loggingIn) {
+        this.loggingIn = this.login().finally(() => {
+          this.loggingIn = null;
+        });
+      }
+      await this.loggingIn;
+    }
+    return this.sessionToken;
+  }
+
+  /**
+   * Send a single request message with the current ticket and return the
+   * parsed response. When Fishbowl reports the ticket is no longer valid the
+   * client logs in again and replays the request once, provided the message
+   * is a read or the server confirms the write was not applied.
+   */
+  async call(messageName, body) {
+    await this.ensureAuthenticated();
+
+    const ticket = this.sessionToken;
+    const result = await this.sendMessage(messageName, body, ticket);
+    if (!isSessionExpired(result)) {
+      return result;
+    }
+
+    // Another caller may already have logged in again
+    if (this.sessionToken === ticket) {
+      this.sessionToken = null;
+    }
+
+    if (!canReplay(messageName, result)) {
+      this.logger.error('Fishbowl session expired; not replaying a write that may have been applied', { fishbowlMessage: messageName });
+      return result;
+    }
+
+    this.logger.info('Fishbowl session expired; logging in again and replaying', { fishbowlMessage: messageName });
+    await this.ensureAuthenticated();
+    return this.sendMessage(messageName, body, this.sessionToken);
+  }
+
+  async sendMessage(messageName, body, ticket) {
+    const request = {
+      FbiXml: {
+        Ticket: {
+          Key: ticket
+        },
+        FbiMsgsRq: {
+          [messageName]: body
+        }
+      }
+    };
+
+    const requestXml = xmlBuilder.buildObject(request);
+    const started = Date.now();
+    try {
+      const response = await this.sendRequest(requestXml, messageName);
+      const result = await xmlParser.parseStringPromise(response);
+      recordCall(this, messageName, redactXml(requestXml), started, callStatus(messageName, result), null);
+      return result;
+    } catch (error) {
+      recordCall(this, messageName, redactXml(requestXml), started, null, error);
+      throw error;
+    }
+  }
+
+  async getInventory(partNumber) {
+    const result = await this.call('PartQuantityRq', {
+      PartNum: partNumber
+    });
+
+    return checkResponse(result, 'PartQuantityRs', 'Failed to get inventory');
+  }
+
+  async getProducts() {
+    const result = await this.call('ProductGetRq', {
+      GetAll: 'true'
+    });
+
+    return checkResponse(result, 'ProductGetRs', 'Failed to get products');
+  }
+
+  async getParts() {
+    const result = await this.call('PartGetRq', {
+      GetAll: 'true'
+    });
+
+    return checkResponse(result, 'PartGetRs', 'Failed to get parts');
+  }
+
+  async getLocations() {
+    const result = await this.call('LocationListRq', {});
+
+    return checkResponse(result, 'LocationListRs', 'Failed to get locations');
+  }
+
+  // Custom method to add inventory - uses the XML approach
+  async addInventory(partId, locationId, quantity, trackingItems = []) {
+    const trackingItemsXml = trackingItems.map(item => {
+      return {
+        TrackingItem: {
+          PartTracking: {
+            ID: item.partTracking.id
+          },
+          Value: item.value
+        }
+      };
+    });
+
+    const result = await this.call('InventoryAddRq', {
+      PartID: partId,
+      LocationID: locationId,
+      Quantity: quantity,
+      TrackingItems: trackingItemsXml
+    });
+
+    return checkResponse(result, 'InventoryAddRs', 'Failed to add inventory');
+  }
+
+  async getManufactureOrders(filters = {}) {
+    // Convert filters to XML format
+    const filtersObj = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        filtersObj[key] = value;
+      }
+    }
+
+    const result = await this.call('ManufactureOrderQueryRq', filtersObj);
+
+    return checkResponse(result, 'ManufactureOrderQueryRs', 'Failed to get manufacture orders');
+  }
+
+  /**
+   * The bill of materials with a number, with its finished and raw goods
+   */
+  async getBom(number) {
+    const result = await this.call('BOMGetRq', { Number: number });
+
+    return checkResponse(result, 'BOMGetRs', 'Failed to get bill of materials');
+  }
+
+  /**
+   * Create a manufacture order building quantity of a bill of materials:
+   * { bomNumber, quantity, locationGroup, scheduledAt?, note? }. Fishbowl
+   * expands the BOM into the order's items; the order is saved as Entered.
+   */
+  async saveManufactureOrder(order) {
+    const manufactureOrder = Object.fromEntries(Object.entries({
+      BOMNum: order.bomNumber,
+      Quantity: order.quantity,
+      LocationGroup: order.locationGroup,
+      DateScheduled: order.scheduledAt,
+      Note: order.note
+    }).filter(([, value]) => value !== undefined && value !== null));
+
+    const result = await this.call('SaveMORq', { ManufactureOrder: manufactureOrder });
+
+    return checkResponse(result, 'SaveMORs', 'Failed to save manufacture order');
+  }
+
+  /**
+   * Issue, unissue or close short the manufacture order with a number
+   * (action is a key of MO_STATUS_MESSAGES). Answers with the order.
+   */
+  async changeManufactureOrderStatus(number, action) {
+    const messageName = MO_STATUS_MESSAGES[action];
+    if (!messageName) {
+      throw new Error(`Unknown manufacture order action: ${action}`);
+    }
+    const result = await this.call(messageName, { MONum: number });
+
+    return checkResponse(result, messageName.replace(/Rq$/, 'Rs'), 'Failed to change manufacture order status');
+  }
+
+  async deleteManufactureOrder(number) {
+    const result = await this.call('DeleteMORq', { MONum: number });
+
+    return checkResponse(result, 'DeleteMORs', 'Failed to delete manufacture order');
+  }
+
+  async getPurchaseOrders(filters = {}) {
+    // Convert filters to XML format
+    const filtersObj = {};
+    for (const [key, value] of Object.entries(filters)) {
+      if (value !== undefined && value !== null && value !== '') {
+        filtersObj[key] = value;
+      }
+    }
+
+    const result = await this.call('PurchaseOrderQueryRq', filtersObj);
+
+    return checkResponse(result, 'PurchaseOrderQueryRs', 'Failed to get purchase orders');
+  }
+
+  /**
+   * Create a purchase order, or change the one with order.number. Lines
+   * are { partNumber, quantity, unitCost?, uom? }. The order is saved as a
+   * bid request unless issue is set.
+   */
+  async savePurchaseOrder(order, issue = false) {
+    const purchaseOrder = {
+      Number: order.number,
+      VendorName: order.vendor,
+      LocationGroup: order.locationGroup,
+      Items: {
+        PurchaseOrderItem: order.items.map((item, index) => ({
+          LineNumber: index + 1,
+          PartNumber: item.partNumber,
+          QuantityToFulfill: item.quantity,
+          UnitCost: item.unitCost,
+          UOMCode: item.uom
+        }))
+      }
+    };
+    // xml2js cannot build empty elements, so unset fields are left out
+    const compact = (element) => Object.fromEntries(Object.entries(element)
+      .filter(([, value]) => value !== undefined && value !== null));
+    purchaseOrder.Items.PurchaseOrderItem = purchaseOrder.Items.PurchaseOrderItem.map(compact);
+
+    const result = await this.call('SavePORq', {
+      PurchaseOrder: compact(purchaseOrder),
+      IssuePOFlag: issue === true
+    });
+
+    return checkResponse(result, 'SavePORs', 'Failed to save purchase order');
+  }
+
+  /**
+   * Issue, unissue, close short or void the purchase order with a number
+   * (action is a key of PO_STATUS_MESSAGES). Answers with the order.
+   */
+  async changePurchaseOrderStatus(number, action) {
+    const messageName = PO_STATUS_MESSAGES[action];
+    if (!messageName) {
+      throw new Error(`Unknown purchase order action: ${action}`);
+    }
+    const result = await this.call(messageName, { PONum: number });
+
+    return checkResponse(result, messageName.replace(/Rq$/, 'Rs'), 'Failed to change purchase order status');
+  }
+
+  async deletePurchaseOrder(number) {
+    const result = await this.call('DeletePORq', { PONum: number });
+
+    return checkResponse(result, 'DeletePORs', 'Failed to delete purchase order');
+  }
+
+  /**
+   * Round trip for the readiness probe: open the socket if needed, log in
+   * if there is no ticket, then send a cheap query, which also proves the
+   * ticket is still accepted. Returns the milliseconds each step took; an
+   * error is tagged with the step it came from (connection, session, query).
+   */
+  async ping() {
+    const steps = {};
+    const step = async (name, fn) => {
+      const started = Date.now();
+      try {
+        await fn();
+      } catch (error) {
+        error.step = error.step || name;
+        throw error;
+      }
+      steps[name] = Date.now() - started;
+    };
+
+    await step('connection', () => this.ensureConnected());
+    await step('session', () => this.ensureAuthenticated());
+    await step('query', () => this.getLocations());
+    return steps;
+  }
+
+  async logout() {
+    if (!this.sessionToken) {
+      return { success: true, message: 'Not logged in' };
+    }
+
+    try {
+      const logoutRequest = {
+        FbiXml: {
+          Ticket: {
+            Key: this.sessionToken
+          },
+          FbiMsgsRq: {
+            LogoutRq: {}
+          }
+        }
+      };
+
+      const requestXml = xmlBuilder.buildObject(logoutRequest);
+      const response = await this.sendRequest(requestXml, 'LogoutRq');
+      const result = await xmlParser.parseStringPromise(response);
+
+      // Reset session data
+      this.sessionToken = null;
+      this.userId = null;
+
+      return { success: true, message: 'Successfully logged out of Fishbowl' };
+    } catch (error) {
+      this.logger.warn('Fishbowl logout failed', { error: error.message });
+      // Reset session data even if the logout request fails
+      this.sessionToken = null;
+      this.userId = null;
+      return { success: false, error: error.message };
+    }
+  }
+
+  async disconnect() {
+    // Stop any pending reconnect; this close is intentional
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.reconnectAttempts = 0;
+
+    if (this.client) {
+      // Attempt to logout if we have a session
+      if (this.sessionToken) {
+        await this.logout();
+      }
+
+      this.closing = true;
+      if (this.client) {
+        this.client.destroy();
+      }
+      this.client = null;
+      this.sessionToken = null;
+      this.userId = null;
+      this.logger.info('Disconnected from Fishbowl server', { host: this.host, port: this.port });
+      return { success: true, message: 'Disconnected from Fishbowl server' };
+    }
+    
+    return { success: true, message: 'Not connected to Fishbowl server' };
+  }
+}
+
+module.exports = {
+  FishbowlClient,
+  loadTimeouts,
+  observeCall,
+  recordCall,
+  connectionFailure,
+  notSent
+};
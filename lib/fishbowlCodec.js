@@ -0,0 +1,83 @@
+// fishbowlCodec.js - Framing for the Fishbowl XML API wire protocol
+//
+// Every message on the socket, in both directions, is a 4-byte big-endian
+// unsigned length followed by that many bytes of UTF-8 encoded FbiXml.
+
+const HEADER_LENGTH = 4;
+const DEFAULT_MAX_MESSAGE_LENGTH = 256 * 1024 * 1024;
+
+/**
+ * Encode an XML string into a length-prefixed frame
+ */
+function encodeMessage(xml) {
+  const body = Buffer.from(xml, 'utf8');
+  const header = Buffer.alloc(HEADER_LENGTH);
+  header.writeUInt32BE(body.length, 0);
+  return Buffer.concat([header, body]);
+}
+
+/**
+ * Incremental decoder for length-prefixed frames. Socket chunks can split a
+ * frame (or a multi-byte character) anywhere, so bytes are buffered until a
+ * whole frame is available and only then decoded as UTF-8.
+ */
+class MessageDecoder {
+  constructor(options = {}) {
+    this.maxMessageLength = options.maxMessageLength || DEFAULT_MAX_MESSAGE_LENGTH;
+    this.chunks = [];
+    this.bufferedLength = 0;
+    this.expectedLength = null;
+  }
+
+  /**
+   * Add a chunk of bytes and return every message completed by it
+   */
+  push(chunk) {
+    this.chunks.push(chunk);
+    this.bufferedLength += chunk.length;
+
+    const messages = [];
+    while (this.bufferedLength >= HEADER_LENGTH) {
+      if (this.expectedLength === null) {
+        this.expectedLength = this.flatten().readUInt32BE(0);
+        if (this.expectedLength > this.maxMessageLength) {
+          throw new Error(`Fishbowl message length ${this.expectedLength} exceeds the ${this.maxMessageLength} byte limit`);
+        }
+      }
+
+      const frameLength = HEADER_LENGTH + this.expectedLength;
+      if (this.bufferedLength < frameLength) {
+        break;
+      }
+
+      const buffer = this.flatten();
+      messages.push(buffer.toString('utf8', HEADER_LENGTH, frameLength));
+
+      const rest = buffer.subarray(frameLength);
+      this.chunks = rest.length > 0 ? [rest] : [];
+      this.bufferedLength = rest.length;
+      this.expectedLength = null;
+    }
+
+    return messages;
+  }
+
+  flatten() {
+    if (this.chunks.length > 1) {
+      this.chunks = [Buffer.concat(this.chunks, this.bufferedLength)];
+    }
+    return this.chunks[0];
+  }
+
+  reset() {
+    this.chunks = [];
+    this.bufferedLength = 0;
+    this.expectedLength = null;
+  }
+}
+
+module.exports = {
+  encodeMessage,
+  MessageDecoder,
+  HEADER_LENGTH
+};
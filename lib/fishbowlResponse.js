@@ -0,0 +1,238 @@
+// fishbowlResponse.js - Helpers for inspecting parsed FbiXml responses
+
+const {
+  NotFoundError,
+  ValidationError,
+  AuthenticationError,
+  PermissionError,
+  ConflictError,
+  UpstreamUnavailableError,
+  FishbowlError
+} = require('../errorHandeling');
+
+const SUCCESS = '1000';
+
+// Status codes meaning the ticket we sent is no longer valid. Fishbowl
+// checks the ticket before it processes any message in the request.
+const SESSION_EXPIRED_CODES = new Set([
+  '1010', // Logged off the server by an administrator
+  '1130', // Invalid ticket passed to the Fishbowl server
+  '1131'  // Invalid key value (ticket expired)
+]);
+
+// Messages with no side effects, which can always be sent again
+const READ_MESSAGE_PATTERN = /(Get|Query|Load)Rq$/;
+const READ_MESSAGES = new Set(['PartQuantityRq', 'LocationListRq']);
+
+/**
+ * Read the status code of an element, whether Fishbowl sent it as a
+ * statusCode attribute or as a StatusCode child element
+ */
+function elementStatus(element) {
+  if (!element || typeof element !== 'object') {
+    return null;
+  }
+  if (element.$ && element.$.statusCode !== undefined) {
+    return {
+      code: String(element.$.statusCode),
+      message: element.$.statusMessage || null
+    };
+  }
+  if (element.StatusCode) {
+    return {
+      code: String(element.StatusCode[0]),
+      message: element.StatusMessage ? element.StatusMessage[0] : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Status of the FbiMsgsRs envelope itself, if any
+ */
+function envelopeStatus(result) {
+  const msgsRs = result && result.FbiXml && result.FbiXml.FbiMsgsRs ?
+    result.FbiXml.FbiMsgsRs[0] : null;
+  return elementStatus(msgsRs);
+}
+
+/**
+ * Every *Rs element in the response with its status
+ */
+function responseStatuses(result) {
+  const msgsRs = result && result.FbiXml && result.FbiXml.FbiMsgsRs ?
+    result.FbiXml.FbiMsgsRs[0] : null;
+  if (!msgsRs || typeof msgsRs !== 'object') {
+    return [];
+  }
+
+  const statuses = [];
+  for (const [name, elements] of Object.entries(msgsRs)) {
+    if (!name.endsWith('Rs') || !Array.isArray(elements)) {
+      continue;
+    }
+    for (const element of elements) {
+      const status = elementStatus(element);
+      if (status) {
+        statuses.push({ name, ...status });
+      }
+    }
+  }
+  return statuses;
+}
+
+/**
+ * True when the envelope or any *Rs element reports an invalid ticket
+ */
+function isSessionExpired(result) {
+  const envelope = envelopeStatus(result);
+  if (envelope && SESSION_EXPIRED_CODES.has(envelope.code)) {
+    return true;
+  }
+  return responseStatuses(result).some(s => SESSION_EXPIRED_CODES.has(s.code));
+}
+
+/**
+ * True when the server rejected the whole request because of the ticket, so
+ * none of its messages were applied
+ */
+function confirmsNotApplied(result) {
+  const envelope = envelopeStatus(result);
+  if (envelope && SESSION_EXPIRED_CODES.has(envelope.code)) {
+    return true;
+  }
+  const statuses = responseStatuses(result);
+  return statuses.length > 0 && statuses.every(s => SESSION_EXPIRED_CODES.has(s.code));
+}
+
+function isReadMessage(messageName) {
+  return READ_MESSAGES.has(messageName) || READ_MESSAGE_PATTERN.test(messageName);
+}
+
+/**
+ * Whether a request that failed with an expired ticket may be sent again
+ * after logging back in. Reads always may; writes only when the server
+ * confirms nothing was applied.
+ */
+function canReplay(messageName, result) {
+  return isReadMessage(messageName) || confirmsNotApplied(result);
+}
+
+// Fishbowl status codes mapped to error categories. A ticket that is still
+// rejected after logging in again (or on a write that cannot be replayed) is
+// a problem with our session, not with the API caller's credentials.
+const STATUS_CATEGORIES = {
+  1002: 'unavailable', // Connection to Fishbowl server was lost
+  1004: 'unavailable', // There was an error with the database
+  1009: 'unavailable', // Fishbowl server has been shut down
+  1010: 'unavailable', // Logged off the server by an administrator
+  1100: 'auth',        // Unknown login error
+  1109: 'permission',  // Integrated application key does not match
+  1110: 'permission',  // A new integrated application needs approval
+  1111: 'permission',  // Integrated application key is invalid
+  1112: 'permission',  // Integrated application has not been approved
+  1120: 'auth',        // Invalid username or password
+  1130: 'unavailable', // Invalid ticket
+  1131: 'unavailable', // Invalid key value
+  1140: 'validation',  // Initialization token is not the correct type
+  1150: 'validation',  // Request was invalid
+  1162: 'unavailable', // The login limit has been reached
+  1200: 'validation',  // Custom field is invalid
+  1300: 'notFound',    // Memo not found
+  2000: 'notFound',    // Part not found
+  2001: 'validation',  // Part is invalid
+  2100: 'notFound',    // Product not found
+  2101: 'validation',  // Product is invalid
+  2203: 'conflict',    // Cannot adjust committed inventory
+  2300: 'notFound',    // Tag number not found
+  2304: 'conflict',    // Not enough available inventory in tag
+  2400: 'validation',  // Invalid UOM
+  2401: 'notFound',    // UOM not found
+  2500: 'validation',  // Tracking is not valid
+  2510: 'validation',  // Serial number is missing
+  2511: 'validation',  // Serial number is null
+  2512: 'conflict',    // Serial number is a duplicate
+  2513: 'validation',  // Serial number is not valid
+  2600: 'notFound',    // Location not found
+  2601: 'validation',  // Invalid location
+  2602: 'notFound',    // Location group not found
+  3000: 'notFound',    // Customer not found
+  3100: 'notFound'     // Vendor not found
+};
+
+// Fallbacks for codes we have not catalogued, based on the status message
+const MESSAGE_CATEGORIES = [
+  [/not (be )?(able to )?find|not found|does not exist|no .* (was )?found/i, 'notFound'],
+  [/permission|not authori[sz]ed|access denied|rights/i, 'permission'],
+  [/already|duplicate|in use|cannot be .* (in|with) (the )?(current )?status|locked/i, 'conflict'],
+  [/invalid|required|missing|must be|not valid/i, 'validation']
+];
+
+const ERROR_CLASSES = {
+  notFound: NotFoundError,
+  validation: ValidationError,
+  auth: AuthenticationError,
+  permission: PermissionError,
+  conflict: ConflictError,
+  unavailable: UpstreamUnavailableError
+};
+
+function categorize(code, message) {
+  if (STATUS_CATEGORIES[code]) {
+    return STATUS_CATEGORIES[code];
+  }
+  const match = MESSAGE_CATEGORIES.find(([pattern]) => message && pattern.test(message));
+  return match ? match[1] : null;
+}
+
+/**
+ * Build the typed error for a Fishbowl status code
+ */
+function errorForStatus(code, message, context = {}) {
+  const statusMessage = message || 'Unknown error';
+  const text = context.action ?
+    `${context.action}: ${code} - ${statusMessage}` : `${code} - ${statusMessage}`;
+  const details = {
+    fishbowlStatusCode: Number(code),
+    fishbowlStatusMessage: statusMessage,
+    ...(context.element ? { element: context.element } : {})
+  };
+
+  const category = categorize(code, statusMessage);
+  const ErrorClass = category ? ERROR_CLASSES[category] : FishbowlError;
+  const error = new ErrorClass(text, details);
+  error.fishbowlStatusCode = String(code);
+  return error;
+}
+
+/**
+ * Throw a typed error if the envelope or the named *Rs element of a parsed
+ * response carries a status other than success. action prefixes the error
+ * message, e.g. "Failed to get parts".
+ */
+function checkResponse(result, rsName, action) {
+  const envelope = envelopeStatus(result);
+  if (envelope && envelope.code !== SUCCESS) {
+    throw errorForStatus(envelope.code, envelope.message, { action, element: 'FbiMsgsRs' });
+  }
+
+  const status = responseStatuses(result).find(s => s.name === rsName);
+  if (status && status.code !== SUCCESS) {
+    throw errorForStatus(status.code, status.message, { action, element: rsName });
+  }
+  return result;
+}
+
+module.exports = {
+  SUCCESS,
+  errorForStatus,
+  checkResponse,
+  SESSION_EXPIRED_CODES,
+  elementStatus,
+  envelopeStatus,
+  responseStatuses,
+  isSessionExpired,
+  confirmsNotApplied,
+  isReadMessage,
+  canReplay
+};
@@ -0,0 +1,725 @@
+// fishbowlRestClient.js - Client for the Fishbowl REST API
+//
+// Newer Fishbowl servers also answer a JSON API over HTTP. This client
+// offers the same methods as FishbowlClient and maps the JSON it receives
+// into the parsed FbiXml form that client returns, so models.js, the cache
+// and everything above them treat both backends alike. Each call is named
+// after the FbiXml message it stands in for (PartGetRq, SavePORq, ...),
+// which keeps timeouts, metrics and audit entries comparable.
+
+const { loadTimeouts, observeCall, recordCall, connectionFailure, notSent } = require('./fishbowlClient');
+const { redactObject, registerSecret } = require('./redact');
+const { logger } = require('./logger');
+const { metrics } = require('./metrics');
+const {
+  ValidationError,
+  NotFoundError,
+  AuthenticationError,
+  PermissionError,
+  ConflictError,
+  UpstreamUnavailableError,
+  FishbowlError
+} = require('../errorHandeling');
+
+// Results asked for per page when reading a whole list
+const PAGE_SIZE = 500;
+
+// A successful call is reported with Fishbowl's success status, as the
+// XML API would have answered
+const SUCCESS = '1000';
+
+// Errors for the HTTP statuses of failed calls
+const HTTP_ERRORS = {
+  400: ValidationError,
+  401: AuthenticationError,
+  403: PermissionError,
+  404: NotFoundError,
+  409: ConflictError,
+  422: ValidationError,
+  502: UpstreamUnavailableError,
+  503: UpstreamUnavailableError,
+  504: UpstreamUnavailableError
+};
+
+// Endpoints under /api/purchase-orders/:id moving an order to another
+// status, by action, with the FbiXml message each stands in for
+const PO_STATUS_ENDPOINTS = {
+  issue: ['issue', 'IssuePORq'],
+  unissue: ['unissue', 'UnissuePORq'],
+  closeShort: ['close-short', 'CloseShortPORq'],
+  void: ['void', 'VoidPORq']
+};
+
+// The same for manufacture orders, under /api/manufacture-orders/:id
+const MO_STATUS_ENDPOINTS = {
+  issue: ['issue', 'IssueMORq'],
+  unissue: ['unissue', 'UnissueMORq'],
+  closeShort: ['close-short', 'CloseShortMORq']
+};
+
+// FbiXml query fields and the REST query parameters standing for them
+const QUERY_PARAMETERS = {
+  Number: 'number',
+  PONum: 'number',
+  MONum: 'number',
+  VendorName: 'vendor',
+  Status: 'status',
+  LocationGroup: 'locationGroup'
+};
+
+/**
+ * The typed error for a failed REST call, as errorForStatus builds it for
+ * a Fishbowl status, or of ErrorClass when given. Gateway errors count as
+ * connection failures for the circuit breaker.
+ */
+function errorForResponse(response, action, ErrorClass = HTTP_ERRORS[response.status] || FishbowlError) {
+  const message = (response.payload && (response.payload.message || response.payload.error)) || 'Unknown error';
+  const error = new ErrorClass(`${action}: ${response.status} - ${message}`, {
+    httpStatus: response.status,
+    fishbowlStatusMessage: message
+  });
+  if (HTTP_ERRORS[response.status] === UpstreamUnavailableError) {
+    error.connectionFailure = true;
+  }
+  return error;
+}
+
+/**
+ * Query parameters for FbiXml query fields; fields without a REST
+ * counterpart are passed on in camelCase
+ */
+function restQuery(filters = {}) {
+  const query = {};
+  for (const [field, value] of Object.entries(filters)) {
+    if (value !== undefined && value !== null && value !== '') {
+      query[QUERY_PARAMETERS[field] || field.charAt(0).toLowerCase() + field.slice(1)] = value;
+    }
+  }
+  return query;
+}
+
+// REST JSON mapped onto the FbiXml element names models.js reads
+
+const field = (object, name) => (object && typeof object === 'object' ? object[name] : undefined);
+
+const uomElement = (uom) => (uom ? [{ Code: typeof uom === 'object' ? uom.abbreviation || uom.name : uom }] : undefined);
+
+function partElement(part) {
+  return {
+    PartID: part.id,
+    Num: part.number,
+    Description: part.description,
+    Details: part.details,
+    UPC: part.upc,
+    UOM: uomElement(part.uom),
+    TypeID: field(part.type, 'id'),
+    StandardCost: part.standardCost,
+    ActiveFlag: part.active,
+    SerializedFlag: part.serialized,
+    HasBOM: part.hasBom,
+    Weight: part.weight,
+    Width: part.width,
+    Height: part.height,
+    Len: part.length,
+    VendorName: field(part.defaultVendor, 'name'),
+    DateCreated: part.dateCreated,
+    DateLastModified: part.dateLastModified,
+    PartTracking: (part.tracking || []).map(tracking => ({
+      PartTrackingID: tracking.id,
+      Name: tracking.name,
+      Abbr: tracking.abbreviation,
+      Description: tracking.description,
+      TrackingTypeID: field(tracking.type, 'id'),
+      Primary: tracking.primary,
+      Active: tracking.active
+    }))
+  };
+}
+
+function productElement(product) {
+  return {
+    ID: product.id,
+    Num: product.number,
+    PartID: field(product.part, 'id'),
+    PartNum: field(product.part, 'number'),
+    Description: product.description,
+    Details: product.details,
+    UPC: product.upc,
+    SKU: product.sku,
+    UOM: uomElement(product.uom),
+    Price: product.price,
+    ActiveFlag: product.active,
+    TaxableFlag: product.taxable,
+    Weight: product.weight,
+    DateCreated: product.dateCreated,
+    DateLastModified: product.dateLastModified
+  };
+}
+
+function locationElement(location) {
+  return {
+    LocationID: location.id,
+    Name: location.name,
+    Description: location.description,
+    LocationGroupID: field(location.locationGroup, 'id'),
+    LocationGroupName: field(location.locationGroup, 'name'),
+    TypeID: field(location.type, 'id'),
+    ActiveFlag: location.active,
+    PickableFlag: location.pickable,
+    ReceivableFlag: location.receivable
+  };
+}
+
+function inventoryElement(row) {
+  return {
+    PartNum: field(row.part, 'number'),
+    LocationGroup: field(field(row.location, 'locationGroup'), 'name'),
+    Location: field(row.location, 'name'),
+    QtyOnHand: row.quantityOnHand,
+    QtyAvailable: row.quantityAvailable,
+    QtyAllocated: row.quantityAllocated,
+    QtyOnOrder: row.quantityOnOrder,
+    UOM: uomElement(row.uom)
+  };
+}
+
+function purchaseOrderElement(order) {
+  return {
+    ID: order.id,
+    Number: order.number,
+    Status: order.status,
+    VendorID: field(order.vendor, 'id'),
+    VendorName: field(order.vendor, 'name'),
+    VendorContact: order.vendorContact,
+    BuyerName: order.buyer,
+    CarrierName: field(order.carrier, 'name'),
+    LocationGroup: field(order.locationGroup, 'name'),
+    TotalCost: order.totalCost,
+    CreatedDate: order.dateCreated,
+    IssuedDate: order.dateIssued,
+    ScheduledDate: order.dateScheduled,
+    DateCompleted: order.dateCompleted,
+    PurchaseOrderItem: (order.poItems || []).map(item => ({
+      ID: item.id,
+      LineNumber: item.lineNumber,
+      PartNumber: field(item.part, 'number'),
+      VendorPartNumber: item.vendorPartNumber,
+      PartDescription: field(item.part, 'description') || item.description,
+      QuantityToFulfill: item.quantity,
+      QuantityFulfilled: item.quantityFulfilled,
+      QuantityPicked: item.quantityPicked,
+      UnitCost: item.unitCost,
+      TotalCost: item.totalCost,
+      UOM: uomElement(item.uom),
+      ItemStatus: item.status,
+      DateScheduledFulfillment: item.dateScheduled
+    }))
+  };
+}
+
+function manufactureOrderElement(order) {
+  return {
+    ID: order.id,
+    Num: order.number,
+    Status: order.status,
+    LocationGroup: field(order.locationGroup, 'name'),
+    Note: order.note,
+    DateCreated: order.dateCreated,
+    DateIssued: order.dateIssued,
+    DateScheduled: order.dateScheduled,
+    DateCompleted: order.dateCompleted,
+    MOItem: (order.moItems || []).map(item => ({
+      ID: item.id,
+      TypeID: field(item.type, 'id'),
+      PartNum: field(item.part, 'number'),
+      Description: item.description,
+      Qty: item.quantity,
+      QtyUsed: item.quantityUsed,
+      UOM: uomElement(item.uom)
+    }))
+  };
+}
+
+function bomElement(bom) {
+  return {
+    ID: bom.id,
+    Num: bom.number,
+    Description: bom.description,
+    Revision: bom.revision,
+    ActiveFlag: bom.active,
+    BOMItem: (bom.bomItems || []).map(item => ({
+      ID: item.id,
+      TypeID: field(item.type, 'id'),
+      PartNum: field(item.part, 'number'),
+      Description: item.description || field(item.part, 'description'),
+      Quantity: item.quantity,
+      UOM: uomElement(item.uom)
+    }))
+  };
+}
+
+/**
+ * The parsed FbiXml form of a successful answer with the given *Rs element
+ */
+function fbiResponse(rsName, content = {}) {
+  return {
+    FbiXml: {
+      FbiMsgsRs: [{
+        $: { statusCode: SUCCESS },
+        [rsName]: [{ $: { statusCode: SUCCESS }, ...content }]
+      }]
+    }
+  };
+}
+
+async function readJson(response) {
+  const text = await response.text();
+  if (!text) {
+    return null;
+  }
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    return { message: text.slice(0, 200) };
+  }
+}
+
+/**
+ * Fishbowl REST API client. config holds the settings of one Fishbowl
+ * instance (see instances.js); anything it leaves out comes from the
+ * environment. A session is a bearer token from POST /api/login.
+ */
+class FishbowlRestClient {
+  constructor(config = {}) {
+    this.backend = 'rest';
+
+    // Name of the Fishbowl instance, for logs and metrics
+    this.instance = config.instance || 'default';
+    this.logger = logger.child({ instance: this.instance });
+
+    const restApiUrl = config.restApiUrl || process.env.FISHBOWL_REST_API_URL;
+    if (!restApiUrl) {
+      throw new Error('FISHBOWL_REST_API_URL must be set to use the Fishbowl REST API');
+    }
+    this.baseUrl = restApiUrl.replace(/\/+$/, '');
+    const url = new URL(this.baseUrl);
+    this.host = url.hostname;
+    this.port = Number(url.port) || (url.protocol === 'https:' ? 443 : 80);
+
+    this.username = config.username || process.env.FISHBOWL_USERNAME;
+    this.password = config.password || process.env.FISHBOWL_PASSWORD;
+    registerSecret(this.password);
+    this.appName = config.appName || process.env.FISHBOWL_APP_NAME || 'MCP Fishbowl Server';
+    this.appId = config.appId || process.env.FISHBOWL_APP_ID || '101';
+
+    this.timeouts = loadTimeouts();
+
+    // Session state
+    this.sessionToken = null;
+    this.userId = null;
+    this.loggingIn = null;
+
+    // Connection state the pool reports. HTTP requests open their own
+    // connections, so there is no socket to keep or re-open.
+    this.connecting = null;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.totalReconnects = 0;
+    this.lastError = null;
+  }
+
+  isHealthy() {
+    return true;
+  }
+
+  async connect() {}
+
+  async ensureConnected() {}
+
+  timeoutFor(messageName) {
+    return this.timeouts.messages[messageName] || this.timeouts.defaultMs;
+  }
+
+  /**
+   * Send one HTTP request and return { status, ok, payload }. Failures to
+   * reach the server throw a connection failure; HTTP error statuses are
+   * returned for the caller to handle. options.token is sent as the bearer
+   * token; options.record: false leaves the call out of the request
+   * context's audit trail (logins).
+   */
+  async request(messageName, method, path, options = {}) {
+    const url = new URL(`${this.baseUrl}${path}`);
+    for (const [key, value] of Object.entries(options.query || {})) {
+      url.searchParams.set(key, value);
+    }
+    const headers = { Accept: 'application/json' };
+    if (options.token) {
+      headers.Authorization = `Bearer ${options.token}`;
+    }
+    const body = options.body !== undefined ? JSON.stringify(options.body) : undefined;
+    if (body !== undefined) {
+      headers['Content-Type'] = 'application/json';
+    }
+
+    const timeoutMs = this.timeoutFor(messageName);
+    const started = Date.now();
+    const description = `${method} ${url.pathname}${url.search}` +
+      (options.body !== undefined ? ` ${JSON.stringify(redactObject(options.body))}` : '');
+    const note = (status, error) => (options.record === false ?
+      observeCall(this, messageName, started, status, error) :
+      recordCall(this, messageName, description, started, status, error));
+
+    try {
+      const response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(timeoutMs) });
+      const result = { status: response.status, ok: response.ok, payload: await readJson(response) };
+      note(response.ok ? { code: SUCCESS, message: null } :
+        { code: String(response.status), message: field(result.payload, 'message') || null }, null);
+      return result;
+    } catch (error) {
+      const failure = error.name === 'TimeoutError' ?
+        connectionFailure(new UpstreamUnavailableError(`Fishbowl did not answer ${messageName} within ${timeoutMs}ms`,
+          { timeoutMs }, 504, 'upstream_timeout')) :
+        connectionFailure(error.cause || error);
+      this.lastError = failure;
+      note(null, failure);
+      // A refused connection never carried the request
+      throw (error.cause || error).code === 'ECONNREFUSED' ? notSent(failure) : failure;
+    }
+  }
+
+  async login() {
+    try {
+      const response = await this.request('LoginRq', 'POST', '/api/login', {
+        record: false,
+        body: {
+          appName: this.appName,
+          appDescription: 'MCP Server for Fishbowl Integration',
+          appId: Number(this.appId) || this.appId,
+          username: this.username,
+          password: this.password
+        }
+      });
+      if (!response.ok) {
+        throw errorForResponse(response, 'Login failed');
+      }
+      if (!response.payload || !response.payload.token) {
+        throw new FishbowlError('Login failed: Unexpected response format');
+      }
+
+      this.sessionToken = response.payload.token;
+      registerSecret(this.sessionToken);
+      this.userId = field(response.payload.user, 'id') || null;
+      metrics.fishbowlLogins.inc({ instance: this.instance, result: 'success' });
+      this.logger.info('Logged in to Fishbowl', { userId: this.userId });
+      return { success: true, token: this.sessionToken, userId: this.userId };
+    } catch (error) {
+      metrics.fishbowlLogins.inc({ instance: this.instance, result: 'failure' });
+      this.logger.error('Fishbowl login failed', { error: error.message, code: error.code });
+      throw error;
+    }
+  }
+
+  async ensureAuthenticated() {
+    if (!this.sessionToken) {
+      // Concurrent callers share a single login
+      if (!this.loggingIn) {
+        this.loggingIn = this.login().finally(() => {
+          this.loggingIn = null;
+        });
+      }
+      await this.loggingIn;
+    }
+    return this.sessionToken;
+  }
+
+  /**
+   * Send an authenticated request and return its JSON. A 401 means the
+   * token expired or was revoked; Fishbowl checks the token before it acts
+   * on a request, so the client logs in again and replays it once.
+   */
+  async call(messageName, method, path, options = {}) {
+    try {
+      await this.ensureAuthenticated();
+    } catch (error) {
+      throw notSent(error);
+    }
+
+    const token = this.sessionToken;
+    let response = await this.request(messageName, method, path, { ...options, token });
+    if (response.status === 401) {
+      // Another caller may already have logged in again
+      if (this.sessionToken === token) {
+        this.sessionToken = null;
+      }
+      this.logger.info('Fishbowl session expired; logging in again and replaying', { fishbowlMessage: messageName });
+      await this.ensureAuthenticated();
+      response = await this.request(messageName, method, path, { ...options, token: this.sessionToken });
+      // Refusing the token it has just issued is Fishbowl's problem, not
+      // the API caller's credentials
+      if (response.status === 401) {
+        throw errorForResponse(response, options.action, UpstreamUnavailableError);
+      }
+    }
+
+    if (!response.ok) {
+      throw errorForResponse(response, options.action);
+    }
+    return response.payload;
+  }
+
+  /**
+   * Every result of a paged list
+   */
+  async list(messageName, path, query, action) {
+    const results = [];
+    for (let pageNumber = 1; ; pageNumber++) {
+      const payload = await this.call(messageName, 'GET', path, {
+        query: { ...query, pageNumber, pageSize: PAGE_SIZE },
+        action
+      });
+      if (Array.isArray(payload)) {
+        return payload;
+      }
+      results.push(...((payload && payload.results) || []));
+      if (!payload || !payload.totalPages || pageNumber >= payload.totalPages) {
+        return results;
+      }
+    }
+  }
+
+  async getInventory(partNumber) {
+    const rows = await this.list('PartQuantityRq', '/api/parts/inventory', { number: partNumber }, 'Failed to get inventory');
+    return fbiResponse('PartQuantityRs', { PartQuantity: rows.map(inventoryElement) });
+  }
+
+  async getProducts() {
+    const products = await this.list('ProductGetRq', '/api/products', {}, 'Failed to get products');
+    return fbiResponse('ProductGetRs', { Product: products.map(productElement) });
+  }
+
+  async getParts() {
+    const parts = await this.list('PartGetRq', '/api/parts', {}, 'Failed to get parts');
+    return fbiResponse('PartGetRs', { Part: parts.map(partElement) });
+  }
+
+  async getLocations() {
+    const locations = await this.list('LocationListRq', '/api/locations', {}, 'Failed to get locations');
+    return fbiResponse('LocationListRs', { Location: locations.map(locationElement) });
+  }
+
+  async addInventory(partId, locationId, quantity, trackingItems = []) {
+    await this.call('InventoryAddRq', 'POST', `/api/parts/${encodeURIComponent(partId)}/inventory/add`, {
+      body: {
+        locationId,
+        quantity,
+        tracking: trackingItems.map(item => ({ partTrackingId: item.partTracking.id, value: item.value }))
+      },
+      action: 'Failed to add inventory'
+    });
+    return fbiResponse('InventoryAddRs');
+  }
+
+  async getManufactureOrders(filters = {}) {
+    const orders = await this.list('ManufactureOrderQueryRq', '/api/manufacture-orders', restQuery(filters),
+      'Failed to get manufacture orders');
+    return fbiResponse('ManufactureOrderQueryRs', { ManufactureOrder: orders.map(manufactureOrderElement) });
+  }
+
+  async getBom(number) {
+    const action = 'Failed to get bill of materials';
+    const bom = (await this.list('BOMGetRq', '/api/boms', { number }, action)).find(candidate => candidate.number === number);
+    if (!bom) {
+      throw new NotFoundError(`${action}: bill of materials ${number} was not found`, { number });
+    }
+    return fbiResponse('BOMGetRs', { BOM: [bomElement(bom)] });
+  }
+
+  /**
+   * Create a manufacture order from a bill of materials, as
+   * FishbowlClient#saveManufactureOrder does
+   */
+  async saveManufactureOrder(order) {
+    const saved = await this.call('SaveMORq', 'POST', '/api/manufacture-orders', {
+      body: {
+        bom: { number: order.bomNumber },
+        quantity: order.quantity,
+        locationGroup: { name: order.locationGroup },
+        dateScheduled: order.scheduledAt,
+        note: order.note
+      },
+      action: 'Failed to save manufacture order'
+    });
+    return fbiResponse('SaveMORs', { ManufactureOrder: [manufactureOrderElement(saved)] });
+  }
+
+  async manufactureOrderId(number, action) {
+    const order = (await this.list('ManufactureOrderQueryRq', '/api/manufacture-orders', { number }, action))
+      .find(candidate => candidate.number === number);
+    if (!order) {
+      throw new NotFoundError(`${action}: manufacture order ${number} was not found`, { number });
+    }
+    return order.id;
+  }
+
+  async changeManufactureOrderStatus(number, action) {
+    if (!MO_STATUS_ENDPOINTS[action]) {
+      throw new Error(`Unknown manufacture order action: ${action}`);
+    }
+    const [endpoint, messageName] = MO_STATUS_ENDPOINTS[action];
+    const failure = 'Failed to change manufacture order status';
+    const id = await this.manufactureOrderId(number, failure);
+    let order = await this.call(messageName, 'POST', `/api/manufacture-orders/${id}/${endpoint}`, { action: failure });
+    if (!order) {
+      // An answer without the order is followed by a read of it
+      order = await this.call('ManufactureOrderQueryRq', 'GET', `/api/manufacture-orders/${id}`, { action: failure });
+    }
+    return fbiResponse(messageName.replace(/Rq$/, 'Rs'), { ManufactureOrder: [manufactureOrderElement(order)] });
+  }
+
+  async deleteManufactureOrder(number) {
+    const action = 'Failed to delete manufacture order';
+    const id = await this.manufactureOrderId(number, action);
+    await this.call('DeleteMORq', 'DELETE', `/api/manufacture-orders/${id}`, { action });
+    return fbiResponse('DeleteMORs');
+  }
+
+  async getPurchaseOrders(filters = {}) {
+    const orders = await this.list('PurchaseOrderQueryRq', '/api/purchase-orders', restQuery(filters),
+      'Failed to get purchase orders');
+    return fbiResponse('PurchaseOrderQueryRs', { PurchaseOrder: orders.map(purchaseOrderElement) });
+  }
+
+  /**
+   * The order with a number as REST JSON, or null. The REST API addresses
+   * orders by ID, so writes given a number look it up first.
+   */
+  async findPurchaseOrder(number, action) {
+    const orders = await this.list('PurchaseOrderQueryRq', '/api/purchase-orders', { number }, action);
+    return orders.find(candidate => candidate.number === number) || null;
+  }
+
+  async purchaseOrderId(number, action) {
+    const order = await this.findPurchaseOrder(number, action);
+    if (!order) {
+      throw new NotFoundError(`${action}: purchase order ${number} was not found`, { number });
+    }
+    return order.id;
+  }
+
+  /**
+   * Create a purchase order, or change the one with order.number, as
+   * FishbowlClient#savePurchaseOrder does. The REST API saves and issues
+   * in two calls; when the issue fails the order exists all the same, so
+   * the error names it (code purchase_order_not_issued) and is never marked
+   * notSent, which would let the create be sent again.
+   */
+  async savePurchaseOrder(order, issue = false) {
+    const action = 'Failed to save purchase order';
+    const existing = order.number ? await this.findPurchaseOrder(order.number, action) : null;
+
+    let saved = await this.call('SavePORq', 'POST', existing ? `/api/purchase-orders/${existing.id}` : '/api/purchase-orders', {
+      body: {
+        number: order.number,
+        vendor: { name: order.vendor },
+        locationGroup: { name: order.locationGroup },
+        poItems: order.items.map((item, index) => ({
+          lineNumber: index + 1,
+          part: { number: item.partNumber },
+          quantity: item.quantity,
+          unitCost: item.unitCost,
+          uom: item.uom ? { abbreviation: item.uom } : undefined
+        }))
+      },
+      action
+    });
+    if (issue === true) {
+      try {
+        saved = await this.call('SavePORq', 'POST', `/api/purchase-orders/${saved.id}/issue`, { action });
+      } catch (error) {
+        throw new FishbowlError(`${action}: purchase order ${saved.number} was saved but not issued: ${error.message}`, {
+          number: saved.number,
+          issued: false,
+          cause: { code: error.code || 'internal_error', statusCode: error.statusCode || 500 }
+        }, 'purchase_order_not_issued');
+      }
+    }
+    return fbiResponse('SavePORs', { PurchaseOrder: [purchaseOrderElement(saved)] });
+  }
+
+  async changePurchaseOrderStatus(number, action) {
+    if (!PO_STATUS_ENDPOINTS[action]) {
+      throw new Error(`Unknown purchase order action: ${action}`);
+    }
+    const [endpoint, messageName] = PO_STATUS_ENDPOINTS[action];
+    const failure = 'Failed to change purchase order status';
+    const id = await this.purchaseOrderId(number, failure);
+    let order = await this.call(messageName, 'POST', `/api/purchase-orders/${id}/${endpoint}`, { action: failure });
+    if (!order) {
+      // An answer without the order is followed by a read of it
+      order = await this.call('PurchaseOrderQueryRq', 'GET', `/api/purchase-orders/${id}`, { action: failure });
+    }
+    return fbiResponse(messageName.replace(/Rq$/, 'Rs'), { PurchaseOrder: [purchaseOrderElement(order)] });
+  }
+
+  async deletePurchaseOrder(number) {
+    const action = 'Failed to delete purchase order';
+    const id = await this.purchaseOrderId(number, action);
+    await this.call('DeletePORq', 'DELETE', `/api/purchase-orders/${id}`, { action });
+    return fbiResponse('DeletePORs');
+  }
+
+  /**
+   * Round trip for the readiness probe, as FishbowlClient#ping. There is
+   * no socket to open, so an unreachable server fails the session step
+   * with a connection failure.
+   */
+  async ping() {
+    const steps = {};
+    const step = async (name, fn) => {
+      const started = Date.now();
+      try {
+        await fn();
+      } catch (error) {
+        error.step = error.step || name;
+        throw error;
+      }
+      steps[name] = Date.now() - started;
+    };
+
+    await step('connection', () => this.ensureConnected());
+    await step('session', () => this.ensureAuthenticated());
+    await step('query', () => this.getLocations());
+    return steps;
+  }
+
+  async logout() {
+    if (!this.sessionToken) {
+      return { success: true, message: 'Not logged in' };
+    }
+
+    const token = this.sessionToken;
+    // Reset session data even if the logout request fails
+    this.sessionToken = null;
+    this.userId = null;
+    try {
+      await this.request('LogoutRq', 'POST', '/api/logout', { token, record: false });
+      return { success: true, message: 'Successfully logged out of Fishbowl' };
+    } catch (error) {
+      this.logger.warn('Fishbowl logout failed', { error: error.message });
+      return { success: false, error: error.message };
+    }
+  }
+
+  async disconnect() {
+    if (!this.sessionToken) {
+      return { success: true, message: 'Not connected to Fishbowl server' };
+    }
+    await this.logout();
+    this.logger.info('Disconnected from Fishbowl server', { host: this.host, port: this.port });
+    return { success: true, message: 'Disconnected from Fishbowl server' };
+  }
+}
+
+module.exports = {
+  FishbowlRestClient
+};
@@ -0,0 +1,200 @@
+// idempotency.js - Replay stored responses for retried write requests
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { ConflictError, ValidationError } = require('../errorHandeling');
+
+const PENDING = 'pending';
+const COMPLETED = 'completed';
+
+const MAX_KEY_LENGTH = 255;
+
+// Errors raised before anything reached Fishbowl; the key may be used again.
+// Other failures are marked notSent where they happen (see notSent in
+// fishbowlClient.js).
+const NOT_SENT_CODES = new Set(['circuit_open', 'pool_exhausted']);
+
+/**
+ * Canonical JSON with sorted keys, so equal payloads hash the same
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+// The Fishbowl instance is part of the request, so a key reused against
+// another instance is rejected rather than replayed
+function fingerprint(req) {
+  return crypto.createHash('sha256')
+    .update(`${req.method} ${req.path}?raw=${req.query.raw === 'true'}&instance=${req.fishbowlInstance || ''}\n` +
+      canonicalJson(req.body || {}))
+    .digest('hex');
+}
+
+/**
+ * Outcomes of requests sent with an Idempotency-Key, kept for ttlMs and
+ * saved to IDEMPOTENCY_FILE so they survive a restart. Keys are scoped to
+ * the caller, so two callers cannot see each other's responses.
+ */
+class IdempotencyStore {
+  constructor(options = {}) {
+    this.file = options.file !== undefined ? options.file :
+      (process.env.IDEMPOTENCY_FILE || path.join('data', 'idempotency.json'));
+    this.ttlMs = options.ttlMs !== undefined ? options.ttlMs :
+      (parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000);
+    this.entries = new Map();
+    this.saving = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const [id, entry] of Object.entries(saved)) {
+        if (entry.state === COMPLETED && entry.expiresAt > Date.now()) {
+          this.entries.set(id, entry);
+        }
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Ignoring unreadable idempotency file', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write completed entries to disk. Saves are serialized and go through a
+   * temporary file so a crash never leaves a half-written file behind.
+   */
+  save() {
+    if (!this.file) {
+      return this.saving;
+    }
+    const write = this.saving.then(async () => {
+      const completed = {};
+      for (const [id, entry] of this.entries) {
+        if (entry.state === COMPLETED) {
+          completed[id] = entry;
+        }
+      }
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify(completed));
+      await fs.promises.rename(temporary, this.file);
+    });
+    this.saving = write.catch((error) => {
+      logger.error('Failed to save idempotency keys', { error: error.message });
+    });
+    return this.saving;
+  }
+
+  purgeExpired() {
+    const now = Date.now();
+    for (const [id, entry] of this.entries) {
+      if (entry.expiresAt <= now) {
+        this.entries.delete(id);
+      }
+    }
+  }
+
+  get(id) {
+    const entry = this.entries.get(id);
+    if (entry && entry.expiresAt <= Date.now()) {
+      this.entries.delete(id);
+      return null;
+    }
+    return entry || null;
+  }
+
+  begin(id, hash) {
+    this.purgeExpired();
+    this.entries.set(id, { state: PENDING, fingerprint: hash, expiresAt: Date.now() + this.ttlMs });
+  }
+
+  complete(id, statusCode, body) {
+    const entry = this.entries.get(id);
+    if (!entry) {
+      return;
+    }
+    Object.assign(entry, { state: COMPLETED, statusCode, body, completedAt: new Date().toISOString() });
+    this.save();
+  }
+
+  release(id) {
+    const entry = this.entries.get(id);
+    if (entry && entry.state === PENDING) {
+      this.entries.delete(id);
+    }
+  }
+
+  /**
+   * Express middleware. Requests with an Idempotency-Key header for which
+   * appliesTo(req) is true run once per key: a retry with the same payload
+   * gets the stored status and body back (with Idempotent-Replayed: true),
+   * a retry while the first request is still running or with a different
+   * payload is rejected with a 409.
+   */
+  middleware(appliesTo = () => true) {
+    return (req, res, next) => {
+      const key = req.get('Idempotency-Key');
+      if (key === undefined || !appliesTo(req)) {
+        return next();
+      }
+      if (!key || key.length > MAX_KEY_LENGTH) {
+        return next(new ValidationError(`Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters`,
+          null, 'invalid_idempotency_key'));
+      }
+
+      const caller = req.principal ? req.principal.id : 'anonymous';
+      const id = `${caller}:${key}`;
+      const hash = fingerprint(req);
+      const existing = this.get(id);
+
+      if (existing) {
+        if (existing.fingerprint !== hash) {
+          return next(new ConflictError('Idempotency-Key was already used with a different request',
+            { idempotencyKey: key }, 'idempotency_key_reused'));
+        }
+        if (existing.state === PENDING) {
+          return next(new ConflictError('A request with this Idempotency-Key is still in progress',
+            { idempotencyKey: key, retryAfterSeconds: 1 }, 'idempotency_in_progress'));
+        }
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.statusCode).json(existing.body);
+      }
+
+      this.begin(id, hash);
+
+      // Capture the response, whether it comes from the route or the error handler
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const code = body && body.success === false ? body.code : null;
+        const error = res.locals.error;
+        if (NOT_SENT_CODES.has(code) || (code && error && error.notSent)) {
+          this.release(id);
+        } else {
+          this.complete(id, res.statusCode, body);
+        }
+        return json(body);
+      };
+      res.on('close', () => this.release(id));
+      next();
+    };
+  }
+}
+
+module.exports = {
+  IdempotencyStore,
+  canonicalJson
+};
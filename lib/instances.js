@@ -0,0 +1,198 @@
+// instances.js - Named Fishbowl instances and choosing one per request
+
+const fs = require('fs');
+const path = require('path');
+const { FishbowlPool } = require('./connectionPool');
+const { backendName } = require('./backends');
+const { ValidationError, NotFoundError } = require('../errorHandeling');
+
+// Request header naming the instance a request is for
+const INSTANCE_HEADER = 'X-Fishbowl-Instance';
+
+// Name of the only instance when none are configured in a file
+const DEFAULT_INSTANCE = 'default';
+
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+// /instances/<name>/... selects an instance for the rest of the path
+const PREFIX_PATTERN = /^\/instances\/([^/?]*)(?=[/?]|$)/;
+
+// FishbowlPool options an instance may override
+const POOL_OPTIONS = ['min', 'max', 'bulkMax', 'idleTimeoutMs', 'acquireTimeoutMs'];
+
+/**
+ * Load the Fishbowl instances. FISHBOWL_INSTANCES_FILE points to a JSON
+ * file of the form
+ *
+ *   { "default": "acme", "instances": { "acme": { "backend", "host",
+ *     "port" | "restApiUrl", "username", "password" | "passwordEnv",
+ *     "iaid", "pool" }, ... } }
+ *
+ * passwordEnv names an environment variable holding the password, so the
+ * file need not contain it. backend is xml (host and port) or rest
+ * (restApiUrl), FISHBOWL_BACKEND by default. Without the file there is one instance,
+ * "default", configured by FISHBOWL_HOST, FISHBOWL_PORT and the other
+ * FISHBOWL_* variables.
+ */
+function loadInstanceConfig(env = process.env) {
+  if (!env.FISHBOWL_INSTANCES_FILE) {
+    return { defaultName: DEFAULT_INSTANCE, instances: [{ name: DEFAULT_INSTANCE, client: {}, pool: {} }] };
+  }
+
+  const file = JSON.parse(fs.readFileSync(env.FISHBOWL_INSTANCES_FILE, 'utf8'));
+  const entries = Object.entries(file.instances || {});
+  if (entries.length === 0) {
+    throw new Error(`${env.FISHBOWL_INSTANCES_FILE} does not define any instances`);
+  }
+
+  const instances = entries.map(([name, settings]) => {
+    if (!NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid Fishbowl instance name "${name}": use letters, digits, "-" and "_"`);
+    }
+    let backend;
+    try {
+      backend = backendName({ backend: settings.backend || env.FISHBOWL_BACKEND });
+    } catch (error) {
+      throw new Error(`Fishbowl instance "${name}": ${error.message}`);
+    }
+    const password = settings.passwordEnv ? env[settings.passwordEnv] : settings.password;
+    const missing = [backend === 'rest' ? 'restApiUrl' : 'host', 'username'].filter(field => !settings[field]);
+    if (!password) {
+      missing.push(settings.passwordEnv ? `password (${settings.passwordEnv} is not set)` : 'password');
+    }
+    if (missing.length > 0) {
+      throw new Error(`Fishbowl instance "${name}" is missing ${missing.join(', ')}`);
+    }
+    return {
+      name,
+      client: {
+        instance: name,
+        backend,
+        host: settings.host,
+        port: settings.port,
+        username: settings.username,
+        password,
+        iaid: settings.iaid,
+        appName: settings.appName,
+        appId: settings.appId,
+        restApiUrl: settings.restApiUrl
+      },
+      pool: Object.fromEntries(POOL_OPTIONS
+        .filter(option => settings.pool && settings.pool[option] !== undefined)
+        .map(option => [option, settings.pool[option]]))
+    };
+  });
+
+  const defaultName = file.default || (instances.length === 1 ? instances[0].name : null);
+  if (defaultName && !instances.some(instance => instance.name === defaultName)) {
+    throw new Error(`Default Fishbowl instance "${defaultName}" is not defined`);
+  }
+  return { defaultName, instances };
+}
+
+/**
+ * A per-instance file next to the given one (data/reorder.json becomes
+ * data/reorder-acme.json). The default instance keeps the file itself, so
+ * adding instances does not orphan what it has saved.
+ */
+function instanceFile(file, instance) {
+  if (!file || instance.isDefault) {
+    return file;
+  }
+  const extension = path.extname(file);
+  return `${file.slice(0, file.length - extension.length)}-${instance.name}${extension}`;
+}
+
+/**
+ * The configured Fishbowl instances, each with its own pool of connections
+ * (and so its own sessions, circuit breaker and response cache). A request
+ * chooses one with the X-Fishbowl-Instance header or an /instances/<name>
+ * path prefix; otherwise it goes to the default instance, if there is one.
+ */
+class FishbowlInstances {
+  constructor(config = loadInstanceConfig(), options = {}) {
+    const createPool = options.createPool || (settings => new FishbowlPool({ ...settings.pool, client: settings.client }));
+    this.defaultName = config.defaultName;
+    this.instances = new Map(config.instances.map(settings => [settings.name, {
+      name: settings.name,
+      isDefault: settings.name === config.defaultName,
+      fishbowl: createPool(settings)
+    }]));
+  }
+
+  list() {
+    return [...this.instances.values()];
+  }
+
+  names() {
+    return [...this.instances.keys()];
+  }
+
+  /**
+   * The default instance, or the first one when there is no default
+   */
+  primary() {
+    return this.instances.get(this.defaultName) || this.list()[0];
+  }
+
+  get(name) {
+    const instance = this.instances.get(name);
+    if (!instance) {
+      throw new NotFoundError(`Unknown Fishbowl instance: ${name}`, { instance: name }, 'instance_not_found');
+    }
+    return instance;
+  }
+
+  /**
+   * Express middleware that records the instance a request chose as
+   * req.fishbowlInstance (null when it chose none and there is no default).
+   * An /instances/<name> prefix is removed from the URL so the request
+   * reaches the same routes as one without it.
+   */
+  middleware() {
+    return (req, res, next) => {
+      const prefix = req.url.match(PREFIX_PATTERN);
+      const fromHeader = req.get(INSTANCE_HEADER) || null;
+      try {
+        const fromPath = prefix ? decodeURIComponent(prefix[1]) : null;
+        if (prefix) {
+          const rest = req.url.slice(prefix[0].length);
+          req.url = rest.startsWith('/') ? rest : `/${rest}`;
+        }
+        if (fromPath && fromHeader && fromPath !== fromHeader) {
+          throw new ValidationError(`The path selects instance ${fromPath} but ${INSTANCE_HEADER} is ${fromHeader}`,
+            { path: fromPath, header: fromHeader }, 'instance_mismatch');
+        }
+        const name = fromPath || fromHeader || this.defaultName;
+        req.fishbowlInstance = name ? this.get(name).name : null;
+      } catch (error) {
+        return next(error);
+      }
+      next();
+    };
+  }
+
+  /**
+   * The instance a request is for; fails when it named none and there is
+   * no default
+   */
+  forRequest(req) {
+    if (!req.fishbowlInstance) {
+      throw new ValidationError(`Choose a Fishbowl instance with the ${INSTANCE_HEADER} header or an /instances/<name> path prefix`,
+        { instances: this.names() }, 'instance_required');
+    }
+    return this.get(req.fishbowlInstance);
+  }
+
+  async disconnect() {
+    await Promise.all(this.list().map(instance => instance.fishbowl.disconnect()));
+  }
+}
+
+module.exports = {
+  INSTANCE_HEADER,
+  DEFAULT_INSTANCE,
+  loadInstanceConfig,
+  instanceFile,
+  FishbowlInstances
+};
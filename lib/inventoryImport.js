@@ -0,0 +1,424 @@
+// inventoryImport.js - Bulk inventory import from CSV with dry-run validation
+
+const crypto = require('crypto');
+const models = require('./models');
+const { executeCommand } = require('./commands');
+const { parseCsv, toCsv } = require('./csv');
+const { logger } = require('./logger');
+const { SCOPES, hasScope } = require('./auth');
+const { ValidationError, NotFoundError } = require('../errorHandeling');
+
+// Accepted spellings of each column, compared without case, spaces or punctuation
+const COLUMNS = {
+  partNumber: ['partnumber', 'partnum', 'part', 'number'],
+  location: ['location', 'locationname', 'locationid'],
+  locationGroup: ['locationgroup', 'group'],
+  quantity: ['quantity', 'qty'],
+  lot: ['lot', 'lotnumber', 'lotnum'],
+  serial: ['serial', 'serials', 'serialnumber', 'serialnumbers'],
+  expiration: ['expiration', 'expirationdate', 'expires', 'expiry']
+};
+
+const REQUIRED_COLUMNS = ['partNumber', 'location', 'quantity'];
+
+// Fishbowl part tracking type IDs
+const TRACKING_TYPES = { EXPIRATION_DATE: 30, SERIAL_NUMBER: 40 };
+
+// Several serial numbers in one cell are separated by this character
+const SERIAL_SEPARATOR = '|';
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Map each header to a known column, or keep it as the name of a part
+ * tracking definition (e.g. a "Color" column for a text tracking field)
+ */
+function mapHeaders(headers) {
+  const columns = headers.map((header) => {
+    const normalized = normalizeHeader(header);
+    const known = Object.keys(COLUMNS).find(column => COLUMNS[column].includes(normalized));
+    return known ? { key: known, header } : { key: null, tracking: header.trim(), header };
+  });
+  const missing = REQUIRED_COLUMNS.filter(key => !columns.some(column => column.key === key));
+  if (missing.length > 0) {
+    throw new ValidationError(`The CSV is missing the columns: ${missing.join(', ')}`,
+      { missing, headers }, 'invalid_csv');
+  }
+  return columns;
+}
+
+/**
+ * Which CSV column holds the value of a part tracking definition
+ */
+function trackingColumn(definition) {
+  if (definition.typeId === TRACKING_TYPES.SERIAL_NUMBER) {
+    return 'serial';
+  }
+  if (definition.typeId === TRACKING_TYPES.EXPIRATION_DATE) {
+    return 'expiration';
+  }
+  if (/\blot\b/i.test(definition.name || '') || /\blot\b/i.test(definition.abbreviation || '')) {
+    return 'lot';
+  }
+  return `tracking:${(definition.name || '').toLowerCase()}`;
+}
+
+function findLocation(locations, value, group) {
+  const byId = /^\d+$/.test(value) ? locations.filter(location => location.id === Number(value)) : [];
+  const matches = byId.length > 0 ? byId : locations.filter(location =>
+    (location.name || '').toLowerCase() === value.toLowerCase() &&
+    (!group || (location.locationGroup || '').toLowerCase() === group.toLowerCase()));
+  if (matches.length === 0) {
+    return { error: `Location ${value}${group ? ` in ${group}` : ''} was not found` };
+  }
+  if (matches.length > 1) {
+    return { error: `Location ${value} exists in several location groups (${matches.map(l => l.locationGroup).join(', ')}); add a locationGroup column` };
+  }
+  if (!matches[0].active) {
+    return { error: `Location ${value} is inactive` };
+  }
+  return { location: matches[0] };
+}
+
+/**
+ * Check one CSV row against the parts and locations and build the
+ * addInventory calls that apply it. Serialized rows become one call per
+ * serial number.
+ */
+function validateRow(row, lookups) {
+  const errors = [];
+  const result = {
+    line: row.line,
+    partNumber: row.partNumber,
+    location: row.location,
+    locationGroup: row.locationGroup || null,
+    quantity: row.quantity,
+    lot: row.lot || null,
+    serial: row.serial || null,
+    expiration: row.expiration || null,
+    partId: null,
+    locationId: null,
+    errors,
+    adds: []
+  };
+
+  const part = row.partNumber ? lookups.parts.get(row.partNumber.toLowerCase()) : null;
+  if (!row.partNumber) {
+    errors.push('Part number is required');
+  } else if (!part) {
+    errors.push(`Part ${row.partNumber} was not found`);
+  } else if (!part.active) {
+    errors.push(`Part ${row.partNumber} is inactive`);
+  } else {
+    result.partId = part.id;
+  }
+
+  if (!row.location) {
+    errors.push('Location is required');
+  } else {
+    const { location, error } = findLocation(lookups.locations, row.location, row.locationGroup);
+    if (error) {
+      errors.push(error);
+    } else {
+      result.locationId = location.id;
+    }
+  }
+
+  const quantity = Number(row.quantity);
+  if (!row.quantity || !Number.isFinite(quantity) || quantity <= 0) {
+    errors.push(`Quantity must be a number greater than zero (got "${row.quantity || ''}")`);
+  }
+
+  if (!part) {
+    return result;
+  }
+
+  // Tracking values: every definition of the part needs a value, and no
+  // value may be given that the part does not track
+  const values = { ...row.tracking };
+  for (const key of ['lot', 'serial', 'expiration']) {
+    if (row[key]) {
+      values[key] = row[key];
+    }
+  }
+  const definitions = part.tracking.filter(definition => definition.active);
+  const trackingItems = [];
+  let serials = null;
+
+  for (const definition of definitions) {
+    const column = trackingColumn(definition);
+    const text = values[column];
+    delete values[column];
+    if (!text) {
+      errors.push(`${definition.name} is required for part ${part.number}`);
+      continue;
+    }
+    if (column === 'serial') {
+      serials = { definition, values: text.split(SERIAL_SEPARATOR).map(s => s.trim()).filter(Boolean) };
+      continue;
+    }
+    if (column === 'expiration') {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) {
+        errors.push(`Expiration date "${text}" is not a valid date`);
+        continue;
+      }
+      trackingItems.push({ partTracking: { id: definition.id }, value: date.toISOString().slice(0, 10) });
+      continue;
+    }
+    trackingItems.push({ partTracking: { id: definition.id }, value: text });
+  }
+  for (const column of Object.keys(values)) {
+    const name = column.startsWith('tracking:') ? column.slice('tracking:'.length) : `${column} numbers`;
+    errors.push(`Part ${part.number} does not track ${column === 'expiration' ? 'expiration dates' : name}`);
+  }
+
+  if (serials) {
+    if (!Number.isInteger(quantity) || serials.values.length !== quantity) {
+      errors.push(`Part ${part.number} is serialized: give one serial number per unit (${serials.values.length} for quantity ${row.quantity})`);
+    }
+    for (const serial of serials.values) {
+      const seen = lookups.serials.get(`${part.id}:${serial}`);
+      if (seen !== undefined && seen !== row.line) {
+        errors.push(`Serial number ${serial} is also used on line ${seen}`);
+      }
+      lookups.serials.set(`${part.id}:${serial}`, row.line);
+    }
+  }
+
+  if (errors.length === 0) {
+    result.adds = serials ?
+      serials.values.map(serial => ({
+        partId: part.id,
+        locationId: result.locationId,
+        quantity: 1,
+        trackingItems: [...trackingItems, { partTracking: { id: serials.definition.id }, value: serial }]
+      })) :
+      [{ partId: part.id, locationId: result.locationId, quantity, trackingItems }];
+  }
+  return result;
+}
+
+const resultColumns = [
+  { header: 'line', value: row => row.line },
+  { header: 'partNumber', value: row => row.partNumber },
+  { header: 'location', value: row => row.location },
+  { header: 'locationGroup', value: row => row.locationGroup },
+  { header: 'quantity', value: row => row.quantity },
+  { header: 'lot', value: row => row.lot },
+  { header: 'serial', value: row => row.serial },
+  { header: 'expiration', value: row => row.expiration },
+  { header: 'status', value: row => row.status },
+  { header: 'appliedQuantity', value: row => row.appliedQuantity },
+  { header: 'error', value: row => row.error }
+];
+
+/**
+ * Validates CSV inventory imports and applies them through addInventory.
+ * A dry run only validates. An import is applied only when every row is
+ * valid; it then runs in the background, one row at a time, and its
+ * progress and per-row results can be read while it runs. The most recent
+ * IMPORT_MAX_JOBS imports are kept in memory.
+ */
+class InventoryImporter {
+  constructor(fishbowl, options = {}) {
+    this.fishbowl = fishbowl;
+    this.audit = options.audit || null;
+    this.maxRows = options.maxRows !== undefined ? options.maxRows : envInt('IMPORT_MAX_ROWS', 5000);
+    this.maxJobs = options.maxJobs !== undefined ? options.maxJobs : envInt('IMPORT_MAX_JOBS', 50);
+    this.jobs = new Map();
+  }
+
+  /**
+   * Parse and validate a CSV document. Problems with the file itself throw;
+   * problems with single rows are reported per row.
+   */
+  async validate(csvText) {
+    if (typeof csvText !== 'string' || csvText.trim() === '') {
+      throw new ValidationError('Send the CSV as the request body with Content-Type: text/csv', null, 'invalid_csv');
+    }
+    let records;
+    try {
+      records = parseCsv(csvText);
+    } catch (error) {
+      throw new ValidationError(error.message, null, 'invalid_csv');
+    }
+    const [headers, ...lines] = records;
+    const columns = mapHeaders(headers);
+    if (lines.length === 0) {
+      throw new ValidationError('The CSV has no rows', null, 'invalid_csv');
+    }
+    if (lines.length > this.maxRows) {
+      throw new ValidationError(`An import may hold at most ${this.maxRows} rows`,
+        { rows: lines.length, max: this.maxRows }, 'invalid_csv');
+    }
+
+    const [parts, locations] = await Promise.all([this.fishbowl.getParts(), this.fishbowl.getLocations()]);
+    const lookups = {
+      parts: new Map(models.normalizeParts(parts).parts.map(part => [(part.number || '').toLowerCase(), part])),
+      locations: models.normalizeLocations(locations).locations,
+      serials: new Map()
+    };
+
+    const rows = lines.map((cells) => {
+      const row = { line: cells.line, tracking: {} };
+      columns.forEach((column, index) => {
+        const text = (cells[index] || '').trim();
+        if (column.key) {
+          row[column.key] = text;
+        } else if (text) {
+          row.tracking[`tracking:${column.tracking.toLowerCase()}`] = text;
+        }
+      });
+      return validateRow(row, lookups);
+    });
+
+    const invalid = rows.filter(row => row.errors.length > 0);
+    return {
+      valid: invalid.length === 0,
+      summary: {
+        rows: rows.length,
+        valid: rows.length - invalid.length,
+        invalid: invalid.length,
+        // Total quantity of the valid rows
+        quantity: rows.filter(row => row.errors.length === 0).reduce((total, row) => total + Number(row.quantity), 0)
+      },
+      rows
+    };
+  }
+
+  /**
+   * Validate and, when every row is valid, start applying the import.
+   * Returns the new job.
+   */
+  async start(csvText, options = {}) {
+    const report = await this.validate(csvText);
+    if (!report.valid) {
+      throw new ValidationError('The import has invalid rows; nothing was applied',
+        { summary: report.summary, rows: report.rows.filter(row => row.errors.length > 0).map(reportRow) },
+        'import_invalid');
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      caller: options.principal ? { id: options.principal.id, type: options.principal.type } : null,
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      rows: report.rows.map(row => ({ ...row, status: 'pending', appliedQuantity: 0, error: null }))
+    };
+    this.jobs.set(job.id, job);
+    this.evict();
+
+    this.run(job, options.principal).catch((error) => {
+      logger.error('Inventory import failed', { importId: job.id, error });
+      job.status = 'failed';
+      job.finishedAt = new Date().toISOString();
+    });
+    return this.describe(job);
+  }
+
+  async run(job, principal) {
+    for (const row of job.rows) {
+      for (const add of row.adds) {
+        try {
+          await executeCommand(this.fishbowl, 'addInventory', add, {
+            principal,
+            audit: this.audit,
+            source: 'import'
+          });
+          row.appliedQuantity += add.quantity;
+        } catch (error) {
+          row.error = error.message;
+          break;
+        }
+      }
+      row.status = row.error ? 'failed' : 'applied';
+    }
+    job.status = 'completed';
+    job.finishedAt = new Date().toISOString();
+  }
+
+  // Drop the oldest finished jobs beyond maxJobs
+  evict() {
+    for (const [id, job] of this.jobs) {
+      if (this.jobs.size <= this.maxJobs) {
+        break;
+      }
+      if (job.status !== 'running') {
+        this.jobs.delete(id);
+      }
+    }
+  }
+
+  /**
+   * The job with an id. Given a principal, only the caller who started the
+   * job or one holding every scope may see it; to anyone else it does not
+   * exist.
+   */
+  find(id, principal) {
+    const job = this.jobs.get(id);
+    const visible = job && (principal === undefined || hasScope(principal, SCOPES.ALL) ||
+      Boolean(principal && job.caller && job.caller.id === principal.id));
+    if (!visible) {
+      throw new NotFoundError(`Import ${id} was not found`, { id }, 'import_not_found');
+    }
+    return job;
+  }
+
+  /**
+   * Progress and counts of an import
+   */
+  get(id, principal) {
+    return this.describe(this.find(id, principal));
+  }
+
+  describe(job) {
+    const count = (status) => job.rows.filter(row => row.status === status).length;
+    const processed = job.rows.length - count('pending');
+    return {
+      id: job.id,
+      status: job.status,
+      caller: job.caller,
+      createdAt: job.createdAt,
+      finishedAt: job.finishedAt,
+      progress: {
+        rows: job.rows.length,
+        processed,
+        applied: count('applied'),
+        failed: count('failed'),
+        percent: Math.floor((processed / job.rows.length) * 100)
+      }
+    };
+  }
+
+  /**
+   * The per-row outcome of an import as CSV
+   */
+  resultCsv(id, principal) {
+    return toCsv(resultColumns, this.find(id, principal).rows);
+  }
+}
+
+// A validated row as shown in dry-run reports
+function reportRow(row) {
+  const { adds, errors, ...fields } = row;
+  return { ...fields, valid: errors.length === 0, errors };
+}
+
+/**
+ * The dry-run report returned to callers
+ */
+function dryRunReport(report) {
+  return { valid: report.valid, summary: report.summary, rows: report.rows.map(reportRow) };
+}
+
+module.exports = {
+  InventoryImporter,
+  dryRunReport
+};
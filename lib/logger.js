@@ -0,0 +1,117 @@
+// logger.js - Structured JSON logging with request correlation and redaction
+
+const { currentContext } = require('./requestContext');
+const { REDACTED, isSecretKey, redactText } = require('./redact');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+function configuredLevel() {
+  const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+  return LEVELS[level] !== undefined ? level : 'info';
+}
+
+/**
+ * Plain fields of an error; its message is redacted like any other text
+ */
+function serializeError(error) {
+  if (!(error instanceof Error)) {
+    return error;
+  }
+  const fields = { name: error.name, message: error.message };
+  for (const key of ['code', 'statusCode', 'fishbowlStatusCode']) {
+    if (error[key] !== undefined) {
+      fields[key] = error[key];
+    }
+  }
+  if (!error.statusCode || error.statusCode >= 500) {
+    fields.stack = error.stack;
+  }
+  return fields;
+}
+
+// Redact secret keys, then secrets inside the remaining text
+function scrub(value, depth = 0) {
+  if (typeof value === 'string') {
+    return redactText(value);
+  }
+  if (value instanceof Error) {
+    return scrub(serializeError(value), depth);
+  }
+  if (depth > 10 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => scrub(item, depth + 1));
+  }
+  return Object.fromEntries(Object.entries(value)
+    .map(([key, item]) => [key, isSecretKey(key, item) ? REDACTED : scrub(item, depth + 1)]));
+}
+
+/**
+ * Writes one JSON object per line: timestamp, level, message, the id of
+ * the request being served (from the request context) and the given
+ * fields. Entries below LOG_LEVEL (debug, info, warn or error; default
+ * info) are dropped. Passwords, tickets, tokens and API keys are redacted
+ * from every field. debug and info go to stdout, warn and error to stderr.
+ */
+class Logger {
+  constructor(fields = {}) {
+    this.fields = fields;
+    this.level = configuredLevel();
+  }
+
+  // A logger that adds fields to every entry
+  child(fields) {
+    const logger = new Logger({ ...this.fields, ...fields });
+    logger.level = this.level;
+    return logger;
+  }
+
+  enabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, message, fields = {}) {
+    if (!this.enabled(level)) {
+      return;
+    }
+    const context = currentContext();
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      message: redactText(message),
+      ...(context && context.requestId ? { requestId: context.requestId } : {}),
+      ...scrub({ ...this.fields, ...fields })
+    };
+    const line = JSON.stringify(entry);
+    if (LEVELS[level] >= LEVELS.warn) {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+}
+
+const logger = new Logger();
+
+module.exports = {
+  Logger,
+  logger,
+  serializeError
+};
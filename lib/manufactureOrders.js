@@ -0,0 +1,194 @@
+// manufactureOrders.js - Manufacture order lifecycle and kit availability of a build
+
+const models = require('./models');
+const { ValidationError, NotFoundError, ConflictError } = require('../errorHandeling');
+
+/**
+ * Changes to a manufacture order and the statuses (IDs from MO_STATUSES)
+ * that allow them, following Fishbowl's rules:
+ *
+ *   issue       Entered
+ *   unissue     Issued, while nothing has been used
+ *   closeShort  Issued, Partial: stop building the rest
+ *   delete      Entered
+ */
+const MO_ACTIONS = {
+  issue: { statuses: [10], verb: 'issued' },
+  unissue: { statuses: [20], unused: true, verb: 'unissued' },
+  closeShort: { statuses: [20, 30], verb: 'closed short' },
+  delete: { statuses: [10], verb: 'deleted' }
+};
+
+// BOM item types a build consumes: the raw goods (see MO_ITEM_TYPES)
+const COMPONENT_TYPES = new Set([20]);
+
+// Inventory lookups run at most this many at a time
+const INVENTORY_CONCURRENCY = 4;
+
+/**
+ * A required string parameter, such as an order or BOM number
+ */
+function requiredString(parameters, name, purpose) {
+  const value = parameters[name];
+  if ((typeof value !== 'string' && typeof value !== 'number') || !String(value).trim()) {
+    throw new ValidationError(`${name} is required to ${purpose}`);
+  }
+  return String(value).trim();
+}
+
+/**
+ * The number of builds asked for: a whole number greater than zero
+ */
+function buildQuantity(parameters) {
+  const quantity = Number(parameters.quantity);
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new ValidationError('quantity must be a whole number greater than zero', { quantity: parameters.quantity });
+  }
+  return quantity;
+}
+
+/**
+ * The manufacture order with a number as { result, order }: the raw query
+ * response and the normalized order. Fails with a 404 when there is none.
+ */
+async function loadManufactureOrder(fishbowl, number) {
+  const result = await fishbowl.getManufactureOrders({ Number: number });
+  const order = models.normalizeManufactureOrders(result).manufactureOrders.find(o => o.number === number);
+  if (!order) {
+    throw new NotFoundError(`Manufacture order ${number} was not found`, { number }, 'manufacture_order_not_found');
+  }
+  return { result, order };
+}
+
+/**
+ * Throw a 409 when the order's status does not allow the action, so the
+ * change is never sent to Fishbowl
+ */
+function assertAction(order, action) {
+  const rule = MO_ACTIONS[action];
+  const details = {
+    number: order.number,
+    status: order.status,
+    action,
+    allowedStatuses: rule.statuses.map(id => models.MO_STATUSES[id])
+  };
+  if (!rule.statuses.includes(order.statusId)) {
+    throw new ConflictError(`Manufacture order ${order.number} is ${order.status} and cannot be ${rule.verb}`,
+      details, 'invalid_status_transition');
+  }
+  if (rule.unused && order.items.some(item => item.quantityUsed > 0)) {
+    throw new ConflictError(`Manufacture order ${order.number} has used items and cannot be ${rule.verb}`,
+      { ...details, used: true }, 'invalid_status_transition');
+  }
+}
+
+/**
+ * Compare what building quantity of a BOM needs with what is on hand
+ * (PartQuantityRq), in one location group or across all of them. Each
+ * component lists its quantity per build, the quantity required, on hand
+ * and short; maxBuildable is how many builds the stock covers. Components
+ * are read fresh from Fishbowl, since a build is committed on the result.
+ */
+async function kitAvailability(fishbowl, bomNumber, quantity, locationGroup = null) {
+  const { bom } = models.normalizeBom(await fishbowl.getBom(bomNumber));
+  if (!bom) {
+    throw new NotFoundError(`Bill of materials ${bomNumber} was not found`, { bomNumber }, 'bom_not_found');
+  }
+
+  // A part may appear on several lines of a BOM
+  const perBuild = new Map();
+  for (const item of bom.items.filter(item => COMPONENT_TYPES.has(item.typeId) && item.partNumber)) {
+    const component = perBuild.get(item.partNumber) ||
+      { partNumber: item.partNumber, description: item.description, uom: item.uom, quantityPerBuild: 0 };
+    component.quantityPerBuild += item.quantity || 0;
+    perBuild.set(item.partNumber, component);
+  }
+
+  const components = Array.from(perBuild.values());
+  let next = 0;
+  const worker = async () => {
+    while (next < components.length) {
+      const component = components[next++];
+      let quantities = [];
+      try {
+        const entry = await fishbowl.cached('getInventory', [component.partNumber], { refresh: true });
+        quantities = models.normalizeInventory(entry.value, component.partNumber).quantities;
+      } catch (error) {
+        // A part with no inventory record has none on hand
+        if (!(error instanceof NotFoundError)) {
+          throw error;
+        }
+      }
+      component.onHand = quantities
+        .filter(q => !locationGroup || q.locationGroup === locationGroup)
+        .reduce((total, q) => total + q.quantityOnHand, 0);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(INVENTORY_CONCURRENCY, components.length) }, worker));
+
+  for (const component of components) {
+    component.required = component.quantityPerBuild * quantity;
+    component.shortage = Math.max(0, component.required - component.onHand);
+  }
+  const shortages = components.filter(component => component.shortage > 0);
+  const covered = components.filter(component => component.quantityPerBuild > 0)
+    .map(component => Math.floor(component.onHand / component.quantityPerBuild));
+
+  return {
+    bomNumber: bom.number,
+    quantity,
+    locationGroup,
+    available: shortages.length === 0,
+    maxBuildable: covered.length > 0 ? Math.min(...covered) : null,
+    components,
+    shortages: shortages.map(({ partNumber, required, onHand, shortage }) => ({ partNumber, required, onHand, shortage }))
+  };
+}
+
+const componentSchema = {
+  type: 'object',
+  properties: {
+    partNumber: { type: 'string' },
+    description: { type: ['string', 'null'] },
+    uom: { type: ['string', 'null'] },
+    quantityPerBuild: { type: 'number' },
+    required: { type: 'number' },
+    onHand: { type: 'number' },
+    shortage: { type: 'number' }
+  }
+};
+
+const kitAvailabilitySchema = {
+  type: 'object',
+  properties: {
+    bomNumber: { type: ['string', 'null'] },
+    quantity: { type: 'integer' },
+    locationGroup: { type: ['string', 'null'] },
+    available: { type: 'boolean' },
+    maxBuildable: { type: ['integer', 'null'] },
+    components: { type: 'array', items: componentSchema },
+    shortages: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          partNumber: { type: 'string' },
+          required: { type: 'number' },
+          onHand: { type: 'number' },
+          shortage: { type: 'number' }
+        }
+      }
+    }
+  },
+  required: ['available', 'components', 'shortages']
+};
+
+module.exports = {
+  MO_ACTIONS,
+  requiredString,
+  buildQuantity,
+  loadManufactureOrder,
+  assertAction,
+  kitAvailability,
+  kitAvailabilitySchema
+};
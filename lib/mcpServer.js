@@ -0,0 +1,271 @@
+// mcpServer.js - Model Context Protocol (JSON-RPC 2.0) request handling
+
+const { commands, executeCommand } = require('./commands');
+const models = require('./models');
+const { SCOPES, hasScope, assertScope } = require('./auth');
+const { logger } = require('./logger');
+
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// JSON-RPC 2.0 error codes
+const PARSE_ERROR = -32700;
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const INTERNAL_ERROR = -32603;
+
+/**
+ * Error carrying a JSON-RPC error code
+ */
+class JsonRpcError extends Error {
+  constructor(code, message, data = undefined) {
+    super(message);
+    this.code = code;
+    this.data = data;
+    this.name = 'JsonRpcError';
+  }
+}
+
+const resources = [
+  {
+    uri: 'fishbowl://parts',
+    name: 'parts',
+    title: 'Parts',
+    description: 'All parts in Fishbowl',
+    mimeType: 'application/json',
+    read: async (fishbowl) => models.normalizeParts(await fishbowl.getParts())
+  },
+  {
+    uri: 'fishbowl://products',
+    name: 'products',
+    title: 'Products',
+    description: 'All products in Fishbowl',
+    mimeType: 'application/json',
+    read: async (fishbowl) => models.normalizeProducts(await fishbowl.getProducts())
+  }
+];
+
+const resourceTemplates = [
+  {
+    uriTemplate: 'fishbowl://parts/{partNumber}/inventory',
+    name: 'part-inventory',
+    title: 'Part inventory',
+    description: 'Inventory quantities for a single part',
+    mimeType: 'application/json',
+    pattern: /^fishbowl:\/\/parts\/([^/]+)\/inventory$/,
+    read: async (fishbowl, match) => {
+      const partNumber = decodeURIComponent(match[1]);
+      return models.normalizeInventory(await fishbowl.getInventory(partNumber), partNumber);
+    }
+  }
+];
+
+/**
+ * Transport-independent MCP server. Transports hand it parsed JSON-RPC
+ * messages and write back whatever it returns.
+ */
+class McpServer {
+  constructor(fishbowl, options = {}) {
+    this.fishbowl = fishbowl;
+    // Audit log for write tools (optional)
+    this.audit = options.audit || null;
+    this.serverInfo = {
+      name: options.name || 'fishbowl-mcp-server',
+      version: options.version || '1.0.0'
+    };
+  }
+
+  /**
+   * Handle a single message or a batch. Returns the response (or array of
+   * responses), or null when the input contained only notifications.
+   * context.principal, when set, limits the tools and resources available
+   * to the scopes of the authenticated caller.
+   */
+  async handle(payload, context = {}) {
+    if (Array.isArray(payload)) {
+      if (payload.length === 0) {
+        return errorResponse(null, new JsonRpcError(INVALID_REQUEST, 'Empty batch'));
+      }
+      const responses = [];
+      for (const message of payload) {
+        const response = await this.handleMessage(message, context);
+        if (response) {
+          responses.push(response);
+        }
+      }
+      return responses.length > 0 ? responses : null;
+    }
+    return this.handleMessage(payload, context);
+  }
+
+  async handleMessage(message, context = {}) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0' ||
+        typeof message.method !== 'string') {
+      // Responses sent by the client (we never issue requests) are ignored
+      if (message && message.jsonrpc === '2.0' && message.method === undefined &&
+          (message.result !== undefined || message.error !== undefined)) {
+        return null;
+      }
+      return errorResponse(message && message.id !== undefined ? message.id : null,
+        new JsonRpcError(INVALID_REQUEST, 'Invalid JSON-RPC request'));
+    }
+
+    const isNotification = message.id === undefined;
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, context);
+      if (isNotification) {
+        return null;
+      }
+      return { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        logger.error('Error handling MCP notification', { method: message.method, error });
+        return null;
+      }
+      return errorResponse(message.id, error);
+    }
+  }
+
+  async dispatch(method, params, context) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params);
+
+      case 'notifications/initialized':
+      case 'notifications/cancelled':
+        return {};
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return { tools: listTools(context.principal) };
+
+      case 'tools/call':
+        return this.callTool(params, context);
+
+      case 'resources/list':
+        return {
+          resources: resources.map(({ read, ...resource }) => resource)
+        };
+
+      case 'resources/templates/list':
+        return {
+          resourceTemplates: resourceTemplates.map(({ read, pattern, ...template }) => template)
+        };
+
+      case 'resources/read':
+        return this.readResource(params, context);
+
+      default:
+        throw new JsonRpcError(METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  initialize(params) {
+    const requested = params.protocolVersion;
+    const protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ?
+      requested : LATEST_PROTOCOL_VERSION;
+
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: false, listChanged: false }
+      },
+      serverInfo: this.serverInfo,
+      instructions: 'Tools and resources for reading and updating Fishbowl Inventory data.'
+    };
+  }
+
+  async callTool(params, context = {}) {
+    const { name } = params;
+    const args = params.arguments || {};
+
+    if (!name || !Object.prototype.hasOwnProperty.call(commands, name)) {
+      throw new JsonRpcError(INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+    if (typeof args !== 'object' || Array.isArray(args)) {
+      throw new JsonRpcError(INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+
+    // Tool failures are reported in the result so the model can see them
+    try {
+      const result = await executeCommand(this.fishbowl, name, args, {
+        principal: context.principal,
+        audit: this.audit,
+        source: 'mcp'
+      });
+      return {
+        content: [{ type: 'text', text: JSON.stringify(result) }],
+        structuredContent: result
+      };
+    } catch (error) {
+      return {
+        content: [{ type: 'text', text: error.message }],
+        isError: true
+      };
+    }
+  }
+
+  async readResource(params, context = {}) {
+    const { uri } = params;
+    if (typeof uri !== 'string') {
+      throw new JsonRpcError(INVALID_PARAMS, 'Resource uri is required');
+    }
+    if (context.principal !== undefined) {
+      assertScope(context.principal, SCOPES.INVENTORY_READ);
+    }
+
+    let data;
+    const resource = resources.find(r => r.uri === uri);
+    if (resource) {
+      data = await resource.read(this.fishbowl);
+    } else {
+      const template = resourceTemplates.find(t => t.pattern.test(uri));
+      if (!template) {
+        throw new JsonRpcError(-32002, `Resource not found: ${uri}`, { uri });
+      }
+      data = await template.read(this.fishbowl, uri.match(template.pattern));
+    }
+
+    return {
+      contents: [{
+        uri,
+        mimeType: 'application/json',
+        text: JSON.stringify(data)
+      }]
+    };
+  }
+}
+
+function listTools(principal) {
+  return Object.entries(commands)
+    .filter(([, command]) => principal === undefined || hasScope(principal, command.scope))
+    .map(([name, command]) => ({
+      name,
+      description: command.description,
+      inputSchema: command.inputSchema,
+      outputSchema: command.outputSchema
+    }));
+}
+
+function errorResponse(id, error) {
+  const code = error instanceof JsonRpcError ? error.code : INTERNAL_ERROR;
+  const body = { code, message: error.message };
+  if (error instanceof JsonRpcError && error.data !== undefined) {
+    body.data = error.data;
+  }
+  return { jsonrpc: '2.0', id, error: body };
+}
+
+module.exports = {
+  McpServer,
+  JsonRpcError,
+  errorResponse,
+  PARSE_ERROR,
+  INVALID_REQUEST,
+  LATEST_PROTOCOL_VERSION
+};
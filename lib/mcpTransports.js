@@ -0,0 +1,179 @@
+// mcpTransports.js - stdio and streamable HTTP transports for the MCP server
+
+const crypto = require('crypto');
+const express = require('express');
+const readline = require('readline');
+const { preserveContext } = require('./requestContext');
+const { errorResponse, JsonRpcError, PARSE_ERROR, INVALID_REQUEST } = require('./mcpServer');
+
+const principalId = (req) => (req.principal ? req.principal.id : null);
+
+/**
+ * Streamable HTTP transport. Clients POST JSON-RPC messages to the mounted
+ * path and receive the response as application/json. A session id is issued
+ * on initialize and must be echoed in the Mcp-Session-Id header afterwards.
+ * Sessions belong to the caller (req.principal, set by options.authenticate)
+ * that opened them. mcpServer may be a function returning the server for a
+ * request, such as the one of the Fishbowl instance it chose.
+ *
+ * Clients often never end their session, so a session unused for
+ * sessionTtlMs (MCP_SESSION_TTL_MS) expires, and beyond maxSessions
+ * (MCP_MAX_SESSIONS) the least recently used one is dropped. A client whose
+ * session is gone gets a 404 and initializes again.
+ */
+function createMcpHttpRouter(mcpServer, options = {}) {
+  const router = express.Router();
+  const serverFor = typeof mcpServer === 'function' ? mcpServer : () => mcpServer;
+  const authenticate = options.authenticate || ((req, res, next) => next());
+  const sessionTtlMs = options.sessionTtlMs !== undefined ? options.sessionTtlMs :
+    (parseInt(process.env.MCP_SESSION_TTL_MS) || 30 * 60 * 1000);
+  const maxSessions = options.maxSessions !== undefined ? options.maxSessions :
+    (parseInt(process.env.MCP_MAX_SESSIONS) || 1000);
+
+  // Session id -> { principal id that opened it, lastUsed }, least recently used first
+  const sessions = new Map();
+
+  const findSession = (sessionId) => {
+    const session = sessions.get(sessionId);
+    if (session && Date.now() - session.lastUsed >= sessionTtlMs) {
+      sessions.delete(sessionId);
+      return null;
+    }
+    return session || null;
+  };
+
+  const touchSession = (sessionId, session) => {
+    session.lastUsed = Date.now();
+    sessions.delete(sessionId);
+    sessions.set(sessionId, session);
+  };
+
+  const openSession = (principal) => {
+    const now = Date.now();
+    for (const [id, session] of sessions) {
+      if (now - session.lastUsed < sessionTtlMs && sessions.size < maxSessions) {
+        break;
+      }
+      sessions.delete(id);
+    }
+    const sessionId = crypto.randomUUID();
+    sessions.set(sessionId, { principal, lastUsed: now });
+    return sessionId;
+  };
+
+  router.post('/', authenticate, preserveContext(express.json({ limit: '1mb' })), async (req, res, next) => {
+    let server;
+    try {
+      server = serverFor(req);
+    } catch (error) {
+      return next(error);
+    }
+    const payload = req.body;
+    const messages = Array.isArray(payload) ? payload : [payload];
+    const isInitialize = messages.some(m => m && m.method === 'initialize');
+
+    if (isInitialize && messages.length > 1) {
+      return res.status(400).json(errorResponse(null,
+        new JsonRpcError(INVALID_REQUEST, 'initialize must not be part of a batch')));
+    }
+
+    const sessionId = req.get('Mcp-Session-Id');
+    if (!isInitialize) {
+      if (!sessionId) {
+        return res.status(400).json(errorResponse(null,
+          new JsonRpcError(INVALID_REQUEST, 'Missing Mcp-Session-Id header')));
+      }
+      const session = findSession(sessionId);
+      if (!session || session.principal !== principalId(req)) {
+        return res.status(404).json(errorResponse(null,
+          new JsonRpcError(INVALID_REQUEST, 'Unknown or expired MCP session')));
+      }
+      touchSession(sessionId, session);
+    }
+
+    const response = await server.handle(payload, { principal: req.principal });
+
+    if (isInitialize && response && !response.error) {
+      res.set('Mcp-Session-Id', openSession(principalId(req)));
+    }
+
+    // Notifications and client responses are acknowledged without a body
+    if (response === null) {
+      return res.status(202).end();
+    }
+    res.json(response);
+  });
+
+  // We do not offer a server-initiated SSE stream
+  router.get('/', (req, res) => {
+    res.set('Allow', 'POST, DELETE').status(405).end();
+  });
+
+  router.delete('/', authenticate, (req, res) => {
+    const sessionId = req.get('Mcp-Session-Id');
+    const session = sessionId ? findSession(sessionId) : null;
+    if (!session || session.principal !== principalId(req)) {
+      return res.status(404).end();
+    }
+    sessions.delete(sessionId);
+    res.status(204).end();
+  });
+
+  // Malformed JSON bodies are reported as JSON-RPC parse errors
+  router.use((err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+      return res.status(400).json(errorResponse(null, new JsonRpcError(PARSE_ERROR, 'Parse error')));
+    }
+    next(err);
+  });
+
+  return router;
+}
+
+/**
+ * stdio transport: newline-delimited JSON-RPC messages on input, responses
+ * written to output. Anything else the process logs must go to stderr.
+ * Resolves once input has closed and every pending message was answered.
+ */
+function serveStdio(mcpServer, input = process.stdin, output = process.stdout) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  const write = (message) => {
+    output.write(JSON.stringify(message) + '\n');
+  };
+
+  const handleLine = async (line) => {
+    let payload;
+    try {
+      payload = JSON.parse(line);
+    } catch (error) {
+      write(errorResponse(null, new JsonRpcError(PARSE_ERROR, 'Parse error')));
+      return;
+    }
+
+    const response = await mcpServer.handle(payload);
+    if (response !== null) {
+      write(response);
+    }
+  };
+
+  lines.on('line', (line) => {
+    if (!line.trim()) {
+      return;
+    }
+    const task = handleLine(line).finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  return new Promise((resolve) => {
+    lines.on('close', () => {
+      Promise.all(pending).then(() => resolve());
+    });
+  });
+}
+
+module.exports = {
+  createMcpHttpRouter,
+  serveStdio
+};
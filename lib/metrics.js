@@ -0,0 +1,172 @@
+// metrics.js - Prometheus metrics in the text exposition format
+
+// Latency buckets in seconds, from a cached read to a slow bulk query
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+const formatValue = (value) => (Number.isFinite(value) ? String(value) : (value > 0 ? '+Inf' : (value < 0 ? '-Inf' : 'NaN')));
+
+/**
+ * Base for the metric types: a name, help text and label names, with one
+ * series per distinct combination of label values
+ */
+class Metric {
+  constructor(type, name, help, labelNames = []) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  labels(values = {}) {
+    return Object.fromEntries(this.labelNames.map(name => [name, values[name] !== undefined ? values[name] : '']));
+  }
+
+  seriesFor(values, create) {
+    const labels = this.labels(values);
+    const key = JSON.stringify(labels);
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels, ...create() });
+    }
+    return this.series.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, amount = 1) {
+    this.seriesFor(labels, () => ({ value: 0 })).value += amount;
+  }
+
+  render() {
+    return [...this.header(), ...[...this.series.values()]
+      .map(series => `${this.name}${labelText(series.labels)} ${formatValue(series.value)}`)];
+  }
+}
+
+/**
+ * A gauge read when the metrics are rendered: collect() returns
+ * [{ labels, value }] (or a number for a gauge without labels)
+ */
+class Gauge extends Metric {
+  constructor(name, help, labelNames, collect) {
+    super('gauge', name, help, labelNames);
+    this.collect = collect;
+  }
+
+  render() {
+    const collected = this.collect();
+    const samples = typeof collected === 'number' ? [{ labels: {}, value: collected }] : collected;
+    return [...this.header(), ...samples
+      .map(sample => `${this.name}${labelText(this.labels(sample.labels))} ${formatValue(sample.value)}`)];
+  }
+}
+
+class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const series = this.seriesFor(labels, () => ({ counts: this.buckets.map(() => 0), sum: 0, count: 0 }));
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * Start a timer; calling the returned function observes the seconds
+   * elapsed with the labels given then merged over these
+   */
+  startTimer(labels = {}) {
+    const started = process.hrtime.bigint();
+    return (more = {}) => this.observe({ ...labels, ...more }, Number(process.hrtime.bigint() - started) / 1e9);
+  }
+
+  render() {
+    const lines = this.header();
+    for (const series of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${labelText({ ...series.labels, le: formatValue(bound) })} ${series.counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${labelText({ ...series.labels, le: '+Inf' })} ${series.count}`);
+      lines.push(`${this.name}_sum${labelText(series.labels)} ${formatValue(series.sum)}`);
+      lines.push(`${this.name}_count${labelText(series.labels)} ${series.count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * A set of metrics rendered together for GET /metrics
+ */
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  add(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  counter(name, help, labelNames) {
+    return this.add(new Counter(name, help, labelNames));
+  }
+
+  gauge(name, help, labelNames, collect) {
+    return this.add(new Gauge(name, help, labelNames, collect));
+  }
+
+  histogram(name, help, labelNames, buckets) {
+    return this.add(new Histogram(name, help, labelNames, buckets));
+  }
+
+  render() {
+    return `${[...this.metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+  }
+}
+
+// Process-wide registry, with the metrics recorded outside server.js
+const registry = new Registry();
+
+const metrics = {
+  httpRequestDuration: registry.histogram('http_request_duration_seconds',
+    'HTTP request latency by method, route and status code', ['method', 'route', 'status']),
+  fishbowlRequestDuration: registry.histogram('fishbowl_request_duration_seconds',
+    'Fishbowl round-trip latency by instance, message type and Fishbowl status code (or "error" when no answer came)',
+    ['instance', 'message', 'status']),
+  fishbowlReconnects: registry.counter('fishbowl_reconnects_total',
+    'Times a dropped Fishbowl socket was re-opened, by instance', ['instance']),
+  fishbowlLogins: registry.counter('fishbowl_logins_total',
+    'Fishbowl session logins by instance and result', ['instance', 'result'])
+};
+
+module.exports = {
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8',
+  Registry,
+  registry,
+  metrics
+};
@@ -0,0 +1,732 @@
+// models.js - Normalized JSON models for Fishbowl responses
+//
+// xml2js wraps every value in an array and leaves everything as strings.
+// These functions map the parsed FbiXml into stable JSON objects with real
+// numbers, booleans, ISO dates and arrays, and describe each model with a
+// JSON Schema.
+
+// Fishbowl purchase order status IDs
+const PO_STATUSES = {
+  10: 'Bid Request',
+  15: 'Pending Approval',
+  20: 'Issued',
+  30: 'Picking',
+  40: 'Partial',
+  50: 'Picked',
+  55: 'Shipped',
+  60: 'Fulfilled',
+  70: 'Closed Short',
+  80: 'Void',
+  95: 'Historical'
+};
+
+// Fishbowl manufacture order status IDs
+const MO_STATUSES = {
+  10: 'Entered',
+  20: 'Issued',
+  30: 'Partial',
+  40: 'Fulfilled',
+  60: 'Closed Short',
+  70: 'Void',
+  80: 'Historical'
+};
+
+// Manufacture order and bill of materials item type IDs
+const MO_ITEM_TYPES = {
+  10: 'Finished Good',
+  20: 'Raw Good',
+  30: 'Repair Raw Good',
+  31: 'Repair Finished Good',
+  40: 'Note',
+  50: 'Bill of Materials'
+};
+
+/**
+ * First scalar value found under any of the given element names
+ */
+function value(element, names) {
+  if (!element || typeof element !== 'object') {
+    return null;
+  }
+  for (const name of [].concat(names)) {
+    let found = element[name];
+    if (found === undefined && element.$) {
+      found = element.$[name];
+    }
+    if (found === undefined) {
+      continue;
+    }
+    if (Array.isArray(found)) {
+      found = found[0];
+    }
+    if (found && typeof found === 'object') {
+      // Element with attributes: <Num foo="x">123</Num>
+      found = found._;
+    }
+    if (found === undefined || found === null) {
+      continue;
+    }
+    const text = String(found).trim();
+    if (text !== '') {
+      return text;
+    }
+  }
+  return null;
+}
+
+function string(element, names) {
+  return value(element, names);
+}
+
+function number(element, names) {
+  const text = value(element, names);
+  if (text === null) {
+    return null;
+  }
+  const parsed = Number(text);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+function integer(element, names) {
+  const parsed = number(element, names);
+  return parsed === null ? null : Math.trunc(parsed);
+}
+
+function boolean(element, names) {
+  const text = value(element, names);
+  if (text === null) {
+    return null;
+  }
+  return ['true', '1', 'yes', 'y'].includes(text.toLowerCase());
+}
+
+function date(element, names) {
+  const text = value(element, names);
+  if (text === null) {
+    return null;
+  }
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? text : parsed.toISOString();
+}
+
+/**
+ * Child elements named name, looked up directly or inside a wrapper
+ * element (e.g. Parts > Part)
+ */
+function children(element, name, wrapper = null) {
+  if (!element || typeof element !== 'object') {
+    return [];
+  }
+  if (wrapper && element[wrapper]) {
+    return element[wrapper].flatMap(w => (w && typeof w === 'object' && w[name]) ? w[name] : []);
+  }
+  return Array.isArray(element[name]) ? element[name] : [];
+}
+
+function child(element, name) {
+  const found = children(element, name);
+  return found.length > 0 ? found[0] : null;
+}
+
+/**
+ * The named *Rs element of a response
+ */
+function responseElement(result, rsName) {
+  const msgsRs = result && result.FbiXml && result.FbiXml.FbiMsgsRs ?
+    result.FbiXml.FbiMsgsRs[0] : null;
+  return child(msgsRs, rsName);
+}
+
+function status(element, statuses) {
+  const raw = value(element, ['StatusID', 'Status']);
+  if (raw === null) {
+    return { statusId: null, status: null };
+  }
+  const id = Number(raw);
+  if (Number.isInteger(id)) {
+    return { statusId: id, status: statuses[id] || raw };
+  }
+  const match = Object.entries(statuses).find(([, name]) => name.toLowerCase() === raw.toLowerCase());
+  return { statusId: match ? Number(match[0]) : null, status: raw };
+}
+
+function uom(element) {
+  const uomElement = child(element, 'UOM');
+  if (uomElement && typeof uomElement === 'object') {
+    return string(uomElement, ['Code', 'Abbreviation', 'Name']);
+  }
+  return string(element, ['UOMCode', 'UOM']);
+}
+
+function toPartTracking(element) {
+  return {
+    id: integer(element, ['PartTrackingID', 'ID']),
+    name: string(element, 'Name'),
+    abbreviation: string(element, 'Abbr'),
+    description: string(element, 'Description'),
+    typeId: integer(element, 'TrackingTypeID'),
+    primary: boolean(element, 'Primary') === true,
+    active: boolean(element, 'Active') !== false
+  };
+}
+
+function toPart(element) {
+  const tracking = children(element, 'PartTracking', 'PartTrackingList').map(toPartTracking);
+  return {
+    id: integer(element, ['PartID', 'ID']),
+    number: string(element, ['Num', 'Number', 'PartNum']),
+    description: string(element, 'Description'),
+    details: string(element, 'Details'),
+    upc: string(element, 'UPC'),
+    uom: uom(element),
+    typeId: integer(element, 'TypeID'),
+    standardCost: number(element, 'StandardCost'),
+    active: boolean(element, ['ActiveFlag', 'Active']) !== false,
+    serialized: boolean(element, 'SerializedFlag') === true,
+    tracked: boolean(element, 'TrackingFlag') === true || tracking.length > 0,
+    hasBom: boolean(element, 'HasBOM') === true,
+    weight: number(element, 'Weight'),
+    width: number(element, 'Width'),
+    height: number(element, 'Height'),
+    length: number(element, ['Len', 'Length']),
+    vendor: string(element, ['DefaultVendor', 'VendorName']),
+    tracking,
+    createdAt: date(element, 'DateCreated'),
+    updatedAt: date(element, 'DateLastModified')
+  };
+}
+
+function toProduct(element) {
+  const part = child(element, 'Part');
+  return {
+    id: integer(element, ['ID', 'ProductID']),
+    number: string(element, ['Num', 'Number']),
+    partId: integer(element, 'PartID'),
+    partNumber: part ? string(part, ['Num', 'Number']) : string(element, 'PartNum'),
+    description: string(element, 'Description'),
+    details: string(element, 'Details'),
+    upc: string(element, 'UPC'),
+    sku: string(element, 'SKU'),
+    uom: uom(element),
+    price: number(element, 'Price'),
+    active: boolean(element, ['ActiveFlag', 'Active']) !== false,
+    taxable: boolean(element, 'TaxableFlag') === true,
+    weight: number(element, 'Weight'),
+    createdAt: date(element, 'DateCreated'),
+    updatedAt: date(element, 'DateLastModified')
+  };
+}
+
+function toLocation(element) {
+  return {
+    id: integer(element, ['LocationID', 'ID']),
+    name: string(element, ['Name', 'LocationName']),
+    description: string(element, 'Description'),
+    locationGroupId: integer(element, 'LocationGroupID'),
+    locationGroup: string(element, ['LocationGroupName', 'LocationGroup']),
+    typeId: integer(element, ['TypeID', 'LocationTypeID']),
+    active: boolean(element, ['ActiveFlag', 'Active']) !== false,
+    pickable: boolean(element, ['PickableFlag', 'Pickable']) !== false,
+    receivable: boolean(element, ['ReceivableFlag', 'Receivable']) !== false
+  };
+}
+
+function toInventoryQuantity(element) {
+  return {
+    partNumber: string(element, ['PartNum', 'PartNumber']),
+    locationGroup: string(element, ['LocationGroup', 'LocationGroupName']),
+    location: string(element, ['Location', 'LocationName']),
+    quantityOnHand: number(element, ['QtyOnHand', 'Quantity', 'OnHand']) || 0,
+    quantityAvailable: number(element, ['QtyAvailable', 'AvailableQty', 'Available']),
+    quantityAllocated: number(element, ['QtyAllocated', 'Allocated']),
+    quantityOnOrder: number(element, ['QtyOnOrder', 'OnOrder']),
+    uom: uom(element)
+  };
+}
+
+function toPurchaseOrderItem(element) {
+  return {
+    id: integer(element, 'ID'),
+    lineNumber: integer(element, 'LineNumber'),
+    partNumber: string(element, ['PartNumber', 'PartNum']),
+    vendorPartNumber: string(element, 'VendorPartNumber'),
+    description: string(element, ['PartDescription', 'Description']),
+    quantity: number(element, ['QuantityToFulfill', 'Quantity']),
+    quantityFulfilled: number(element, 'QuantityFulfilled') || 0,
+    quantityPicked: number(element, 'QuantityPicked') || 0,
+    unitCost: number(element, 'UnitCost'),
+    totalCost: number(element, 'TotalCost'),
+    uom: uom(element),
+    status: string(element, ['ItemStatus', 'Status']),
+    scheduledDate: date(element, ['DateScheduledFulfillment', 'DateScheduled'])
+  };
+}
+
+function toPurchaseOrder(element) {
+  return {
+    id: integer(element, 'ID'),
+    number: string(element, ['Number', 'Num', 'PONum']),
+    ...status(element, PO_STATUSES),
+    vendor: string(element, ['VendorName', 'Vendor']),
+    vendorId: integer(element, 'VendorID'),
+    vendorContact: string(element, 'VendorContact'),
+    buyer: string(element, ['BuyerName', 'Buyer']),
+    carrier: string(element, ['CarrierName', 'Carrier']),
+    locationGroup: string(element, ['LocationGroup', 'LocationGroupName']),
+    totalCost: number(element, ['TotalCost', 'Total']),
+    createdAt: date(element, ['CreatedDate', 'DateCreated']),
+    issuedAt: date(element, ['IssuedDate', 'DateIssued']),
+    scheduledAt: date(element, ['ScheduledDate', 'DateScheduled']),
+    completedAt: date(element, ['DateCompleted', 'FulfillmentDate']),
+    items: children(element, 'PurchaseOrderItem', 'Items').map(toPurchaseOrderItem)
+  };
+}
+
+function toManufactureOrderItem(element) {
+  const typeId = integer(element, 'TypeID');
+  return {
+    id: integer(element, 'ID'),
+    typeId,
+    type: typeId !== null ? (MO_ITEM_TYPES[typeId] || null) : string(element, 'Type'),
+    partNumber: string(element, ['PartNum', 'PartNumber']),
+    description: string(element, 'Description'),
+    quantity: number(element, ['Qty', 'Quantity', 'QtyTarget']),
+    quantityUsed: number(element, ['QtyUsed', 'QuantityUsed']) || 0,
+    uom: uom(element)
+  };
+}
+
+function toManufactureOrder(element) {
+  return {
+    id: integer(element, 'ID'),
+    number: string(element, ['Num', 'Number', 'MONum']),
+    ...status(element, MO_STATUSES),
+    locationGroup: string(element, ['LocationGroup', 'LocationGroupName']),
+    note: string(element, ['Note', 'Notes']),
+    createdAt: date(element, 'DateCreated'),
+    issuedAt: date(element, 'DateIssued'),
+    scheduledAt: date(element, 'DateScheduled'),
+    completedAt: date(element, 'DateCompleted'),
+    items: children(element, 'MOItem', 'MOItems')
+      .concat(children(element, 'ManufactureOrderItem', 'Items'))
+      .map(toManufactureOrderItem)
+  };
+}
+
+function toBomItem(element) {
+  const typeId = integer(element, 'TypeID');
+  return {
+    id: integer(element, ['ID', 'BOMItemID']),
+    typeId,
+    type: typeId !== null ? (MO_ITEM_TYPES[typeId] || null) : string(element, 'Type'),
+    partNumber: string(element, ['PartNum', 'PartNumber']),
+    description: string(element, 'Description'),
+    quantity: number(element, ['Quantity', 'Qty']),
+    uom: uom(element)
+  };
+}
+
+function toBom(element) {
+  return {
+    id: integer(element, ['ID', 'BOMID']),
+    number: string(element, ['Num', 'Number']),
+    description: string(element, 'Description'),
+    revision: string(element, 'Revision'),
+    active: boolean(element, ['ActiveFlag', 'Active']) !== false,
+    items: children(element, 'BOMItem', 'BOMItems').map(toBomItem)
+  };
+}
+
+/**
+ * The records of a list response one at a time, each normalized with
+ * toRecord as it is read, so no array of every normalized record is built
+ */
+function* eachRecord(result, rsName, name, wrapper, toRecord) {
+  for (const element of children(responseElement(result, rsName), name, wrapper)) {
+    yield toRecord(element);
+  }
+}
+
+// Normalizers for the result of each client method
+
+function normalizeParts(result) {
+  const rs = responseElement(result, 'PartGetRs');
+  const parts = children(rs, 'Part', 'Parts');
+  return { parts: parts.map(toPart) };
+}
+
+function normalizeProducts(result) {
+  const rs = responseElement(result, 'ProductGetRs');
+  const products = children(rs, 'Product', 'Products');
+  return { products: products.map(toProduct) };
+}
+
+function normalizeLocations(result) {
+  const rs = responseElement(result, 'LocationListRs');
+  const locations = children(rs, 'Location', 'Locations');
+  return { locations: locations.map(toLocation) };
+}
+
+function normalizeInventory(result, partNumber = null) {
+  const rs = responseElement(result, 'PartQuantityRs');
+  const quantities = children(rs, 'PartQuantity', 'PartQuantities').map(toInventoryQuantity);
+  const sum = (field) => quantities.reduce((total, q) => total + (q[field] || 0), 0);
+
+  return {
+    partNumber: partNumber || (quantities.length > 0 ? quantities[0].partNumber : null),
+    totalOnHand: sum('quantityOnHand'),
+    totalAvailable: quantities.some(q => q.quantityAvailable !== null) ? sum('quantityAvailable') : null,
+    quantities
+  };
+}
+
+function normalizePurchaseOrders(result) {
+  const rs = responseElement(result, 'PurchaseOrderQueryRs');
+  const orders = children(rs, 'PurchaseOrder', 'PurchaseOrders');
+  return { purchaseOrders: orders.map(toPurchaseOrder) };
+}
+
+function normalizeManufactureOrders(result) {
+  const rs = responseElement(result, 'ManufactureOrderQueryRs');
+  const orders = children(rs, 'ManufactureOrder', 'ManufactureOrders');
+  return { manufactureOrders: orders.map(toManufactureOrder) };
+}
+
+/**
+ * The purchase order a write answers with, in its rsName element
+ */
+function normalizePurchaseOrderResponse(result, rsName) {
+  const rs = responseElement(result, rsName);
+  const order = child(rs, 'PurchaseOrder');
+  return { purchaseOrder: order ? toPurchaseOrder(order) : null };
+}
+
+function normalizePurchaseOrderSave(result) {
+  return normalizePurchaseOrderResponse(result, 'SavePORs');
+}
+
+/**
+ * The manufacture order a write answers with, in its rsName element
+ */
+function normalizeManufactureOrderResponse(result, rsName) {
+  const rs = responseElement(result, rsName);
+  const order = child(rs, 'ManufactureOrder');
+  return { manufactureOrder: order ? toManufactureOrder(order) : null };
+}
+
+function normalizeBom(result) {
+  const rs = responseElement(result, 'BOMGetRs');
+  const bom = child(rs, 'BOM');
+  return { bom: bom ? toBom(bom) : null };
+}
+
+function normalizeInventoryAdd(result) {
+  const rs = responseElement(result, 'InventoryAddRs');
+  return {
+    success: true,
+    statusCode: rs ? string(rs, 'statusCode') || string(rs, 'StatusCode') : null
+  };
+}
+
+// JSON Schemas for the models above
+
+const nullable = (type) => ({ type: [type, 'null'] });
+
+const partSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    number: nullable('string'),
+    description: nullable('string'),
+    details: nullable('string'),
+    upc: nullable('string'),
+    uom: nullable('string'),
+    typeId: nullable('integer'),
+    standardCost: nullable('number'),
+    active: { type: 'boolean' },
+    serialized: { type: 'boolean' },
+    tracked: { type: 'boolean' },
+    hasBom: { type: 'boolean' },
+    weight: nullable('number'),
+    width: nullable('number'),
+    height: nullable('number'),
+    length: nullable('number'),
+    vendor: nullable('string'),
+    tracking: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          name: nullable('string'),
+          abbreviation: nullable('string'),
+          description: nullable('string'),
+          typeId: nullable('integer'),
+          primary: { type: 'boolean' },
+          active: { type: 'boolean' }
+        }
+      }
+    },
+    createdAt: nullable('string'),
+    updatedAt: nullable('string')
+  }
+};
+
+const productSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    number: nullable('string'),
+    partId: nullable('integer'),
+    partNumber: nullable('string'),
+    description: nullable('string'),
+    details: nullable('string'),
+    upc: nullable('string'),
+    sku: nullable('string'),
+    uom: nullable('string'),
+    price: nullable('number'),
+    active: { type: 'boolean' },
+    taxable: { type: 'boolean' },
+    weight: nullable('number'),
+    createdAt: nullable('string'),
+    updatedAt: nullable('string')
+  }
+};
+
+const locationSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    name: nullable('string'),
+    description: nullable('string'),
+    locationGroupId: nullable('integer'),
+    locationGroup: nullable('string'),
+    typeId: nullable('integer'),
+    active: { type: 'boolean' },
+    pickable: { type: 'boolean' },
+    receivable: { type: 'boolean' }
+  }
+};
+
+const inventoryQuantitySchema = {
+  type: 'object',
+  properties: {
+    partNumber: nullable('string'),
+    locationGroup: nullable('string'),
+    location: nullable('string'),
+    quantityOnHand: { type: 'number' },
+    quantityAvailable: nullable('number'),
+    quantityAllocated: nullable('number'),
+    quantityOnOrder: nullable('number'),
+    uom: nullable('string')
+  }
+};
+
+const purchaseOrderSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    number: nullable('string'),
+    statusId: nullable('integer'),
+    status: nullable('string'),
+    vendor: nullable('string'),
+    vendorId: nullable('integer'),
+    vendorContact: nullable('string'),
+    buyer: nullable('string'),
+    carrier: nullable('string'),
+    locationGroup: nullable('string'),
+    totalCost: nullable('number'),
+    createdAt: nullable('string'),
+    issuedAt: nullable('string'),
+    scheduledAt: nullable('string'),
+    completedAt: nullable('string'),
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          lineNumber: nullable('integer'),
+          partNumber: nullable('string'),
+          vendorPartNumber: nullable('string'),
+          description: nullable('string'),
+          quantity: nullable('number'),
+          quantityFulfilled: { type: 'number' },
+          quantityPicked: { type: 'number' },
+          unitCost: nullable('number'),
+          totalCost: nullable('number'),
+          uom: nullable('string'),
+          status: nullable('string'),
+          scheduledDate: nullable('string')
+        }
+      }
+    }
+  }
+};
+
+const manufactureOrderSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    number: nullable('string'),
+    statusId: nullable('integer'),
+    status: nullable('string'),
+    locationGroup: nullable('string'),
+    note: nullable('string'),
+    createdAt: nullable('string'),
+    issuedAt: nullable('string'),
+    scheduledAt: nullable('string'),
+    completedAt: nullable('string'),
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          typeId: nullable('integer'),
+          type: nullable('string'),
+          partNumber: nullable('string'),
+          description: nullable('string'),
+          quantity: nullable('number'),
+          quantityUsed: { type: 'number' },
+          uom: nullable('string')
+        }
+      }
+    }
+  }
+};
+
+const bomSchema = {
+  type: 'object',
+  properties: {
+    id: nullable('integer'),
+    number: nullable('string'),
+    description: nullable('string'),
+    revision: nullable('string'),
+    active: { type: 'boolean' },
+    items: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          id: nullable('integer'),
+          typeId: nullable('integer'),
+          type: nullable('string'),
+          partNumber: nullable('string'),
+          description: nullable('string'),
+          quantity: nullable('number'),
+          uom: nullable('string')
+        }
+      }
+    }
+  }
+};
+
+const schemas = {
+  part: partSchema,
+  product: productSchema,
+  location: locationSchema,
+  inventoryQuantity: inventoryQuantitySchema,
+  purchaseOrder: purchaseOrderSchema,
+  manufactureOrder: manufactureOrderSchema,
+  bom: bomSchema,
+  bomGet: {
+    type: 'object',
+    properties: { bom: { anyOf: [bomSchema, { type: 'null' }] } },
+    required: ['bom']
+  },
+  parts: {
+    type: 'object',
+    properties: { parts: { type: 'array', items: partSchema } },
+    required: ['parts']
+  },
+  products: {
+    type: 'object',
+    properties: { products: { type: 'array', items: productSchema } },
+    required: ['products']
+  },
+  locations: {
+    type: 'object',
+    properties: { locations: { type: 'array', items: locationSchema } },
+    required: ['locations']
+  },
+  inventory: {
+    type: 'object',
+    properties: {
+      partNumber: nullable('string'),
+      totalOnHand: { type: 'number' },
+      totalAvailable: nullable('number'),
+      quantities: { type: 'array', items: inventoryQuantitySchema }
+    },
+    required: ['partNumber', 'totalOnHand', 'quantities']
+  },
+  purchaseOrders: {
+    type: 'object',
+    properties: { purchaseOrders: { type: 'array', items: purchaseOrderSchema } },
+    required: ['purchaseOrders']
+  },
+  manufactureOrders: {
+    type: 'object',
+    properties: { manufactureOrders: { type: 'array', items: manufactureOrderSchema } },
+    required: ['manufactureOrders']
+  },
+  purchaseOrderSave: {
+    type: 'object',
+    properties: { purchaseOrder: { anyOf: [purchaseOrderSchema, { type: 'null' }] } },
+    required: ['purchaseOrder']
+  },
+  manufactureOrderSave: {
+    type: 'object',
+    properties: { manufactureOrder: { anyOf: [manufactureOrderSchema, { type: 'null' }] } },
+    required: ['manufactureOrder']
+  },
+  manufactureOrderDelete: {
+    type: 'object',
+    properties: {
+      number: { type: 'string' },
+      deleted: { type: 'boolean' }
+    },
+    required: ['number', 'deleted']
+  },
+  purchaseOrderDelete: {
+    type: 'object',
+    properties: {
+      number: { type: 'string' },
+      deleted: { type: 'boolean' }
+    },
+    required: ['number', 'deleted']
+  },
+  inventoryAdd: {
+    type: 'object',
+    properties: {
+      success: { type: 'boolean' },
+      statusCode: nullable('string')
+    },
+    required: ['success']
+  }
+};
+
+module.exports = {
+  PO_STATUSES,
+  MO_STATUSES,
+  schemas,
+  normalizeParts,
+  normalizeProducts,
+  normalizeLocations,
+  normalizeInventory,
+  normalizePurchaseOrders,
+  normalizeManufactureOrders,
+  normalizePurchaseOrderResponse,
+  normalizePurchaseOrderSave,
+  normalizeManufactureOrderResponse,
+  normalizeBom,
+  normalizeInventoryAdd,
+  eachRecord,
+  toPart,
+  toProduct,
+  toLocation,
+  toInventoryQuantity,
+  toPurchaseOrder,
+  toManufactureOrder,
+  toBom
+};
@@ -0,0 +1,102 @@
+// purchaseOrders.js - Purchase order lifecycle: which changes each status allows
+
+const models = require('./models');
+const { ValidationError, NotFoundError, ConflictError } = require('../errorHandeling');
+
+/**
+ * Changes to a purchase order and the statuses (IDs from PO_STATUSES) that
+ * allow them, following Fishbowl's rules:
+ *
+ *   update      Bid Request, Pending Approval; unissue an issued order first
+ *   issue       Bid Request, Pending Approval
+ *   unissue     Issued, while nothing has been received
+ *   closeShort  Issued through Shipped: stop waiting for the rest
+ *   void        Bid Request, Pending Approval, Issued, while nothing has been received
+ *   delete      Bid Request, Pending Approval
+ */
+const PO_ACTIONS = {
+  update: { statuses: [10, 15], verb: 'changed' },
+  issue: { statuses: [10, 15], verb: 'issued' },
+  unissue: { statuses: [20], unreceived: true, verb: 'unissued' },
+  closeShort: { statuses: [20, 30, 40, 50, 55], verb: 'closed short' },
+  void: { statuses: [10, 15, 20], unreceived: true, verb: 'voided' },
+  delete: { statuses: [10, 15], verb: 'deleted' }
+};
+
+/**
+ * The order number from command parameters
+ */
+function orderNumber(parameters) {
+  const number = parameters.number;
+  if ((typeof number !== 'string' && typeof number !== 'number') || !String(number).trim()) {
+    throw new ValidationError('number is required to identify the purchase order');
+  }
+  return String(number).trim();
+}
+
+/**
+ * Check the lines of an order to save: [{ partNumber, quantity, unitCost?,
+ * uom? }], at least one, each with a quantity greater than zero
+ */
+function orderItems(items) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ValidationError('items must list at least one part to order');
+  }
+  const invalid = items
+    .map((item, index) => ({ index, item }))
+    .filter(({ item }) => !item || !item.partNumber || !(Number(item.quantity) > 0) ||
+      (item.unitCost !== undefined && item.unitCost !== null && !(Number(item.unitCost) >= 0)));
+  if (invalid.length > 0) {
+    throw new ValidationError('Every item needs a partNumber, a quantity greater than zero and no negative unitCost',
+      { items: invalid.map(({ index }) => index) });
+  }
+  return items.map(item => ({
+    partNumber: item.partNumber,
+    quantity: Number(item.quantity),
+    unitCost: item.unitCost !== undefined && item.unitCost !== null ? Number(item.unitCost) : undefined,
+    uom: item.uom
+  }));
+}
+
+/**
+ * The purchase order with a number as { result, order }: the raw query
+ * response and the normalized order. Fails with a 404 when there is none.
+ */
+async function loadPurchaseOrder(fishbowl, number) {
+  const result = await fishbowl.getPurchaseOrders({ Number: number });
+  const order = models.normalizePurchaseOrders(result).purchaseOrders.find(o => o.number === number);
+  if (!order) {
+    throw new NotFoundError(`Purchase order ${number} was not found`, { number }, 'purchase_order_not_found');
+  }
+  return { result, order };
+}
+
+/**
+ * Throw a 409 when the order's status does not allow the action, so the
+ * change is never sent to Fishbowl
+ */
+function assertAction(order, action) {
+  const rule = PO_ACTIONS[action];
+  const details = {
+    number: order.number,
+    status: order.status,
+    action,
+    allowedStatuses: rule.statuses.map(id => models.PO_STATUSES[id])
+  };
+  if (!rule.statuses.includes(order.statusId)) {
+    throw new ConflictError(`Purchase order ${order.number} is ${order.status} and cannot be ${rule.verb}`,
+      details, 'invalid_status_transition');
+  }
+  if (rule.unreceived && order.items.some(item => item.quantityFulfilled > 0)) {
+    throw new ConflictError(`Purchase order ${order.number} has received items and cannot be ${rule.verb}`,
+      { ...details, received: true }, 'invalid_status_transition');
+  }
+}
+
+module.exports = {
+  PO_ACTIONS,
+  orderNumber,
+  orderItems,
+  loadPurchaseOrder,
+  assertAction
+};
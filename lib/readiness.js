@@ -0,0 +1,141 @@
+// readiness.js - Readiness probe that checks the Fishbowl link end to end
+
+const { logger } = require('./logger');
+const { redactText } = require('./redact');
+const { AuthenticationError, PermissionError } = require('../errorHandeling');
+const { DEFAULT_INSTANCE } = require('./instances');
+
+const STEPS = ['connection', 'session', 'query'];
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * The step a failed round trip stopped at. A lost socket is a connection
+ * failure and a rejected login or ticket a session failure, whichever step
+ * saw it. Opening a pooled connection connects and logs in before ping
+ * runs, so other untagged errors come from the login.
+ */
+function failedStep(error) {
+  if (error.connectionFailure || ['circuit_open', 'pool_exhausted', 'readiness_timeout'].includes(error.code)) {
+    return 'connection';
+  }
+  if (error instanceof AuthenticationError || error instanceof PermissionError) {
+    return 'session';
+  }
+  return error.step || 'session';
+}
+
+function describeError(error) {
+  return {
+    code: error.code || 'internal_error',
+    message: redactText(error.message),
+    ...(error.details && error.details.fishbowlStatusCode !== undefined ?
+      { fishbowlStatusCode: error.details.fishbowlStatusCode } : {})
+  };
+}
+
+/**
+ * The key of an instance in the report's dependencies. The instance of a
+ * single-instance setup is plain "fishbowl".
+ */
+function dependencyName(name) {
+  return name === DEFAULT_INSTANCE ? 'fishbowl' : `fishbowl:${name}`;
+}
+
+/**
+ * Checks that the server can serve requests: for every Fishbowl instance a
+ * connection opens, the session ticket is accepted and a cheap query
+ * (LocationListRq) answers. One instance that is down makes the server not
+ * ready. The result is kept for READINESS_CACHE_MS (default 5000) so
+ * frequent probes cost at most one round trip per interval, and concurrent
+ * probes share one. A round trip slower than READINESS_TIMEOUT_MS (default
+ * 10000) counts as a failure.
+ */
+class ReadinessProbe {
+  constructor(instances, options = {}) {
+    this.instances = instances;
+    this.cacheMs = options.cacheMs !== undefined ? options.cacheMs : envInt('READINESS_CACHE_MS', 5000);
+    this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : envInt('READINESS_TIMEOUT_MS', 10000);
+    this.report = null;
+    this.checking = null;
+  }
+
+  /**
+   * The latest report ({ status, checkedAt, cached, dependencies }),
+   * checking again once the cached one is older than cacheMs
+   */
+  async check() {
+    if (this.report && Date.now() - Date.parse(this.report.checkedAt) < this.cacheMs) {
+      return { ...this.report, cached: true };
+    }
+    if (!this.checking) {
+      this.checking = this.run().finally(() => {
+        this.checking = null;
+      });
+    }
+    return { ...(await this.checking), cached: false };
+  }
+
+  async run() {
+    const checks = await Promise.all(this.instances.list().map(async ({ name, fishbowl }) =>
+      [dependencyName(name), { instance: name, ...(await this.checkFishbowl(fishbowl)) }]));
+    const dependencies = Object.fromEntries(checks);
+    const report = {
+      status: checks.every(([, check]) => check.status === 'up') ? 'ready' : 'not_ready',
+      checkedAt: new Date().toISOString(),
+      dependencies
+    };
+
+    if (report.status !== (this.report ? this.report.status : 'ready')) {
+      logger[report.status === 'ready' ? 'info' : 'warn'](`Readiness changed to ${report.status}`, { dependencies });
+    }
+    this.report = report;
+    return report;
+  }
+
+  async checkFishbowl(fishbowl) {
+    const started = Date.now();
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`No answer from Fishbowl within ${this.timeoutMs}ms`);
+        error.code = 'readiness_timeout';
+        reject(error);
+      }, this.timeoutMs);
+      timer.unref();
+    });
+
+    const result = {
+      status: 'up',
+      latencyMs: null,
+      circuitBreaker: null,
+      steps: {}
+    };
+    try {
+      const steps = await Promise.race([fishbowl.ping(), timeout]);
+      for (const step of STEPS) {
+        result.steps[step] = { status: 'pass', latencyMs: steps[step] };
+      }
+    } catch (error) {
+      const failed = failedStep(error);
+      const reached = STEPS.indexOf(failed);
+      STEPS.forEach((step, index) => {
+        result.steps[step] = { status: index < reached ? 'pass' : (index === reached ? 'fail' : 'skipped') };
+      });
+      result.status = 'down';
+      result.error = describeError(error);
+    } finally {
+      clearTimeout(timer);
+    }
+    result.latencyMs = Date.now() - started;
+    result.circuitBreaker = fishbowl.breaker.stats().state;
+    return result;
+  }
+}
+
+module.exports = {
+  ReadinessProbe
+};
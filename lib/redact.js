@@ -0,0 +1,89 @@
+// redact.js - Remove secrets from values before they are stored or logged
+
+const REDACTED = '[REDACTED]';
+
+// Object keys whose values are always secret
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|ticket|api[-_]?key|authorization|^key$/i;
+
+// XML elements whose text is secret
+const SECRET_XML_ELEMENTS = ['UserPassword', 'Password', 'Key', 'Token'];
+
+// "name=value", "name: value" and JSON "name":"value" pairs in free text
+const SECRET_PAIR_PATTERN = /((?:pass(?:word)?|secret|token|ticket|api[-_]?key)["']?\s*[:=]\s*["']?)([^\s"'&,;}]+)/gi;
+const BEARER_PATTERN = /(Bearer\s+)[A-Za-z0-9._~+/=-]+/g;
+
+// Configured secrets (passwords, API keys) removed wherever they appear
+const knownSecrets = new Set();
+
+/**
+ * Remember a configured secret so redactText removes it from any text.
+ * Values too short to be told apart from ordinary words are ignored.
+ */
+function registerSecret(value) {
+  if (typeof value === 'string' && value.length >= 6) {
+    knownSecrets.add(value);
+  }
+}
+
+/**
+ * Whether the value stored under key is a secret
+ */
+function isSecretKey(key, value) {
+  return SECRET_KEY_PATTERN.test(key) && value !== null && value !== undefined && value !== '';
+}
+
+/**
+ * Deep copy of value with secret fields replaced
+ */
+function redactObject(value, depth = 0) {
+  if (depth > 10 || value === null || typeof value !== 'object') {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redactObject(item, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    copy[key] = isSecretKey(key, item) ? REDACTED : redactObject(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * FbiXml request text with passwords and ticket keys replaced
+ */
+function redactXml(xml) {
+  if (typeof xml !== 'string') {
+    return xml;
+  }
+  return SECRET_XML_ELEMENTS.reduce((text, element) =>
+    text.replace(new RegExp(`(<${element}(?:\\s[^>]*)?>)[\\s\\S]*?(</${element}>)`, 'g'), `$1${REDACTED}$2`),
+  xml);
+}
+
+/**
+ * Free text (log messages, error messages) with XML secrets, bearer
+ * tokens, name=value secrets and configured secrets replaced
+ */
+function redactText(text) {
+  if (typeof text !== 'string') {
+    return text;
+  }
+  let redacted = redactXml(text)
+    .replace(BEARER_PATTERN, `$1${REDACTED}`)
+    .replace(SECRET_PAIR_PATTERN, `$1${REDACTED}`);
+  for (const secret of knownSecrets) {
+    redacted = redacted.split(secret).join(REDACTED);
+  }
+  return redacted;
+}
+
+module.exports = {
+  REDACTED,
+  isSecretKey,
+  redactObject,
+  redactXml,
+  redactText,
+  registerSecret
+};
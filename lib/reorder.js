@@ -0,0 +1,373 @@
+// reorder.js - Reorder points per part, suggested quantities and draft purchase orders
+
+const fs = require('fs');
+const path = require('path');
+const models = require('./models');
+const { executeCommand } = require('./commands');
+const { instanceFile } = require('./instances');
+const { logger } = require('./logger');
+const { ValidationError, NotFoundError } = require('../errorHandeling');
+
+// Purchase order statuses whose unreceived quantity counts as on order.
+// Bid requests count too, so drafts created here are not suggested again.
+const OPEN_PO_STATUSES = new Set([10, 15, 20, 30, 40, 50, 55]);
+
+// Inventory lookups run at most this many at a time
+const INVENTORY_CONCURRENCY = 4;
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/**
+ * Check a part's reorder settings: { reorderPoint, targetLevel, vendor?,
+ * unitCost? }. vendor and unitCost default to the part's own.
+ */
+function validateConfig(partNumber, body = {}) {
+  const problems = [];
+  if (!isNumber(body.reorderPoint) || body.reorderPoint < 0) {
+    problems.push('reorderPoint must be a number of at least 0');
+  }
+  if (!isNumber(body.targetLevel) || !(body.targetLevel > body.reorderPoint)) {
+    problems.push('targetLevel must be a number greater than reorderPoint');
+  }
+  if (body.vendor !== undefined && body.vendor !== null && (typeof body.vendor !== 'string' || !body.vendor.trim())) {
+    problems.push('vendor must be a non-empty string');
+  }
+  if (body.unitCost !== undefined && body.unitCost !== null && (!isNumber(body.unitCost) || body.unitCost < 0)) {
+    problems.push('unitCost must be a number of at least 0');
+  }
+  if (problems.length > 0) {
+    throw new ValidationError(problems.join('; '), { partNumber, problems }, 'invalid_reorder_config');
+  }
+  return {
+    partNumber,
+    reorderPoint: body.reorderPoint,
+    targetLevel: body.targetLevel,
+    vendor: body.vendor ? body.vendor.trim() : null,
+    unitCost: isNumber(body.unitCost) ? body.unitCost : null
+  };
+}
+
+/**
+ * Quantity of each part still to be received on open purchase orders
+ */
+function onOrderByPart(purchaseOrders) {
+  const quantities = new Map();
+  for (const order of purchaseOrders) {
+    if (!OPEN_PO_STATUSES.has(order.statusId)) {
+      continue;
+    }
+    for (const item of order.items) {
+      const open = Math.max(0, (item.quantity || 0) - (item.quantityFulfilled || 0));
+      quantities.set(item.partNumber, (quantities.get(item.partNumber) || 0) + open);
+    }
+  }
+  return quantities;
+}
+
+/**
+ * Reorder points and target levels per part, saved to REORDER_FILE. Every
+ * REORDER_INTERVAL_MS (0 turns it off) the configured parts are evaluated:
+ * on-hand quantity from PartQuantityRq plus the open quantity on purchase
+ * orders from PurchaseOrderQueryRq. A part at or below its reorder point is
+ * suggested with the quantity that brings it back to its target level.
+ * Selected suggestions become draft purchase orders, one per vendor.
+ */
+class ReorderPlanner {
+  constructor(fishbowl, options = {}) {
+    this.fishbowl = fishbowl;
+    this.audit = options.audit || null;
+    // Instances other than the default keep their settings in their own file
+    this.file = instanceFile(options.file !== undefined ? options.file :
+      (process.env.REORDER_FILE || path.join('data', 'reorder.json')), options.instance || { isDefault: true });
+    this.intervalMs = options.intervalMs !== undefined ? options.intervalMs : envInt('REORDER_INTERVAL_MS', 60 * 60 * 1000);
+    this.locationGroup = options.locationGroup !== undefined ? options.locationGroup :
+      (process.env.REORDER_LOCATION_GROUP || null);
+    this.config = new Map();
+    this.report = null;
+    this.evaluating = null;
+    this.timer = null;
+    this.lastError = null;
+    this.saving = Promise.resolve();
+    this.load();
+  }
+
+  load() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const entry of saved.parts || []) {
+        this.config.set(entry.partNumber, entry);
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Ignoring unreadable reorder file', { error: error.message });
+      }
+    }
+  }
+
+  // Serialized writes through a temporary file, like the webhook store
+  save() {
+    if (!this.file) {
+      return this.saving;
+    }
+    const write = this.saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify({ parts: [...this.config.values()] }));
+      await fs.promises.rename(temporary, this.file);
+    });
+    this.saving = write.catch((error) => {
+      logger.error('Failed to save reorder settings', { error: error.message });
+    });
+    return this.saving;
+  }
+
+  start() {
+    if (this.timer || this.intervalMs <= 0) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      if (this.config.size === 0) {
+        return;
+      }
+      this.evaluate().then((report) => {
+        if (report.suggestions.length > 0) {
+          logger.info('Reorder check found parts at or below their reorder point', { suggestions: report.suggestions.length });
+        }
+      }).catch((error) => {
+        logger.error('Reorder check failed', { error: error.message });
+      });
+    }, this.intervalMs);
+    this.timer.unref();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  listConfig() {
+    return [...this.config.values()].sort((a, b) => a.partNumber.localeCompare(b.partNumber));
+  }
+
+  /**
+   * Set the reorder settings of a part, which must exist in Fishbowl
+   */
+  async setConfig(partNumber, body, principal = null) {
+    const entry = validateConfig(partNumber, body);
+    const { parts } = models.normalizeParts(await this.fishbowl.getParts());
+    if (!parts.some(part => part.number === partNumber)) {
+      throw new NotFoundError(`Part ${partNumber} was not found`, { partNumber }, 'part_not_found');
+    }
+    const existing = this.config.get(partNumber);
+    const now = new Date().toISOString();
+    const saved = {
+      ...entry,
+      updatedBy: principal ? principal.id : null,
+      createdAt: existing ? existing.createdAt : now,
+      updatedAt: now
+    };
+    this.config.set(partNumber, saved);
+    this.report = null;
+    await this.save();
+    return { entry: saved, created: !existing };
+  }
+
+  async removeConfig(partNumber) {
+    if (!this.config.has(partNumber)) {
+      throw new NotFoundError(`Part ${partNumber} has no reorder settings`, { partNumber }, 'reorder_config_not_found');
+    }
+    this.config.delete(partNumber);
+    this.report = null;
+    await this.save();
+  }
+
+  /**
+   * The last report, evaluating first when there is none or refresh is set
+   */
+  async suggestions(options = {}) {
+    if (options.refresh || !this.report) {
+      return this.evaluate();
+    }
+    return this.report;
+  }
+
+  /**
+   * Compare every configured part's on-hand plus on-order quantity with
+   * its reorder point. Concurrent calls share one evaluation.
+   */
+  evaluate() {
+    if (!this.evaluating) {
+      this.evaluating = this.runEvaluation().finally(() => {
+        this.evaluating = null;
+      });
+    }
+    return this.evaluating;
+  }
+
+  async runEvaluation() {
+    try {
+      const entries = this.listConfig();
+      const [partsResult, ordersResult] = await Promise.all([
+        this.fishbowl.getParts(),
+        entries.length > 0 ? this.fishbowl.getPurchaseOrders({}) : null
+      ]);
+      const parts = new Map(models.normalizeParts(partsResult).parts.map(part => [part.number, part]));
+      const onOrder = ordersResult ? onOrderByPart(models.normalizePurchaseOrders(ordersResult).purchaseOrders) : new Map();
+      const onHand = await this.onHand(entries.map(entry => entry.partNumber));
+
+      const levels = [];
+      const errors = [];
+      for (const entry of entries) {
+        const part = parts.get(entry.partNumber);
+        const quantity = onHand.get(entry.partNumber);
+        if (!part || quantity instanceof Error) {
+          errors.push({
+            partNumber: entry.partNumber,
+            error: part ? quantity.message : `Part ${entry.partNumber} was not found`
+          });
+          continue;
+        }
+        const ordered = onOrder.get(entry.partNumber) || 0;
+        const position = quantity + ordered;
+        levels.push({
+          partNumber: entry.partNumber,
+          description: part.description,
+          vendor: entry.vendor || part.vendor,
+          uom: part.uom,
+          onHand: quantity,
+          onOrder: ordered,
+          position,
+          reorderPoint: entry.reorderPoint,
+          targetLevel: entry.targetLevel,
+          suggestedQuantity: position <= entry.reorderPoint ? entry.targetLevel - position : 0,
+          unitCost: entry.unitCost !== null ? entry.unitCost : part.standardCost
+        });
+      }
+
+      this.report = {
+        evaluatedAt: new Date().toISOString(),
+        parts: entries.length,
+        suggestions: levels.filter(level => level.suggestedQuantity > 0),
+        errors
+      };
+      this.lastError = null;
+      return this.report;
+    } catch (error) {
+      this.lastError = error.message;
+      throw error;
+    }
+  }
+
+  // Fresh on-hand totals by part number; a failed lookup maps to its error
+  async onHand(partNumbers) {
+    const totals = new Map();
+    let next = 0;
+    const worker = async () => {
+      while (next < partNumbers.length) {
+        const partNumber = partNumbers[next++];
+        try {
+          const entry = await this.fishbowl.cached('getInventory', [partNumber], { refresh: true });
+          totals.set(partNumber, models.normalizeInventory(entry.value, partNumber).totalOnHand);
+        } catch (error) {
+          totals.set(partNumber, error);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(INVENTORY_CONCURRENCY, partNumbers.length) }, worker));
+    return totals;
+  }
+
+  /**
+   * Turn selected suggestions into draft purchase orders, one per vendor.
+   * body.items lists { partNumber, quantity? }; quantity overrides the
+   * suggested one. Suggestions are evaluated again first, and nothing is
+   * sent unless every selected part is still suggested and has a vendor.
+   */
+  async createPurchaseOrders(body = {}, principal = null) {
+    const items = body.items;
+    if (!Array.isArray(items) || items.length === 0 ||
+      items.some(item => !item || typeof item.partNumber !== 'string')) {
+      throw new ValidationError('items must list the suggestions to order as { partNumber, quantity? }',
+        null, 'invalid_reorder');
+    }
+    const overrides = items.filter(item => item.quantity !== undefined && !(isNumber(item.quantity) && item.quantity > 0));
+    if (overrides.length > 0) {
+      throw new ValidationError('quantity must be a number greater than zero',
+        { partNumbers: overrides.map(item => item.partNumber) }, 'invalid_reorder');
+    }
+    const locationGroup = body.locationGroup || this.locationGroup;
+    if (!locationGroup) {
+      throw new ValidationError('locationGroup is required (or set REORDER_LOCATION_GROUP)', null, 'invalid_reorder');
+    }
+
+    const report = await this.evaluate();
+    const suggested = new Map(report.suggestions.map(suggestion => [suggestion.partNumber, suggestion]));
+    const notSuggested = items.filter(item => !suggested.has(item.partNumber)).map(item => item.partNumber);
+    const noVendor = items.filter(item => suggested.has(item.partNumber) && !suggested.get(item.partNumber).vendor)
+      .map(item => item.partNumber);
+    if (notSuggested.length > 0 || noVendor.length > 0) {
+      throw new ValidationError('Only current suggestions with a vendor can be ordered',
+        { notSuggested, noVendor }, 'invalid_reorder');
+    }
+
+    const byVendor = new Map();
+    for (const item of items) {
+      const suggestion = suggested.get(item.partNumber);
+      const lines = byVendor.get(suggestion.vendor) || [];
+      lines.push({
+        partNumber: item.partNumber,
+        quantity: item.quantity !== undefined ? item.quantity : suggestion.suggestedQuantity,
+        ...(suggestion.unitCost !== null ? { unitCost: suggestion.unitCost } : {})
+      });
+      byVendor.set(suggestion.vendor, lines);
+    }
+
+    const created = [];
+    const failed = [];
+    for (const [vendor, lines] of byVendor) {
+      try {
+        const { purchaseOrder } = await executeCommand(this.fishbowl, 'createPurchaseOrder',
+          { vendor, locationGroup, items: lines },
+          { principal, audit: this.audit, source: 'reorder', statusCode: 201 });
+        created.push({ vendor, purchaseOrder, items: lines });
+      } catch (error) {
+        failed.push({
+          vendor,
+          items: lines,
+          error: { code: error.code || 'internal_error', message: error.message, statusCode: error.statusCode || 500 }
+        });
+        if (failed.length === byVendor.size) {
+          throw error;
+        }
+      }
+    }
+    // On-order quantities changed, so the next report is evaluated afresh
+    this.report = null;
+    return { created, failed };
+  }
+
+  status() {
+    return {
+      running: this.timer !== null,
+      intervalMs: this.intervalMs,
+      configured: this.config.size,
+      lastEvaluatedAt: this.report ? this.report.evaluatedAt : null,
+      suggestions: this.report ? this.report.suggestions.length : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+module.exports = {
+  ReorderPlanner,
+  OPEN_PO_STATUSES,
+  onOrderByPart
+};
@@ -0,0 +1,35 @@
+// requestContext.js - Per-request state carried across async calls
+
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a context object visible to everything it calls, including
+ * Fishbowl calls made on pooled connections
+ */
+function runWithContext(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * The context of the current request, or null outside of one
+ */
+function currentContext() {
+  return storage.getStore() || null;
+}
+
+/**
+ * Wrap a middleware that calls next from a callback outside the request's
+ * async context, such as a body parser finishing on a stream event, so the
+ * rest of the chain still sees the context
+ */
+function preserveContext(middleware) {
+  return (req, res, next) => middleware(req, res, AsyncResource.bind(next));
+}
+
+module.exports = {
+  runWithContext,
+  currentContext,
+  preserveContext
+};
@@ -0,0 +1,194 @@
+// responseCache.js - In-memory cache of Fishbowl query results
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+// Default time each cached resource stays valid
+const DEFAULT_TTLS_MS = {
+  parts: 5 * 60 * 1000,
+  products: 5 * 60 * 1000,
+  locations: 5 * 60 * 1000,
+  inventory: 15 * 1000
+};
+
+// Entries older than this share of their TTL are refreshed in the background
+const REFRESH_AHEAD_RATIO = 0.75;
+
+/**
+ * Per-resource TTLs from CACHE_TTLS, a JSON object of resource name to
+ * milliseconds (0 turns caching of that resource off). CACHE_DISABLED=true
+ * turns the whole cache off.
+ */
+function loadCacheTtls() {
+  if (process.env.CACHE_DISABLED === 'true') {
+    return Object.fromEntries(Object.keys(DEFAULT_TTLS_MS).map(name => [name, 0]));
+  }
+  const ttls = { ...DEFAULT_TTLS_MS };
+  if (process.env.CACHE_TTLS) {
+    try {
+      Object.assign(ttls, JSON.parse(process.env.CACHE_TTLS));
+    } catch (error) {
+      logger.warn('Ignoring invalid CACHE_TTLS', { error: error.message });
+    }
+  }
+  return ttls;
+}
+
+const entryKey = (resource, key) => (key === undefined || key === null ? resource : `${resource}:${key}`);
+
+/**
+ * Caches results per resource (and optional key, e.g. a part number). A
+ * fresh entry is returned as is; one past REFRESH_AHEAD_RATIO of its TTL is
+ * returned and reloaded in the background; an expired or missing one is
+ * loaded before returning. Concurrent callers share a single load. Each
+ * entry carries an ETag derived from its content, so a reload that returns
+ * the same data keeps the same ETag.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.ttls = options.ttls || loadCacheTtls();
+    this.entries = new Map();
+    this.loading = new Map();
+    // Bumped on invalidation so a load already in flight is not stored;
+    // only kept while a load of the entry is in flight
+    this.generations = new Map();
+    this.counters = { hits: 0, misses: 0, refreshes: 0, invalidations: 0, errors: 0 };
+  }
+
+  ttlFor(resource) {
+    return this.ttls[resource] || 0;
+  }
+
+  /**
+   * The cached entry for resource/key, loading it with loader when needed.
+   * options.refresh forces a reload.
+   */
+  async get(resource, key, loader, options = {}) {
+    const ttlMs = this.ttlFor(resource);
+    if (ttlMs <= 0) {
+      return this.createEntry(resource, key, await loader(), 0);
+    }
+
+    const id = entryKey(resource, key);
+    const entry = this.entries.get(id);
+    const now = Date.now();
+
+    if (entry && !options.refresh && now < entry.expiresAt) {
+      this.counters.hits++;
+      if (now - entry.fetchedAt >= ttlMs * REFRESH_AHEAD_RATIO) {
+        this.load(id, resource, key, loader).catch((error) => {
+          logger.warn('Background cache refresh failed', { entry: id, error: error.message });
+        });
+      }
+      return entry;
+    }
+
+    this.counters.misses++;
+    return this.load(id, resource, key, loader);
+  }
+
+  load(id, resource, key, loader) {
+    if (!this.loading.has(id)) {
+      const generation = this.generation(id);
+      const loading = Promise.resolve()
+        .then(loader)
+        .then((value) => {
+          const entry = this.createEntry(resource, key, value, this.ttlFor(resource));
+          // An invalidation while loading means the value may already be stale
+          if (this.generation(id) === generation) {
+            if (this.entries.has(id)) {
+              this.counters.refreshes++;
+            }
+            this.entries.set(id, entry);
+          }
+          return entry;
+        })
+        .catch((error) => {
+          this.counters.errors++;
+          throw error;
+        })
+        .finally(() => {
+          this.loading.delete(id);
+          this.generations.delete(id);
+        });
+      this.loading.set(id, loading);
+    }
+    return this.loading.get(id);
+  }
+
+  generation(id) {
+    return this.generations.get(id) || 0;
+  }
+
+  createEntry(resource, key, value, ttlMs) {
+    const fetchedAt = Date.now();
+    return {
+      resource,
+      key: key === undefined ? null : key,
+      value,
+      etag: crypto.createHash('sha1').update(JSON.stringify(value)).digest('base64url').slice(0, 20),
+      fetchedAt,
+      expiresAt: fetchedAt + ttlMs
+    };
+  }
+
+  /**
+   * Drop cached entries. With a key only that entry of the resource goes;
+   * without one every entry of the resource does.
+   */
+  invalidate(resource, key = undefined) {
+    for (const id of [...this.entries.keys(), ...this.loading.keys()]) {
+      const matches = key === undefined ?
+        id === resource || id.startsWith(`${resource}:`) :
+        id === entryKey(resource, key);
+      if (matches) {
+        if (this.loading.has(id)) {
+          this.generations.set(id, this.generation(id) + 1);
+        }
+        if (this.entries.delete(id)) {
+          this.counters.invalidations++;
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop every entry, or every entry of one resource
+   */
+  flush(resource = null) {
+    if (resource) {
+      this.invalidate(resource);
+      return;
+    }
+    for (const id of [...this.entries.keys(), ...this.loading.keys()]) {
+      this.invalidate(id.split(':')[0]);
+    }
+  }
+
+  peek(resource, key = undefined) {
+    return this.entries.get(entryKey(resource, key)) || null;
+  }
+
+  stats() {
+    const now = Date.now();
+    return {
+      ttlsMs: this.ttls,
+      ...this.counters,
+      entries: [...this.entries.values()].map(entry => ({
+        resource: entry.resource,
+        key: entry.key,
+        etag: entry.etag,
+        fetchedAt: new Date(entry.fetchedAt).toISOString(),
+        expiresAt: new Date(entry.expiresAt).toISOString(),
+        ageMs: now - entry.fetchedAt
+      })),
+      loading: [...this.loading.keys()]
+    };
+  }
+}
+
+module.exports = {
+  ResponseCache,
+  loadCacheTtls,
+  DEFAULT_TTLS_MS
+};
@@ -0,0 +1,353 @@
+// webhooks.js - Webhook subscriptions and signed, retried delivery of change events
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { EVENT_TYPES } = require('./changeWatcher');
+const { logger } = require('./logger');
+const { ValidationError, NotFoundError, ConflictError } = require('../errorHandeling');
+
+const WILDCARD = '*';
+
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+/**
+ * Signature header value: HMAC-SHA256 of "<timestamp>.<body>" with the
+ * subscription secret. Receivers recompute it and compare, and reject old
+ * timestamps to stop replays.
+ */
+function sign(secret, timestamp, body) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+function validateUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new ValidationError('url must be an http or https URL', { url }, 'invalid_webhook');
+  }
+  return parsed.toString();
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ValidationError('events must be a non-empty array', { allowed: [WILDCARD, ...EVENT_TYPES] }, 'invalid_webhook');
+  }
+  const unknown = events.filter(event => event !== WILDCARD && !EVENT_TYPES.includes(event));
+  if (unknown.length > 0) {
+    throw new ValidationError(`Unknown events: ${unknown.join(', ')}`,
+      { events: unknown, allowed: [WILDCARD, ...EVENT_TYPES] }, 'invalid_webhook');
+  }
+  return [...new Set(events)];
+}
+
+// Subscriptions as returned to callers; the secret is only shown when created or rotated
+function publicSubscription(subscription, withSecret = false) {
+  const { secret, ...fields } = subscription;
+  return withSecret ? { ...fields, secret } : fields;
+}
+
+/**
+ * Webhook subscriptions and delivery. Each event goes to every active
+ * subscription listening for its type, as a JSON POST signed with the
+ * subscription's secret (X-Webhook-Signature). A delivery that fails (no
+ * 2xx answer within WEBHOOK_TIMEOUT_MS) is retried with exponential backoff
+ * from WEBHOOK_RETRY_BASE_MS up to WEBHOOK_MAX_ATTEMPTS attempts, then moved
+ * to the dead-letter list, from where it can be redelivered. Subscriptions
+ * and dead letters are saved to WEBHOOKS_FILE.
+ */
+class WebhookDispatcher {
+  constructor(options = {}) {
+    this.file = options.file !== undefined ? options.file :
+      (process.env.WEBHOOKS_FILE || path.join('data', 'webhooks.json'));
+    this.timeoutMs = options.timeoutMs !== undefined ? options.timeoutMs : envInt('WEBHOOK_TIMEOUT_MS', 5000);
+    this.maxAttempts = options.maxAttempts !== undefined ? options.maxAttempts : envInt('WEBHOOK_MAX_ATTEMPTS', 5);
+    this.retryBaseMs = options.retryBaseMs !== undefined ? options.retryBaseMs : envInt('WEBHOOK_RETRY_BASE_MS', 1000);
+    this.retryMaxMs = options.retryMaxMs !== undefined ? options.retryMaxMs : envInt('WEBHOOK_RETRY_MAX_MS', 5 * 60 * 1000);
+    this.maxDeadLetters = options.maxDeadLetters !== undefined ? options.maxDeadLetters :
+      envInt('WEBHOOK_DEAD_LETTER_MAX', 1000);
+    this.subscriptions = new Map();
+    this.deadLetters = [];
+    this.retries = new Set();
+    this.saving = Promise.resolve();
+    this.counters = { delivered: 0, failedAttempts: 0, deadLettered: 0 };
+    this.load();
+  }
+
+  load() {
+    if (!this.file) {
+      return;
+    }
+    try {
+      const saved = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      for (const subscription of saved.subscriptions || []) {
+        this.subscriptions.set(subscription.id, subscription);
+      }
+      this.deadLetters = saved.deadLetters || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Ignoring unreadable webhooks file', { error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Write subscriptions and dead letters to disk, serialized and through a
+   * temporary file like the idempotency store
+   */
+  save() {
+    if (!this.file) {
+      return this.saving;
+    }
+    const write = this.saving.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const temporary = `${this.file}.tmp`;
+      await fs.promises.writeFile(temporary, JSON.stringify({
+        subscriptions: [...this.subscriptions.values()],
+        deadLetters: this.deadLetters
+      }));
+      await fs.promises.rename(temporary, this.file);
+    });
+    this.saving = write.catch((error) => {
+      logger.error('Failed to save webhooks', { error: error.message });
+    });
+    return this.saving;
+  }
+
+  hasActiveSubscriptions() {
+    return [...this.subscriptions.values()].some(subscription => subscription.active);
+  }
+
+  list() {
+    return [...this.subscriptions.values()].map(subscription => publicSubscription(subscription));
+  }
+
+  find(id) {
+    const subscription = this.subscriptions.get(id);
+    if (!subscription) {
+      throw new NotFoundError(`Webhook subscription ${id} was not found`, { id }, 'webhook_not_found');
+    }
+    return subscription;
+  }
+
+  get(id) {
+    return publicSubscription(this.find(id));
+  }
+
+  /**
+   * Register a subscription: { url, events, description?, secret?, active? }.
+   * A secret is generated when none is given; the result includes it.
+   */
+  async create(body = {}, principal = null) {
+    if (body.secret !== undefined && (typeof body.secret !== 'string' || body.secret.length < 16)) {
+      throw new ValidationError('secret must be a string of at least 16 characters', null, 'invalid_webhook');
+    }
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID(),
+      url: validateUrl(body.url),
+      events: validateEvents(body.events),
+      description: typeof body.description === 'string' ? body.description : null,
+      active: body.active !== false,
+      secret: body.secret || crypto.randomBytes(32).toString('base64url'),
+      createdBy: principal ? principal.id : null,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.subscriptions.set(subscription.id, subscription);
+    await this.save();
+    return publicSubscription(subscription, true);
+  }
+
+  /**
+   * Change url, events, description or active. rotateSecret: true issues a
+   * new secret, which is returned once.
+   */
+  async update(id, body = {}) {
+    const subscription = this.find(id);
+    const changes = {};
+    if (body.url !== undefined) {
+      changes.url = validateUrl(body.url);
+    }
+    if (body.events !== undefined) {
+      changes.events = validateEvents(body.events);
+    }
+    if (body.description !== undefined) {
+      changes.description = body.description === null ? null : String(body.description);
+    }
+    if (body.active !== undefined) {
+      if (typeof body.active !== 'boolean') {
+        throw new ValidationError('active must be a boolean', null, 'invalid_webhook');
+      }
+      changes.active = body.active;
+    }
+    if (body.rotateSecret === true) {
+      changes.secret = crypto.randomBytes(32).toString('base64url');
+    }
+    Object.assign(subscription, changes, { updatedAt: new Date().toISOString() });
+    await this.save();
+    return publicSubscription(subscription, body.rotateSecret === true);
+  }
+
+  async remove(id) {
+    this.find(id);
+    this.subscriptions.delete(id);
+    await this.save();
+  }
+
+  /**
+   * Send an event to every active subscription listening for it. Returns
+   * once each first attempt has finished; retries continue in the background.
+   */
+  dispatch(event) {
+    const targets = [...this.subscriptions.values()].filter(subscription =>
+      subscription.active && (subscription.events.includes(WILDCARD) || subscription.events.includes(event.type)));
+    return Promise.all(targets.map(subscription => this.deliver({
+      id: crypto.randomUUID(),
+      subscriptionId: subscription.id,
+      event,
+      attempts: 0,
+      errors: []
+    })));
+  }
+
+  async deliver(delivery) {
+    const subscription = this.subscriptions.get(delivery.subscriptionId);
+    if (!subscription || !subscription.active) {
+      return;
+    }
+
+    delivery.attempts++;
+    const error = await this.attempt(subscription, delivery);
+    if (!error) {
+      this.counters.delivered++;
+      return;
+    }
+
+    this.counters.failedAttempts++;
+    delivery.errors.push({ at: new Date().toISOString(), error });
+    if (delivery.attempts >= this.maxAttempts) {
+      await this.deadLetter(subscription, delivery);
+      return;
+    }
+
+    const delayMs = Math.min(this.retryBaseMs * 2 ** (delivery.attempts - 1), this.retryMaxMs);
+    const timer = setTimeout(() => {
+      this.retries.delete(timer);
+      this.deliver(delivery).catch((retryError) => {
+        logger.error('Webhook delivery failed', { deliveryId: delivery.id, error: retryError.message });
+      });
+    }, delayMs);
+    timer.unref();
+    this.retries.add(timer);
+  }
+
+  // One POST; resolves to an error message, or null on a 2xx answer
+  async attempt(subscription, delivery) {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MCP-Fishbowl-Webhooks/1.0',
+          'X-Webhook-Id': delivery.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': sign(subscription.secret, timestamp, body)
+        },
+        body,
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+      // The body is not used; drain it so the connection is released
+      await response.arrayBuffer().catch(() => null);
+      return response.ok ? null : `HTTP ${response.status}`;
+    } catch (error) {
+      return error.name === 'TimeoutError' ? `No answer within ${this.timeoutMs}ms` : error.message;
+    }
+  }
+
+  async deadLetter(subscription, delivery) {
+    this.counters.deadLettered++;
+    logger.warn('Webhook delivery dead-lettered', {
+      subscriptionId: subscription.id,
+      event: delivery.event.type,
+      attempts: delivery.attempts
+    });
+    this.deadLetters.push({ ...delivery, url: subscription.url, failedAt: new Date().toISOString() });
+    if (this.deadLetters.length > this.maxDeadLetters) {
+      this.deadLetters.splice(0, this.deadLetters.length - this.maxDeadLetters);
+    }
+    await this.save();
+  }
+
+  listDeadLetters(subscriptionId = null) {
+    return this.deadLetters
+      .filter(letter => !subscriptionId || letter.subscriptionId === subscriptionId)
+      .slice()
+      .reverse();
+  }
+
+  /**
+   * Take a delivery off the dead-letter list and try it again from the
+   * first attempt. The letter stays on the list when its subscription is
+   * gone or inactive.
+   */
+  async redeliver(id) {
+    const index = this.deadLetters.findIndex(letter => letter.id === id);
+    if (index < 0) {
+      throw new NotFoundError(`Dead letter ${id} was not found`, { id }, 'dead_letter_not_found');
+    }
+    const letter = this.deadLetters[index];
+    const subscription = this.find(letter.subscriptionId);
+    if (!subscription.active) {
+      throw new ConflictError(`Webhook subscription ${subscription.id} is inactive; activate it to redeliver`,
+        { id, subscriptionId: subscription.id }, 'webhook_inactive');
+    }
+    this.deadLetters.splice(this.deadLetters.indexOf(letter), 1);
+    await this.save();
+    const delivery = { id: letter.id, subscriptionId: subscription.id, event: letter.event, attempts: 0, errors: [] };
+    await this.deliver(delivery);
+    return { id: delivery.id, attempts: delivery.attempts, delivered: delivery.errors.length === 0 };
+  }
+
+  async discardDeadLetter(id) {
+    const index = this.deadLetters.findIndex(letter => letter.id === id);
+    if (index < 0) {
+      throw new NotFoundError(`Dead letter ${id} was not found`, { id }, 'dead_letter_not_found');
+    }
+    this.deadLetters.splice(index, 1);
+    await this.save();
+  }
+
+  // Cancel pending retries, e.g. on shutdown
+  stop() {
+    for (const timer of this.retries) {
+      clearTimeout(timer);
+    }
+    this.retries.clear();
+  }
+
+  stats() {
+    return {
+      subscriptions: this.subscriptions.size,
+      active: [...this.subscriptions.values()].filter(subscription => subscription.active).length,
+      pendingRetries: this.retries.size,
+      deadLetters: this.deadLetters.length,
+      ...this.counters
+    };
+  }
+}
+
+module.exports = {
+  WebhookDispatcher,
+  sign
+};
@@ -0,0 +1,21 @@
+// mcp-stdio.js - Run the Fishbowl MCP server over stdio
+
+require('dotenv').config();
+
+// stdout carries the protocol, so route all logging to stderr
+console.log = console.error;
+console.info = console.error;
+
+const { FishbowlInstances } = require('./lib/instances');
+const { McpServer } = require('./lib/mcpServer');
+const { serveStdio } = require('./lib/mcpTransports');
+const { AuditLog } = require('./lib/auditLog');
+
+// One stdio server talks to one instance: FISHBOWL_INSTANCE, or the default
+const instances = new FishbowlInstances();
+const { fishbowl } = process.env.FISHBOWL_INSTANCE ? instances.get(process.env.FISHBOWL_INSTANCE) : instances.primary();
+const mcpServer = new McpServer(fishbowl, { audit: new AuditLog() });
+
+serveStdio(mcpServer).then(() => {
+  instances.disconnect().finally(() => process.exit(0));
+});
@@ -1,466 +1,184 @@
+const crypto = require('crypto');
+const { pipeline } = require('stream');
 const express = require('express');
 const cors = require('cors');
-const net = require('net');
-const xml2js = require('xml2js');
-const axios = require('axios');
 require('dotenv').config();
+const { FishbowlInstances, INSTANCE_HEADER } = require('./lib/instances');
+const { commands, executeCommand } = require('./lib/commands');
+const { McpServer } = require('./lib/mcpServer');
+const { createMcpHttpRouter } = require('./lib/mcpTransports');
+const models = require('./lib/models');
+const { asyncHandler, errorHandler, NotFoundError } = require('./errorHandeling');
+const { Authenticator, requireScope, SCOPES } = require('./lib/auth');
+const { AuditLog, parseAuditQuery } = require('./lib/auditLog');
+const { toCsv } = require('./lib/csv');
+const { parseCatalogQuery, exportItems, applyCatalogQuery, upstreamFilters } = require('./lib/catalogQuery');
+const { FORMATS, exportFormat, exportColumns, exportStream } = require('./lib/catalogExport');
+const { IdempotencyStore } = require('./lib/idempotency');
+const { parseBatch, batchHasWrites, executeBatch } = require('./lib/batch');
+const { InventoryImporter, dryRunReport } = require('./lib/inventoryImport');
+const { ChangeWatcher } = require('./lib/changeWatcher');
+const { WebhookDispatcher } = require('./lib/webhooks');
+const { EventStream } = require('./lib/eventStream');
+const { ReorderPlanner } = require('./lib/reorder');
+const { ReadinessProbe } = require('./lib/readiness');
+const { runWithContext, preserveContext } = require('./lib/requestContext');
+const { logger } = require('./lib/logger');
+const { CONTENT_TYPE, registry, metrics } = require('./lib/metrics');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// XML parser and builder
-const xmlParser = new xml2js.Parser();
-const xmlBuilder = new xml2js.Builder();
-
-// Fishbowl API Client
-class FishbowlClient {
-  constructor() {
-    // Native Fishbowl API settings
-    this.host = process.env.FISHBOWL_HOST || 'localhost';
-    this.port = parseInt(process.env.FISHBOWL_PORT) || 28192;
-    this.username = process.env.FISHBOWL_USERNAME;
-    this.password = process.env.FISHBOWL_PASSWORD;
-    this.iaid = process.env.FISHBOWL_IAID || '54321';
-    
-    // REST API settings (if available)
-    this.restApiUrl = process.env.FISHBOWL_REST_API_URL;
-    this.appName = process.env.FISHBOWL_APP_NAME || 'MCP Fishbowl Server';
-    this.appId = process.env.FISHBOWL_APP_ID || '101';
-    
-    // Session state
-    this.client = null;
-    this.sessionToken = null;
-    this.userId = null;
-    this.restApiToken = null;
-  }
-
-  async connect() {
-    return new Promise((resolve, reject) => {
-      this.client = new net.Socket();
-      
-      this.client.connect(this.port, this.host, () => {
-        console.log(`Connected to Fishbowl server at ${this.host}:${this.port}`);
-        resolve();
-      });
-
-      this.client.on('error', (error) => {
-        console.error('Connection error:', error);
-        reject(error);
-      });
-      
-      this.client.on('close', () => {
-        console.log('Fishbowl connection closed');
-        this.client = null;
-        this.sessionToken = null;
-      });
-    });
-  }
-
-  async ensureConnected() {
-    if (!this.client) {
-      await this.connect();
-    }
-    return this.client;
-  }
-
-  async sendRequest(requestXml) {
-    await this.ensureConnected();
-    
-    return new Promise((resolve, reject) => {
-      let responseData = '';
-      
-      // Set up a temporary data handler for this request
-      const dataHandler = (data) => {
-        responseData += data.toString();
-        // Check if we have received the complete response
-        if (responseData.includes('</FbiXml>')) {
-          this.client.removeListener('data', dataHandler);
-          resolve(responseData);
-        }
-      };
-
-      const errorHandler = (error) => {
-        this.client.removeListener('data', dataHandler);
-        this.client.removeListener('error', errorHandler);
-        reject(error);
-      };
-
-      this.client.on('data', dataHandler);
-      this.client.on('error', errorHandler);
-
-      // Send the request
-      this.client.write(requestXml);
-    });
-  }
-
-  async login() {
-    try {
-      await this.ensureConnected();
-
-      const loginRequest = {
-        FbiXml: {
-          $: { version: '1.0' },
-          Ticket: {},
-          FbiMsgsRq: {
-            LoginRq: {
-              IAID: this.iaid,
-              IAName: this.appName,
-              IADescription: 'MCP Server for Fishbowl Integration',
-              UserName: this.username,
-              UserPassword: this.password
-            }
-          }
-        }
-      };
-
-      const requestXml = xmlBuilder.buildObject(loginRequest);
-      const response = await this.sendRequest(requestXml);
-      const result = await xmlParser.parseStringPromise(response);
-
-      // Check for errors
-      if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-          result.FbiXml.FbiMsgsRs[0].LoginRs && 
-          result.FbiXml.FbiMsgsRs[0].LoginRs[0].StatusCode) {
-        
-        const statusCode = result.FbiXml.FbiMsgsRs[0].LoginRs[0].StatusCode[0];
-        
-        if (statusCode === '1000') {
-          if (result.FbiXml.Ticket && result.FbiXml.Ticket[0]) {
-            this.sessionToken = result.FbiXml.Ticket[0].Key ? result.FbiXml.Ticket[0].Key[0] : null;
-            this.userId = result.FbiXml.Ticket[0].UserID ? result.FbiXml.Ticket[0].UserID[0] : null;
-            console.log('Successfully logged in to Fishbowl');
-            return { success: true, token: this.sessionToken, userId: this.userId };
-          }
-        } else {
-          const statusMessage = result.FbiXml.FbiMsgsRs[0].LoginRs[0].StatusMessage ? 
-              result.FbiXml.FbiMsgsRs[0].LoginRs[0].StatusMessage[0] : 'Unknown error';
-          throw new Error(`Login failed: ${statusCode} - ${statusMessage}`);
-        }
-      }
-      
-      throw new Error('Login failed: Unexpected response format');
-    } catch (error) {
-      console.error('Login error:', error);
-      throw error;
-    }
-  }
-
-  async ensureAuthenticated() {
-    if (!this.sessionToken) {
-      await this.login();
-    }
-    return this.sessionToken;
-  }
-
-  async getInventory(partNumber) {
-    await this.ensureAuthenticated();
-
-    const inventoryRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          PartQuantityRq: {
-            PartNum: partNumber
-          }
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(inventoryRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].PartQuantityRs && 
-        result.FbiXml.FbiMsgsRs[0].PartQuantityRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].PartQuantityRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].PartQuantityRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].PartQuantityRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to get inventory: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
-
-  async getProducts() {
-    await this.ensureAuthenticated();
-
-    const productsRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          ProductGetRq: {
-            GetAll: 'true'
-          }
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(productsRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].ProductGetRs && 
-        result.FbiXml.FbiMsgsRs[0].ProductGetRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].ProductGetRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].ProductGetRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].ProductGetRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to get products: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
-
-  async getParts() {
-    await this.ensureAuthenticated();
-
-    const partsRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          PartGetRq: {
-            GetAll: 'true'
-          }
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(partsRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].PartGetRs && 
-        result.FbiXml.FbiMsgsRs[0].PartGetRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].PartGetRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].PartGetRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].PartGetRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to get parts: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
-
-  // Custom method to add inventory - uses the XML approach
-  async addInventory(partId, locationId, quantity, trackingItems = []) {
-    await this.ensureAuthenticated();
-
-    const trackingItemsXml = trackingItems.map(item => {
-      return {
-        TrackingItem: {
-          PartTracking: {
-            ID: item.partTracking.id
-          },
-          Value: item.value
-        }
-      };
+// One pool of Fishbowl connections per configured instance
+const instances = new FishbowlInstances();
+const auditLog = new AuditLog();
+
+// Inbound authentication (API keys / JWTs) and scope checks
+const authenticator = new Authenticator();
+const authenticate = authenticator.middleware();
+const protect = (scope) => [authenticate, requireScope(scope)];
+
+// Retried writes carrying the same Idempotency-Key get the first response back
+const idempotency = new IdempotencyStore();
+const readiness = new ReadinessProbe(instances);
+
+// Change events of every instance go to the same stream clients and webhooks
+const webhooks = new WebhookDispatcher();
+const stream = new EventStream();
+
+/**
+ * What a Fishbowl instance serves requests with: its pool, MCP server,
+ * import jobs, reorder settings and change watcher. The watcher only polls
+ * while someone listens, and only reads the parts stream clients follow
+ * unless a webhook wants them all.
+ */
+function createServices(instance) {
+  const { name, fishbowl } = instance;
+  const watcher = new ChangeWatcher(fishbowl, {
+    shouldPoll: () => webhooks.hasActiveSubscriptions() || stream.clientCount(name) > 0,
+    partsOfInterest: () => (stream.clientCount(name) > 0 && !webhooks.hasActiveSubscriptions() ?
+      stream.partsOfInterest(name) : null)
+  });
+  watcher.on('event', (event) => {
+    stream.publish(event);
+    webhooks.dispatch(event).catch((error) => {
+      logger.error('Dispatching change event failed', { event: event.type, instance: name, error: error.message });
     });
+  });
+  return {
+    name,
+    fishbowl,
+    mcpServer: new McpServer(fishbowl, { audit: auditLog }),
+    importer: new InventoryImporter(fishbowl, { audit: auditLog }),
+    reorder: new ReorderPlanner(fishbowl, { audit: auditLog, instance }),
+    watcher
+  };
+}
 
-    const addInventoryRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          InventoryAddRq: {
-            PartID: partId,
-            LocationID: locationId,
-            Quantity: quantity,
-            TrackingItems: trackingItemsXml
-          }
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(addInventoryRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].InventoryAddRs && 
-        result.FbiXml.FbiMsgsRs[0].InventoryAddRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].InventoryAddRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].InventoryAddRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].InventoryAddRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to add inventory: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
-
-  async getManufactureOrders(filters = {}) {
-    await this.ensureAuthenticated();
-
-    // Convert filters to XML format
-    const filtersObj = {};
-    for (const [key, value] of Object.entries(filters)) {
-      if (value !== undefined && value !== null && value !== '') {
-        filtersObj[key] = value;
-      }
-    }
-
-    const moRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          ManufactureOrderQueryRq: filtersObj
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(moRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].ManufactureOrderQueryRs && 
-        result.FbiXml.FbiMsgsRs[0].ManufactureOrderQueryRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].ManufactureOrderQueryRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].ManufactureOrderQueryRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].ManufactureOrderQueryRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to get manufacture orders: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
-
-  async getPurchaseOrders(filters = {}) {
-    await this.ensureAuthenticated();
-
-    // Convert filters to XML format
-    const filtersObj = {};
-    for (const [key, value] of Object.entries(filters)) {
-      if (value !== undefined && value !== null && value !== '') {
-        filtersObj[key] = value;
-      }
-    }
-
-    const poRequest = {
-      FbiXml: {
-        Ticket: {
-          Key: this.sessionToken
-        },
-        FbiMsgsRq: {
-          PurchaseOrderQueryRq: filtersObj
-        }
-      }
-    };
-
-    const requestXml = xmlBuilder.buildObject(poRequest);
-    const response = await this.sendRequest(requestXml);
-    const result = await xmlParser.parseStringPromise(response);
-
-    // Check for errors
-    if (result.FbiXml && result.FbiXml.FbiMsgsRs && 
-        result.FbiXml.FbiMsgsRs[0].PurchaseOrderQueryRs && 
-        result.FbiXml.FbiMsgsRs[0].PurchaseOrderQueryRs[0].StatusCode) {
-      
-      const statusCode = result.FbiXml.FbiMsgsRs[0].PurchaseOrderQueryRs[0].StatusCode[0];
-      
-      if (statusCode !== '1000') {
-        const statusMessage = result.FbiXml.FbiMsgsRs[0].PurchaseOrderQueryRs[0].StatusMessage ? 
-            result.FbiXml.FbiMsgsRs[0].PurchaseOrderQueryRs[0].StatusMessage[0] : 'Unknown error';
-        throw new Error(`Failed to get purchase orders: ${statusCode} - ${statusMessage}`);
-      }
-    }
-
-    return result;
-  }
+const services = new Map(instances.list().map(instance => [instance.name, createServices(instance)]));
+
+// The services of the instance a request chose (400 when it chose none and there is no default)
+const servicesFor = (req) => services.get(instances.forRequest(req).name);
+
+// The default instance's services, for startup and the module exports
+const primary = services.get(instances.primary().name);
+
+const isWriteCommand = (req) => {
+  const command = req.body && req.body.command;
+  return (Object.prototype.hasOwnProperty.call(commands, command) && commands[command].write === true) ||
+    batchHasWrites(req.body);
+};
+
+// Cross-origin callers must be listed in CORS_ORIGINS ('*' allows any)
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
+
+// Request ids tie log lines and audit entries to one request. A caller's
+// X-Request-Id is kept when it looks like an id, otherwise one is made up.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Latency of every request by route, and one log line when it completes
+app.use((req, res, next) => {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_PATTERN.test(header) ? header : crypto.randomUUID();
+  res.set('X-Request-Id', requestId);
+
+  const started = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    metrics.httpRequestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+    runWithContext({ requestId }, () => logger.info('request completed', {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route,
+      status: res.statusCode,
+      durationMs: Math.round(seconds * 1000),
+      caller: req.principal ? req.principal.id : null,
+      instance: req.fishbowlInstance || null
+    }));
+  });
 
-  async logout() {
-    if (!this.sessionToken) {
-      return { success: true, message: 'Not logged in' };
-    }
+  runWithContext({ requestId }, next);
+});
 
-    try {
-      const logoutRequest = {
-        FbiXml: {
-          Ticket: {
-            Key: this.sessionToken
-          },
-          FbiMsgsRq: {
-            LogoutRq: {}
-          }
-        }
-      };
-
-      const requestXml = xmlBuilder.buildObject(logoutRequest);
-      const response = await this.sendRequest(requestXml);
-      const result = await xmlParser.parseStringPromise(response);
-
-      // Reset session data
-      this.sessionToken = null;
-      this.userId = null;
-
-      return { success: true, message: 'Successfully logged out of Fishbowl' };
-    } catch (error) {
-      console.error('Logout error:', error);
-      // Reset session data even if the logout request fails
-      this.sessionToken = null;
-      this.userId = null;
-      return { success: false, error: error.message };
-    }
+// Middleware
+app.use(cors({
+  origin: corsOrigins.includes('*') ? true : corsOrigins,
+  exposedHeaders: ['Mcp-Session-Id', 'Idempotent-Replayed', 'ETag', 'X-Request-Id']
+}));
+
+// Requests choose a Fishbowl instance with X-Fishbowl-Instance or /instances/<name>
+app.use(instances.middleware());
+
+// MCP streamable HTTP transport (parses its own JSON-RPC bodies)
+app.use('/mcp', createMcpHttpRouter(req => servicesFor(req).mcpServer, { authenticate }));
+
+app.use(preserveContext(express.json()));
+
+// ?raw=true returns the parsed FbiXml instead of the normalized models
+const isRaw = (req) => req.query.raw === 'true';
+
+/**
+ * Set the ETag of a response built from a cache entry and answer 304 Not
+ * Modified when the client already holds it. The query string is part of
+ * the tag because it changes the body built from the same entry.
+ * Cache-Control: no-cache on the request makes the route reload the entry.
+ */
+const notModified = (req, res, entry) => {
+  const variant = crypto.createHash('sha1').update(req.originalUrl.split('?')[1] || '').digest('base64url').slice(0, 8);
+  const etag = `W/"${entry.etag}.${variant}"`;
+  res.set('ETag', etag);
+  res.set('Cache-Control', 'private, no-cache');
+  // The same URL answers for another instance when the header changes
+  res.vary(INSTANCE_HEADER);
+  res.set('Age', String(Math.floor((Date.now() - entry.fetchedAt) / 1000)));
+
+  const ifNoneMatch = req.get('If-None-Match');
+  if (ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).some(tag => tag === etag || tag === '*')) {
+    res.status(304).end();
+    return true;
   }
-
-  disconnect() {
-    if (this.client) {
-      // Attempt to logout if we have a session
-      if (this.sessionToken) {
-        this.logout().catch(console.error);
-      }
-      
-      this.client.destroy();
-      this.client = null;
-      this.sessionToken = null;
-      this.userId = null;
-      console.log('Disconnected from Fishbowl server');
-      return { success: true, message: 'Disconnected from Fishbowl server' };
-    }
-    
-    return { success: true, message: 'Not connected to Fishbowl server' };
+  return false;
+};
+
+const wantsReload = (req) => /no-cache/i.test(req.get('Cache-Control') || '');
+
+/**
+ * Send one page of a catalog route. raw=true returns the unfiltered FbiXml.
+ */
+const sendCatalog = (req, res, result, items, query) => {
+  if (isRaw(req)) {
+    res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+    return;
   }
-}
-
-// Create Fishbowl client instance
-const fishbowl = new FishbowlClient();
+  const { data, pagination } = applyCatalogQuery(items, query);
+  res.json({
+    success: true,
+    data,
+    pagination,
+    timestamp: new Date().toISOString()
+  });
+};
 
 // Root route handler - Add this to fix the "Route GET / not found" error
 app.get('/', (req, res) => {
@@ -482,274 +200,654 @@ app.get('/docs', (req, res) => {
     description: 'An MCP server for accessing data from Fishbowl Inventory',
     endpoints: [
       { path: '/', method: 'GET', description: 'Service information' },
-      { path: '/health', method: 'GET', description: 'Health check endpoint' },
+      { path: '/health', method: 'GET', description: 'Liveness check (same as /health/live)' },
+      { path: '/health/live', method: 'GET', description: 'Liveness check; does not contact Fishbowl' },
+      { path: '/health/ready', method: 'GET', description: 'Readiness check: Fishbowl connection, session and a test query (503 when failing)' },
       { path: '/status', method: 'GET', description: 'Connection status to Fishbowl' },
-      { path: '/mcp/execute', method: 'POST', description: 'MCP command execution endpoint' },
+      { path: '/metrics', method: 'GET', description: 'Prometheus metrics' },
+      { path: '/mcp', method: 'POST', description: 'Model Context Protocol endpoint (streamable HTTP)' },
+      { path: '/mcp/execute', method: 'POST', description: 'MCP command execution endpoint (single command or batch)' },
+      { path: '/mcp/instances', method: 'GET', description: 'The configured Fishbowl instances' },
+      { path: '/mcp/instances/inventory/:partNumber', method: 'GET', description: 'Inventory of a part in every instance, with totals' },
       { path: '/mcp/inventory/:partNumber', method: 'GET', description: 'Get inventory for a specific part' },
-      { path: '/mcp/products', method: 'GET', description: 'Get all products' },
-      { path: '/mcp/parts', method: 'GET', description: 'Get all parts' },
-      { path: '/mcp/manufacture-orders', method: 'GET', description: 'Search manufacture orders' },
-      { path: '/mcp/purchase-orders', method: 'GET', description: 'Search purchase orders' },
-      { path: '/mcp/inventory/add', method: 'POST', description: 'Add inventory' }
+      { path: '/mcp/products', method: 'GET', description: 'List products (search, filter, sort, paginate)' },
+      { path: '/mcp/parts', method: 'GET', description: 'List parts (search, filter, sort, paginate)' },
+      { path: '/mcp/manufacture-orders', method: 'GET, POST', description: 'Search manufacture orders, or create one from a bill of materials' },
+      { path: '/mcp/manufacture-orders/:number', method: 'GET, DELETE', description: 'Read a manufacture order with its items, or delete an entered one' },
+      { path: '/mcp/manufacture-orders/:number/:action', method: 'POST', description: 'Issue, unissue or close short a manufacture order (issue, unissue, close-short)' },
+      { path: '/mcp/boms/:number', method: 'GET', description: 'Read a bill of materials with its items' },
+      { path: '/mcp/boms/:number/availability', method: 'GET', description: 'Compare the components a build needs with stock on hand (?quantity=, ?locationGroup=)' },
+      { path: '/mcp/purchase-orders', method: 'GET, POST', description: 'Search purchase orders, or create a bid request' },
+      { path: '/mcp/purchase-orders/:number', method: 'GET, PATCH, DELETE', description: 'Read a purchase order with its lines, change a bid request or delete it' },
+      { path: '/mcp/purchase-orders/:number/:action', method: 'POST', description: 'Issue, unissue, close short or void a purchase order (issue, unissue, close-short, void)' },
+      { path: '/mcp/export/:catalog', method: 'GET', description: 'Export parts, products, purchase-orders or manufacture-orders as CSV or NDJSON' },
+      { path: '/mcp/inventory/add', method: 'POST', description: 'Add inventory' },
+      { path: '/mcp/inventory/import', method: 'POST', description: 'Import inventory from CSV (?dryRun=true to validate only)' },
+      { path: '/mcp/inventory/import/:id', method: 'GET', description: 'Progress of an inventory import' },
+      { path: '/mcp/inventory/import/:id/result', method: 'GET', description: 'Per-row results of an inventory import as CSV' },
+      { path: '/mcp/reorder/config', method: 'GET', description: 'Reorder points, target levels and vendors per part' },
+      { path: '/mcp/reorder/config/:partNumber', method: 'PUT, DELETE', description: 'Set or remove the reorder settings of a part' },
+      { path: '/mcp/reorder/suggestions', method: 'GET', description: 'Parts at or below their reorder point (?refresh=true to re-evaluate)' },
+      { path: '/mcp/reorder/purchase-orders', method: 'POST', description: 'Create draft purchase orders, one per vendor, from selected suggestions' },
+      { path: '/mcp/stream', method: 'GET', description: 'Server-Sent Events stream of inventory and order changes (?parts=, ?orders=, ?events=)' },
+      { path: '/audit', method: 'GET', description: 'Audit log of writes (JSON or ?format=csv)' },
+      { path: '/webhooks', method: 'GET, POST', description: 'List or register webhook subscriptions for change events' },
+      { path: '/webhooks/:id', method: 'GET, PATCH, DELETE', description: 'Read, change or remove a webhook subscription' },
+      { path: '/webhooks/dead-letters', method: 'GET', description: 'Webhook deliveries that failed every retry' },
+      { path: '/webhooks/dead-letters/:id/redeliver', method: 'POST', description: 'Retry a dead-lettered delivery' },
+      { path: '/admin/cache', method: 'GET', description: 'Inspect the query cache' },
+      { path: '/admin/cache/:resource?', method: 'DELETE', description: 'Flush the query cache or one resource' }
     ],
-    mcp_commands: [
-      'getInventory', 'getProducts', 'getParts', 'getManufactureOrders', 
-      'getPurchaseOrders', 'addInventory', 'login', 'logout', 'connect', 'disconnect'
-    ]
+    mcp_commands: Object.keys(commands),
+    instances: `Choose a Fishbowl instance with the ${INSTANCE_HEADER} header or an /instances/<name> path prefix`
   });
 });
 
-// Health check endpoint
-app.get('/health', (req, res) => {
-  res.status(200).json({ 
+// Liveness: the process is up and serving requests. Fishbowl is not
+// contacted, so an outage there does not get the server restarted.
+const liveness = (req, res) => {
+  res.status(200).json({
     status: 'healthy',
     version: '1.0.0',
     timestamp: new Date().toISOString(),
     service: 'MCP Fishbowl Server'
   });
+};
+app.get('/health', liveness);
+app.get('/health/live', liveness);
+
+// Readiness: a (cached) round trip to Fishbowl; 503 while it fails
+app.get('/health/ready', asyncHandler(async (req, res) => {
+  const report = await readiness.check();
+  res.set('Cache-Control', 'no-store');
+  res.status(report.status === 'ready' ? 200 : 503).json({ ...report, timestamp: new Date().toISOString() });
+}));
+
+// Connection state of a pool, as /status reports it
+const connectionState = (pool) => (pool.authenticated > 0 ? 'authenticated' : (pool.size > 0 ? 'connected' : 'disconnected'));
+
+// Status endpoint: the chosen (or default) instance in detail, and a summary of every instance
+app.get('/status', authenticate, asyncHandler(async (req, res) => {
+  const { name, fishbowl, watcher, reorder } = req.fishbowlInstance ? servicesFor(req) : primary;
+  const pool = fishbowl.stats();
+
+  res.json({
+    status: connectionState(pool),
+    instance: name,
+    backend: fishbowl.backend,
+    host: fishbowl.host,
+    port: fishbowl.port,
+    pool,
+    circuitBreaker: fishbowl.breaker.stats(),
+    lastError: fishbowl.breaker.lastError ? fishbowl.breaker.lastError.message : null,
+    reconnectAttempts: pool.reconnectAttempts,
+    watcher: watcher.status(),
+    webhooks: webhooks.stats(),
+    stream: stream.stats(),
+    reorder: reorder.status(),
+    instances: instances.list().map(instance => ({
+      name: instance.name,
+      default: instance.isDefault,
+      status: connectionState(instance.fishbowl.stats()),
+      circuitBreaker: instance.fishbowl.breaker.stats().state
+    })),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Prometheus metrics: request and Fishbowl latency, pool, breaker and stream state
+const perInstance = (sample) => () => instances.list().flatMap(({ name, fishbowl }) =>
+  [].concat(sample(fishbowl)).map(({ labels, value }) => ({ labels: { instance: name, ...labels }, value })));
+
+registry.gauge('fishbowl_pool_connections', 'Fishbowl connections by instance and state', ['instance', 'state'],
+  perInstance((fishbowl) => {
+    const pool = fishbowl.stats();
+    return ['busy', 'idle', 'authenticated', 'reconnecting'].map(state => ({ labels: { state }, value: pool[state] }));
+  }));
+registry.gauge('fishbowl_pool_waiting', 'Requests waiting for a Fishbowl connection by instance and lane', ['instance', 'lane'],
+  perInstance((fishbowl) => Object.entries(fishbowl.stats().waiting).map(([lane, value]) => ({ labels: { lane }, value }))));
+registry.gauge('fishbowl_circuit_breaker_open', '1 while the circuit breaker of a Fishbowl instance is open', ['instance'],
+  perInstance((fishbowl) => ({ labels: {}, value: fishbowl.breaker.stats().state === 'open' ? 1 : 0 })));
+registry.gauge('event_stream_clients', 'Connected Server-Sent Events clients', [], () => stream.clientCount());
+registry.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', [], () => process.memoryUsage().rss);
+registry.gauge('process_uptime_seconds', 'Seconds since the process started', [], () => process.uptime());
+
+app.get('/metrics', protect(SCOPES.METRICS_READ), (req, res) => {
+  res.type(CONTENT_TYPE).send(registry.render());
 });
 
-// Status endpoint
-app.get('/status', async (req, res) => {
-  try {
-    const connected = fishbowl.client !== null;
-    const authenticated = fishbowl.sessionToken !== null;
-    
-    res.json({
-      status: authenticated ? 'authenticated' : (connected ? 'connected' : 'disconnected'),
-      host: fishbowl.host,
-      port: fishbowl.port,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      status: 'error',
-      error: error.message,
-      fishbowlHost: fishbowl.host,
-      fishbowlPort: fishbowl.port,
-      timestamp: new Date().toISOString()
+// MCP endpoint to execute commands, one at a time or as a batch
+app.post('/mcp/execute', authenticate, idempotency.middleware(isWriteCommand), asyncHandler(async (req, res) => {
+  const { fishbowl } = servicesFor(req);
+  if (req.body.batch !== undefined) {
+    const outcome = await executeBatch(fishbowl, parseBatch(req.body), {
+      raw: isRaw(req),
+      principal: req.principal,
+      audit: auditLog,
+      source: 'batch'
     });
+    res.json({ ...outcome, timestamp: new Date().toISOString() });
+    return;
   }
+
+  const { command, parameters } = req.body;
+  
+  const result = await executeCommand(fishbowl, command, parameters, {
+    raw: isRaw(req),
+    principal: req.principal,
+    audit: auditLog,
+    source: 'execute'
+  });
+  
+  res.json({
+    success: true,
+    result: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// The configured Fishbowl instances
+app.get('/mcp/instances', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: instances.list().map(({ name, isDefault, fishbowl }) => ({
+      name,
+      default: isDefault,
+      backend: fishbowl.backend,
+      host: fishbowl.host,
+      port: fishbowl.port
+    })),
+    timestamp: new Date().toISOString()
+  });
 });
 
-// MCP endpoint to execute commands
-app.post('/mcp/execute', async (req, res) => {
-  try {
-    const { command, parameters } = req.body;
-    
-    let result;
-    switch (command) {
-      case 'getInventory':
-        if (!parameters || !parameters.partNumber) {
-          throw new Error('Part number is required for inventory lookup');
-        }
-        result = await fishbowl.getInventory(parameters.partNumber);
-        break;
-      
-      case 'getProducts':
-        result = await fishbowl.getProducts();
-        break;
-      
-      case 'getParts':
-        result = await fishbowl.getParts();
-        break;
-        
-      case 'getManufactureOrders':
-        result = await fishbowl.getManufactureOrders(parameters || {});
-        break;
-        
-      case 'getPurchaseOrders':
-        result = await fishbowl.getPurchaseOrders(parameters || {});
-        break;
-        
-      case 'addInventory':
-        if (!parameters || !parameters.partId || !parameters.locationId || parameters.quantity === undefined) {
-          throw new Error('partId, locationId, and quantity are required to add inventory');
-        }
-        result = await fishbowl.addInventory(
-          parameters.partId, 
-          parameters.locationId, 
-          parameters.quantity, 
-          parameters.trackingItems || []
-        );
-        break;
-      
-      case 'login':
-        result = await fishbowl.login();
-        break;
-        
-      case 'logout':
-        result = await fishbowl.logout();
-        break;
-        
-      case 'connect':
-        result = await fishbowl.connect();
-        break;
-        
-      case 'disconnect':
-        result = fishbowl.disconnect();
-        break;
-      
-      default:
-        throw new Error(`Unknown command: ${command}`);
+// Inventory of a part in every instance, with the totals across them. An
+// instance that fails is reported in its entry rather than failing the request.
+app.get('/mcp/instances/inventory/:partNumber', protect(SCOPES.INVENTORY_READ), asyncHandler(async (req, res) => {
+  const { partNumber } = req.params;
+  const results = await Promise.all(instances.list().map(async ({ name, fishbowl }) => {
+    try {
+      const entry = await fishbowl.cached('getInventory', [partNumber], { refresh: wantsReload(req) });
+      const { quantities, totalOnHand, totalAvailable } = models.normalizeInventory(entry.value, partNumber);
+      return { instance: name, status: 'ok', totalOnHand, totalAvailable, quantities };
+    } catch (error) {
+      if (error instanceof NotFoundError) {
+        return { instance: name, status: 'not_found', totalOnHand: 0, totalAvailable: 0, quantities: [] };
+      }
+      return { instance: name, status: 'error', error: { code: error.code || 'internal_error', message: error.message } };
     }
-    
-    res.json({
-      success: true,
-      result: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error executing command:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
-});
+  }));
+
+  const answered = results.filter(result => result.status !== 'error');
+  const sum = (field) => answered.reduce((total, result) => total + (result[field] || 0), 0);
+  res.json({
+    success: answered.length === results.length,
+    data: {
+      partNumber,
+      totalOnHand: sum('totalOnHand'),
+      totalAvailable: answered.some(result => result.totalAvailable !== null) ? sum('totalAvailable') : null,
+      instances: results
+    },
+    timestamp: new Date().toISOString()
+  });
+}));
 
 // Additional specific endpoints for easier access
-app.get('/mcp/inventory/:partNumber', async (req, res) => {
-  try {
-    const result = await fishbowl.getInventory(req.params.partNumber);
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting inventory:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+app.get('/mcp/inventory/:partNumber', protect(SCOPES.INVENTORY_READ), asyncHandler(async (req, res) => {
+  const { fishbowl } = servicesFor(req);
+  const entry = await fishbowl.cached('getInventory', [req.params.partNumber], { refresh: wantsReload(req) });
+  if (notModified(req, res, entry)) {
+    return;
   }
-});
+  const result = entry.value;
+  res.json({
+    success: true,
+    data: isRaw(req) ? result : models.normalizeInventory(result, req.params.partNumber),
+    timestamp: new Date().toISOString()
+  });
+}));
 
-app.get('/mcp/products', async (req, res) => {
-  try {
-    const result = await fishbowl.getProducts();
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting products:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
+app.get('/mcp/products', protect(SCOPES.INVENTORY_READ), asyncHandler(async (req, res) => {
+  const query = parseCatalogQuery('products', req.query);
+  const entry = await servicesFor(req).fishbowl.cached('getProducts', [], { refresh: wantsReload(req) });
+  if (notModified(req, res, entry)) {
+    return;
+  }
+  sendCatalog(req, res, entry.value, models.normalizeProducts(entry.value).products, query);
+}));
+
+app.get('/mcp/parts', protect(SCOPES.INVENTORY_READ), asyncHandler(async (req, res) => {
+  const query = parseCatalogQuery('parts', req.query);
+  const entry = await servicesFor(req).fishbowl.cached('getParts', [], { refresh: wantsReload(req) });
+  if (notModified(req, res, entry)) {
+    return;
+  }
+  sendCatalog(req, res, entry.value, models.normalizeParts(entry.value).parts, query);
+}));
+
+app.get('/mcp/manufacture-orders', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const query = parseCatalogQuery('manufactureOrders', req.query);
+  const result = await servicesFor(req).fishbowl.getManufactureOrders(upstreamFilters('manufactureOrders', req.query));
+  sendCatalog(req, res, result, models.normalizeManufactureOrders(result).manufactureOrders, query);
+}));
+
+app.get('/mcp/purchase-orders', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const query = parseCatalogQuery('purchaseOrders', req.query);
+  const result = await servicesFor(req).fishbowl.getPurchaseOrders(upstreamFilters('purchaseOrders', req.query));
+  sendCatalog(req, res, result, models.normalizePurchaseOrders(result).purchaseOrders, query);
+}));
+
+// Exports of the catalog routes as CSV or NDJSON, with the same filters.
+// Fishbowl's response is read whole; its records are normalized, filtered
+// and written one at a time, and only collected when a sort is asked for.
+const exportSources = {
+  parts: {
+    catalog: 'parts',
+    scope: SCOPES.INVENTORY_READ,
+    load: async (req) => models.eachRecord(
+      (await servicesFor(req).fishbowl.cached('getParts', [], { refresh: wantsReload(req) })).value,
+      'PartGetRs', 'Part', 'Parts', models.toPart)
+  },
+  products: {
+    catalog: 'products',
+    scope: SCOPES.INVENTORY_READ,
+    load: async (req) => models.eachRecord(
+      (await servicesFor(req).fishbowl.cached('getProducts', [], { refresh: wantsReload(req) })).value,
+      'ProductGetRs', 'Product', 'Products', models.toProduct)
+  },
+  'purchase-orders': {
+    catalog: 'purchaseOrders',
+    scope: SCOPES.ORDERS_READ,
+    load: async (req) => models.eachRecord(
+      await servicesFor(req).fishbowl.getPurchaseOrders(upstreamFilters('purchaseOrders', req.query)),
+      'PurchaseOrderQueryRs', 'PurchaseOrder', 'PurchaseOrders', models.toPurchaseOrder)
+  },
+  'manufacture-orders': {
+    catalog: 'manufactureOrders',
+    scope: SCOPES.ORDERS_READ,
+    load: async (req) => models.eachRecord(
+      await servicesFor(req).fishbowl.getManufactureOrders(upstreamFilters('manufactureOrders', req.query)),
+      'ManufactureOrderQueryRs', 'ManufactureOrder', 'ManufactureOrders', models.toManufactureOrder)
   }
+};
+
+for (const [path, source] of Object.entries(exportSources)) {
+  app.get(`/mcp/export/${path}`, protect(source.scope), asyncHandler(async (req, res) => {
+    const format = exportFormat(req);
+    const columns = exportColumns(source.catalog, req.query.columns);
+    const query = parseCatalogQuery(source.catalog, req.query, { paged: false, params: ['format', 'columns'] });
+    const items = exportItems(await source.load(req), query);
+
+    // attachment() guesses a type from the file name, so the type goes last
+    res.attachment(`${path}-${new Date().toISOString().slice(0, 10)}.${FORMATS[format].extension}`)
+      .type(FORMATS[format].contentType);
+    pipeline(exportStream(format, columns, items), res, (error) => {
+      if (error) {
+        logger.warn('Export ended early', { catalog: path, error: error.message });
+      }
+    });
+  }));
+}
+
+// Add inventory endpoint
+app.post('/mcp/inventory/add', protect(SCOPES.INVENTORY_WRITE), idempotency.middleware(), asyncHandler(async (req, res) => {
+  const { partId, locationId, quantity, trackingItems } = req.body;
+  
+  const result = await executeCommand(servicesFor(req).fishbowl, 'addInventory', { partId, locationId, quantity, trackingItems }, {
+    raw: isRaw(req),
+    principal: req.principal,
+    audit: auditLog,
+    source: 'rest'
+  });
+  
+  res.json({
+    success: true,
+    data: result,
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Purchase orders by number: read, create, change and move through their
+// lifecycle. Each route runs the matching command, so the status checks,
+// scopes and audit entries are those of /mcp/execute.
+const runCommand = (req, command, parameters, statusCode) => executeCommand(servicesFor(req).fishbowl, command, parameters, {
+  raw: isRaw(req),
+  principal: req.principal,
+  audit: auditLog,
+  source: 'rest',
+  statusCode
 });
 
-app.get('/mcp/parts', async (req, res) => {
-  try {
-    const result = await fishbowl.getParts();
-    res.json({
+app.get('/mcp/purchase-orders/:number', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'getPurchaseOrder', { number: req.params.number });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+app.post('/mcp/purchase-orders', protect(SCOPES.ORDERS_WRITE), idempotency.middleware(), asyncHandler(async (req, res) => {
+  const { vendor, locationGroup, items } = req.body;
+  const result = await runCommand(req, 'createPurchaseOrder', { vendor, locationGroup, items }, 201);
+  res.status(201).json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+app.patch('/mcp/purchase-orders/:number', protect(SCOPES.ORDERS_WRITE), idempotency.middleware(), asyncHandler(async (req, res) => {
+  const { vendor, locationGroup, items } = req.body;
+  const result = await runCommand(req, 'updatePurchaseOrder', { number: req.params.number, vendor, locationGroup, items });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+const purchaseOrderActions = {
+  issue: 'issuePurchaseOrder',
+  unissue: 'unissuePurchaseOrder',
+  'close-short': 'closeShortPurchaseOrder',
+  void: 'voidPurchaseOrder'
+};
+
+for (const [action, command] of Object.entries(purchaseOrderActions)) {
+  app.post(`/mcp/purchase-orders/:number/${action}`, protect(SCOPES.ORDERS_WRITE), idempotency.middleware(),
+    asyncHandler(async (req, res) => {
+      const result = await runCommand(req, command, { number: req.params.number });
+      res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+    }));
+}
+
+app.delete('/mcp/purchase-orders/:number', protect(SCOPES.ORDERS_WRITE), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'deletePurchaseOrder', { number: req.params.number });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+// Manufacture orders by number and the bills of materials they build, the
+// same way as purchase orders
+app.get('/mcp/manufacture-orders/:number', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'getManufactureOrder', { number: req.params.number });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+app.post('/mcp/manufacture-orders', protect(SCOPES.ORDERS_WRITE), idempotency.middleware(), asyncHandler(async (req, res) => {
+  const { bomNumber, quantity, locationGroup, scheduledAt, note } = req.body;
+  const result = await runCommand(req, 'createManufactureOrder', { bomNumber, quantity, locationGroup, scheduledAt, note }, 201);
+  res.status(201).json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+const manufactureOrderActions = {
+  issue: 'issueManufactureOrder',
+  unissue: 'unissueManufactureOrder',
+  'close-short': 'closeShortManufactureOrder'
+};
+
+for (const [action, command] of Object.entries(manufactureOrderActions)) {
+  app.post(`/mcp/manufacture-orders/:number/${action}`, protect(SCOPES.ORDERS_WRITE), idempotency.middleware(),
+    asyncHandler(async (req, res) => {
+      const result = await runCommand(req, command, { number: req.params.number });
+      res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+    }));
+}
+
+app.delete('/mcp/manufacture-orders/:number', protect(SCOPES.ORDERS_WRITE), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'deleteManufactureOrder', { number: req.params.number });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+app.get('/mcp/boms/:number', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'getBom', { bomNumber: req.params.number });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+app.get('/mcp/boms/:number/availability', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const result = await runCommand(req, 'checkKitAvailability', {
+    bomNumber: req.params.number,
+    quantity: req.query.quantity,
+    locationGroup: req.query.locationGroup
+  });
+  res.json({ success: true, data: result, timestamp: new Date().toISOString() });
+}));
+
+// Bulk inventory import: POST a CSV (?dryRun=true only validates it), then
+// follow the job's progress and download its per-row results
+const csvBody = preserveContext(express.text({ type: ['text/csv', 'text/plain'], limit: process.env.IMPORT_MAX_BYTES || '5mb' }));
+const isDryRun = (req) => req.query.dryRun === 'true';
+
+app.post('/mcp/inventory/import', protect(SCOPES.INVENTORY_WRITE), csvBody, idempotency.middleware(req => !isDryRun(req)),
+  asyncHandler(async (req, res) => {
+    if (isDryRun(req)) {
+      res.json({
+        success: true,
+        data: dryRunReport(await servicesFor(req).importer.validate(req.body)),
+        timestamp: new Date().toISOString()
+      });
+      return;
+    }
+
+    const job = await servicesFor(req).importer.start(req.body, { principal: req.principal });
+    res.status(202).location(`/mcp/inventory/import/${job.id}`).json({
       success: true,
-      data: result,
+      data: job,
       timestamp: new Date().toISOString()
     });
-  } catch (error) {
-    console.error('Error getting parts:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+  }));
+
+app.get('/mcp/inventory/import/:id', protect(SCOPES.INVENTORY_WRITE), (req, res) => {
+  res.json({
+    success: true,
+    data: servicesFor(req).importer.get(req.params.id, req.principal),
+    timestamp: new Date().toISOString()
+  });
 });
 
-app.get('/mcp/manufacture-orders', async (req, res) => {
-  try {
-    const result = await fishbowl.getManufactureOrders(req.query);
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting manufacture orders:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+app.get('/mcp/inventory/import/:id/result', protect(SCOPES.INVENTORY_WRITE), (req, res) => {
+  const csv = servicesFor(req).importer.resultCsv(req.params.id, req.principal);
+  res.type('text/csv')
+    .attachment(`import-${req.params.id}.csv`)
+    .send(csv);
 });
 
-app.get('/mcp/purchase-orders', async (req, res) => {
-  try {
-    const result = await fishbowl.getPurchaseOrders(req.query);
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error getting purchase orders:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
-    });
-  }
+// Reorder points per part, the parts that need ordering, and draft purchase orders for them
+app.get('/mcp/reorder/config', protect(SCOPES.ORDERS_READ), (req, res) => {
+  res.json({ success: true, data: servicesFor(req).reorder.listConfig(), timestamp: new Date().toISOString() });
 });
 
-// Add inventory endpoint
-app.post('/mcp/inventory/add', async (req, res) => {
-  try {
-    const { partId, locationId, quantity, trackingItems } = req.body;
-    
-    if (!partId || !locationId || quantity === undefined) {
-      throw new Error('partId, locationId, and quantity are required to add inventory');
-    }
-    
-    const result = await fishbowl.addInventory(partId, locationId, quantity, trackingItems || []);
-    
-    res.json({
-      success: true,
-      data: result,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('Error adding inventory:', error);
-    res.status(500).json({
-      success: false,
-      error: error.message,
-      timestamp: new Date().toISOString()
+app.put('/mcp/reorder/config/:partNumber', protect(SCOPES.ORDERS_WRITE), asyncHandler(async (req, res) => {
+  const { entry, created } = await servicesFor(req).reorder.setConfig(req.params.partNumber, req.body, req.principal);
+  res.status(created ? 201 : 200).json({ success: true, data: entry, timestamp: new Date().toISOString() });
+}));
+
+app.delete('/mcp/reorder/config/:partNumber', protect(SCOPES.ORDERS_WRITE), asyncHandler(async (req, res) => {
+  await servicesFor(req).reorder.removeConfig(req.params.partNumber);
+  res.json({ success: true, timestamp: new Date().toISOString() });
+}));
+
+app.get('/mcp/reorder/suggestions', protect(SCOPES.ORDERS_READ), asyncHandler(async (req, res) => {
+  const report = await servicesFor(req).reorder.suggestions({ refresh: req.query.refresh === 'true' });
+  res.json({ success: true, data: report, timestamp: new Date().toISOString() });
+}));
+
+app.post('/mcp/reorder/purchase-orders', protect(SCOPES.ORDERS_WRITE), idempotency.middleware(),
+  asyncHandler(async (req, res) => {
+    const result = await servicesFor(req).reorder.createPurchaseOrders(req.body, req.principal);
+    res.status(201).json({ success: result.failed.length === 0, data: result, timestamp: new Date().toISOString() });
+  }));
+
+// Live change events of the chosen instance as Server-Sent Events; each event
+// type needs the scope of its data
+app.get('/mcp/stream', authenticate, (req, res) => {
+  const { name, watcher } = servicesFor(req);
+  stream.connect(req, res);
+  // Take the baseline now rather than a full interval after the first client
+  if (!watcher.snapshot) {
+    watcher.tick().catch((error) => {
+      logger.error('Change watcher poll failed', { instance: name, error: error.message });
     });
   }
 });
 
-// Catch-all route for 404 errors
-app.use((req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.path} not found`,
+// Webhook subscriptions for change events, and deliveries that gave up
+app.get('/webhooks', protect(SCOPES.WEBHOOKS_MANAGE), (req, res) => {
+  res.json({ success: true, data: webhooks.list(), timestamp: new Date().toISOString() });
+});
+
+app.post('/webhooks', protect(SCOPES.WEBHOOKS_MANAGE), asyncHandler(async (req, res) => {
+  const subscription = await webhooks.create(req.body, req.principal);
+  res.status(201).location(`/webhooks/${subscription.id}`).json({
+    success: true,
+    data: subscription,
     timestamp: new Date().toISOString()
   });
+}));
+
+app.get('/webhooks/dead-letters', protect(SCOPES.WEBHOOKS_MANAGE), (req, res) => {
+  res.json({
+    success: true,
+    data: webhooks.listDeadLetters(req.query.subscription || null),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.post('/webhooks/dead-letters/:id/redeliver', protect(SCOPES.WEBHOOKS_MANAGE), asyncHandler(async (req, res) => {
+  res.json({ success: true, data: await webhooks.redeliver(req.params.id), timestamp: new Date().toISOString() });
+}));
+
+app.delete('/webhooks/dead-letters/:id', protect(SCOPES.WEBHOOKS_MANAGE), asyncHandler(async (req, res) => {
+  await webhooks.discardDeadLetter(req.params.id);
+  res.json({ success: true, timestamp: new Date().toISOString() });
+}));
+
+app.get('/webhooks/:id', protect(SCOPES.WEBHOOKS_MANAGE), (req, res) => {
+  res.json({ success: true, data: webhooks.get(req.params.id), timestamp: new Date().toISOString() });
 });
 
-// Graceful shutdown
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received. Shutting down gracefully...');
-  fishbowl.disconnect();
-  process.exit(0);
+app.patch('/webhooks/:id', protect(SCOPES.WEBHOOKS_MANAGE), asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: await webhooks.update(req.params.id, req.body),
+    timestamp: new Date().toISOString()
+  });
+}));
+
+app.delete('/webhooks/:id', protect(SCOPES.WEBHOOKS_MANAGE), asyncHandler(async (req, res) => {
+  await webhooks.remove(req.params.id);
+  res.json({ success: true, timestamp: new Date().toISOString() });
+}));
+
+// Cache of the heavy Fishbowl queries: inspect it, flush it or one resource
+app.get('/admin/cache', protect(SCOPES.ADMIN_CACHE), (req, res) => {
+  res.json({
+    success: true,
+    data: servicesFor(req).fishbowl.cache.stats(),
+    timestamp: new Date().toISOString()
+  });
 });
 
-process.on('SIGINT', () => {
-  console.log('SIGINT received. Shutting down gracefully...');
-  fishbowl.disconnect();
-  process.exit(0);
+app.delete('/admin/cache/:resource?', protect(SCOPES.ADMIN_CACHE), (req, res) => {
+  const resource = req.params.resource || null;
+  const { cache } = servicesFor(req).fishbowl;
+  if (resource && !Object.prototype.hasOwnProperty.call(cache.ttls, resource)) {
+    throw new NotFoundError(`Unknown cache resource: ${resource}`, { resources: Object.keys(cache.ttls) });
+  }
+  cache.flush(resource);
+  res.json({
+    success: true,
+    data: { flushed: resource || 'all' },
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`MCP Fishbowl Server running on port ${PORT}`);
-  console.log(`Configured to connect to Fishbowl at ${fishbowl.host}:${fishbowl.port}`);
+// Columns of the audit log CSV export
+const auditCsvColumns = [
+  { header: 'id', value: (e) => e.id },
+  { header: 'timestamp', value: (e) => e.timestamp },
+  { header: 'caller', value: (e) => (e.caller ? e.caller.id : null) },
+  { header: 'callerType', value: (e) => (e.caller ? e.caller.type : null) },
+  { header: 'source', value: (e) => e.source },
+  { header: 'command', value: (e) => e.command },
+  { header: 'parameters', value: (e) => e.parameters },
+  { header: 'success', value: (e) => e.success },
+  { header: 'statusCode', value: (e) => e.statusCode },
+  { header: 'fishbowlStatusCodes', value: (e) => e.fishbowl.map(call => call.statusCode).join(' ') },
+  { header: 'durationMs', value: (e) => e.durationMs },
+  { header: 'error', value: (e) => (e.error ? e.error.message : null) },
+  { header: 'fishbowlRequests', value: (e) => e.fishbowl.map(call => call.request).join('\n') }
+];
+
+// Audit log of writes, filterable by caller, command, source, outcome and time
+app.get('/audit', protect(SCOPES.AUDIT_READ), asyncHandler(async (req, res) => {
+  const page = await auditLog.query(parseAuditQuery(req.query));
+
+  if (req.query.format === 'csv') {
+    res.type('text/csv');
+    res.set('Content-Disposition', 'attachment; filename="audit.csv"');
+    res.set('X-Total-Count', String(page.total));
+    return res.send(toCsv(auditCsvColumns, page.entries));
+  }
+
+  res.json({
+    success: true,
+    data: page.entries,
+    pagination: { total: page.total, limit: page.limit, offset: page.offset },
+    timestamp: new Date().toISOString()
+  });
+}));
+
+// Catch-all route for 404 errors
+app.use((req, res, next) => {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`, null, 'route_not_found'));
 });
+
+// Every error, from any route, is reported by the central error handler
+app.use(errorHandler);
+
+// Start the server when run directly; tests require the app instead
+if (require.main === module) {
+  // Graceful shutdown
+  const shutdown = () => {
+    for (const { watcher, reorder } of services.values()) {
+      watcher.stop();
+      reorder.stop();
+    }
+    webhooks.stop();
+    stream.close();
+    instances.disconnect().finally(() => process.exit(0));
+  };
+
+  process.on('SIGTERM', () => {
+    logger.info('SIGTERM received. Shutting down gracefully...');
+    shutdown();
+  });
+
+  process.on('SIGINT', () => {
+    logger.info('SIGINT received. Shutting down gracefully...');
+    shutdown();
+  });
+
+  // Start server
+  app.listen(PORT, '0.0.0.0', () => {
+    logger.info('MCP Fishbowl Server running', { port: PORT, instances: instances.names() });
+
+    if (authenticator.disabled) {
+      logger.warn('AUTH_DISABLED=true: every caller has full access');
+    } else if (!authenticator.isConfigured()) {
+      logger.warn('No API keys or JWT secret configured; protected routes will reject every request');
+    }
+
+    // One unreachable instance does not keep the others from starting
+    for (const { name, fishbowl, watcher, reorder } of services.values()) {
+      logger.info('Configured to connect to Fishbowl', { instance: name, fishbowlHost: fishbowl.host, fishbowlPort: fishbowl.port });
+      fishbowl.start().catch((error) => {
+        logger.error('Unable to open Fishbowl connections at startup', { instance: name, error: error.message });
+      });
+      watcher.start();
+      reorder.start();
+    }
+  });
+}
+
+// fishbowl, watcher and reorder are those of the default instance
+module.exports = {
+  app,
+  instances,
+  services,
+  fishbowl: primary.fishbowl,
+  watcher: primary.watcher,
+  webhooks,
+  stream,
+  reorder: primary.reorder,
+  readiness
+};
@@ -0,0 +1,220 @@
+// dataset.js - Default in-memory data served by the Fishbowl simulator
+
+/**
+ * A fresh copy of the sample dataset. The simulator changes its copy (e.g.
+ * when inventory is added), so every call returns new objects.
+ */
+function createDataset() {
+  return {
+    users: [
+      { id: 1, username: 'admin', password: 'admin' }
+    ],
+
+    vendors: [
+      { id: 1, name: 'Acme Supply' },
+      { id: 2, name: 'Widget Works' }
+    ],
+
+    locations: [
+      { id: 1, name: 'Stock', locationGroup: 'Main' },
+      { id: 2, name: 'Receiving', locationGroup: 'Main' },
+      { id: 3, name: 'Shelf A', locationGroup: 'Warehouse 2' }
+    ],
+
+    parts: [
+      {
+        id: 1,
+        number: 'B-100',
+        description: 'Hex bolt 1/4"',
+        uom: 'ea',
+        typeId: 10,
+        standardCost: 0.25,
+        active: true,
+        vendor: 'Acme Supply',
+        tracking: [],
+        createdAt: '2023-01-02T09:00:00.000Z',
+        updatedAt: '2024-03-01T12:00:00.000Z'
+      },
+      {
+        id: 2,
+        number: 'W-200',
+        description: 'Widget housing',
+        uom: 'ea',
+        typeId: 10,
+        standardCost: 4.5,
+        active: true,
+        vendor: 'Widget Works',
+        tracking: [
+          { id: 1, name: 'Lot Number', abbr: 'Lot#', typeId: 10, primary: true }
+        ],
+        createdAt: '2023-02-10T09:00:00.000Z',
+        updatedAt: '2024-02-15T08:30:00.000Z'
+      },
+      {
+        id: 3,
+        number: 'S-300',
+        description: 'Temperature sensor',
+        uom: 'ea',
+        typeId: 10,
+        standardCost: 12,
+        active: true,
+        serialized: true,
+        vendor: 'Acme Supply',
+        tracking: [
+          { id: 2, name: 'Serial Number', abbr: 'SN', typeId: 40, primary: true },
+          { id: 3, name: 'Expiration Date', abbr: 'Exp', typeId: 30, primary: false }
+        ],
+        createdAt: '2023-05-20T09:00:00.000Z',
+        updatedAt: '2024-01-05T10:00:00.000Z'
+      },
+      {
+        id: 4,
+        number: 'OLD-1',
+        description: 'Discontinued bracket',
+        uom: 'ea',
+        typeId: 10,
+        standardCost: 1,
+        active: false,
+        vendor: 'Widget Works',
+        tracking: [],
+        createdAt: '2020-06-01T09:00:00.000Z',
+        updatedAt: '2022-06-01T09:00:00.000Z'
+      }
+    ],
+
+    products: [
+      {
+        id: 1,
+        number: 'B-100',
+        partId: 1,
+        description: 'Hex bolt 1/4"',
+        uom: 'ea',
+        price: 0.6,
+        active: true,
+        createdAt: '2023-01-02T09:00:00.000Z'
+      },
+      {
+        id: 2,
+        number: 'WIDGET-KIT',
+        partId: 2,
+        description: 'Widget kit',
+        uom: 'ea',
+        price: 19.99,
+        active: true,
+        createdAt: '2023-02-10T09:00:00.000Z'
+      },
+      {
+        id: 3,
+        number: 'OLD-1',
+        partId: 4,
+        description: 'Discontinued bracket',
+        uom: 'ea',
+        price: 2.5,
+        active: false,
+        createdAt: '2020-06-01T09:00:00.000Z'
+      }
+    ],
+
+    // On-hand quantity per part and location
+    inventory: [
+      { partId: 1, locationId: 1, quantity: 500 },
+      { partId: 1, locationId: 3, quantity: 120 },
+      { partId: 2, locationId: 1, quantity: 40 },
+      { partId: 3, locationId: 2, quantity: 3 }
+    ],
+
+    purchaseOrders: [
+      {
+        id: 1,
+        number: 'PO-1001',
+        statusId: 20,
+        vendorId: 1,
+        vendor: 'Acme Supply',
+        buyer: 'admin',
+        locationGroup: 'Main',
+        createdAt: '2024-01-05T09:00:00.000Z',
+        issuedAt: '2024-01-06T09:00:00.000Z',
+        scheduledAt: '2024-01-20T09:00:00.000Z',
+        items: [
+          { id: 1, lineNumber: 1, partNumber: 'B-100', description: 'Hex bolt 1/4"', quantity: 1000, quantityFulfilled: 0, unitCost: 0.2, uom: 'ea' },
+          { id: 2, lineNumber: 2, partNumber: 'S-300', description: 'Temperature sensor', quantity: 10, quantityFulfilled: 4, unitCost: 11, uom: 'ea' }
+        ]
+      },
+      {
+        id: 2,
+        number: 'PO-1002',
+        statusId: 10,
+        vendorId: 2,
+        vendor: 'Widget Works',
+        buyer: 'admin',
+        locationGroup: 'Main',
+        createdAt: '2024-02-01T09:00:00.000Z',
+        items: [
+          { id: 3, lineNumber: 1, partNumber: 'W-200', description: 'Widget housing', quantity: 50, quantityFulfilled: 0, unitCost: 4.25, uom: 'ea' }
+        ]
+      },
+      {
+        id: 3,
+        number: 'PO-1003',
+        statusId: 60,
+        vendorId: 1,
+        vendor: 'Acme Supply',
+        buyer: 'admin',
+        locationGroup: 'Warehouse 2',
+        createdAt: '2023-11-15T09:00:00.000Z',
+        issuedAt: '2023-11-16T09:00:00.000Z',
+        completedAt: '2023-12-01T09:00:00.000Z',
+        items: [
+          { id: 4, lineNumber: 1, partNumber: 'B-100', description: 'Hex bolt 1/4"', quantity: 200, quantityFulfilled: 200, unitCost: 0.2, uom: 'ea' }
+        ]
+      }
+    ],
+
+    manufactureOrders: [
+      {
+        id: 1,
+        number: 'MO-2001',
+        statusId: 10,
+        locationGroup: 'Main',
+        note: 'Widget kits for March',
+        createdAt: '2024-02-20T09:00:00.000Z',
+        scheduledAt: '2024-03-01T09:00:00.000Z',
+        items: [
+          { id: 1, typeId: 10, partNumber: 'W-200', description: 'Widget housing', quantity: 10, quantityUsed: 0, uom: 'ea' },
+          { id: 2, typeId: 20, partNumber: 'B-100', description: 'Hex bolt 1/4"', quantity: 40, quantityUsed: 0, uom: 'ea' }
+        ]
+      },
+      {
+        id: 2,
+        number: 'MO-2002',
+        statusId: 20,
+        locationGroup: 'Main',
+        createdAt: '2024-01-10T09:00:00.000Z',
+        issuedAt: '2024-01-11T09:00:00.000Z',
+        items: [
+          { id: 3, typeId: 10, partNumber: 'S-300', description: 'Temperature sensor', quantity: 2, quantityUsed: 0, uom: 'ea' }
+        ]
+      }
+    ],
+
+    boms: [
+      {
+        id: 1,
+        number: 'W-200',
+        description: 'Widget housing assembly',
+        revision: 'B',
+        active: true,
+        items: [
+          { id: 1, typeId: 10, partNumber: 'W-200', description: 'Widget housing', quantity: 1, uom: 'ea' },
+          { id: 2, typeId: 20, partNumber: 'B-100', description: 'Hex bolt 1/4"', quantity: 4, uom: 'ea' },
+          { id: 3, typeId: 20, partNumber: 'S-300', description: 'Temperature sensor', quantity: 1, uom: 'ea' },
+          { id: 4, typeId: 40, description: 'Torque bolts to 8 Nm', quantity: 0 }
+        ]
+      }
+    ]
+  };
+}
+
+module.exports = {
+  createDataset
+};
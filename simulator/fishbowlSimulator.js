@@ -0,0 +1,842 @@
+// fishbowlSimulator.js - TCP stand-in for a Fishbowl server, for development and tests
+
+const crypto = require('crypto');
+const http = require('http');
+const net = require('net');
+const xml2js = require('xml2js');
+const { encodeMessage, MessageDecoder } = require('../lib/fishbowlCodec');
+const { PO_STATUSES, MO_STATUSES } = require('../lib/models');
+const { createDataset } = require('./dataset');
+const { StatusError } = require('./statusError');
+const { createRestHandler } = require('./restApi');
+
+const xmlParser = new xml2js.Parser();
+const xmlBuilder = new xml2js.Builder({ headless: true });
+
+const SUCCESS = 1000;
+
+const text = (element, name) => {
+  const found = element && element[name] ? element[name][0] : undefined;
+  if (found === undefined || found === null) {
+    return null;
+  }
+  return typeof found === 'object' ? (found._ || null) : String(found);
+};
+
+/**
+ * Copy of an element without empty fields, which xml2js cannot build
+ */
+function compact(value) {
+  if (Array.isArray(value)) {
+    return value.map(compact);
+  }
+  if (value !== null && typeof value === 'object') {
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item !== undefined && item !== null) {
+        copy[key] = compact(item);
+      }
+    }
+    return copy;
+  }
+  return value;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Purchase order changes: the statuses Fishbowl allows them in, the status
+// they lead to and whether received items prevent them
+const PO_CHANGES = {
+  update: { from: [10, 15], verb: 'changed' },
+  issue: { from: [10, 15], to: 20, verb: 'issued' },
+  unissue: { from: [20], to: 10, unreceived: true, verb: 'unissued' },
+  closeShort: { from: [20, 30, 40, 50, 55], to: 70, verb: 'closed short' },
+  void: { from: [10, 15, 20], to: 80, unreceived: true, verb: 'voided' },
+  delete: { from: [10, 15], verb: 'deleted' }
+};
+
+// Manufacture order changes, like PO_CHANGES; used items prevent unissuing
+const MO_CHANGES = {
+  issue: { from: [10], to: 20, verb: 'issued' },
+  unissue: { from: [20], to: 10, unused: true, verb: 'unissued' },
+  closeShort: { from: [20, 30], to: 60, verb: 'closed short' },
+  delete: { from: [10], verb: 'deleted' }
+};
+
+function statusMatches(statusId, filter, statuses) {
+  if (filter === null) {
+    return true;
+  }
+  if (/^\d+$/.test(filter)) {
+    return statusId === Number(filter);
+  }
+  return (statuses[statusId] || '').toLowerCase() === filter.toLowerCase();
+}
+
+// Dataset records as FbiXml elements, using the element names models.js reads
+
+function partXml(part) {
+  return {
+    PartID: part.id,
+    Num: part.number,
+    Description: part.description,
+    UOM: { Code: part.uom },
+    TypeID: part.typeId,
+    StandardCost: part.standardCost,
+    ActiveFlag: part.active !== false,
+    SerializedFlag: part.serialized === true,
+    VendorName: part.vendor,
+    DateCreated: part.createdAt,
+    DateLastModified: part.updatedAt,
+    PartTrackingList: {
+      PartTracking: part.tracking.map(tracking => ({
+        PartTrackingID: tracking.id,
+        Name: tracking.name,
+        Abbr: tracking.abbr,
+        TrackingTypeID: tracking.typeId,
+        Primary: tracking.primary === true,
+        Active: true
+      }))
+    }
+  };
+}
+
+function productXml(product, data) {
+  const part = data.parts.find(p => p.id === product.partId);
+  return {
+    ID: product.id,
+    Num: product.number,
+    PartID: product.partId,
+    PartNum: part ? part.number : undefined,
+    Description: product.description,
+    UOM: { Code: product.uom },
+    Price: product.price,
+    ActiveFlag: product.active !== false,
+    DateCreated: product.createdAt
+  };
+}
+
+function locationXml(location) {
+  return {
+    LocationID: location.id,
+    Name: location.name,
+    LocationGroupName: location.locationGroup,
+    ActiveFlag: location.active !== false
+  };
+}
+
+function purchaseOrderXml(order) {
+  return {
+    ID: order.id,
+    Number: order.number,
+    Status: order.statusId,
+    VendorID: order.vendorId,
+    VendorName: order.vendor,
+    BuyerName: order.buyer,
+    LocationGroup: order.locationGroup,
+    TotalCost: order.items.reduce((total, item) => total + item.quantity * item.unitCost, 0),
+    CreatedDate: order.createdAt,
+    IssuedDate: order.issuedAt,
+    ScheduledDate: order.scheduledAt,
+    DateCompleted: order.completedAt,
+    Items: {
+      PurchaseOrderItem: order.items.map(item => ({
+        ID: item.id,
+        LineNumber: item.lineNumber,
+        PartNumber: item.partNumber,
+        PartDescription: item.description,
+        QuantityToFulfill: item.quantity,
+        QuantityFulfilled: item.quantityFulfilled,
+        UnitCost: item.unitCost,
+        TotalCost: item.quantity * item.unitCost,
+        UOM: { Code: item.uom }
+      }))
+    }
+  };
+}
+
+function manufactureOrderXml(order) {
+  return {
+    ID: order.id,
+    Num: order.number,
+    Status: order.statusId,
+    LocationGroup: order.locationGroup,
+    Note: order.note,
+    DateCreated: order.createdAt,
+    DateIssued: order.issuedAt,
+    DateScheduled: order.scheduledAt,
+    DateCompleted: order.completedAt,
+    MOItems: {
+      MOItem: order.items.map(item => ({
+        ID: item.id,
+        TypeID: item.typeId,
+        PartNum: item.partNumber,
+        Description: item.description,
+        Qty: item.quantity,
+        QtyUsed: item.quantityUsed,
+        UOM: { Code: item.uom }
+      }))
+    }
+  };
+}
+
+function bomXml(bom) {
+  return {
+    ID: bom.id,
+    Num: bom.number,
+    Description: bom.description,
+    Revision: bom.revision,
+    ActiveFlag: bom.active,
+    BOMItems: {
+      BOMItem: bom.items.map(item => ({
+        ID: item.id,
+        TypeID: item.typeId,
+        PartNum: item.partNumber,
+        Description: item.description,
+        Quantity: item.quantity,
+        UOM: item.uom ? { Code: item.uom } : undefined
+      }))
+    }
+  };
+}
+
+/**
+ * Speaks the length-prefixed FbiXml protocol over TCP and answers from an
+ * in-memory dataset. Failures can be injected per message type to exercise
+ * error handling:
+ *
+ *   simulator.inject({ message: 'PartGetRq', statusCode: 2000 })  // error status
+ *   simulator.inject({ message: '*', delayMs: 500 })               // slow answer
+ *   simulator.inject({ message: 'PartGetRq', chunkSize: 5 })       // split into small writes
+ *   simulator.inject({ message: 'PartGetRq', partial: true })      // half an answer, then silence
+ *   simulator.inject({ message: 'PartGetRq', drop: true })         // close the socket unanswered
+ *   simulator.inject({ message: 'InventoryAddRq', expireTicket: true })
+ *
+ * Each injection applies to the next `times` (default 1) matching messages.
+ *
+ * startRest() also serves the Fishbowl REST API over HTTP from the same
+ * dataset and sessions (see restApi.js), at simulator.restUrl.
+ */
+class FishbowlSimulator {
+  constructor(options = {}) {
+    this.host = options.host || '127.0.0.1';
+    this.port = options.port || 0;
+    this.createData = options.dataset || createDataset;
+    this.handlers = {
+      LoginRq: this.login,
+      LogoutRq: this.logout,
+      PartGetRq: this.getParts,
+      ProductGetRq: this.getProducts,
+      PartQuantityRq: this.getPartQuantity,
+      LocationListRq: this.getLocations,
+      InventoryAddRq: this.addInventory,
+      PurchaseOrderQueryRq: this.queryPurchaseOrders,
+      SavePORq: this.savePurchaseOrder,
+      IssuePORq: (body) => this.changePurchaseOrder(body, 'issue'),
+      UnissuePORq: (body) => this.changePurchaseOrder(body, 'unissue'),
+      CloseShortPORq: (body) => this.changePurchaseOrder(body, 'closeShort'),
+      VoidPORq: (body) => this.changePurchaseOrder(body, 'void'),
+      DeletePORq: this.deletePurchaseOrder,
+      ManufactureOrderQueryRq: this.queryManufactureOrders,
+      SaveMORq: this.saveManufactureOrder,
+      IssueMORq: (body) => this.changeManufactureOrder(body, 'issue'),
+      UnissueMORq: (body) => this.changeManufactureOrder(body, 'unissue'),
+      CloseShortMORq: (body) => this.changeManufactureOrder(body, 'closeShort'),
+      DeleteMORq: this.deleteManufactureOrder,
+      BOMGetRq: this.getBom
+    };
+
+    this.server = null;
+    this.sockets = new Set();
+    this.restPort = options.restPort || 0;
+    this.restServer = null;
+    this.restUrl = null;
+    this.reset();
+  }
+
+  /**
+   * Restore the dataset and forget sessions, injections and the request log
+   */
+  reset() {
+    this.data = this.createData();
+    this.tickets = new Map();
+    this.injections = [];
+    this.requests = [];
+    this.totalConnections = 0;
+  }
+
+  start() {
+    return new Promise((resolve, reject) => {
+      this.server = net.createServer(socket => this.accept(socket));
+      this.server.once('error', reject);
+      this.server.listen(this.port, this.host, () => {
+        this.port = this.server.address().port;
+        resolve(this.port);
+      });
+    });
+  }
+
+  startRest() {
+    return new Promise((resolve, reject) => {
+      this.restServer = http.createServer(createRestHandler(this));
+      this.restServer.once('error', reject);
+      this.restServer.listen(this.restPort, this.host, () => {
+        this.restPort = this.restServer.address().port;
+        this.restUrl = `http://${this.host}:${this.restPort}`;
+        resolve(this.restPort);
+      });
+    });
+  }
+
+  async stop() {
+    this.dropConnections();
+    if (this.restServer) {
+      this.restServer.closeAllConnections();
+      await new Promise(resolve => this.restServer.close(resolve));
+      this.restServer = null;
+    }
+    if (!this.server) {
+      return;
+    }
+    await new Promise(resolve => this.server.close(resolve));
+    this.server = null;
+  }
+
+  inject(failure) {
+    this.injections.push({ message: '*', times: 1, ...failure });
+  }
+
+  /**
+   * Invalidate every ticket, as if an administrator logged all users off
+   */
+  expireSessions() {
+    this.tickets.clear();
+  }
+
+  dropConnections() {
+    for (const socket of this.sockets) {
+      socket.destroy();
+    }
+  }
+
+  get connections() {
+    return this.sockets.size;
+  }
+
+  takeInjection(messageName) {
+    const index = this.injections.findIndex(i => i.message === '*' || i.message === messageName);
+    if (index === -1) {
+      return null;
+    }
+    const injection = this.injections[index];
+    injection.times--;
+    if (injection.times <= 0) {
+      this.injections.splice(index, 1);
+    }
+    return injection;
+  }
+
+  accept(socket) {
+    this.sockets.add(socket);
+    this.totalConnections++;
+    const decoder = new MessageDecoder();
+    // Answer messages on a socket strictly in order, as Fishbowl does
+    let queue = Promise.resolve();
+
+    socket.on('data', (chunk) => {
+      let messages;
+      try {
+        messages = decoder.push(chunk);
+      } catch (error) {
+        socket.destroy();
+        return;
+      }
+      for (const message of messages) {
+        queue = queue.then(() => this.answer(socket, message)).catch(() => socket.destroy());
+      }
+    });
+    socket.on('error', () => {});
+    socket.on('close', () => this.sockets.delete(socket));
+  }
+
+  async answer(socket, requestXml) {
+    const request = await xmlParser.parseStringPromise(requestXml);
+    const fbiXml = request.FbiXml || {};
+    const ticketElement = fbiXml.Ticket ? fbiXml.Ticket[0] : null;
+    const ticket = text(ticketElement, 'Key');
+    const msgsRq = fbiXml.FbiMsgsRq ? fbiXml.FbiMsgsRq[0] : {};
+    const [messageName, bodies] = Object.entries(msgsRq || {})[0] || ['UnknownRq', [{}]];
+    const body = bodies[0] && typeof bodies[0] === 'object' ? bodies[0] : {};
+
+    this.requests.push({ message: messageName, ticket, body });
+
+    const injection = this.takeInjection(messageName);
+    if (injection && injection.drop) {
+      socket.destroy();
+      return;
+    }
+    if (injection && injection.delayMs) {
+      await sleep(injection.delayMs);
+    }
+
+    const response = this.respond(messageName, body, ticket, injection || {});
+    const frame = encodeMessage(xmlBuilder.buildObject(compact(response)));
+    if (socket.destroyed) {
+      return;
+    }
+
+    if (injection && injection.partial) {
+      socket.write(frame.subarray(0, Math.floor(frame.length / 2)));
+      return;
+    }
+    if (injection && injection.chunkSize) {
+      for (let offset = 0; offset < frame.length; offset += injection.chunkSize) {
+        socket.write(frame.subarray(offset, offset + injection.chunkSize));
+        await sleep(1);
+      }
+      return;
+    }
+    socket.write(frame);
+  }
+
+  /**
+   * Build the FbiXml response object for one request message
+   */
+  respond(messageName, body, ticket, injection) {
+    const rsName = messageName.replace(/Rq$/, 'Rs');
+    const session = ticket ? this.tickets.get(ticket) : null;
+
+    if (messageName !== 'LoginRq' && (!session || injection.expireTicket)) {
+      if (ticket) {
+        this.tickets.delete(ticket);
+      }
+      // Fishbowl rejects the whole request when the ticket is not valid
+      return {
+        FbiXml: {
+          Ticket: {},
+          FbiMsgsRs: { $: { statusCode: 1130, statusMessage: 'Invalid ticket passed to Fishbowl server.' } }
+        }
+      };
+    }
+
+    let statusCode = SUCCESS;
+    let statusMessage = null;
+    let content = {};
+    let responseTicket = session ? { Key: ticket, UserID: session.userId } : {};
+
+    if (injection.statusCode) {
+      statusCode = injection.statusCode;
+      statusMessage = injection.statusMessage || `Simulated status ${injection.statusCode}`;
+    } else {
+      const handler = this.handlers[messageName];
+      try {
+        if (!handler) {
+          throw new StatusError(1150, `Unknown request: ${messageName}`);
+        }
+        const result = handler.call(this, body, session) || {};
+        content = result.content || {};
+        if (result.ticket) {
+          responseTicket = result.ticket;
+        }
+      } catch (error) {
+        if (!(error instanceof StatusError)) {
+          throw error;
+        }
+        statusCode = error.statusCode;
+        statusMessage = error.message;
+      }
+    }
+
+    const attributes = statusMessage ? { statusCode, statusMessage } : { statusCode };
+    return {
+      FbiXml: {
+        Ticket: responseTicket,
+        FbiMsgsRs: {
+          $: { statusCode: SUCCESS },
+          [rsName]: { $: attributes, ...content }
+        }
+      }
+    };
+  }
+
+  // Changes to the dataset shared by the XML and REST APIs. Values may be
+  // strings, as both APIs receive them.
+
+  applyInventoryAdd({ partId, locationId, quantity, tracking = [] }) {
+    const part = this.data.parts.find(p => p.id === Number(partId));
+    if (!part) {
+      throw new StatusError(2000, `Part ID ${partId} was not found.`);
+    }
+    if (!this.data.locations.some(l => l.id === Number(locationId))) {
+      throw new StatusError(2600, `Location ID ${locationId} was not found.`);
+    }
+    const amount = Number(quantity);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new StatusError(1150, 'Quantity must be greater than zero.');
+    }
+
+    const values = new Map(tracking.map(item => [Number(item.id), item.value]));
+    for (const required of part.tracking) {
+      if (!values.get(required.id)) {
+        throw new StatusError(required.typeId === 40 ? 2510 : 2500,
+          `${required.name} is required for part ${part.number}.`);
+      }
+    }
+    for (const id of values.keys()) {
+      if (!part.tracking.some(t => t.id === id)) {
+        throw new StatusError(2500, `Tracking ${id} is not valid for part ${part.number}.`);
+      }
+    }
+
+    const row = this.data.inventory.find(r => r.partId === part.id && r.locationId === Number(locationId));
+    if (row) {
+      row.quantity += amount;
+    } else {
+      this.data.inventory.push({ partId: part.id, locationId: Number(locationId), quantity: amount });
+    }
+  }
+
+  /**
+   * Create a bid request, or replace the vendor, location group and lines
+   * of the order with the given number
+   */
+  applyPurchaseOrder({ number, vendor: vendorName, locationGroup, items: lines }) {
+    const vendor = this.data.vendors.find(v => v.name === vendorName);
+    if (!vendor) {
+      throw new StatusError(3100, `Vendor ${vendorName} was not found.`);
+    }
+    if (!this.data.locations.some(l => l.locationGroup === locationGroup)) {
+      throw new StatusError(2602, `Location group ${locationGroup} was not found.`);
+    }
+
+    let nextItemId = Math.max(0, ...this.data.purchaseOrders.flatMap(order => order.items.map(item => item.id))) + 1;
+    const items = lines.map((line, index) => {
+      const part = this.findPart(line.partNumber);
+      const quantity = Number(line.quantity);
+      if (!Number.isFinite(quantity) || quantity <= 0) {
+        throw new StatusError(1150, 'Quantity must be greater than zero.');
+      }
+      return {
+        id: nextItemId++,
+        lineNumber: index + 1,
+        partNumber: part.number,
+        description: part.description,
+        quantity,
+        quantityFulfilled: 0,
+        unitCost: line.unitCost !== null && line.unitCost !== undefined ? Number(line.unitCost) : part.standardCost,
+        uom: line.uom || part.uom
+      };
+    });
+
+    let order = number ? this.data.purchaseOrders.find(o => o.number === number) : null;
+    if (order) {
+      this.checkPurchaseOrderChange(order, 'update');
+    } else {
+      const numbers = this.data.purchaseOrders.map(o => Number(o.number.replace(/\D/g, '')) || 0);
+      order = {
+        id: Math.max(0, ...this.data.purchaseOrders.map(o => o.id)) + 1,
+        number: number || `PO-${Math.max(1000, ...numbers) + 1}`,
+        statusId: 10,
+        buyer: 'admin',
+        createdAt: new Date().toISOString()
+      };
+      this.data.purchaseOrders.push(order);
+    }
+    Object.assign(order, { vendorId: vendor.id, vendor: vendor.name, locationGroup, items });
+    return order;
+  }
+
+  findPurchaseOrder(number) {
+    const order = this.data.purchaseOrders.find(o => o.number === number);
+    if (!order) {
+      throw new StatusError(4000, `Purchase order ${number} was not found.`);
+    }
+    return order;
+  }
+
+  checkPurchaseOrderChange(order, change) {
+    const rule = PO_CHANGES[change];
+    if (!rule.from.includes(order.statusId) ||
+      (rule.unreceived && order.items.some(item => item.quantityFulfilled > 0))) {
+      throw new StatusError(4001, `Purchase order ${order.number} cannot be ${rule.verb} in the current status.`);
+    }
+  }
+
+  /**
+   * Move an order to the status a change leads to (issue, unissue,
+   * closeShort or void)
+   */
+  changePurchaseOrderStatus(order, change) {
+    this.checkPurchaseOrderChange(order, change);
+    const now = new Date().toISOString();
+    order.statusId = PO_CHANGES[change].to;
+    if (change === 'issue') {
+      order.issuedAt = now;
+    } else if (change === 'unissue') {
+      order.issuedAt = undefined;
+    } else {
+      order.completedAt = now;
+    }
+  }
+
+  removePurchaseOrder(order) {
+    this.checkPurchaseOrderChange(order, 'delete');
+    this.data.purchaseOrders = this.data.purchaseOrders.filter(o => o !== order);
+  }
+
+  findBom(number) {
+    const bom = this.data.boms.find(b => b.number === number);
+    if (!bom) {
+      throw new StatusError(4000, `Bill of materials ${number} was not found.`);
+    }
+    return bom;
+  }
+
+  /**
+   * Create an entered manufacture order building quantity of a BOM, with
+   * each of its items multiplied by the quantity
+   */
+  applyManufactureOrder({ bomNumber, quantity, locationGroup, scheduledAt, note }) {
+    const bom = this.findBom(bomNumber);
+    const builds = Number(quantity);
+    if (!Number.isFinite(builds) || builds <= 0) {
+      throw new StatusError(1150, 'Quantity must be greater than zero.');
+    }
+    if (!this.data.locations.some(l => l.locationGroup === locationGroup)) {
+      throw new StatusError(2602, `Location group ${locationGroup} was not found.`);
+    }
+
+    let nextItemId = Math.max(0, ...this.data.manufactureOrders.flatMap(order => order.items.map(item => item.id))) + 1;
+    const numbers = this.data.manufactureOrders.map(o => Number(o.number.replace(/\D/g, '')) || 0);
+    const order = {
+      id: Math.max(0, ...this.data.manufactureOrders.map(o => o.id)) + 1,
+      number: `MO-${Math.max(2000, ...numbers) + 1}`,
+      statusId: 10,
+      locationGroup,
+      note: note || undefined,
+      createdAt: new Date().toISOString(),
+      scheduledAt: scheduledAt || undefined,
+      items: bom.items.map(item => ({
+        id: nextItemId++,
+        typeId: item.typeId,
+        partNumber: item.partNumber,
+        description: item.description,
+        quantity: item.quantity * builds,
+        quantityUsed: 0,
+        uom: item.uom
+      }))
+    };
+    this.data.manufactureOrders.push(order);
+    return order;
+  }
+
+  findManufactureOrder(number) {
+    const order = this.data.manufactureOrders.find(o => o.number === number);
+    if (!order) {
+      throw new StatusError(4000, `Manufacture order ${number} was not found.`);
+    }
+    return order;
+  }
+
+  checkManufactureOrderChange(order, change) {
+    const rule = MO_CHANGES[change];
+    if (!rule.from.includes(order.statusId) ||
+      (rule.unused && order.items.some(item => item.quantityUsed > 0))) {
+      throw new StatusError(4001, `Manufacture order ${order.number} cannot be ${rule.verb} in the current status.`);
+    }
+  }
+
+  /**
+   * Move an order to the status a change leads to (issue, unissue or
+   * closeShort)
+   */
+  changeManufactureOrderStatus(order, change) {
+    this.checkManufactureOrderChange(order, change);
+    order.statusId = MO_CHANGES[change].to;
+    if (change === 'issue') {
+      order.issuedAt = new Date().toISOString();
+    } else if (change === 'unissue') {
+      order.issuedAt = undefined;
+    } else {
+      order.completedAt = new Date().toISOString();
+    }
+  }
+
+  removeManufactureOrder(order) {
+    this.checkManufactureOrderChange(order, 'delete');
+    this.data.manufactureOrders = this.data.manufactureOrders.filter(o => o !== order);
+  }
+
+  // Message handlers. Each returns { content, ticket } or throws a StatusError.
+
+  login(body) {
+    const user = this.data.users.find(u => u.username === text(body, 'UserName'));
+    if (!user || user.password !== text(body, 'UserPassword')) {
+      throw new StatusError(1120, 'Invalid Username or Password.');
+    }
+    const key = crypto.randomBytes(12).toString('base64');
+    this.tickets.set(key, { userId: user.id, iaid: text(body, 'IAID') });
+    return {
+      ticket: { Key: key, UserID: user.id },
+      content: { UserFullName: user.username }
+    };
+  }
+
+  logout(body, session) {
+    for (const [key, value] of this.tickets) {
+      if (value === session) {
+        this.tickets.delete(key);
+      }
+    }
+    return {};
+  }
+
+  findPart(number) {
+    const part = this.data.parts.find(p => p.number === number);
+    if (!part) {
+      throw new StatusError(2000, `Part ${number} was not found.`);
+    }
+    return part;
+  }
+
+  getParts(body) {
+    if (text(body, 'GetAll') === 'true') {
+      return { content: { Parts: { Part: this.data.parts.map(partXml) } } };
+    }
+    return { content: { Part: partXml(this.findPart(text(body, 'Number') || text(body, 'Num'))) } };
+  }
+
+  getProducts(body) {
+    if (text(body, 'GetAll') === 'true') {
+      return { content: { Products: { Product: this.data.products.map(p => productXml(p, this.data)) } } };
+    }
+    const number = text(body, 'Number') || text(body, 'Num');
+    const product = this.data.products.find(p => p.number === number);
+    if (!product) {
+      throw new StatusError(2100, `Product ${number} was not found.`);
+    }
+    return { content: { Product: productXml(product, this.data) } };
+  }
+
+  getPartQuantity(body) {
+    const part = this.findPart(text(body, 'PartNum'));
+    const quantities = this.data.inventory
+      .filter(row => row.partId === part.id)
+      .map(row => {
+        const location = this.data.locations.find(l => l.id === row.locationId);
+        return {
+          PartNum: part.number,
+          LocationGroup: location.locationGroup,
+          Location: location.name,
+          QtyOnHand: row.quantity,
+          QtyAvailable: row.quantity,
+          UOM: { Code: part.uom }
+        };
+      });
+    return { content: { PartQuantity: quantities } };
+  }
+
+  getLocations() {
+    return { content: { Locations: { Location: this.data.locations.map(locationXml) } } };
+  }
+
+  addInventory(body) {
+    const items = (body.TrackingItems || [])
+      .flatMap(wrapper => (wrapper && typeof wrapper === 'object' && wrapper.TrackingItem) || []);
+    this.applyInventoryAdd({
+      partId: text(body, 'PartID'),
+      locationId: text(body, 'LocationID'),
+      quantity: text(body, 'Quantity'),
+      tracking: items.map(item => ({
+        id: text(item.PartTracking ? item.PartTracking[0] : null, 'ID'),
+        value: text(item, 'Value')
+      }))
+    });
+    return {};
+  }
+
+  queryPurchaseOrders(body) {
+    const number = text(body, 'Number') || text(body, 'PONum');
+    const status = text(body, 'Status');
+    const vendor = text(body, 'VendorName');
+    const orders = this.data.purchaseOrders.filter(order =>
+      (!number || order.number === number) &&
+      (!vendor || order.vendor === vendor) &&
+      statusMatches(order.statusId, status, PO_STATUSES));
+    return { content: { PurchaseOrder: orders.map(purchaseOrderXml) } };
+  }
+
+  savePurchaseOrder(body) {
+    const element = body.PurchaseOrder ? body.PurchaseOrder[0] : null;
+    const lines = element && element.Items && typeof element.Items[0] === 'object' ? element.Items[0].PurchaseOrderItem || [] : [];
+    const order = this.applyPurchaseOrder({
+      number: text(element, 'Number'),
+      vendor: text(element, 'VendorName'),
+      locationGroup: text(element, 'LocationGroup'),
+      items: lines.map(line => ({
+        partNumber: text(line, 'PartNumber'),
+        quantity: text(line, 'QuantityToFulfill'),
+        unitCost: text(line, 'UnitCost'),
+        uom: text(line, 'UOMCode')
+      }))
+    });
+    if (text(body, 'IssuePOFlag') === 'true') {
+      this.changePurchaseOrderStatus(order, 'issue');
+    }
+    return { content: { PurchaseOrder: purchaseOrderXml(order) } };
+  }
+
+  changePurchaseOrder(body, change) {
+    const order = this.findPurchaseOrder(text(body, 'PONum'));
+    this.changePurchaseOrderStatus(order, change);
+    return { content: { PurchaseOrder: purchaseOrderXml(order) } };
+  }
+
+  deletePurchaseOrder(body) {
+    this.removePurchaseOrder(this.findPurchaseOrder(text(body, 'PONum')));
+    return {};
+  }
+
+  queryManufactureOrders(body) {
+    const number = text(body, 'Number') || text(body, 'MONum');
+    const status = text(body, 'Status');
+    const locationGroup = text(body, 'LocationGroup');
+    const orders = this.data.manufactureOrders.filter(order =>
+      (!number || order.number === number) &&
+      (!locationGroup || order.locationGroup === locationGroup) &&
+      statusMatches(order.statusId, status, MO_STATUSES));
+    return { content: { ManufactureOrder: orders.map(manufactureOrderXml) } };
+  }
+
+  saveManufactureOrder(body) {
+    const element = body.ManufactureOrder ? body.ManufactureOrder[0] : null;
+    const order = this.applyManufactureOrder({
+      bomNumber: text(element, 'BOMNum'),
+      quantity: text(element, 'Quantity'),
+      locationGroup: text(element, 'LocationGroup'),
+      scheduledAt: text(element, 'DateScheduled'),
+      note: text(element, 'Note')
+    });
+    return { content: { ManufactureOrder: manufactureOrderXml(order) } };
+  }
+
+  changeManufactureOrder(body, change) {
+    const order = this.findManufactureOrder(text(body, 'MONum'));
+    this.changeManufactureOrderStatus(order, change);
+    return { content: { ManufactureOrder: manufactureOrderXml(order) } };
+  }
+
+  deleteManufactureOrder(body) {
+    this.removeManufactureOrder(this.findManufactureOrder(text(body, 'MONum')));
+    return {};
+  }
+
+  getBom(body) {
+    return { content: { BOM: bomXml(this.findBom(text(body, 'Number'))) } };
+  }
+}
+
+module.exports = {
+  FishbowlSimulator,
+  StatusError
+};
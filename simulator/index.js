@@ -0,0 +1,20 @@
+// index.js - Run the Fishbowl simulator on its own (npm run simulator)
+
+const { FishbowlSimulator } = require('./fishbowlSimulator');
+
+const simulator = new FishbowlSimulator({
+  host: process.env.SIMULATOR_HOST || '127.0.0.1',
+  port: parseInt(process.env.SIMULATOR_PORT) || 28192,
+  restPort: parseInt(process.env.SIMULATOR_REST_PORT) || 28193
+});
+
+Promise.all([simulator.start(), simulator.startRest()]).then(([port]) => {
+  console.log(`Fishbowl simulator listening on ${simulator.host}:${port} (user admin / admin)`);
+  console.log(`Fishbowl REST API at ${simulator.restUrl}`);
+}).catch((error) => {
+  console.error('Unable to start the Fishbowl simulator:', error.message);
+  process.exit(1);
+});
+
+process.on('SIGINT', () => simulator.stop().then(() => process.exit(0)));
+process.on('SIGTERM', () => simulator.stop().then(() => process.exit(0)));
@@ -0,0 +1,355 @@
+// restApi.js - The Fishbowl REST API, served by the simulator over HTTP
+
+const crypto = require('crypto');
+const { PO_STATUSES, MO_STATUSES } = require('../lib/models');
+const { StatusError } = require('./statusError');
+
+// HTTP statuses the REST API answers Fishbowl status codes with
+const HTTP_STATUSES = {
+  1120: 401,
+  1130: 401,
+  2000: 404,
+  2100: 404,
+  2600: 404,
+  2602: 404,
+  3100: 404,
+  4000: 404,
+  2203: 409,
+  2304: 409,
+  2512: 409,
+  4001: 409
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Dataset records as REST JSON objects
+
+function partJson(part) {
+  return {
+    id: part.id,
+    number: part.number,
+    description: part.description,
+    uom: { abbreviation: part.uom },
+    type: { id: part.typeId },
+    standardCost: part.standardCost,
+    active: part.active !== false,
+    serialized: part.serialized === true,
+    defaultVendor: { name: part.vendor },
+    dateCreated: part.createdAt,
+    dateLastModified: part.updatedAt,
+    tracking: part.tracking.map(tracking => ({
+      id: tracking.id,
+      name: tracking.name,
+      abbreviation: tracking.abbr,
+      type: { id: tracking.typeId },
+      primary: tracking.primary === true,
+      active: true
+    }))
+  };
+}
+
+function productJson(product, data) {
+  const part = data.parts.find(p => p.id === product.partId);
+  return {
+    id: product.id,
+    number: product.number,
+    part: { id: product.partId, number: part ? part.number : undefined },
+    description: product.description,
+    uom: { abbreviation: product.uom },
+    price: product.price,
+    active: product.active !== false,
+    dateCreated: product.createdAt
+  };
+}
+
+function locationJson(location) {
+  return {
+    id: location.id,
+    name: location.name,
+    locationGroup: { name: location.locationGroup },
+    active: location.active !== false
+  };
+}
+
+function purchaseOrderJson(order) {
+  return {
+    id: order.id,
+    number: order.number,
+    status: PO_STATUSES[order.statusId],
+    vendor: { id: order.vendorId, name: order.vendor },
+    buyer: order.buyer,
+    locationGroup: { name: order.locationGroup },
+    totalCost: order.items.reduce((total, item) => total + item.quantity * item.unitCost, 0),
+    dateCreated: order.createdAt,
+    dateIssued: order.issuedAt,
+    dateScheduled: order.scheduledAt,
+    dateCompleted: order.completedAt,
+    poItems: order.items.map(item => ({
+      id: item.id,
+      lineNumber: item.lineNumber,
+      part: { number: item.partNumber, description: item.description },
+      quantity: item.quantity,
+      quantityFulfilled: item.quantityFulfilled,
+      unitCost: item.unitCost,
+      totalCost: item.quantity * item.unitCost,
+      uom: { abbreviation: item.uom }
+    }))
+  };
+}
+
+function manufactureOrderJson(order) {
+  return {
+    id: order.id,
+    number: order.number,
+    status: MO_STATUSES[order.statusId],
+    locationGroup: { name: order.locationGroup },
+    note: order.note,
+    dateCreated: order.createdAt,
+    dateIssued: order.issuedAt,
+    dateScheduled: order.scheduledAt,
+    dateCompleted: order.completedAt,
+    moItems: order.items.map(item => ({
+      id: item.id,
+      type: { id: item.typeId },
+      part: { number: item.partNumber },
+      description: item.description,
+      quantity: item.quantity,
+      quantityUsed: item.quantityUsed,
+      uom: { abbreviation: item.uom }
+    }))
+  };
+}
+
+function bomJson(bom) {
+  return {
+    id: bom.id,
+    number: bom.number,
+    description: bom.description,
+    revision: bom.revision,
+    active: bom.active,
+    bomItems: bom.items.map(item => ({
+      id: item.id,
+      type: { id: item.typeId },
+      part: item.partNumber ? { number: item.partNumber } : null,
+      description: item.description,
+      quantity: item.quantity,
+      uom: item.uom ? { abbreviation: item.uom } : null
+    }))
+  };
+}
+
+function statusMatches(statusId, filter, statuses) {
+  if (!filter) {
+    return true;
+  }
+  if (/^\d+$/.test(filter)) {
+    return statusId === Number(filter);
+  }
+  return (statuses[statusId] || '').toLowerCase() === filter.toLowerCase();
+}
+
+/**
+ * One page of a list, as Fishbowl's REST API returns it
+ */
+function page(items, query) {
+  const pageSize = parseInt(query.get('pageSize')) || 100;
+  const pageNumber = parseInt(query.get('pageNumber')) || 1;
+  return {
+    totalCount: items.length,
+    totalPages: Math.max(1, Math.ceil(items.length / pageSize)),
+    pageNumber,
+    pageSize,
+    results: items.slice((pageNumber - 1) * pageSize, pageNumber * pageSize)
+  };
+}
+
+function findOrder(orders, id, kind) {
+  const order = orders.find(o => o.id === Number(id));
+  if (!order) {
+    // No Fishbowl status stands for a missing order
+    throw Object.assign(new StatusError(1150, `${kind} ${id} was not found.`), { httpStatus: 404 });
+  }
+  return order;
+}
+
+/**
+ * Routes of the REST API: [method, path pattern, handler]. Handlers get
+ * ({ params, query, body, session, token }) and return the JSON to answer with.
+ */
+function routes(simulator) {
+  const data = () => simulator.data;
+  return [
+    ['POST', /^\/api\/login$/, ({ body }) => {
+      const user = data().users.find(u => u.username === body.username);
+      if (!user || user.password !== body.password) {
+        throw new StatusError(1120, 'Invalid Username or Password.');
+      }
+      const token = crypto.randomBytes(12).toString('base64url');
+      simulator.tickets.set(token, { userId: user.id, appId: body.appId });
+      return { token, user: { id: user.id, userFullName: user.username } };
+    }],
+    ['POST', /^\/api\/logout$/, ({ token }) => {
+      simulator.tickets.delete(token);
+      return null;
+    }],
+    ['GET', /^\/api\/parts$/, ({ query }) => page(data().parts.map(partJson), query)],
+    ['GET', /^\/api\/parts\/inventory$/, ({ query }) => {
+      const part = simulator.findPart(query.get('number'));
+      const rows = data().inventory
+        .filter(row => row.partId === part.id)
+        .map(row => {
+          const location = data().locations.find(l => l.id === row.locationId);
+          return {
+            part: { number: part.number },
+            location: { name: location.name, locationGroup: { name: location.locationGroup } },
+            quantityOnHand: row.quantity,
+            quantityAvailable: row.quantity,
+            uom: { abbreviation: part.uom }
+          };
+        });
+      return page(rows, query);
+    }],
+    ['POST', /^\/api\/parts\/([^/]+)\/inventory\/add$/, ({ params, body }) => {
+      simulator.applyInventoryAdd({
+        partId: params[0],
+        locationId: body.locationId,
+        quantity: body.quantity,
+        tracking: (body.tracking || []).map(item => ({ id: item.partTrackingId, value: item.value }))
+      });
+      return null;
+    }],
+    ['GET', /^\/api\/products$/, ({ query }) => page(data().products.map(product => productJson(product, data())), query)],
+    ['GET', /^\/api\/locations$/, ({ query }) => page(data().locations.map(locationJson), query)],
+    ['GET', /^\/api\/purchase-orders$/, ({ query }) => page(data().purchaseOrders
+      .filter(order => (!query.get('number') || order.number === query.get('number')) &&
+        (!query.get('vendor') || order.vendor === query.get('vendor')) &&
+        statusMatches(order.statusId, query.get('status'), PO_STATUSES))
+      .map(purchaseOrderJson), query)],
+    ['GET', /^\/api\/purchase-orders\/(\d+)$/, ({ params }) =>
+      purchaseOrderJson(findOrder(data().purchaseOrders, params[0], 'Purchase order'))],
+    ['POST', /^\/api\/purchase-orders(?:\/(\d+))?$/, ({ params, body }) => {
+      const existing = params[0] ? findOrder(data().purchaseOrders, params[0], 'Purchase order') : null;
+      return purchaseOrderJson(simulator.applyPurchaseOrder({
+        number: existing ? existing.number : body.number,
+        vendor: body.vendor ? body.vendor.name : null,
+        locationGroup: body.locationGroup ? body.locationGroup.name : null,
+        items: (body.poItems || []).map(item => ({
+          partNumber: item.part ? item.part.number : null,
+          quantity: item.quantity,
+          unitCost: item.unitCost,
+          uom: item.uom ? item.uom.abbreviation : null
+        }))
+      }));
+    }],
+    ['POST', /^\/api\/purchase-orders\/(\d+)\/(issue|unissue|close-short|void)$/, ({ params }) => {
+      const order = findOrder(data().purchaseOrders, params[0], 'Purchase order');
+      simulator.changePurchaseOrderStatus(order, params[1] === 'close-short' ? 'closeShort' : params[1]);
+      return purchaseOrderJson(order);
+    }],
+    ['DELETE', /^\/api\/purchase-orders\/(\d+)$/, ({ params }) => {
+      simulator.removePurchaseOrder(findOrder(data().purchaseOrders, params[0], 'Purchase order'));
+      return null;
+    }],
+    ['GET', /^\/api\/manufacture-orders$/, ({ query }) => page(data().manufactureOrders
+      .filter(order => (!query.get('number') || order.number === query.get('number')) &&
+        (!query.get('locationGroup') || order.locationGroup === query.get('locationGroup')) &&
+        statusMatches(order.statusId, query.get('status'), MO_STATUSES))
+      .map(manufactureOrderJson), query)],
+    ['GET', /^\/api\/manufacture-orders\/(\d+)$/, ({ params }) =>
+      manufactureOrderJson(findOrder(data().manufactureOrders, params[0], 'Manufacture order'))],
+    ['POST', /^\/api\/manufacture-orders$/, ({ body }) => manufactureOrderJson(simulator.applyManufactureOrder({
+      bomNumber: body.bom ? body.bom.number : null,
+      quantity: body.quantity,
+      locationGroup: body.locationGroup ? body.locationGroup.name : null,
+      scheduledAt: body.dateScheduled,
+      note: body.note
+    }))],
+    ['POST', /^\/api\/manufacture-orders\/(\d+)\/(issue|unissue|close-short)$/, ({ params }) => {
+      const order = findOrder(data().manufactureOrders, params[0], 'Manufacture order');
+      simulator.changeManufactureOrderStatus(order, params[1] === 'close-short' ? 'closeShort' : params[1]);
+      return manufactureOrderJson(order);
+    }],
+    ['DELETE', /^\/api\/manufacture-orders\/(\d+)$/, ({ params }) => {
+      simulator.removeManufactureOrder(findOrder(data().manufactureOrders, params[0], 'Manufacture order'));
+      return null;
+    }],
+    ['GET', /^\/api\/boms$/, ({ query }) => page(data().boms
+      .filter(bom => !query.get('number') || bom.number === query.get('number'))
+      .map(bomJson), query)]
+  ];
+}
+
+/**
+ * HTTP request handler answering the REST API from the simulator's
+ * dataset. Requests are logged and injections apply as for the XML API,
+ * with messages named "<METHOD> <path>" (e.g. "GET /api/parts"); an
+ * injected statusCode is the HTTP status to answer with.
+ */
+function createRestHandler(simulator) {
+  const table = routes(simulator);
+
+  const send = (res, status, payload) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(payload === null || payload === undefined ? '' : JSON.stringify(payload));
+  };
+
+  return async (req, res) => {
+    const url = new URL(req.url, 'http://simulator');
+    const message = `${req.method} ${url.pathname}`;
+    const authorization = req.headers.authorization || '';
+    const token = authorization.startsWith('Bearer ') ? authorization.slice(7) : null;
+
+    let raw = '';
+    for await (const chunk of req) {
+      raw += chunk;
+    }
+    let body = {};
+    try {
+      body = raw ? JSON.parse(raw) : {};
+    } catch (error) {
+      send(res, 400, { message: 'Request body is not valid JSON.' });
+      return;
+    }
+    simulator.requests.push({ message, ticket: token, body });
+
+    const injection = simulator.takeInjection(message) || {};
+    if (injection.drop) {
+      req.socket.destroy();
+      return;
+    }
+    if (injection.delayMs) {
+      await sleep(injection.delayMs);
+    }
+
+    const route = table.find(([method, pattern]) => method === req.method && pattern.test(url.pathname));
+    if (!route) {
+      send(res, 404, { message: `No such endpoint: ${message}` });
+      return;
+    }
+    const session = token ? simulator.tickets.get(token) : null;
+    if (url.pathname !== '/api/login' && (!session || injection.expireTicket)) {
+      simulator.tickets.delete(token);
+      send(res, 401, { message: 'Invalid or expired token.' });
+      return;
+    }
+    if (injection.statusCode) {
+      send(res, injection.statusCode, { message: injection.statusMessage || `Simulated status ${injection.statusCode}` });
+      return;
+    }
+
+    try {
+      const params = url.pathname.match(route[1]).slice(1);
+      send(res, 200, route[2]({ params, query: url.searchParams, body, session, token }));
+    } catch (error) {
+      if (!(error instanceof StatusError)) {
+        send(res, 500, { message: error.message });
+        return;
+      }
+      send(res, error.httpStatus || HTTP_STATUSES[error.statusCode] || 400, { message: error.message });
+    }
+  };
+}
+
+module.exports = {
+  createRestHandler
+};
@@ -0,0 +1,15 @@
+// statusError.js - Fishbowl status a simulator handler fails with
+
+/**
+ * A Fishbowl status to answer a message with
+ */
+class StatusError extends Error {
+  constructor(statusCode, message) {
+    super(message);
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  StatusError
+};
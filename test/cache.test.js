@@ -0,0 +1,144 @@
+// cache.test.js - Caching of the parts, products and inventory queries
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { ResponseCache } = require('../lib/responseCache');
+
+const countRequests = (simulator, message) => simulator.requests.filter(r => r.message === message).length;
+
+describe('query cache', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    await server.request('DELETE', '/admin/cache');
+    server.simulator.requests = [];
+  });
+
+  it('serves repeated catalog reads from the cache', async () => {
+    await server.request('GET', '/mcp/parts');
+    await server.request('GET', '/mcp/parts');
+    await server.request('POST', '/mcp/execute', { body: { command: 'getParts' } });
+    assert.equal(countRequests(server.simulator, 'PartGetRq'), 1);
+  });
+
+  it('answers If-None-Match with 304 Not Modified', async () => {
+    const first = await server.request('GET', '/mcp/products');
+    const etag = first.headers.get('etag');
+    assert.ok(etag);
+
+    const second = await server.request('GET', '/mcp/products', { headers: { 'If-None-Match': etag } });
+    assert.equal(second.status, 304);
+    assert.equal(second.body, '');
+
+    // The raw variant of the same entry has its own tag
+    const raw = await server.request('GET', '/mcp/products?raw=true', { headers: { 'If-None-Match': etag } });
+    assert.equal(raw.status, 200);
+  });
+
+  it('keeps the ETag when a reload returns the same data', async () => {
+    const first = await server.request('GET', '/mcp/parts');
+    const reloaded = await server.request('GET', '/mcp/parts', { headers: { 'Cache-Control': 'no-cache' } });
+    assert.equal(countRequests(server.simulator, 'PartGetRq'), 2);
+    assert.equal(reloaded.headers.get('etag'), first.headers.get('etag'));
+  });
+
+  it('drops the cached inventory of a part when stock is added', async () => {
+    await server.request('GET', '/mcp/parts');
+    const before = await server.request('GET', '/mcp/inventory/B-100');
+    await server.request('GET', '/mcp/inventory/W-200');
+
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 1, locationId: 1, quantity: 3 } });
+
+    const after = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(after.body.data.totalOnHand, before.body.data.totalOnHand + 3);
+    assert.notEqual(after.headers.get('etag'), before.headers.get('etag'));
+
+    // Other parts stay cached
+    await server.request('GET', '/mcp/inventory/W-200');
+    assert.equal(countRequests(server.simulator, 'PartQuantityRq'), 3);
+  });
+
+  it('GET /admin/cache reports entries and counters', async () => {
+    await server.request('GET', '/mcp/parts');
+    await server.request('GET', '/mcp/parts');
+
+    const response = await server.request('GET', '/admin/cache');
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.entries.map(entry => entry.resource), ['parts']);
+    assert.ok(response.body.data.hits >= 1);
+    assert.equal(response.body.data.ttlsMs.parts, 300000);
+  });
+
+  it('DELETE /admin/cache/:resource flushes one resource', async () => {
+    await server.request('GET', '/mcp/parts');
+    await server.request('GET', '/mcp/products');
+
+    const response = await server.request('DELETE', '/admin/cache/parts');
+    assert.equal(response.status, 200);
+    const stats = await server.request('GET', '/admin/cache');
+    assert.deepEqual(stats.body.data.entries.map(entry => entry.resource), ['products']);
+
+    assert.equal((await server.request('DELETE', '/admin/cache/widgets')).status, 404);
+  });
+
+  it('the admin endpoints require admin:cache', async () => {
+    assert.equal((await server.request('GET', '/admin/cache', { key: 'reader' })).status, 403);
+    assert.equal((await server.request('DELETE', '/admin/cache', { key: 'writer' })).status, 403);
+  });
+});
+
+describe('ResponseCache', () => {
+  it('refreshes entries in the background once they age', async () => {
+    const cache = new ResponseCache({ ttls: { parts: 100 } });
+    let loads = 0;
+    const loader = async () => ++loads;
+
+    assert.equal((await cache.get('parts', undefined, loader)).value, 1);
+    await new Promise(resolve => setTimeout(resolve, 80));
+
+    // Still valid, so the old value is returned while a reload starts
+    assert.equal((await cache.get('parts', undefined, loader)).value, 1);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    assert.equal((await cache.get('parts', undefined, loader)).value, 2);
+  });
+
+  it('shares one load between concurrent callers', async () => {
+    const cache = new ResponseCache({ ttls: { parts: 1000 } });
+    let loads = 0;
+    const loader = () => new Promise(resolve => setTimeout(() => resolve(++loads), 20));
+
+    const entries = await Promise.all([1, 2, 3].map(() => cache.get('parts', undefined, loader)));
+    assert.deepEqual(entries.map(entry => entry.value), [1, 1, 1]);
+  });
+
+  it('does not store a load that was invalidated while in flight', async () => {
+    const cache = new ResponseCache({ ttls: { inventory: 1000 } });
+    const loading = cache.get('inventory', 'B-100', () => new Promise(resolve => setTimeout(() => resolve('old'), 20)));
+    cache.invalidate('inventory', 'B-100');
+    await loading;
+    assert.equal(cache.peek('inventory', 'B-100'), null);
+  });
+
+  it('forgets invalidations once no load is in flight', async () => {
+    const cache = new ResponseCache({ ttls: { inventory: 1000 } });
+    for (const partNumber of ['B-100', 'W-200', 'S-300']) {
+      await cache.get('inventory', partNumber, async () => partNumber);
+      cache.invalidate('inventory', partNumber);
+    }
+    const loading = cache.get('inventory', 'B-100', () => new Promise(resolve => setTimeout(() => resolve('old'), 20)));
+    cache.invalidate('inventory', 'B-100');
+    assert.equal(cache.generations.size, 1);
+    await loading;
+    assert.equal(cache.generations.size, 0);
+    assert.equal(cache.peek('inventory', 'B-100'), null);
+  });
+});
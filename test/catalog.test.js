@@ -0,0 +1,148 @@
+// catalog.test.js - Parts, products and order queries
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('catalog routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('GET /mcp/parts returns normalized parts', async () => {
+    const response = await server.request('GET', '/mcp/parts', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 4);
+
+    const sensor = response.body.data.find(part => part.number === 'S-300');
+    assert.equal(sensor.standardCost, 12);
+    assert.equal(sensor.serialized, true);
+    assert.deepEqual(sensor.tracking.map(t => t.name), ['Serial Number', 'Expiration Date']);
+  });
+
+  it('GET /mcp/products returns normalized products', async () => {
+    const response = await server.request('GET', '/mcp/products', { key: 'reader' });
+    assert.equal(response.status, 200);
+    const kit = response.body.data.find(product => product.number === 'WIDGET-KIT');
+    assert.equal(kit.partNumber, 'W-200');
+    assert.equal(kit.price, 19.99);
+  });
+
+  it('GET /mcp/products?raw=true returns the parsed FbiXml', async () => {
+    const response = await server.request('GET', '/mcp/products?raw=true');
+    assert.ok(response.body.data.FbiXml.FbiMsgsRs[0].ProductGetRs);
+  });
+
+  it('GET /mcp/purchase-orders returns orders with their items', async () => {
+    const response = await server.request('GET', '/mcp/purchase-orders', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 3);
+
+    const order = response.body.data.find(po => po.number === 'PO-1001');
+    assert.equal(order.status, 'Issued');
+    assert.equal(order.items.length, 2);
+    assert.equal(order.items[1].quantityFulfilled, 4);
+  });
+
+  it('GET /mcp/purchase-orders passes supported filters to Fishbowl', async () => {
+    const response = await server.request('GET', '/mcp/purchase-orders?vendor=Widget%20Works');
+    assert.deepEqual(response.body.data.map(po => po.number), ['PO-1002']);
+    const query = server.simulator.requests.filter(r => r.message === 'PurchaseOrderQueryRq').at(-1);
+    assert.deepEqual(query.body.VendorName, ['Widget Works']);
+  });
+
+  it('GET /mcp/purchase-orders filters by status and date range', async () => {
+    const issued = await server.request('GET', '/mcp/purchase-orders?status=Issued,Bid%20Request');
+    assert.deepEqual(issued.body.data.map(po => po.number), ['PO-1001', 'PO-1002']);
+
+    const recent = await server.request('GET', '/mcp/purchase-orders?createdFrom=2024-01-01&sort=-createdAt');
+    assert.deepEqual(recent.body.data.map(po => po.number), ['PO-1002', 'PO-1001']);
+  });
+
+  it('rejects unknown or invalid order query parameters', async () => {
+    const unknown = await server.request('GET', '/mcp/purchase-orders?VendorName=Acme');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'invalid_query');
+    assert.deepEqual(unknown.body.details.parameters, ['VendorName']);
+
+    const status = await server.request('GET', '/mcp/manufacture-orders?status=Shipped');
+    assert.equal(status.status, 400);
+
+    const date = await server.request('GET', '/mcp/purchase-orders?createdTo=someday');
+    assert.equal(date.status, 400);
+  });
+
+  it('GET /mcp/manufacture-orders returns orders with their items', async () => {
+    const response = await server.request('GET', '/mcp/manufacture-orders', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 2);
+
+    const order = response.body.data.find(mo => mo.number === 'MO-2001');
+    assert.equal(order.status, 'Entered');
+    assert.deepEqual(order.items.map(item => item.type), ['Finished Good', 'Raw Good']);
+  });
+
+  it('GET /mcp/manufacture-orders filters by status', async () => {
+    const response = await server.request('GET', '/mcp/manufacture-orders?status=Issued');
+    assert.deepEqual(response.body.data.map(mo => mo.number), ['MO-2002']);
+  });
+
+  it('GET /mcp/parts searches, filters and projects fields', async () => {
+    const search = await server.request('GET', '/mcp/parts?q=widget&fields=number,description');
+    assert.deepEqual(search.body.data, [{ number: 'W-200', description: 'Widget housing' }]);
+
+    const active = await server.request('GET', '/mcp/parts?active=false');
+    assert.deepEqual(active.body.data.map(part => part.number), ['OLD-1']);
+
+    const vendor = await server.request('GET', '/mcp/parts?vendor=acme%20supply&fields=number');
+    assert.deepEqual(vendor.body.data, [{ number: 'B-100' }, { number: 'S-300' }]);
+  });
+
+  it('GET /mcp/parts pages through the results with cursors', async () => {
+    const seen = [];
+    let cursor = null;
+    do {
+      const url = `/mcp/parts?limit=3&sort=-number${cursor ? `&cursor=${cursor}` : ''}`;
+      const response = await server.request('GET', url);
+      assert.equal(response.status, 200);
+      assert.equal(response.body.pagination.total, 4);
+      seen.push(...response.body.data.map(part => part.number));
+      cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+    assert.deepEqual(seen, ['W-200', 'S-300', 'OLD-1', 'B-100']);
+  });
+
+  it('rejects a cursor issued for a different query', async () => {
+    const first = await server.request('GET', '/mcp/parts?limit=1&sort=number');
+    const response = await server.request('GET', `/mcp/parts?limit=1&sort=id&cursor=${first.body.pagination.nextCursor}`);
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_cursor');
+  });
+
+  it('validates sort, fields and limit', async () => {
+    for (const query of ['sort=weight', 'fields=secret', 'limit=0', 'limit=5000', 'active=yes']) {
+      const response = await server.request('GET', `/mcp/parts?${query}`);
+      assert.equal(response.status, 400, query);
+      assert.equal(response.body.code, 'invalid_query', query);
+    }
+  });
+
+  it('order routes require orders:read', async () => {
+    const response = await server.request('GET', '/mcp/purchase-orders', { key: 'writer' });
+    assert.equal(response.status, 403);
+  });
+
+  it('reports Fishbowl errors on catalog reads', async () => {
+    await server.request('DELETE', '/admin/cache/parts');
+    server.simulator.inject({ message: 'PartGetRq', statusCode: 1004, statusMessage: 'There was an error with the database' });
+    const response = await server.request('GET', '/mcp/parts');
+    assert.equal(response.status, 503);
+    assert.equal(response.body.details.fishbowlStatusCode, 1004);
+  });
+});
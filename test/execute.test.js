@@ -0,0 +1,193 @@
+// execute.test.js - POST /mcp/execute
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('POST /mcp/execute', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const execute = (command, parameters, options = {}) =>
+    server.request('POST', `/mcp/execute${options.query || ''}`, {
+      key: options.key,
+      headers: options.headers,
+      body: { command, parameters }
+    });
+
+  it('runs read commands and normalizes their results', async () => {
+    const response = await execute('getInventory', { partNumber: 'W-200' }, { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.totalOnHand, 40);
+
+    const parts = await execute('getParts', {});
+    assert.equal(parts.body.result.parts.length, 4);
+
+    const orders = await execute('getPurchaseOrders', { Status: '10' });
+    assert.deepEqual(orders.body.result.purchaseOrders.map(po => po.number), ['PO-1002']);
+  });
+
+  it('returns the raw response with ?raw=true', async () => {
+    const response = await execute('getProducts', {}, { query: '?raw=true' });
+    assert.ok(response.body.result.FbiXml);
+  });
+
+  it('runs write commands', async () => {
+    const response = await execute('addInventory', { partId: 3, locationId: 2, quantity: 1,
+      trackingItems: [{ partTracking: { id: 2 }, value: 'SN-1' }, { partTracking: { id: 3 }, value: '2030-01-01' }] });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.success, true);
+  });
+
+  it('rejects unknown commands and missing parameters', async () => {
+    const unknown = await execute('dropTables', {});
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'unknown_command');
+
+    const missing = await execute('getInventory', {});
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'validation_failed');
+  });
+
+  it('enforces the scope of each command', async () => {
+    const response = await execute('addInventory', { partId: 1, locationId: 1, quantity: 1 }, { key: 'reader' });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.details.requiredScope, 'inventory:write');
+  });
+
+  it('never returns the Fishbowl session token from login', async () => {
+    const response = await execute('login', {});
+    assert.equal(response.status, 200);
+    assert.deepEqual(Object.keys(response.body.result).sort(), ['success', 'userId']);
+  });
+
+  it('runs the session commands', async () => {
+    assert.equal((await execute('logout', {})).body.result.success, true);
+    assert.equal((await execute('disconnect', {})).body.result.success, true);
+    assert.equal((await execute('connect', {})).body.result.success, true);
+    assert.equal((await execute('getInventory', { partNumber: 'B-100' })).status, 200);
+  });
+
+  it('honours Idempotency-Key on write commands only', async () => {
+    const headers = { 'Idempotency-Key': 'execute-1' };
+    const first = await execute('addInventory', { partId: 1, locationId: 3, quantity: 2 }, { headers });
+    const retry = await execute('addInventory', { partId: 1, locationId: 3, quantity: 2 }, { headers });
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    // Reads ignore the header
+    const read = await execute('getInventory', { partNumber: 'B-100' }, { headers });
+    assert.equal(read.status, 200);
+    assert.equal(read.headers.get('idempotent-replayed'), null);
+  });
+
+  describe('batches', () => {
+    const batch = (body, options = {}) => server.request('POST', '/mcp/execute', { key: options.key, headers: options.headers, body });
+
+    it('runs many lookups in one request with per-item results', async () => {
+      const partNumbers = ['B-100', 'W-200', 'NOPE', 'S-300'];
+      const response = await batch({
+        concurrency: 2,
+        batch: partNumbers.map(partNumber => ({ id: partNumber, command: 'getInventory', parameters: { partNumber } }))
+      }, { key: 'reader' });
+
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+      assert.deepEqual(response.body.summary, { total: 4, succeeded: 3, failed: 1, skipped: 0 });
+      assert.deepEqual(response.body.results.map(r => r.id), partNumbers);
+      assert.equal(response.body.results[1].result.totalOnHand, 40);
+      assert.equal(response.body.results[2].status, 'failed');
+      assert.equal(response.body.results[2].error.statusCode, 404);
+    });
+
+    it('reports scope and command errors per item', async () => {
+      const response = await batch({
+        batch: [
+          { command: 'getParts' },
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } },
+          { command: 'dropTables' }
+        ]
+      }, { key: 'reader' });
+      assert.deepEqual(response.body.results.map(r => r.status), ['succeeded', 'failed', 'failed']);
+      assert.equal(response.body.results[1].error.code, 'insufficient_scope');
+      assert.equal(response.body.results[2].error.code, 'unknown_command');
+    });
+
+    it('stops an all-or-nothing batch at the first failure', async () => {
+      server.simulator.reset();
+      const response = await batch({
+        allOrNothing: true,
+        batch: [
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } },
+          { command: 'addInventory', parameters: { partId: 1, locationId: 99, quantity: 1 } },
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } }
+        ]
+      });
+      assert.equal(response.status, 200);
+      assert.equal(response.body.success, false);
+      assert.deepEqual(response.body.applied, [0]);
+      assert.equal(response.body.failedIndex, 1);
+      assert.deepEqual(response.body.possiblyApplied, []);
+      assert.deepEqual(response.body.results.map(r => r.status), ['succeeded', 'failed', 'skipped']);
+      assert.equal(response.body.results[1].possiblyApplied, false);
+
+      const inventory = await server.request('GET', '/mcp/inventory/B-100', { headers: { 'Cache-Control': 'no-cache' } });
+      assert.equal(inventory.body.data.totalOnHand, 621);
+    });
+
+    it('reports a write lost after it was sent as possibly applied', async () => {
+      server.simulator.reset();
+      server.simulator.inject({ message: 'InventoryAddRq', drop: true });
+      const response = await batch({
+        allOrNothing: true,
+        batch: [
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } },
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } }
+        ]
+      });
+      assert.equal(response.body.failedIndex, 0);
+      assert.deepEqual(response.body.applied, []);
+      assert.deepEqual(response.body.possiblyApplied, [0]);
+      assert.equal(response.body.results[0].possiblyApplied, true);
+      assert.equal(response.body.results[0].error.statusCode, 503);
+    });
+
+    it('rejects an all-or-nothing batch that fails its checks before running it', async () => {
+      server.simulator.reset();
+      const response = await batch({
+        allOrNothing: true,
+        batch: [
+          { command: 'addInventory', parameters: { partId: 1, locationId: 1, quantity: 1 } },
+          { command: 'addInventory', parameters: { partId: 1 } }
+        ]
+      });
+      assert.equal(response.status, 400);
+      assert.equal(response.body.code, 'invalid_batch');
+      assert.deepEqual(response.body.details.items.map(item => item.index), [1]);
+      assert.ok(!server.simulator.requests.some(r => r.message === 'InventoryAddRq'));
+    });
+
+    it('validates the batch shape', async () => {
+      for (const body of [{ batch: [] }, { batch: [{ parameters: {} }] }, { batch: [{ command: 'getParts' }], concurrency: 100 }]) {
+        const response = await batch(body);
+        assert.equal(response.status, 400);
+        assert.equal(response.body.code, 'invalid_batch');
+      }
+    });
+
+    it('applies Idempotency-Key to batches with writes', async () => {
+      const body = { batch: [{ command: 'addInventory', parameters: { partId: 1, locationId: 3, quantity: 1 } }] };
+      const headers = { 'Idempotency-Key': 'batch-1' };
+      await batch(body, { headers });
+      const retry = await batch(body, { headers });
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    });
+  });
+});
@@ -0,0 +1,111 @@
+// export.test.js - CSV and NDJSON exports of the catalog
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { parseCatalogQuery, exportItems } = require('../lib/catalogQuery');
+const { exportStream } = require('../lib/catalogExport');
+
+describe('catalog exports', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const lines = (body) => body.split(/\r?\n/).filter(Boolean);
+
+  it('exports parts as CSV by default', async () => {
+    const response = await server.request('GET', '/mcp/export/parts', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/csv/);
+    assert.match(response.headers.get('content-disposition'), /attachment; filename="parts-\d{4}-\d{2}-\d{2}\.csv"/);
+
+    const [header, ...rows] = lines(response.body);
+    assert.equal(header, 'id,number,description,uom,standardCost,vendor,active,serialized,tracked,createdAt,updatedAt');
+    assert.equal(rows.length, 4);
+    assert.ok(rows[0].startsWith('1,B-100,"Hex bolt 1/4""",ea,0.25,Acme Supply,true,false,false,'));
+  });
+
+  it('chooses NDJSON from the Accept header or ?format=', async () => {
+    const accept = await server.request('GET', '/mcp/export/products?columns=number,price&sort=number',
+      { headers: { Accept: 'application/x-ndjson' } });
+    assert.match(accept.headers.get('content-type'), /^application\/x-ndjson/);
+    assert.deepEqual(lines(accept.body).map(line => JSON.parse(line)), [
+      { number: 'B-100', price: 0.6 },
+      { number: 'OLD-1', price: 2.5 },
+      { number: 'WIDGET-KIT', price: 19.99 }
+    ]);
+
+    const query = await server.request('GET', '/mcp/export/products?format=ndjson&columns=number',
+      { headers: { Accept: 'text/csv' } });
+    assert.equal(lines(query.body)[0], '{"number":"B-100"}');
+  });
+
+  it('flattens purchase order line items into rows', async () => {
+    const response = await server.request('GET',
+      '/mcp/export/purchase-orders?columns=number,vendor,item.partNumber,item.quantity&sort=number');
+    assert.deepEqual(lines(response.body), [
+      'number,vendor,item.partNumber,item.quantity',
+      'PO-1001,Acme Supply,B-100,1000',
+      'PO-1001,Acme Supply,S-300,10',
+      'PO-1002,Widget Works,W-200,50',
+      'PO-1003,Acme Supply,B-100,200'
+    ]);
+  });
+
+  it('exports one row per order without item columns and applies the filters', async () => {
+    const response = await server.request('GET', '/mcp/export/manufacture-orders?columns=number,status&status=Entered');
+    assert.deepEqual(lines(response.body), ['number,status', 'MO-2001,Entered']);
+  });
+
+  it('writes an unsorted export while its records are still being read', async () => {
+    let read = 0;
+    function* records() {
+      for (let id = 1; id <= 1000; id++) {
+        read++;
+        yield { id, number: `P-${String(1000 - id).padStart(4, '0')}`, active: id % 2 === 0 };
+      }
+    }
+    const firstChunk = async (query) => {
+      read = 0;
+      const stream = exportStream('ndjson', ['id'], exportItems(records(), parseCatalogQuery('parts', query, { paged: false })));
+      const iterator = stream[Symbol.asyncIterator]();
+      const { value } = await iterator.next();
+      await iterator.return();
+      return value;
+    };
+
+    assert.equal(await firstChunk({ active: 'true' }), '{"id":2}\n');
+    assert.ok(read < 100, `read ${read} records before the first row`);
+
+    assert.equal(await firstChunk({ active: 'true', sort: 'number' }), '{"id":1000}\n');
+    assert.equal(read, 1000);
+  });
+
+  it('rejects unknown columns, formats and parameters', async () => {
+    const column = await server.request('GET', '/mcp/export/parts?columns=number,secret');
+    assert.equal(column.status, 400);
+    assert.deepEqual(column.body.details.columns, ['secret']);
+
+    const format = await server.request('GET', '/mcp/export/parts?format=xlsx');
+    assert.equal(format.status, 400);
+
+    const paging = await server.request('GET', '/mcp/export/parts?limit=1');
+    assert.equal(paging.status, 400);
+    assert.equal(paging.body.code, 'invalid_query');
+
+    const accept = await server.request('GET', '/mcp/export/parts', { headers: { Accept: 'application/pdf' } });
+    assert.equal(accept.status, 406);
+    assert.equal(accept.body.code, 'not_acceptable');
+  });
+
+  it('requires the scope of the exported data', async () => {
+    const response = await server.request('GET', '/mcp/export/purchase-orders', { key: 'writer' });
+    assert.equal(response.status, 403);
+  });
+});
@@ -0,0 +1,260 @@
+// fishbowlClient.test.js - FishbowlClient and FishbowlPool against the simulator
+
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { simulatorEnv, startSimulator } = require('./helpers');
+const { FishbowlClient } = require('../lib/fishbowlClient');
+const { FishbowlPool } = require('../lib/connectionPool');
+const { isReadMessage } = require('../lib/fishbowlResponse');
+const models = require('../lib/models');
+
+describe('FishbowlClient', () => {
+  let simulator;
+  let client;
+  const savedEnv = { ...process.env };
+
+  before(async () => {
+    simulator = await startSimulator();
+  });
+
+  after(async () => {
+    await simulator.stop();
+  });
+
+  beforeEach(() => {
+    simulator.reset();
+    Object.assign(process.env, simulatorEnv(simulator, {
+      FISHBOWL_TIMEOUTS: JSON.stringify({ PartQuantityRq: 300 })
+    }));
+    client = new FishbowlClient();
+  });
+
+  afterEach(async () => {
+    await client.disconnect();
+    process.env = { ...savedEnv };
+  });
+
+  it('logs in and reads all parts', async () => {
+    const parts = models.normalizeParts(await client.getParts()).parts;
+    assert.equal(parts.length, 4);
+    assert.equal(parts[0].number, 'B-100');
+    assert.ok(client.sessionToken);
+  });
+
+  it('rejects bad credentials with an authentication error', async () => {
+    process.env.FISHBOWL_PASSWORD = 'wrong';
+    client = new FishbowlClient();
+    await assert.rejects(client.getParts(), { name: 'AuthenticationError', statusCode: 401 });
+  });
+
+  it('answers concurrent requests in order on one socket', async () => {
+    const numbers = ['B-100', 'W-200', 'S-300', 'B-100'];
+    const results = await Promise.all(numbers.map(number => client.getInventory(number)));
+    assert.deepEqual(results.map(result => models.normalizeInventory(result).partNumber), numbers);
+    assert.equal(simulator.totalConnections, 1);
+  });
+
+  it('maps Fishbowl status codes to typed errors', async () => {
+    simulator.inject({ message: 'PartQuantityRq', statusCode: 1150, statusMessage: 'Request was invalid' });
+    simulator.inject({ message: 'PartQuantityRq', statusCode: 2203, statusMessage: 'Cannot adjust committed inventory' });
+    simulator.inject({ message: 'PartQuantityRq', statusCode: 9999, statusMessage: 'Something odd' });
+
+    await assert.rejects(client.getInventory('B-100'), { name: 'ValidationError', statusCode: 400 });
+    await assert.rejects(client.getInventory('B-100'), { name: 'ConflictError', statusCode: 409 });
+    await assert.rejects(client.getInventory('B-100'), (error) => {
+      assert.equal(error.name, 'FishbowlError');
+      assert.equal(error.details.fishbowlStatusCode, 9999);
+      return true;
+    });
+    await assert.rejects(client.getInventory('NOPE'), { name: 'NotFoundError', statusCode: 404 });
+  });
+
+  it('reassembles responses split across many small writes', async () => {
+    simulator.inject({ message: 'PartQuantityRq', chunkSize: 7 });
+    const inventory = models.normalizeInventory(await client.getInventory('B-100'));
+    assert.equal(inventory.totalOnHand, 620);
+  });
+
+  it('times out a slow response and recovers on a new socket', async () => {
+    simulator.inject({ message: 'PartQuantityRq', delayMs: 600 });
+    await assert.rejects(client.getInventory('B-100'), { statusCode: 504, code: 'upstream_timeout' });
+
+    const inventory = models.normalizeInventory(await client.getInventory('B-100'));
+    assert.equal(inventory.totalOnHand, 620);
+  });
+
+  it('times out a response that stops halfway', async () => {
+    simulator.inject({ message: 'PartQuantityRq', partial: true });
+    await assert.rejects(client.getInventory('B-100'), { code: 'upstream_timeout' });
+    assert.equal(models.normalizeInventory(await client.getInventory('W-200')).totalOnHand, 40);
+  });
+
+  it('fails the request when the socket drops and reconnects afterwards', async () => {
+    await client.getInventory('B-100');
+    simulator.inject({ message: 'PartQuantityRq', drop: true });
+
+    await assert.rejects(client.getInventory('B-100'), (error) => {
+      assert.equal(error.statusCode, 503);
+      assert.equal(error.connectionFailure, true);
+      return true;
+    });
+    assert.equal(models.normalizeInventory(await client.getInventory('B-100')).totalOnHand, 620);
+    assert.ok(simulator.totalConnections >= 2);
+  });
+
+  it('logs in again and replays a read when the ticket expires', async () => {
+    await client.getInventory('B-100');
+    simulator.expireSessions();
+
+    const inventory = models.normalizeInventory(await client.getInventory('B-100'));
+    assert.equal(inventory.totalOnHand, 620);
+    assert.equal(simulator.requests.filter(r => r.message === 'LoginRq').length, 2);
+  });
+
+  it('replays a location list, which the readiness probe sends, after an invalid ticket', async () => {
+    assert.ok(isReadMessage('LocationListRq'));
+    await client.getInventory('B-100');
+    simulator.inject({ message: 'LocationListRq', statusCode: 1130, statusMessage: 'Invalid ticket passed to Fishbowl server.' });
+
+    const locations = models.normalizeLocations(await client.getLocations()).locations;
+    assert.equal(locations.length, 3);
+    assert.equal(simulator.requests.filter(r => r.message === 'LocationListRq').length, 2);
+    assert.equal(simulator.requests.filter(r => r.message === 'LoginRq').length, 2);
+  });
+
+  it('replays a write exactly once when the whole request was rejected for its ticket', async () => {
+    await client.getInventory('B-100');
+    simulator.inject({ message: 'InventoryAddRq', expireTicket: true });
+
+    await client.addInventory(1, 1, 10);
+    assert.equal(simulator.requests.filter(r => r.message === 'InventoryAddRq').length, 2);
+    assert.equal(models.normalizeInventory(await client.getInventory('B-100')).totalOnHand, 630);
+  });
+
+  it('reports a ticket rejected again after logging in as an upstream error', async () => {
+    await client.getInventory('B-100');
+    simulator.inject({ message: 'PartQuantityRq', expireTicket: true, times: 2 });
+
+    await assert.rejects(client.getInventory('B-100'), (error) => {
+      assert.equal(error.statusCode, 503);
+      assert.equal(error.code, 'upstream_unavailable');
+      assert.equal(error.details.fishbowlStatusCode, 1130);
+      return true;
+    });
+  });
+
+  it('logs out on disconnect', async () => {
+    await client.getParts();
+    await client.disconnect();
+    assert.equal(simulator.requests.at(-1).message, 'LogoutRq');
+    assert.equal(simulator.tickets.size, 0);
+  });
+});
+
+describe('FishbowlPool', () => {
+  const savedEnv = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...savedEnv };
+  });
+
+  it('opens the circuit after repeated connection failures', async () => {
+    // A port with nothing listening on it
+    const probe = net.createServer();
+    await new Promise(resolve => probe.listen(0, '127.0.0.1', resolve));
+    const { port } = probe.address();
+    await new Promise(resolve => probe.close(resolve));
+
+    Object.assign(process.env, simulatorEnv({ host: '127.0.0.1', port }, {
+      FISHBOWL_BREAKER_THRESHOLD: '2',
+      FISHBOWL_BREAKER_RESET_MS: '60000'
+    }));
+    const pool = new FishbowlPool();
+
+    await assert.rejects(pool.getParts(), { statusCode: 503, code: 'upstream_unavailable' });
+    await assert.rejects(pool.getParts(), { statusCode: 503, code: 'upstream_unavailable' });
+    await assert.rejects(pool.getParts(), { statusCode: 503, code: 'circuit_open' });
+    assert.equal(pool.breaker.stats().state, 'open');
+    await pool.disconnect();
+  });
+
+  it('keeps serving quick reads while long reads hold the bulk lane', async () => {
+    const simulator = await startSimulator();
+    Object.assign(process.env, simulatorEnv(simulator, { FISHBOWL_POOL_MAX: '2', FISHBOWL_POOL_BULK_MAX: '1' }));
+    const pool = new FishbowlPool();
+
+    simulator.inject({ message: 'PartGetRq', delayMs: 300, times: 2 });
+    const bulk = Promise.all([pool.getParts(), pool.getParts()]);
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    const started = Date.now();
+    await pool.getInventory('B-100');
+    assert.ok(Date.now() - started < 250, 'inventory lookup waited for the bulk reads');
+    assert.ok(pool.stats().size <= 2);
+
+    await bulk;
+    await pool.disconnect();
+    await simulator.stop();
+  });
+
+  // Clients whose login takes loginMs and fails when fail is set, by the
+  // order they are created in (the first is the pool's template)
+  const fakeClients = (behaviours) => {
+    let created = 0;
+    return () => {
+      const { loginMs = 0, fail = false } = behaviours[created++] || {};
+      return {
+        sessionToken: null,
+        reconnectTimer: null,
+        reconnectAttempts: 0,
+        totalReconnects: 0,
+        isHealthy: () => true,
+        disconnect: async () => {},
+        async ensureAuthenticated() {
+          await new Promise(resolve => setTimeout(resolve, loginMs));
+          if (fail) {
+            throw new Error('login failed');
+          }
+          this.sessionToken = 'ticket';
+        },
+        getPurchaseOrders: async () => 'orders',
+        getParts: async () => 'parts'
+      };
+    };
+  };
+
+  it('grows for waiting callers when opening a connection fails', async () => {
+    const pool = new FishbowlPool({
+      min: 0,
+      max: 1,
+      acquireTimeoutMs: 1000,
+      createClient: fakeClients([{}, { loginMs: 50, fail: true }, {}])
+    });
+
+    const first = pool.getPurchaseOrders();
+    const started = Date.now();
+    const second = pool.getPurchaseOrders();
+    await assert.rejects(first, /login failed/);
+    assert.equal(await second, 'orders');
+    assert.ok(Date.now() - started < 500, 'the waiting caller sat until the acquire timeout');
+    await pool.disconnect();
+  });
+
+  it('does not count connections opening for quick reads against the bulk lane', async () => {
+    const pool = new FishbowlPool({
+      min: 0,
+      max: 3,
+      bulkMax: 1,
+      acquireTimeoutMs: 1000,
+      createClient: fakeClients([{}, { loginMs: 300 }, {}])
+    });
+
+    const interactive = pool.getPurchaseOrders();
+    const started = Date.now();
+    assert.equal(await pool.getParts(), 'parts');
+    assert.ok(Date.now() - started < 200, 'the bulk read waited for an interactive connection to open');
+    await interactive;
+    await pool.disconnect();
+  });
+});
@@ -0,0 +1,80 @@
+// health.test.js - Liveness and readiness probes
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('health probes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { READINESS_CACHE_MS: '60000' } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.simulator.reset();
+    server.readiness.report = null;
+  });
+
+  const ready = () => server.request('GET', '/health/ready', { key: null });
+
+  it('answers liveness without contacting Fishbowl', async () => {
+    const response = await server.request('GET', '/health/live', { key: null });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+    assert.deepEqual(server.simulator.requests, []);
+  });
+
+  it('is ready after a round trip to Fishbowl and caches the result', async () => {
+    const response = await ready();
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'ready');
+    assert.equal(response.body.cached, false);
+
+    const fishbowl = response.body.dependencies.fishbowl;
+    assert.equal(fishbowl.status, 'up');
+    assert.equal(typeof fishbowl.latencyMs, 'number');
+    assert.equal(fishbowl.circuitBreaker, 'closed');
+    assert.deepEqual(Object.values(fishbowl.steps).map(step => step.status), ['pass', 'pass', 'pass']);
+    assert.ok(server.simulator.requests.some(r => r.message === 'LocationListRq'));
+
+    const count = server.simulator.requests.length;
+    const again = await ready();
+    assert.equal(again.status, 200);
+    assert.equal(again.body.cached, true);
+    assert.equal(server.simulator.requests.length, count);
+  });
+
+  it('is not ready when Fishbowl rejects the login', async () => {
+    server.simulator.data.users[0].password = 'changed';
+    server.simulator.expireSessions();
+
+    const response = await ready();
+    assert.equal(response.status, 503);
+    assert.equal(response.body.status, 'not_ready');
+    const fishbowl = response.body.dependencies.fishbowl;
+    assert.equal(fishbowl.status, 'down');
+    assert.equal(fishbowl.steps.connection.status, 'pass');
+    assert.equal(fishbowl.steps.session.status, 'fail');
+    assert.equal(fishbowl.steps.query.status, 'skipped');
+    assert.equal(fishbowl.error.fishbowlStatusCode, 1120);
+  });
+
+  it('is not ready when Fishbowl is unreachable', async () => {
+    await server.simulator.stop();
+
+    const response = await ready();
+    assert.equal(response.status, 503);
+    const fishbowl = response.body.dependencies.fishbowl;
+    assert.equal(fishbowl.steps.connection.status, 'fail');
+    assert.equal(fishbowl.steps.session.status, 'skipped');
+    assert.equal(fishbowl.error.code, 'upstream_unavailable');
+
+    // Liveness is unaffected
+    assert.equal((await server.request('GET', '/health', { key: null })).status, 200);
+  });
+});
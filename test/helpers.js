@@ -0,0 +1,177 @@
+// helpers.js - Shared setup for the integration tests
+//
+// Each test file runs in its own process (node --test), starts a Fishbowl
+// simulator on a free port and loads server.js pointed at it.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FishbowlSimulator } = require('../simulator/fishbowlSimulator');
+
+// API keys used by the tests, by name
+const API_KEYS = {
+  admin: { id: 'admin', key: 'test-admin-key', scopes: ['*'] },
+  reader: { id: 'reader', key: 'test-reader-key', scopes: ['inventory:read', 'orders:read'] },
+  writer: { id: 'writer', key: 'test-writer-key', scopes: ['inventory:read', 'inventory:write'] },
+  nobody: { id: 'nobody', key: 'test-nobody-key', scopes: [] }
+};
+
+// Server logs would drown the test report; TEST_VERBOSE=true keeps them
+if (process.env.TEST_VERBOSE !== 'true') {
+  console.log = () => {};
+  console.info = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'fishbowl-mcp-test-'));
+}
+
+/**
+ * Environment pointing a Fishbowl client at the simulator, with short
+ * timeouts so failure tests finish quickly
+ */
+function simulatorEnv(simulator, overrides = {}) {
+  return {
+    FISHBOWL_HOST: simulator.host,
+    FISHBOWL_PORT: String(simulator.port),
+    FISHBOWL_USERNAME: 'admin',
+    FISHBOWL_PASSWORD: 'admin',
+    FISHBOWL_TIMEOUT_MS: '2000',
+    FISHBOWL_CONNECT_TIMEOUT_MS: '1000',
+    FISHBOWL_RECONNECT_BASE_MS: '20',
+    FISHBOWL_RECONNECT_MAX_MS: '100',
+    FISHBOWL_POOL_MIN: '0',
+    FISHBOWL_POOL_ACQUIRE_TIMEOUT_MS: '2000',
+    ...overrides
+  };
+}
+
+/**
+ * Start a simulator; options.rest also serves its REST API
+ */
+async function startSimulator(options = {}) {
+  const simulator = new FishbowlSimulator();
+  await simulator.start();
+  if (options.rest) {
+    await simulator.startRest();
+  }
+  return simulator;
+}
+
+/**
+ * Start the simulator and the app. Returns helpers to call the app and to
+ * shut everything down. options.instances names Fishbowl instances to
+ * configure, each with its own simulator (the first is the default unless
+ * options.defaultInstance says otherwise; null configures no default). An
+ * entry may also be { name, backend }, to reach its simulator over the
+ * REST API.
+ */
+async function startServer(options = {}) {
+  const instances = (options.instances || []).map(entry => (typeof entry === 'string' ? { name: entry } : entry));
+  const simulator = await startSimulator({ rest: instances.length > 0 && instances[0].backend === 'rest' });
+  const dataDir = tempDir();
+
+  const simulators = {};
+  if (instances.length > 0) {
+    const file = { default: options.defaultInstance === undefined ? instances[0].name : options.defaultInstance, instances: {} };
+    for (const [index, { name, backend }] of instances.entries()) {
+      simulators[name] = index === 0 ? simulator : await startSimulator({ rest: backend === 'rest' });
+      file.instances[name] = {
+        backend,
+        host: simulators[name].host,
+        port: simulators[name].port,
+        restApiUrl: simulators[name].restUrl || undefined,
+        username: 'admin',
+        password: 'admin'
+      };
+    }
+    fs.writeFileSync(path.join(dataDir, 'instances.json'), JSON.stringify(file));
+  }
+
+  Object.assign(process.env, simulatorEnv(simulator), {
+    API_KEYS: JSON.stringify(Object.values(API_KEYS)),
+    AUTH_DISABLED: 'false',
+    CORS_ORIGINS: 'https://allowed.example',
+    AUDIT_LOG_FILE: path.join(dataDir, 'audit.jsonl'),
+    IDEMPOTENCY_FILE: path.join(dataDir, 'idempotency.json'),
+    WEBHOOKS_FILE: path.join(dataDir, 'webhooks.json'),
+    REORDER_FILE: path.join(dataDir, 'reorder.json')
+  }, options.instances ? { FISHBOWL_INSTANCES_FILE: path.join(dataDir, 'instances.json') } : {}, options.env || {});
+
+  const { app, instances: fishbowlInstances, services, fishbowl, watcher, webhooks, stream, reorder, readiness } = require('../server');
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Call the app. options.key names an API key (default admin; null sends
+   * none), options.body is sent as JSON.
+   */
+  async function request(method, url, requestOptions = {}) {
+    const key = requestOptions.key === undefined ? 'admin' : requestOptions.key;
+    const headers = { ...(requestOptions.headers || {}) };
+    if (key) {
+      headers['X-API-Key'] = API_KEYS[key].key;
+    }
+    let body;
+    if (requestOptions.body !== undefined) {
+      headers['Content-Type'] = headers['Content-Type'] || 'application/json';
+      body = typeof requestOptions.body === 'string' ? requestOptions.body : JSON.stringify(requestOptions.body);
+    }
+
+    const response = await fetch(`${baseUrl}${url}`, { method, headers, body });
+    const text = await response.text();
+    const isJson = /^application\/(.+\+)?json/.test(response.headers.get('content-type') || '');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson && text ? JSON.parse(text) : text
+    };
+  }
+
+  async function close() {
+    for (const service of services.values()) {
+      service.watcher.stop();
+      service.reorder.stop();
+    }
+    webhooks.stop();
+    stream.close();
+    await fishbowlInstances.disconnect();
+    server.closeAllConnections();
+    await new Promise(resolve => server.close(resolve));
+    await simulator.stop();
+    for (const other of Object.values(simulators)) {
+      if (other !== simulator) {
+        await other.stop();
+      }
+    }
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return {
+    simulator,
+    simulators,
+    instances: fishbowlInstances,
+    fishbowl,
+    watcher,
+    webhooks,
+    stream,
+    reorder,
+    readiness,
+    baseUrl,
+    request,
+    close,
+    dataDir
+  };
+}
+
+module.exports = {
+  API_KEYS,
+  tempDir,
+  simulatorEnv,
+  startSimulator,
+  startServer
+};
@@ -0,0 +1,168 @@
+// import.test.js - Bulk inventory import from CSV
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startServer } = require('./helpers');
+
+// A second caller allowed to import, to check jobs are kept apart
+const otherWriter = { id: 'other-writer', key: 'test-other-writer-key', scopes: ['inventory:read', 'inventory:write'] };
+
+describe('inventory import', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { API_KEYS: JSON.stringify([...Object.values(API_KEYS), otherWriter]) } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    server.simulator.reset();
+    await server.request('DELETE', '/admin/cache');
+  });
+
+  const upload = (csv, options = {}) => server.request('POST', `/mcp/inventory/import${options.query || ''}`, {
+    key: options.key,
+    headers: { 'Content-Type': 'text/csv', ...(options.headers || {}) },
+    body: csv
+  });
+
+  const waitForJob = async (id) => {
+    for (let attempt = 0; attempt < 100; attempt++) {
+      const response = await server.request('GET', `/mcp/inventory/import/${id}`);
+      if (response.body.data.status !== 'running') {
+        return response.body.data;
+      }
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error(`Import ${id} did not finish`);
+  };
+
+  const validCsv = [
+    'Part Number,Location,Location Group,Qty,Lot,Serial,Expiration',
+    'B-100,Stock,Main,10,,,',
+    'W-200,3,,5,LOT-9,,',
+    'S-300,Receiving,,2,,SN-1|SN-2,2031-06-30'
+  ].join('\r\n');
+
+  it('reports per-row errors in a dry run without changing stock', async () => {
+    const csv = [
+      'partNumber,location,quantity,lot,serial,expiration',
+      'B-100,Stock,10,,,',
+      'NOPE,Stock,1,,,',
+      'W-200,Nowhere,1,,,',
+      'B-100,Stock,-4,LOT-1,,',
+      'S-300,Receiving,2,,SN-1,not-a-date',
+      'OLD-1,Stock,1,,,'
+    ].join('\n');
+    const response = await upload(csv, { query: '?dryRun=true' });
+
+    assert.equal(response.status, 200);
+    const report = response.body.data;
+    assert.equal(report.valid, false);
+    assert.deepEqual(report.summary, { rows: 6, valid: 1, invalid: 5, quantity: 10 });
+    assert.deepEqual(report.rows.map(row => row.line), [2, 3, 4, 5, 6, 7]);
+    assert.equal(report.rows[0].partId, 1);
+    assert.equal(report.rows[0].locationId, 1);
+    assert.deepEqual(report.rows[1].errors, ['Part NOPE was not found']);
+    assert.deepEqual(report.rows[2].errors, ['Location Nowhere was not found', 'Lot Number is required for part W-200']);
+    assert.deepEqual(report.rows[3].errors, [
+      'Quantity must be a number greater than zero (got "-4")',
+      'Part B-100 does not track lot numbers'
+    ]);
+    assert.deepEqual(report.rows[4].errors, [
+      'Expiration date "not-a-date" is not a valid date',
+      'Part S-300 is serialized: give one serial number per unit (1 for quantity 2)'
+    ]);
+    assert.deepEqual(report.rows[5].errors, ['Part OLD-1 is inactive']);
+    assert.ok(!server.simulator.requests.some(r => r.message === 'InventoryAddRq'));
+  });
+
+  it('refuses to apply an import with invalid rows', async () => {
+    const response = await upload('partNumber,location,quantity\nB-100,Stock,1\nNOPE,Stock,1\n');
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'import_invalid');
+    assert.deepEqual(response.body.details.rows.map(row => row.line), [3]);
+    assert.ok(!server.simulator.requests.some(r => r.message === 'InventoryAddRq'));
+  });
+
+  it('applies a valid import and reports its progress and results', async () => {
+    const response = await upload(validCsv);
+    assert.equal(response.status, 202);
+    assert.equal(response.headers.get('location'), `/mcp/inventory/import/${response.body.data.id}`);
+
+    const job = await waitForJob(response.body.data.id);
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(job.progress, { rows: 3, processed: 3, applied: 3, failed: 0, percent: 100 });
+
+    // One InventoryAddRq per serial number of S-300
+    const adds = server.simulator.requests.filter(r => r.message === 'InventoryAddRq');
+    assert.equal(adds.length, 4);
+
+    const inventory = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(inventory.body.data.totalOnHand, 630);
+
+    const result = await server.request('GET', `/mcp/inventory/import/${job.id}/result`);
+    assert.equal(result.status, 200);
+    assert.match(result.headers.get('content-type'), /text\/csv/);
+    assert.match(result.headers.get('content-disposition'), /attachment; filename="import-/);
+    const lines = result.body.trim().split('\r\n');
+    assert.equal(lines[0], 'line,partNumber,location,locationGroup,quantity,lot,serial,expiration,status,appliedQuantity,error');
+    assert.equal(lines[3], '4,S-300,Receiving,,2,,SN-1|SN-2,2031-06-30,applied,2,');
+  });
+
+  it('records rows Fishbowl rejects as failed and carries on', async () => {
+    server.simulator.inject({ message: 'InventoryAddRq', statusCode: 2203, statusMessage: 'Location is locked' });
+    const response = await upload('partNumber,location,quantity\nB-100,Stock,1\nB-100,Shelf A,2\n');
+    const job = await waitForJob(response.body.data.id);
+    assert.deepEqual(job.progress, { rows: 2, processed: 2, applied: 1, failed: 1, percent: 100 });
+
+    const result = await server.request('GET', `/mcp/inventory/import/${job.id}/result`);
+    assert.match(result.body.split('\r\n')[1], /,failed,0,.*Location is locked$/);
+  });
+
+  it('rejects files without the required columns or rows', async () => {
+    const missing = await upload('part,qty\nB-100,1\n', { query: '?dryRun=true' });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.code, 'invalid_csv');
+    assert.deepEqual(missing.body.details.missing, ['location']);
+
+    const empty = await upload('partNumber,location,quantity\n', { query: '?dryRun=true' });
+    assert.equal(empty.body.code, 'invalid_csv');
+
+    const json = await server.request('POST', '/mcp/inventory/import', { body: { rows: [] } });
+    assert.equal(json.body.code, 'invalid_csv');
+  });
+
+  it('requires inventory:write and reports unknown imports', async () => {
+    assert.equal((await upload(validCsv, { key: 'reader', query: '?dryRun=true' })).status, 403);
+    const unknown = await server.request('GET', '/mcp/inventory/import/nope');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'import_not_found');
+  });
+
+  it('shows a job only to the caller who started it and to admins', async () => {
+    const response = await upload('partNumber,location,quantity\nB-100,Stock,1\n', { key: 'writer' });
+    const { id } = response.body.data;
+    await waitForJob(id);
+
+    const other = { key: null, headers: { 'X-API-Key': otherWriter.key } };
+    for (const url of [`/mcp/inventory/import/${id}`, `/mcp/inventory/import/${id}/result`]) {
+      const hidden = await server.request('GET', url, other);
+      assert.equal(hidden.status, 404, url);
+      assert.equal(hidden.body.code, 'import_not_found');
+      assert.equal((await server.request('GET', url, { key: 'writer' })).status, 200, url);
+      assert.equal((await server.request('GET', url)).status, 200, url);
+    }
+  });
+
+  it('records imported rows in the audit log', async () => {
+    const response = await upload('partNumber,location,quantity\nB-100,Stock,1\n', { key: 'writer' });
+    await waitForJob(response.body.data.id);
+    const audit = await server.request('GET', '/audit?source=import&caller=writer');
+    assert.equal(audit.body.data[0].command, 'addInventory');
+    assert.equal(audit.body.data[0].success, true);
+  });
+});
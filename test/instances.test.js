@@ -0,0 +1,113 @@
+// instances.test.js - Several Fishbowl instances chosen per request, and inventory across them
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('multiple Fishbowl instances', () => {
+  let server;
+  let east;
+  let west;
+
+  before(async () => {
+    // No default: every instance-specific request must choose one
+    server = await startServer({ instances: ['east', 'west'], defaultInstance: null });
+    ({ east, west } = server.simulators);
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    east.reset();
+    west.reset();
+    // West keeps less stock of B-100 and has no S-300
+    west.data.inventory.find(row => row.partId === 1 && row.locationId === 1).quantity = 10;
+    west.data.parts = west.data.parts.filter(part => part.number !== 'S-300');
+  });
+
+  const fresh = { 'Cache-Control': 'no-cache' };
+
+  it('lists the configured instances', async () => {
+    const response = await server.request('GET', '/mcp/instances', { key: 'nobody' });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data.map(instance => [instance.name, instance.default, instance.port]),
+      [['east', false, east.port], ['west', false, west.port]]);
+  });
+
+  it('routes a request to the instance named by the header or the path prefix', async () => {
+    const byHeader = await server.request('GET', '/mcp/inventory/B-100', { headers: { ...fresh, 'X-Fishbowl-Instance': 'west' } });
+    assert.equal(byHeader.status, 200);
+    assert.equal(byHeader.body.data.totalOnHand, 130);
+    assert.match(byHeader.headers.get('vary'), /X-Fishbowl-Instance/);
+
+    const byPath = await server.request('GET', '/instances/east/mcp/inventory/B-100', { headers: fresh });
+    assert.equal(byPath.status, 200);
+    assert.equal(byPath.body.data.totalOnHand, 620);
+
+    assert.ok(west.requests.some(r => r.message === 'PartQuantityRq'));
+    assert.equal(east.requests.filter(r => r.message === 'PartQuantityRq').length, 1);
+  });
+
+  it('rejects requests that choose no instance, an unknown one or two different ones', async () => {
+    const none = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(none.status, 400);
+    assert.equal(none.body.code, 'instance_required');
+
+    const unknown = await server.request('GET', '/instances/north/mcp/inventory/B-100');
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.code, 'instance_not_found');
+
+    const mismatch = await server.request('GET', '/instances/east/mcp/parts', { headers: { 'X-Fishbowl-Instance': 'west' } });
+    assert.equal(mismatch.status, 400);
+    assert.equal(mismatch.body.code, 'instance_mismatch');
+  });
+
+  it('executes commands against the chosen instance and audits which one', async () => {
+    const response = await server.request('POST', '/instances/west/mcp/execute', {
+      body: { command: 'addInventory', parameters: { partId: 1, locationId: 3, quantity: 3 } }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(west.data.inventory.find(row => row.partId === 1 && row.locationId === 3).quantity, 123);
+    assert.equal(east.data.inventory.find(row => row.partId === 1 && row.locationId === 3).quantity, 120);
+
+    const audit = await server.request('GET', '/audit?command=addInventory&instance=west');
+    assert.equal(audit.body.data.length, 1);
+    assert.equal(audit.body.data[0].instance, 'west');
+    assert.equal((await server.request('GET', '/audit?command=addInventory&instance=east')).body.data.length, 0);
+  });
+
+  it('reports inventory of a part across every instance', async () => {
+    const response = await server.request('GET', '/mcp/instances/inventory/B-100', { key: 'reader', headers: fresh });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.data.totalOnHand, 750);
+    assert.deepEqual(response.body.data.instances.map(entry => [entry.instance, entry.status, entry.totalOnHand]),
+      [['east', 'ok', 620], ['west', 'ok', 130]]);
+
+    const partial = await server.request('GET', '/mcp/instances/inventory/S-300', { key: 'reader', headers: fresh });
+    assert.equal(partial.body.data.totalOnHand, 3);
+    assert.deepEqual(partial.body.data.instances.map(entry => entry.status), ['ok', 'not_found']);
+  });
+
+  it('checks readiness of every instance and reports the one that is down', async () => {
+    const ready = await server.request('GET', '/health/ready', { key: null });
+    assert.equal(ready.status, 200);
+    assert.deepEqual(Object.keys(ready.body.dependencies), ['fishbowl:east', 'fishbowl:west']);
+
+    await west.stop();
+    server.readiness.report = null;
+    const notReady = await server.request('GET', '/health/ready', { key: null });
+    assert.equal(notReady.status, 503);
+    assert.equal(notReady.body.dependencies['fishbowl:east'].status, 'up');
+    assert.equal(notReady.body.dependencies['fishbowl:west'].status, 'down');
+
+    // The aggregate still answers with the instances that are up
+    const aggregate = await server.request('GET', '/mcp/instances/inventory/B-100', { headers: fresh });
+    assert.equal(aggregate.status, 200);
+    assert.equal(aggregate.body.success, false);
+    assert.equal(aggregate.body.data.totalOnHand, 620);
+    assert.equal(aggregate.body.data.instances[1].status, 'error');
+  });
+});
@@ -0,0 +1,174 @@
+// inventory.test.js - Inventory lookups and writes, idempotency keys and the audit log
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('inventory routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.simulator.reset();
+  });
+
+  it('GET /mcp/inventory/:partNumber returns normalized quantities', async () => {
+    const response = await server.request('GET', '/mcp/inventory/B-100', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.success, true);
+    assert.equal(response.body.data.partNumber, 'B-100');
+    assert.equal(response.body.data.totalOnHand, 620);
+    assert.deepEqual(response.body.data.quantities.map(q => q.location), ['Stock', 'Shelf A']);
+  });
+
+  it('GET /mcp/inventory/:partNumber?raw=true returns the parsed FbiXml', async () => {
+    const response = await server.request('GET', '/mcp/inventory/B-100?raw=true');
+    assert.equal(response.status, 200);
+    assert.ok(response.body.data.FbiXml.FbiMsgsRs[0].PartQuantityRs);
+  });
+
+  it('GET /mcp/inventory/:partNumber returns 404 for an unknown part', async () => {
+    const response = await server.request('GET', '/mcp/inventory/NOPE');
+    assert.equal(response.status, 404);
+    assert.equal(response.body.code, 'not_found');
+    assert.equal(response.body.details.fishbowlStatusCode, 2000);
+  });
+
+  it('POST /mcp/inventory/add adds stock', async () => {
+    const response = await server.request('POST', '/mcp/inventory/add', {
+      key: 'writer',
+      body: { partId: 1, locationId: 1, quantity: 5 }
+    });
+    assert.equal(response.status, 200);
+    assert.deepEqual(response.body.data, { success: true, statusCode: '1000' });
+
+    const inventory = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(inventory.body.data.totalOnHand, 625);
+  });
+
+  it('POST /mcp/inventory/add sends tracking values', async () => {
+    const response = await server.request('POST', '/mcp/inventory/add', {
+      body: { partId: 2, locationId: 1, quantity: 2, trackingItems: [{ partTracking: { id: 1 }, value: 'LOT-7' }] }
+    });
+    assert.equal(response.status, 200);
+
+    const missing = await server.request('POST', '/mcp/inventory/add', {
+      body: { partId: 2, locationId: 1, quantity: 2 }
+    });
+    assert.equal(missing.status, 400);
+    assert.equal(missing.body.details.fishbowlStatusCode, 2500);
+  });
+
+  it('POST /mcp/inventory/add validates its body before calling Fishbowl', async () => {
+    const response = await server.request('POST', '/mcp/inventory/add', { body: { partId: 1 } });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'validation_failed');
+    assert.ok(!server.simulator.requests.some(r => r.message === 'InventoryAddRq'));
+  });
+
+  it('POST /mcp/inventory/add requires inventory:write', async () => {
+    const response = await server.request('POST', '/mcp/inventory/add', {
+      key: 'reader',
+      body: { partId: 1, locationId: 1, quantity: 5 }
+    });
+    assert.equal(response.status, 403);
+  });
+
+  it('replays the stored response for a repeated Idempotency-Key', async () => {
+    const send = (body) => server.request('POST', '/mcp/inventory/add', {
+      headers: { 'Idempotency-Key': 'scan-42' },
+      body
+    });
+
+    const first = await send({ partId: 1, locationId: 1, quantity: 5 });
+    const retry = await send({ quantity: 5, locationId: 1, partId: 1 });
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(retry.body, first.body);
+
+    const inventory = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(inventory.body.data.totalOnHand, 625);
+
+    const changed = await send({ partId: 1, locationId: 1, quantity: 6 });
+    assert.equal(changed.status, 409);
+    assert.equal(changed.body.code, 'idempotency_key_reused');
+  });
+
+  it('lets a key be used again when Fishbowl could not be reached', async () => {
+    const send = () => server.request('POST', '/mcp/inventory/add', {
+      headers: { 'Idempotency-Key': 'scan-43' },
+      body: { partId: 1, locationId: 1, quantity: 5 }
+    });
+
+    await server.simulator.stop();
+    try {
+      const down = await send();
+      assert.equal(down.status, 503);
+      assert.equal(down.body.code, 'upstream_unavailable');
+    } finally {
+      await server.simulator.start();
+    }
+
+    const retry = await send();
+    assert.equal(retry.status, 200);
+    assert.equal(retry.headers.get('idempotent-replayed'), null);
+    const inventory = await server.request('GET', '/mcp/inventory/B-100');
+    assert.equal(inventory.body.data.totalOnHand, 625);
+  });
+
+  it('keeps the failure for a key when the write may have reached Fishbowl', async () => {
+    const send = () => server.request('POST', '/mcp/inventory/add', {
+      headers: { 'Idempotency-Key': 'scan-44' },
+      body: { partId: 1, locationId: 1, quantity: 5 }
+    });
+
+    // The connection drops after the request was written
+    server.simulator.inject({ message: 'InventoryAddRq', drop: true });
+    const dropped = await send();
+    assert.equal(dropped.status, 503);
+
+    const retry = await send();
+    assert.equal(retry.status, 503);
+    assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+  });
+
+  it('GET /audit lists writes with the redacted request XML', async () => {
+    await server.request('POST', '/mcp/inventory/add', { key: 'writer', body: { partId: 1, locationId: 2, quantity: 1 } });
+    await server.request('POST', '/mcp/inventory/add', { key: 'writer', body: { partId: 99, locationId: 2, quantity: 1 } });
+
+    const response = await server.request('GET', '/audit?caller=writer&limit=1');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.length, 1);
+    assert.ok(response.body.pagination.total >= 2);
+
+    const [latest] = response.body.data;
+    assert.equal(latest.command, 'addInventory');
+    assert.equal(latest.success, false);
+    assert.equal(latest.statusCode, 404);
+    assert.equal(latest.fishbowl[0].statusCode, 2000);
+    assert.match(latest.fishbowl[0].request, /<Key>\[REDACTED\]<\/Key>/);
+  });
+
+  it('GET /audit?format=csv exports the entries as CSV', async () => {
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 1, locationId: 1, quantity: 1 } });
+    const response = await server.request('GET', '/audit?format=csv&success=true');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /text\/csv/);
+    const [header, row] = response.body.split('\r\n');
+    assert.ok(header.startsWith('id,timestamp,caller'));
+    assert.match(row, /addInventory/);
+  });
+
+  it('GET /audit requires audit:read and validates filters', async () => {
+    assert.equal((await server.request('GET', '/audit', { key: 'writer' })).status, 403);
+    const invalid = await server.request('GET', '/audit?from=yesterday');
+    assert.equal(invalid.status, 400);
+  });
+});
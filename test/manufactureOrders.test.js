@@ -0,0 +1,200 @@
+// manufactureOrders.test.js - Manufacture order lifecycle, builds from a BOM and kit availability
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('manufacture order lifecycle', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ instances: ['xml', { name: 'rest', backend: 'rest' }] });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.simulators.xml.reset();
+    server.simulators.rest.reset();
+  });
+
+  // MO-2001 is entered and MO-2002 issued. BOM W-200 builds one W-200 from
+  // 4 B-100 (620 on hand, 120 of them in Warehouse 2) and 1 S-300 (3 on hand)
+  const orders = (name) => server.simulators[name].data.manufactureOrders;
+  const execute = (name, command, parameters) => server.request('POST', `/instances/${name}/mcp/execute`, {
+    body: { command, parameters }
+  });
+  const sentWrites = (name) => server.simulators[name].requests
+    .filter(r => /^(Issue|Unissue|CloseShort|Delete|Save)MORq$|^(POST|DELETE) \/api\/manufacture-orders/.test(r.message));
+
+  it('gets a bill of materials and a manufacture order by number', async () => {
+    for (const name of ['xml', 'rest']) {
+      const bom = await server.request('GET', `/instances/${name}/mcp/boms/W-200`, { key: 'reader' });
+      assert.equal(bom.status, 200, name);
+      assert.deepEqual(bom.body.data.bom.items.map(item => [item.type, item.partNumber, item.quantity]),
+        [['Finished Good', 'W-200', 1], ['Raw Good', 'B-100', 4], ['Raw Good', 'S-300', 1], ['Note', null, 0]]);
+
+      const order = await server.request('GET', `/instances/${name}/mcp/manufacture-orders/MO-2002`, { key: 'reader' });
+      assert.equal(order.status, 200);
+      assert.equal(order.body.data.manufactureOrder.status, 'Issued');
+
+      for (const url of ['/mcp/boms/X-1', '/mcp/manufacture-orders/MO-9999']) {
+        const missing = await server.request('GET', `/instances/${name}${url}`, { key: 'reader' });
+        assert.equal(missing.status, 404, `${name} ${url}`);
+      }
+    }
+  });
+
+  it('lists the shortage of each component before a build', async () => {
+    for (const name of ['xml', 'rest']) {
+      const response = await server.request('GET', `/instances/${name}/mcp/boms/W-200/availability?quantity=5`, { key: 'reader' });
+      assert.equal(response.status, 200, name);
+      const availability = response.body.data;
+      assert.equal(availability.available, false);
+      assert.equal(availability.maxBuildable, 3);
+      assert.deepEqual(availability.components.map(c => [c.partNumber, c.quantityPerBuild, c.required, c.onHand, c.shortage]),
+        [['B-100', 4, 20, 620, 0], ['S-300', 1, 5, 3, 2]]);
+      assert.deepEqual(availability.shortages, [{ partNumber: 'S-300', required: 5, onHand: 3, shortage: 2 }]);
+
+      const warehouse = await execute(name, 'checkKitAvailability', { bomNumber: 'W-200', quantity: 5, locationGroup: 'Warehouse 2' });
+      assert.equal(warehouse.status, 200);
+      assert.equal(warehouse.body.result.maxBuildable, 0);
+      assert.deepEqual(warehouse.body.result.components.map(c => c.onHand), [120, 0]);
+
+      const enough = await execute(name, 'checkKitAvailability', { bomNumber: 'W-200', quantity: 3 });
+      assert.equal(enough.body.result.available, true);
+      assert.deepEqual(enough.body.result.shortages, []);
+    }
+  });
+
+  it('only counts raw goods as components of a build', async () => {
+    server.simulators.xml.data.boms[0].items.push({ id: 5, typeId: 11, partNumber: 'OLD-1', description: 'Unknown type', quantity: 1, uom: 'ea' });
+    const response = await server.request('GET', '/instances/xml/mcp/boms/W-200/availability?quantity=1');
+    assert.deepEqual(response.body.data.components.map(c => c.partNumber), ['B-100', 'S-300']);
+
+    const bom = await server.request('GET', '/instances/xml/mcp/boms/W-200');
+    assert.equal(bom.body.data.bom.items.at(-1).type, null);
+  });
+
+  it('reads stock fresh from Fishbowl for the check', async () => {
+    const check = () => server.request('GET', '/instances/xml/mcp/boms/W-200/availability?quantity=4');
+    assert.equal((await check()).body.data.available, false);
+
+    server.simulators.xml.data.inventory.find(row => row.partId === 3).quantity = 10;
+    const response = await check();
+    assert.equal(response.body.data.available, true);
+    assert.equal(response.body.data.maxBuildable, 10);
+  });
+
+  it('builds a manufacture order from a bill of materials and moves it through its lifecycle', async () => {
+    for (const name of ['xml', 'rest']) {
+      const created = await server.request('POST', `/instances/${name}/mcp/manufacture-orders`, {
+        body: { bomNumber: 'W-200', quantity: 5, locationGroup: 'Main', note: 'Spring build' }
+      });
+      assert.equal(created.status, 201, name);
+      const order = created.body.data.manufactureOrder;
+      assert.equal(order.status, 'Entered');
+      assert.equal(order.note, 'Spring build');
+      assert.deepEqual(order.items.filter(item => item.partNumber).map(item => [item.partNumber, item.quantity]),
+        [['W-200', 5], ['B-100', 20], ['S-300', 5]]);
+
+      const post = (action) => server.request('POST', `/instances/${name}/mcp/manufacture-orders/${order.number}/${action}`);
+      const issued = await post('issue');
+      assert.equal(issued.status, 200);
+      assert.equal(issued.body.data.manufactureOrder.status, 'Issued');
+      assert.ok(issued.body.data.manufactureOrder.issuedAt);
+
+      const unissued = await post('unissue');
+      assert.equal(unissued.body.data.manufactureOrder.status, 'Entered');
+
+      const deleted = await server.request('DELETE', `/instances/${name}/mcp/manufacture-orders/${order.number}`);
+      assert.equal(deleted.status, 200);
+      assert.deepEqual(deleted.body.data, { number: order.number, deleted: true });
+      assert.equal(orders(name).some(o => o.number === order.number), false);
+
+      const closed = await execute(name, 'closeShortManufactureOrder', { number: 'MO-2002' });
+      assert.equal(closed.status, 200);
+      assert.equal(closed.body.result.manufactureOrder.status, 'Closed Short');
+    }
+
+    const audit = await server.request('GET', '/audit?command=createManufactureOrder&instance=rest&statusCode=201');
+    assert.deepEqual(audit.body.data.map(entry => entry.source), ['rest']);
+  });
+
+  it('validates builds before sending anything to Fishbowl', async () => {
+    const invalid = [
+      { bomNumber: 'W-200', quantity: 0, locationGroup: 'Main' },
+      { bomNumber: 'W-200', quantity: 1.5, locationGroup: 'Main' },
+      { bomNumber: 'W-200', quantity: 2 },
+      { quantity: 2, locationGroup: 'Main' },
+      { bomNumber: 'W-200', quantity: 2, locationGroup: 'Main', scheduledAt: 'soon' }
+    ];
+    for (const body of invalid) {
+      const response = await server.request('POST', '/instances/xml/mcp/manufacture-orders', { body });
+      assert.equal(response.status, 400, JSON.stringify(body));
+    }
+    const availability = await server.request('GET', '/instances/xml/mcp/boms/W-200/availability');
+    assert.equal(availability.status, 400);
+    assert.deepEqual(server.simulators.xml.requests.filter(r => !['LoginRq', 'LocationListRq'].includes(r.message)), []);
+  });
+
+  it('rejects illegal status transitions without sending them', async () => {
+    for (const name of ['xml', 'rest']) {
+      const before = sentWrites(name).length;
+      const attempts = [
+        ['MO-2001', 'unissue', 'Entered'],
+        ['MO-2001', 'close-short', 'Entered'],
+        ['MO-2002', 'issue', 'Issued']
+      ];
+      for (const [number, action, status] of attempts) {
+        const response = await server.request('POST', `/instances/${name}/mcp/manufacture-orders/${number}/${action}`);
+        assert.equal(response.status, 409, `${name} ${number} ${action}`);
+        assert.equal(response.body.code, 'invalid_status_transition');
+        assert.equal(response.body.details.status, status);
+      }
+
+      const remove = await server.request('DELETE', `/instances/${name}/mcp/manufacture-orders/MO-2002`);
+      assert.equal(remove.status, 409);
+      assert.deepEqual(remove.body.details.allowedStatuses, ['Entered']);
+
+      // Once items are used, the order can only be closed short
+      orders(name).find(order => order.number === 'MO-2002').items[0].quantityUsed = 1;
+      const used = await execute(name, 'unissueManufactureOrder', { number: 'MO-2002' });
+      assert.equal(used.status, 409);
+      assert.equal(used.body.details.used, true);
+      assert.match(used.body.error, /used items/);
+
+      assert.equal(sentWrites(name).length, before);
+      assert.equal(orders(name).find(order => order.number === 'MO-2002').statusId, 20);
+    }
+  });
+
+  it('maps Fishbowl refusing a transition to a conflict', async () => {
+    for (const name of ['xml', 'rest']) {
+      const simulator = server.simulators[name];
+      const original = simulator.changeManufactureOrderStatus.bind(simulator);
+      simulator.changeManufactureOrderStatus = (order, change) => {
+        order.statusId = 70;
+        return original(order, change);
+      };
+      try {
+        const response = await server.request('POST', `/instances/${name}/mcp/manufacture-orders/MO-2001/issue`);
+        assert.equal(response.status, 409, name);
+        assert.equal(response.body.code, 'conflict');
+      } finally {
+        delete simulator.changeManufactureOrderStatus;
+      }
+    }
+  });
+
+  it('needs the orders:write scope for changes', async () => {
+    const response = await server.request('POST', '/instances/xml/mcp/manufacture-orders', {
+      key: 'reader',
+      body: { bomNumber: 'W-200', quantity: 1, locationGroup: 'Main' }
+    });
+    assert.equal(response.status, 403);
+    assert.equal(orders('xml').length, 2);
+  });
+});
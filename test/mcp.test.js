@@ -0,0 +1,172 @@
+// mcp.test.js - Model Context Protocol over streamable HTTP and stdio
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const { startServer } = require('./helpers');
+const { McpServer } = require('../lib/mcpServer');
+const { createMcpHttpRouter, serveStdio } = require('../lib/mcpTransports');
+const express = require('express');
+
+describe('POST /mcp', () => {
+  let server;
+  let sessionId;
+  let nextId = 1;
+
+  before(async () => {
+    server = await startServer();
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  const rpc = (method, params, options = {}) => server.request('POST', '/mcp', {
+    key: options.key,
+    headers: sessionId && options.session !== false ? { 'Mcp-Session-Id': sessionId } : {},
+    body: { jsonrpc: '2.0', id: nextId++, method, params }
+  });
+
+  it('initializes a session', async () => {
+    const response = await rpc('initialize', {
+      protocolVersion: '2025-03-26',
+      capabilities: {},
+      clientInfo: { name: 'test', version: '1.0.0' }
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.result.protocolVersion, '2025-03-26');
+    sessionId = response.headers.get('mcp-session-id');
+    assert.ok(sessionId);
+
+    const notification = await server.request('POST', '/mcp', {
+      headers: { 'Mcp-Session-Id': sessionId },
+      body: { jsonrpc: '2.0', method: 'notifications/initialized' }
+    });
+    assert.equal(notification.status, 202);
+  });
+
+  it('requires the session header after initialize', async () => {
+    const response = await rpc('ping', {}, { session: false });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.error.code, -32600);
+  });
+
+  it('lists the tools with their schemas', async () => {
+    const response = await rpc('tools/list', {});
+    const names = response.body.result.tools.map(tool => tool.name);
+    assert.ok(names.includes('getInventory'));
+    assert.ok(names.includes('addInventory'));
+    assert.ok(response.body.result.tools.every(tool => tool.inputSchema && tool.outputSchema));
+  });
+
+  it('calls a tool and returns structured content', async () => {
+    const response = await rpc('tools/call', { name: 'getInventory', arguments: { partNumber: 'B-100' } });
+    assert.equal(response.body.result.structuredContent.totalOnHand, 620);
+    assert.equal(JSON.parse(response.body.result.content[0].text).partNumber, 'B-100');
+  });
+
+  it('reports tool failures in the result', async () => {
+    const response = await rpc('tools/call', { name: 'getInventory', arguments: { partNumber: 'NOPE' } });
+    assert.equal(response.body.result.isError, true);
+    assert.match(response.body.result.content[0].text, /2000/);
+  });
+
+  it('lists and reads resources', async () => {
+    const list = await rpc('resources/list', {});
+    assert.deepEqual(list.body.result.resources.map(r => r.uri), ['fishbowl://parts', 'fishbowl://products']);
+
+    const templates = await rpc('resources/templates/list', {});
+    assert.equal(templates.body.result.resourceTemplates[0].uriTemplate, 'fishbowl://parts/{partNumber}/inventory');
+
+    const read = await rpc('resources/read', { uri: 'fishbowl://parts/W-200/inventory' });
+    assert.equal(JSON.parse(read.body.result.contents[0].text).totalOnHand, 40);
+  });
+
+  it('answers unknown methods with a JSON-RPC error', async () => {
+    const response = await rpc('does/not/exist', {});
+    assert.equal(response.body.error.code, -32601);
+  });
+
+  it('rejects a session used by another caller', async () => {
+    const response = await rpc('ping', {}, { key: 'reader' });
+    assert.equal(response.status, 404);
+  });
+
+  it('GET /mcp is not supported', async () => {
+    const response = await server.request('GET', '/mcp');
+    assert.equal(response.status, 405);
+  });
+
+  it('DELETE /mcp ends the session', async () => {
+    const response = await server.request('DELETE', '/mcp', { headers: { 'Mcp-Session-Id': sessionId } });
+    assert.equal(response.status, 204);
+    assert.equal((await rpc('ping', {})).status, 404);
+  });
+});
+
+describe('MCP HTTP sessions', () => {
+  let listening;
+  let baseUrl;
+
+  before(async () => {
+    const app = express();
+    app.use('/mcp', createMcpHttpRouter(new McpServer(null), { sessionTtlMs: 500, maxSessions: 2 }));
+    listening = await new Promise(resolve => {
+      const server = app.listen(0, '127.0.0.1', () => resolve(server));
+    });
+    baseUrl = `http://127.0.0.1:${listening.address().port}/mcp`;
+  });
+
+  after(async () => {
+    await new Promise(resolve => listening.close(resolve));
+  });
+
+  const post = (method, sessionId) => fetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...(sessionId ? { 'Mcp-Session-Id': sessionId } : {}) },
+    body: JSON.stringify({ jsonrpc: '2.0', id: 1, method, params: {} })
+  });
+  const initialize = async () => (await post('initialize')).headers.get('mcp-session-id');
+  const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+  it('expires sessions left idle', async () => {
+    const sessionId = await initialize();
+    await sleep(300);
+    assert.equal((await post('ping', sessionId)).status, 200);
+    // Using the session keeps it alive
+    await sleep(300);
+    assert.equal((await post('ping', sessionId)).status, 200);
+    await sleep(600);
+    assert.equal((await post('ping', sessionId)).status, 404);
+  });
+
+  it('drops the least recently used session beyond the limit', async () => {
+    const first = await initialize();
+    const second = await initialize();
+    assert.equal((await post('ping', first)).status, 200);
+    const third = await initialize();
+
+    assert.equal((await post('ping', second)).status, 404);
+    assert.equal((await post('ping', first)).status, 200);
+    assert.equal((await post('ping', third)).status, 200);
+  });
+});
+
+describe('MCP over stdio', () => {
+  it('answers newline-delimited messages and resolves when input ends', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const mcpServer = new McpServer(null);
+    const done = serveStdio(mcpServer, input, output);
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.end();
+    await done;
+
+    // Responses are written as each message finishes, not in input order
+    const lines = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(lines.find(line => line.id === 1), { jsonrpc: '2.0', id: 1, result: {} });
+    assert.equal(lines.find(line => line.id === null).error.code, -32700);
+  });
+});
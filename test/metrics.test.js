@@ -0,0 +1,103 @@
+// metrics.test.js - Prometheus metrics, request ids and structured logs
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+const { redactText } = require('../lib/redact');
+
+/**
+ * Run fn while collecting the JSON lines the logger writes
+ */
+async function captureLogs(fn) {
+  const lines = [];
+  const saved = { log: console.log, error: console.error };
+  console.log = (line) => lines.push(JSON.parse(line));
+  console.error = (line) => lines.push(JSON.parse(line));
+  try {
+    await fn();
+  } finally {
+    Object.assign(console, saved);
+  }
+  return lines;
+}
+
+describe('observability', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { LOG_LEVEL: 'debug' } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('exposes request and Fishbowl latency in the Prometheus format', async () => {
+    assert.equal((await server.request('GET', '/mcp/inventory/B-100', { key: 'reader' })).status, 200);
+    assert.equal((await server.request('GET', '/mcp/inventory/NOPE', { key: 'reader' })).status, 404);
+
+    const forbidden = await server.request('GET', '/metrics', { key: 'reader' });
+    assert.equal(forbidden.status, 403);
+
+    const response = await server.request('GET', '/metrics');
+    assert.equal(response.status, 200);
+    assert.match(response.headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+    const text = response.body;
+    assert.match(text, /# TYPE http_request_duration_seconds histogram/);
+    assert.match(text, /http_request_duration_seconds_count\{method="GET",route="\/mcp\/inventory\/:partNumber",status="200"\} 1/);
+    assert.match(text, /http_request_duration_seconds_count\{method="GET",route="\/mcp\/inventory\/:partNumber",status="404"\} 1/);
+    assert.match(text, /fishbowl_request_duration_seconds_count\{instance="default",message="PartQuantityRq",status="1000"\} \d+/);
+    assert.match(text, /fishbowl_request_duration_seconds_count\{instance="default",message="PartQuantityRq",status="2000"\} 1/);
+    assert.match(text, /fishbowl_logins_total\{instance="default",result="success"\} [1-9]/);
+    assert.match(text, /fishbowl_pool_connections\{instance="default",state="authenticated"\} [1-9]/);
+    assert.match(text, /fishbowl_circuit_breaker_open\{instance="default"\} 0/);
+    assert.match(text, /event_stream_clients 0/);
+  });
+
+  it('tags log lines and audit entries with the request id', async () => {
+    let response;
+    const lines = await captureLogs(async () => {
+      response = await server.request('POST', '/mcp/inventory/add', {
+        body: { partId: 1, locationId: 1, quantity: 2 },
+        headers: { 'X-Request-Id': 'req-test-1' }
+      });
+    });
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('x-request-id'), 'req-test-1');
+
+    const call = lines.find(line => line.fishbowlMessage === 'InventoryAddRq');
+    assert.equal(call.level, 'debug');
+    assert.equal(call.requestId, 'req-test-1');
+    assert.equal(call.fishbowlStatusCode, 1000);
+    assert.equal(typeof call.durationMs, 'number');
+
+    const completed = lines.find(line => line.message === 'request completed');
+    assert.equal(completed.requestId, 'req-test-1');
+    assert.equal(completed.status, 200);
+    assert.equal(completed.caller, 'admin');
+
+    const audit = await server.request('GET', '/audit?command=addInventory');
+    assert.equal(audit.body.data[0].requestId, 'req-test-1');
+
+    // Ids that do not look like ids are replaced
+    const generated = await server.request('GET', '/health', { headers: { 'X-Request-Id': 'bad id\twith spaces' } });
+    assert.match(generated.headers.get('x-request-id'), /^[0-9a-f-]{36}$/);
+  });
+
+  it('redacts passwords, tokens and configured secrets from log text', async () => {
+    assert.equal(redactText('login failed: password=hunter2; retrying'), 'login failed: password=[REDACTED]; retrying');
+    assert.equal(redactText('Authorization: Bearer abc.def.ghi'), 'Authorization: Bearer [REDACTED]');
+    assert.equal(redactText('<UserPassword>hunter2</UserPassword>'), '<UserPassword>[REDACTED]</UserPassword>');
+    // API keys from the configuration are known secrets
+    assert.equal(redactText('called with test-admin-key'), 'called with [REDACTED]');
+
+    const lines = await captureLogs(async () => {
+      await server.request('GET', '/status', { key: null, headers: { 'X-API-Key': 'wrong-key', 'X-Request-Id': 'req-test-2' } });
+    });
+    const failed = lines.find(line => line.message === 'Request failed');
+    assert.equal(failed.level, 'warn');
+    assert.equal(failed.statusCode, 401);
+    assert.equal(failed.requestId, 'req-test-2');
+    assert.ok(!JSON.stringify(lines).includes('wrong-key'));
+  });
+});
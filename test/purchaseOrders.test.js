@@ -0,0 +1,179 @@
+// purchaseOrders.test.js - Purchase order lifecycle over REST routes and /mcp/execute
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('purchase order lifecycle', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ instances: ['xml', { name: 'rest', backend: 'rest' }] });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.simulators.xml.reset();
+    server.simulators.rest.reset();
+  });
+
+  // PO-1001 is issued with part of a line received, PO-1002 a bid request
+  // and PO-1003 fulfilled
+  const orders = (name) => server.simulators[name].data.purchaseOrders;
+  const execute = (name, command, parameters) => server.request('POST', `/instances/${name}/mcp/execute`, {
+    body: { command, parameters }
+  });
+  const sentWrites = (name) => server.simulators[name].requests
+    .filter(r => /^(Issue|Unissue|CloseShort|Void|Delete|Save)PORq$|^(POST|DELETE) \/api\/purchase-orders\//.test(r.message));
+
+  it('gets a purchase order with its lines by number', async () => {
+    for (const name of ['xml', 'rest']) {
+      const response = await server.request('GET', `/instances/${name}/mcp/purchase-orders/PO-1001`, { key: 'reader' });
+      assert.equal(response.status, 200, name);
+      assert.equal(response.body.data.purchaseOrder.status, 'Issued');
+      assert.deepEqual(response.body.data.purchaseOrder.items.map(item => [item.partNumber, item.quantity, item.quantityFulfilled]),
+        [['B-100', 1000, 0], ['S-300', 10, 4]]);
+
+      const missing = await server.request('GET', `/instances/${name}/mcp/purchase-orders/PO-9999`, { key: 'reader' });
+      assert.equal(missing.status, 404);
+      assert.equal(missing.body.code, 'purchase_order_not_found');
+    }
+  });
+
+  it('creates a bid request and updates its lines', async () => {
+    for (const name of ['xml', 'rest']) {
+      const created = await server.request('POST', `/instances/${name}/mcp/purchase-orders`, {
+        body: { vendor: 'Widget Works', locationGroup: 'Main', items: [{ partNumber: 'W-200', quantity: 20 }] }
+      });
+      assert.equal(created.status, 201, name);
+      const { number } = created.body.data.purchaseOrder;
+      assert.equal(created.body.data.purchaseOrder.status, 'Bid Request');
+
+      const updated = await server.request('PATCH', `/instances/${name}/mcp/purchase-orders/${number}`, {
+        body: { items: [{ partNumber: 'W-200', quantity: 30, unitCost: 4 }, { partNumber: 'B-100', quantity: 500 }] }
+      });
+      assert.equal(updated.status, 200);
+      assert.equal(updated.body.data.purchaseOrder.vendor, 'Widget Works');
+      assert.deepEqual(updated.body.data.purchaseOrder.items.map(item => [item.partNumber, item.quantity, item.unitCost]),
+        [['W-200', 30, 4], ['B-100', 500, 0.25]]);
+
+      // Only the vendor changes; the lines stay
+      const vendor = await execute(name, 'updatePurchaseOrder', { number, vendor: 'Acme Supply' });
+      assert.equal(vendor.status, 200);
+      assert.equal(vendor.body.result.purchaseOrder.vendor, 'Acme Supply');
+      assert.equal(orders(name).find(order => order.number === number).items.length, 2);
+    }
+
+    const audit = await server.request('GET', '/audit?command=updatePurchaseOrder&instance=rest');
+    assert.deepEqual(audit.body.data.map(entry => entry.source).sort(), ['execute', 'rest']);
+  });
+
+  it('validates orders before sending anything to Fishbowl', async () => {
+    const invalid = [
+      ['POST', '/mcp/purchase-orders', { vendor: 'Widget Works', locationGroup: 'Main', items: [{ partNumber: 'W-200', quantity: 0 }] }],
+      ['POST', '/mcp/purchase-orders', { vendor: 'Widget Works', items: [{ partNumber: 'W-200', quantity: 1 }] }],
+      ['PATCH', '/mcp/purchase-orders/PO-1002', {}],
+      ['PATCH', '/mcp/purchase-orders/PO-1002', { vendor: '' }],
+      ['PATCH', '/mcp/purchase-orders/PO-1002', { items: [{ quantity: 2 }] }]
+    ];
+    for (const [method, url, body] of invalid) {
+      const response = await server.request(method, `/instances/xml${url}`, { body });
+      assert.equal(response.status, 400, `${method} ${url} ${JSON.stringify(body)}`);
+    }
+    const missingNumber = await execute('xml', 'issuePurchaseOrder', {});
+    assert.equal(missingNumber.status, 400);
+    assert.deepEqual(server.simulators.xml.requests.filter(r => !['LoginRq', 'LocationListRq'].includes(r.message)), []);
+  });
+
+  it('issues, unissues, voids, closes short and deletes orders in the statuses that allow it', async () => {
+    for (const name of ['xml', 'rest']) {
+      const post = (number, action) => server.request('POST', `/instances/${name}/mcp/purchase-orders/${number}/${action}`);
+
+      const issued = await post('PO-1002', 'issue');
+      assert.equal(issued.status, 200, name);
+      assert.equal(issued.body.data.purchaseOrder.status, 'Issued');
+      assert.ok(issued.body.data.purchaseOrder.issuedAt);
+
+      const unissued = await post('PO-1002', 'unissue');
+      assert.equal(unissued.body.data.purchaseOrder.status, 'Bid Request');
+
+      const voided = await post('PO-1002', 'void');
+      assert.equal(voided.body.data.purchaseOrder.status, 'Void');
+
+      const closed = await post('PO-1001', 'close-short');
+      assert.equal(closed.status, 200);
+      assert.equal(closed.body.data.purchaseOrder.status, 'Closed Short');
+
+      const created = await execute(name, 'createPurchaseOrder', {
+        vendor: 'Acme Supply', locationGroup: 'Main', items: [{ partNumber: 'B-100', quantity: 10 }]
+      });
+      const { number } = created.body.result.purchaseOrder;
+      const deleted = await server.request('DELETE', `/instances/${name}/mcp/purchase-orders/${number}`);
+      assert.equal(deleted.status, 200);
+      assert.deepEqual(deleted.body.data, { number, deleted: true });
+      assert.equal(orders(name).some(order => order.number === number), false);
+    }
+  });
+
+  it('rejects illegal status transitions without sending them', async () => {
+    for (const name of ['xml', 'rest']) {
+      const before = sentWrites(name).length;
+      const attempts = [
+        ['PO-1002', 'unissue', 'Bid Request'],
+        ['PO-1001', 'issue', 'Issued'],
+        ['PO-1003', 'close-short', 'Fulfilled'],
+        ['PO-1003', 'void', 'Fulfilled']
+      ];
+      for (const [number, action, status] of attempts) {
+        const response = await server.request('POST', `/instances/${name}/mcp/purchase-orders/${number}/${action}`);
+        assert.equal(response.status, 409, `${name} ${number} ${action}`);
+        assert.equal(response.body.code, 'invalid_status_transition');
+        assert.equal(response.body.details.status, status);
+      }
+
+      // PO-1001 is issued, but part of it has been received
+      const received = await execute(name, 'unissuePurchaseOrder', { number: 'PO-1001' });
+      assert.equal(received.status, 409);
+      assert.equal(received.body.details.received, true);
+      assert.match(received.body.error, /received items/);
+
+      const update = await server.request('PATCH', `/instances/${name}/mcp/purchase-orders/PO-1001`, { body: { vendor: 'Widget Works' } });
+      assert.equal(update.status, 409);
+      assert.deepEqual(update.body.details.allowedStatuses, ['Bid Request', 'Pending Approval']);
+
+      const remove = await server.request('DELETE', `/instances/${name}/mcp/purchase-orders/PO-1001`);
+      assert.equal(remove.status, 409);
+
+      assert.equal(sentWrites(name).length, before);
+      assert.equal(orders(name).find(order => order.number === 'PO-1001').statusId, 20);
+    }
+  });
+
+  it('maps Fishbowl refusing a transition to a conflict', async () => {
+    // The order changes between the status check and the write
+    for (const name of ['xml', 'rest']) {
+      const simulator = server.simulators[name];
+      const original = simulator.changePurchaseOrderStatus.bind(simulator);
+      simulator.changePurchaseOrderStatus = (order, change) => {
+        order.statusId = 60;
+        return original(order, change);
+      };
+      try {
+        const response = await server.request('POST', `/instances/${name}/mcp/purchase-orders/PO-1002/issue`);
+        assert.equal(response.status, 409, name);
+        assert.equal(response.body.code, 'conflict');
+      } finally {
+        delete simulator.changePurchaseOrderStatus;
+      }
+    }
+  });
+
+  it('needs the orders:write scope for changes', async () => {
+    const response = await server.request('POST', '/instances/xml/mcp/purchase-orders/PO-1002/issue', { key: 'reader' });
+    assert.equal(response.status, 403);
+    assert.equal(orders('xml').find(order => order.number === 'PO-1002').statusId, 10);
+  });
+});
@@ -0,0 +1,106 @@
+// reorder.test.js - Reorder points, suggestions and draft purchase orders
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('reorder', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({ env: { REORDER_INTERVAL_MS: '0' } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  // On hand plus on order: B-100 620 + 1000, W-200 40 + 50, S-300 3 + 6
+  beforeEach(async () => {
+    server.simulator.reset();
+    server.fishbowl.cache.invalidate();
+    for (const entry of server.reorder.listConfig()) {
+      await server.reorder.removeConfig(entry.partNumber);
+    }
+    await configure('B-100', { reorderPoint: 500, targetLevel: 2000 });
+    await configure('W-200', { reorderPoint: 100, targetLevel: 200 });
+    await configure('S-300', { reorderPoint: 10, targetLevel: 25, unitCost: 11.5 });
+  });
+
+  const configure = async (partNumber, body) => {
+    const response = await server.request('PUT', `/mcp/reorder/config/${partNumber}`, { body });
+    assert.ok([200, 201].includes(response.status), JSON.stringify(response.body));
+    return response;
+  };
+
+  it('stores reorder settings per part and validates them', async () => {
+    const updated = await configure('W-200', { reorderPoint: 100, targetLevel: 250, vendor: 'Acme Supply' });
+    assert.equal(updated.status, 200);
+    assert.equal(updated.body.data.vendor, 'Acme Supply');
+
+    const list = await server.request('GET', '/mcp/reorder/config', { key: 'reader' });
+    assert.deepEqual(list.body.data.map(entry => [entry.partNumber, entry.targetLevel]),
+      [['B-100', 2000], ['S-300', 25], ['W-200', 250]]);
+
+    const invalid = await server.request('PUT', '/mcp/reorder/config/B-100', { body: { reorderPoint: 50, targetLevel: 10 } });
+    assert.equal(invalid.status, 400);
+    assert.equal(invalid.body.code, 'invalid_reorder_config');
+
+    const unknown = await server.request('PUT', '/mcp/reorder/config/NOPE', { body: { reorderPoint: 1, targetLevel: 2 } });
+    assert.equal(unknown.status, 404);
+
+    assert.equal((await server.request('DELETE', '/mcp/reorder/config/B-100')).status, 200);
+    assert.equal((await server.request('DELETE', '/mcp/reorder/config/B-100')).status, 404);
+  });
+
+  it('suggests parts whose on-hand plus on-order quantity is at or below the reorder point', async () => {
+    const response = await server.request('GET', '/mcp/reorder/suggestions', { key: 'reader' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.parts, 3);
+    assert.deepEqual(response.body.data.suggestions.map(s => [s.partNumber, s.onHand, s.onOrder, s.suggestedQuantity, s.vendor]), [
+      ['S-300', 3, 6, 16, 'Acme Supply'],
+      ['W-200', 40, 50, 110, 'Widget Works']
+    ]);
+    assert.equal(response.body.data.suggestions[0].unitCost, 11.5);
+  });
+
+  it('creates one draft purchase order per vendor from selected suggestions', async () => {
+    const response = await server.request('POST', '/mcp/reorder/purchase-orders', {
+      body: { locationGroup: 'Main', items: [{ partNumber: 'W-200' }, { partNumber: 'S-300', quantity: 20 }] }
+    });
+    assert.equal(response.status, 201);
+    assert.equal(response.body.success, true);
+    assert.deepEqual(response.body.data.created.map(order => [order.vendor, order.purchaseOrder.status]),
+      [['Widget Works', 'Bid Request'], ['Acme Supply', 'Bid Request']]);
+
+    const saved = server.simulator.data.purchaseOrders.filter(order => order.number > 'PO-1003');
+    assert.deepEqual(saved.map(order => order.items.map(item => [item.partNumber, item.quantity, item.unitCost])), [
+      [['W-200', 110, 4.5]],
+      [['S-300', 20, 11.5]]
+    ]);
+
+    // The drafts now count as on order
+    const after = await server.request('GET', '/mcp/reorder/suggestions');
+    assert.deepEqual(after.body.data.suggestions, []);
+
+    const audit = await server.request('GET', '/audit?source=reorder&statusCode=201');
+    assert.deepEqual(audit.body.data.map(entry => entry.command), ['createPurchaseOrder', 'createPurchaseOrder']);
+  });
+
+  it('refuses parts that are not suggested before sending anything', async () => {
+    const response = await server.request('POST', '/mcp/reorder/purchase-orders', {
+      body: { locationGroup: 'Main', items: [{ partNumber: 'W-200' }, { partNumber: 'B-100' }] }
+    });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_reorder');
+    assert.deepEqual(response.body.details.notSuggested, ['B-100']);
+    assert.ok(!server.simulator.requests.some(r => r.message === 'SavePORq'));
+
+    const noLocation = await server.request('POST', '/mcp/reorder/purchase-orders', { body: { items: [{ partNumber: 'W-200' }] } });
+    assert.equal(noLocation.status, 400);
+
+    const forbidden = await server.request('POST', '/mcp/reorder/purchase-orders',
+      { key: 'reader', body: { locationGroup: 'Main', items: [{ partNumber: 'W-200' }] } });
+    assert.equal(forbidden.status, 403);
+  });
+});
@@ -0,0 +1,153 @@
+// restBackend.test.js - The Fishbowl REST API backend answers like the XML one
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./helpers');
+
+describe('REST backend', () => {
+  let server;
+  let rest;
+
+  before(async () => {
+    // Two simulators with the same dataset: one reached over XML, one over REST
+    server = await startServer({ instances: ['xml', { name: 'rest', backend: 'rest' }] });
+    rest = server.simulators.rest;
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.simulators.xml.reset();
+    rest.reset();
+    server.readiness.report = null;
+  });
+
+  const fresh = { 'Cache-Control': 'no-cache' };
+  const both = async (url, options = {}) => Promise.all(['xml', 'rest'].map(name =>
+    server.request(options.method || 'GET', `/instances/${name}${url}`, { ...options, headers: { ...fresh, ...options.headers } })));
+
+  it('returns the same normalized catalogs, inventory and orders as the XML API', async () => {
+    for (const url of ['/mcp/parts', '/mcp/products', '/mcp/inventory/B-100', '/mcp/purchase-orders?vendor=Acme%20Supply',
+      '/mcp/manufacture-orders']) {
+      const [xml, viaRest] = await both(url);
+      assert.equal(viaRest.status, 200, url);
+      assert.deepEqual(viaRest.body.data, xml.body.data, url);
+    }
+
+    const [xml, viaRest] = await both('/mcp/execute', { method: 'POST', body: { command: 'getLocations' } });
+    assert.equal(viaRest.status, 200);
+    assert.equal(viaRest.body.result.locations.length, 3);
+    assert.deepEqual(viaRest.body.result, xml.body.result);
+
+    assert.ok(rest.requests.some(r => r.message === 'GET /api/parts/inventory' && r.ticket));
+    assert.ok(rest.requests.some(r => r.message === 'POST /api/login' && r.body.username === 'admin'));
+  });
+
+  it('maps REST errors to the same typed errors', async () => {
+    const [xml, viaRest] = await both('/mcp/inventory/NOPE');
+    assert.equal(viaRest.status, 404);
+    assert.equal(viaRest.body.code, xml.body.code);
+    assert.equal(viaRest.body.details.httpStatus, 404);
+
+    const tracked = { command: 'addInventory', parameters: { partId: 2, locationId: 1, quantity: 1 } };
+    const [xmlWrite, restWrite] = await both('/mcp/execute', { method: 'POST', body: tracked });
+    assert.equal(restWrite.status, 400);
+    assert.equal(restWrite.body.code, xmlWrite.body.code);
+  });
+
+  it('writes inventory and purchase orders through the REST API', async () => {
+    const add = await server.request('POST', '/instances/rest/mcp/inventory/add', {
+      body: { partId: 1, locationId: 1, quantity: 5 }
+    });
+    assert.equal(add.status, 200);
+    assert.deepEqual(add.body.data, { success: true, statusCode: '1000' });
+    assert.equal(rest.data.inventory.find(row => row.partId === 1 && row.locationId === 1).quantity, 505);
+
+    const order = {
+      command: 'createPurchaseOrder',
+      parameters: { vendor: 'Widget Works', locationGroup: 'Main', items: [{ partNumber: 'W-200', quantity: 20 }] }
+    };
+    const [xml, viaRest] = await both('/mcp/execute', { method: 'POST', body: order });
+    assert.equal(viaRest.status, 200);
+    const withoutDate = ({ purchaseOrder: { createdAt, ...purchaseOrder } }) => purchaseOrder;
+    assert.deepEqual(withoutDate(viaRest.body.result), withoutDate(xml.body.result));
+    assert.equal(viaRest.body.result.purchaseOrder.status, 'Bid Request');
+
+    // The audit trail shows the REST calls, without the bearer token
+    const audit = await server.request('GET', '/audit?command=createPurchaseOrder&instance=rest');
+    const [call] = audit.body.data[0].fishbowl;
+    assert.equal(call.message, 'SavePORq');
+    assert.equal(call.statusCode, 1000);
+    assert.match(call.request, /^POST \/api\/purchase-orders \{"vendor":\{"name":"Widget Works"\}/);
+  });
+
+  it('names the saved order when issuing it after the save fails', async () => {
+    const fishbowl = server.instances.get('rest').fishbowl;
+    const before = rest.data.purchaseOrders.length;
+    const id = Math.max(...rest.data.purchaseOrders.map(order => order.id)) + 1;
+    rest.inject({ message: `POST /api/purchase-orders/${id}/issue`, drop: true });
+
+    await assert.rejects(fishbowl.savePurchaseOrder({
+      vendor: 'Widget Works',
+      locationGroup: 'Main',
+      items: [{ partNumber: 'W-200', quantity: 20 }]
+    }, true), (error) => {
+      assert.equal(error.code, 'purchase_order_not_issued');
+      assert.equal(error.statusCode, 502);
+      assert.equal(error.notSent, undefined);
+      assert.equal(error.details.issued, false);
+      assert.equal(error.details.number, rest.data.purchaseOrders.at(-1).number);
+      return true;
+    });
+    assert.equal(rest.data.purchaseOrders.length, before + 1);
+  });
+
+  it('logs in again and replays when the token expires', async () => {
+    assert.equal((await server.request('GET', '/instances/rest/mcp/inventory/B-100', { headers: fresh })).status, 200);
+    rest.expireSessions();
+    rest.requests = [];
+
+    const response = await server.request('GET', '/instances/rest/mcp/inventory/B-100', { headers: fresh });
+    assert.equal(response.status, 200);
+    assert.deepEqual(rest.requests.map(r => r.message),
+      ['GET /api/parts/inventory', 'POST /api/login', 'GET /api/parts/inventory']);
+  });
+
+  it('reports a token refused again after logging in as an upstream error', async () => {
+    rest.inject({ message: 'GET /api/parts/inventory', expireTicket: true, times: 2 });
+
+    const response = await server.request('GET', '/instances/rest/mcp/inventory/B-100', { headers: fresh });
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'upstream_unavailable');
+  });
+
+  it('is covered by the readiness probe', async () => {
+    const ready = await server.request('GET', '/health/ready', { key: null });
+    assert.equal(ready.status, 200);
+    assert.equal(ready.body.dependencies['fishbowl:rest'].status, 'up');
+
+    rest.data.users[0].password = 'changed';
+    rest.expireSessions();
+    server.instances.get('rest').fishbowl.connections.forEach(connection => {
+      connection.client.sessionToken = null;
+    });
+    server.readiness.report = null;
+    const notReady = await server.request('GET', '/health/ready', { key: null });
+    assert.equal(notReady.status, 503);
+    const check = notReady.body.dependencies['fishbowl:rest'];
+    assert.equal(check.steps.session.status, 'fail');
+    assert.equal(check.error.code, 'authentication_failed');
+  });
+
+  it('reports an unreachable REST API as a connection failure', async () => {
+    await rest.stop();
+    const response = await server.request('GET', '/instances/rest/mcp/inventory/B-100', { headers: fresh });
+    assert.equal(response.status, 503);
+    assert.equal(response.body.code, 'upstream_unavailable');
+
+    const status = await server.request('GET', '/instances/rest/status');
+    assert.equal(status.body.backend, 'rest');
+  });
+});
@@ -0,0 +1,178 @@
+// server.test.js - Service routes, authentication and error handling
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { API_KEYS, startServer } = require('./helpers');
+const { Authenticator } = require('../lib/auth');
+
+const JWT_SECRET = 'test-jwt-secret';
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * An HS256 token for the payload; header and secret can be overridden to
+ * build invalid ones
+ */
+function signJwt(payload, { header = { alg: 'HS256', typ: 'JWT' }, secret = JWT_SECRET } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+  const body = `${encode(header)}.${encode(payload)}`;
+  return `${body}.${crypto.createHmac('sha256', secret).update(body).digest('base64url')}`;
+}
+
+describe('service routes', () => {
+  let server;
+
+  before(async () => {
+    server = await startServer({
+      env: {
+        API_KEYS: JSON.stringify([
+          ...Object.values(API_KEYS),
+          { id: 'hashed', keySha256: sha256('hashed-reader-key').toUpperCase(), scopes: ['inventory:read'] }
+        ]),
+        JWT_SECRET,
+        JWT_ISSUER: 'https://issuer.example',
+        JWT_AUDIENCE: 'fishbowl-mcp'
+      }
+    });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  it('GET / describes the service without authentication', async () => {
+    const response = await server.request('GET', '/', { key: null });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'running');
+    assert.equal(response.body.documentation, '/docs');
+  });
+
+  it('GET /docs lists the endpoints and commands', async () => {
+    const response = await server.request('GET', '/docs', { key: null });
+    assert.equal(response.status, 200);
+    assert.ok(response.body.endpoints.some(e => e.path === '/mcp/execute'));
+    assert.ok(response.body.mcp_commands.includes('addInventory'));
+  });
+
+  it('GET /health answers without authentication', async () => {
+    const response = await server.request('GET', '/health', { key: null });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'healthy');
+  });
+
+  it('GET /status reports the pool and circuit breaker', async () => {
+    await server.request('GET', '/mcp/inventory/B-100');
+    const response = await server.request('GET', '/status');
+    assert.equal(response.status, 200);
+    assert.equal(response.body.status, 'authenticated');
+    assert.equal(response.body.port, server.simulator.port);
+    assert.equal(response.body.circuitBreaker.state, 'closed');
+    assert.ok(response.body.pool.size >= 1);
+  });
+
+  it('rejects protected routes without credentials', async () => {
+    const response = await server.request('GET', '/status', { key: null });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'authentication_required');
+    assert.equal(response.headers.get('www-authenticate'), 'Bearer');
+  });
+
+  it('rejects an unknown API key', async () => {
+    const response = await server.request('GET', '/mcp/parts', {
+      key: null,
+      headers: { 'X-API-Key': 'not-a-key' }
+    });
+    assert.equal(response.status, 401);
+    assert.equal(response.body.code, 'invalid_credentials');
+  });
+
+  it('accepts an API key configured by its SHA-256 hash', async () => {
+    const accepted = await server.request('GET', '/mcp/parts', { key: null, headers: { 'X-API-Key': 'hashed-reader-key' } });
+    assert.equal(accepted.status, 200);
+
+    const bearer = await server.request('GET', '/audit', { key: null, headers: { Authorization: 'Bearer hashed-reader-key' } });
+    assert.equal(bearer.status, 403);
+  });
+
+  it('refuses to load an API key entry without a key', () => {
+    for (const apiKey of [{ id: 'empty', scopes: ['*'] }, { id: 'blank', key: '', scopes: ['*'] },
+      { id: 'short', keySha256: 'abc123', scopes: ['*'] }]) {
+      assert.throws(() => new Authenticator({ apiKeys: [apiKey], jwt: null }), new RegExp(apiKey.id));
+    }
+  });
+
+  it('accepts a signed JWT and takes its scopes from the claims', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const token = signJwt({
+      sub: 'user-1', iss: 'https://issuer.example', aud: ['other', 'fishbowl-mcp'], exp: now + 60, nbf: now - 60,
+      scope: 'inventory:read'
+    });
+    const accepted = await server.request('GET', '/mcp/parts', { key: null, headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(accepted.status, 200);
+
+    const denied = await server.request('GET', '/audit', { key: null, headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(denied.status, 403);
+  });
+
+  it('rejects JWTs that are forged, expired or meant for someone else', async () => {
+    const now = Math.floor(Date.now() / 1000);
+    const claims = { sub: 'user-1', iss: 'https://issuer.example', aud: 'fishbowl-mcp', scopes: ['*'] };
+    const cases = [
+      ['bad signature', signJwt(claims, { secret: 'other-secret' }), 'invalid_token', /signature/],
+      ['alg none', signJwt(claims, { header: { alg: 'none', typ: 'JWT' } }), 'invalid_token', /algorithm/],
+      ['alg HS512', signJwt(claims, { header: { alg: 'HS512', typ: 'JWT' } }), 'invalid_token', /algorithm/],
+      ['expired', signJwt({ ...claims, exp: now - 1 }), 'token_expired', /expired/],
+      ['not yet valid', signJwt({ ...claims, nbf: now + 600 }), 'invalid_token', /not valid yet/],
+      ['issuer', signJwt({ ...claims, iss: 'https://other.example' }), 'invalid_token', /issuer/],
+      ['audience', signJwt({ ...claims, aud: 'other' }), 'invalid_token', /audience/],
+      ['no audience', signJwt({ ...claims, aud: undefined }), 'invalid_token', /audience/]
+    ];
+    for (const [name, token, code, message] of cases) {
+      const response = await server.request('GET', '/mcp/parts', { key: null, headers: { Authorization: `Bearer ${token}` } });
+      assert.equal(response.status, 401, name);
+      assert.equal(response.body.code, code, name);
+      assert.match(response.body.error, message, name);
+    }
+  });
+
+  it('rejects callers without the route scope', async () => {
+    const response = await server.request('GET', '/mcp/parts', { key: 'nobody' });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.code, 'insufficient_scope');
+  });
+
+  it('reports unknown routes as 404s in the common error format', async () => {
+    const response = await server.request('GET', '/nope');
+    assert.equal(response.status, 404);
+    assert.equal(response.body.success, false);
+    assert.equal(response.body.code, 'route_not_found');
+    assert.ok(response.body.timestamp);
+  });
+
+  it('reports malformed JSON bodies as 400s', async () => {
+    const response = await server.request('POST', '/mcp/execute', { body: '{"command":' });
+    assert.equal(response.status, 400);
+    assert.equal(response.body.code, 'invalid_body');
+  });
+
+  it('only allows configured CORS origins', async () => {
+    const allowed = await server.request('GET', '/health', { key: null, headers: { Origin: 'https://allowed.example' } });
+    assert.equal(allowed.headers.get('access-control-allow-origin'), 'https://allowed.example');
+
+    const other = await server.request('GET', '/health', { key: null, headers: { Origin: 'https://evil.example' } });
+    assert.equal(other.headers.get('access-control-allow-origin'), null);
+  });
+
+  it('returns 503 when Fishbowl is unreachable', async () => {
+    await server.simulator.stop();
+    server.simulator.dropConnections();
+    await server.fishbowl.disconnect();
+    try {
+      const response = await server.request('GET', '/mcp/inventory/B-100', { headers: { 'Cache-Control': 'no-cache' } });
+      assert.equal(response.status, 503);
+      assert.equal(response.body.code, 'upstream_unavailable');
+    } finally {
+      await server.simulator.start();
+    }
+  });
+});
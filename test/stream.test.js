@@ -0,0 +1,158 @@
+// stream.test.js - Server-Sent Events stream of change events
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { API_KEYS, startServer } = require('./helpers');
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+};
+
+/**
+ * Open /mcp/stream and collect what arrives: the raw text and the parsed
+ * events ({ id, event, data })
+ */
+async function openStream(baseUrl, query = '', options = {}) {
+  const controller = new AbortController();
+  const response = await fetch(`${baseUrl}/mcp/stream${query}`, {
+    headers: { 'X-API-Key': API_KEYS[options.key || 'reader'].key, ...(options.headers || {}) },
+    signal: controller.signal
+  });
+  const stream = { response, text: '', events: [] };
+  const decoder = new TextDecoder();
+  let pending = '';
+  (async () => {
+    for await (const chunk of response.body) {
+      const text = decoder.decode(chunk, { stream: true });
+      stream.text += text;
+      pending += text;
+      let end;
+      while ((end = pending.indexOf('\n\n')) >= 0) {
+        const block = pending.slice(0, end);
+        pending = pending.slice(end + 2);
+        const fields = Object.fromEntries(block.split('\n')
+          .filter(line => line && !line.startsWith(':'))
+          .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+        if (fields.event) {
+          stream.events.push({ id: fields.id, event: fields.event, data: JSON.parse(fields.data) });
+        }
+      }
+    }
+  })().catch(() => {});
+  stream.close = () => controller.abort();
+  return stream;
+}
+
+describe('event stream', () => {
+  let server;
+  const open = [];
+
+  const connect = async (query, options) => {
+    const stream = await openStream(server.baseUrl, query, options);
+    open.push(stream);
+    return stream;
+  };
+
+  before(async () => {
+    server = await startServer({ env: { WATCH_INTERVAL_MS: '0', STREAM_HEARTBEAT_MS: '50' } });
+  });
+
+  after(async () => {
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    open.splice(0).forEach(stream => stream.close());
+    await waitFor(() => server.stream.clientCount() === 0);
+    server.simulator.reset();
+    server.watcher.snapshot = null;
+  });
+
+  it('pushes only the changes a client subscribed to', async () => {
+    const stream = await connect('?parts=B-100');
+    assert.equal(stream.response.status, 200);
+    assert.match(stream.response.headers.get('content-type'), /^text\/event-stream/);
+    await server.watcher.poll();
+
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 1, locationId: 1, quantity: 5 } });
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 2, locationId: 1, quantity: 5 } });
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1002').statusId = 20;
+    const events = await server.watcher.poll();
+    assert.deepEqual(events.map(event => event.type), ['inventory.changed', 'purchase_order.status_changed']);
+
+    await waitFor(() => stream.events.length === 1);
+    assert.equal(stream.events[0].event, 'inventory.changed');
+    assert.equal(stream.events[0].data.data.partNumber, 'B-100');
+    assert.equal(stream.events[0].data.data.change, 5);
+
+    // Only the subscribed part is read from Fishbowl
+    const looked = server.simulator.requests.filter(r => r.message === 'PartQuantityRq').map(r => r.body.PartNum[0]);
+    assert.deepEqual([...new Set(looked)], ['B-100']);
+  });
+
+  it('filters by order and event type', async () => {
+    const orders = await connect('?orders=PO-1002');
+    const types = await connect('?events=manufacture_order.status_changed');
+    await server.watcher.poll();
+
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1001').statusId = 60;
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1002').statusId = 20;
+    server.simulator.data.manufactureOrders.find(mo => mo.number === 'MO-2001').statusId = 20;
+    await server.watcher.poll();
+
+    await waitFor(() => orders.events.length === 1 && types.events.length === 1);
+    assert.equal(orders.events[0].data.data.number, 'PO-1002');
+    assert.equal(types.events[0].data.data.number, 'MO-2001');
+  });
+
+  it('replays missed events after Last-Event-ID and asks stale clients to resync', async () => {
+    const first = await connect('?orders=PO-1001,PO-1002');
+    await server.watcher.poll();
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1001').statusId = 60;
+    await server.watcher.poll();
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1002').statusId = 20;
+    await server.watcher.poll();
+    await waitFor(() => first.events.length === 2);
+    first.close();
+
+    const resumed = await connect('?orders=PO-1001,PO-1002', { headers: { 'Last-Event-ID': first.events[0].id } });
+    await waitFor(() => resumed.events.length === 1);
+    assert.equal(resumed.events[0].id, first.events[1].id);
+    assert.equal(resumed.events[0].data.data.number, 'PO-1002');
+
+    const stale = await connect('?orders=PO-1001', { headers: { 'Last-Event-ID': '1' } });
+    await waitFor(() => stale.events.length === 1);
+    assert.equal(stale.events[0].event, 'resync');
+  });
+
+  it('sends heartbeats and stops polling once the last client leaves', async () => {
+    const stream = await connect();
+    await waitFor(() => stream.text.includes(': heartbeat'));
+    assert.equal(server.stream.clientCount(), 1);
+
+    stream.close();
+    await waitFor(() => server.stream.clientCount() === 0);
+    const before = server.simulator.requests.length;
+    assert.deepEqual(await server.watcher.tick(), []);
+    assert.equal(server.simulator.requests.length, before);
+  });
+
+  it('checks the scope of each event type and rejects unknown parameters', async () => {
+    const forbidden = await server.request('GET', '/mcp/stream?events=purchase_order.status_changed', { key: 'writer' });
+    assert.equal(forbidden.status, 403);
+    assert.equal(forbidden.body.code, 'insufficient_scope');
+
+    const nothing = await server.request('GET', '/mcp/stream', { key: 'nobody' });
+    assert.equal(nothing.status, 403);
+
+    const unknown = await server.request('GET', '/mcp/stream?part=B-100');
+    assert.equal(unknown.status, 400);
+    assert.equal(unknown.body.code, 'invalid_query');
+  });
+});
@@ -0,0 +1,197 @@
+// webhooks.test.js - Change detection and signed webhook delivery
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const { startServer } = require('./helpers');
+
+/**
+ * A receiver that records every POST and answers with the next queued
+ * status code (200 once the queue is empty)
+ */
+async function startReceiver() {
+  const received = [];
+  const statuses = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    received,
+    statuses,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const waitFor = async (condition) => {
+  for (let attempt = 0; attempt < 100; attempt++) {
+    if (condition()) {
+      return;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error('Condition not met in time');
+};
+
+describe('change watcher and webhooks', () => {
+  let server;
+  let receiver;
+
+  before(async () => {
+    server = await startServer({
+      env: { WEBHOOK_RETRY_BASE_MS: '20', WEBHOOK_MAX_ATTEMPTS: '3', WATCH_INTERVAL_MS: '0' }
+    });
+    receiver = await startReceiver();
+  });
+
+  after(async () => {
+    await receiver.close();
+    await server.close();
+  });
+
+  beforeEach(async () => {
+    server.simulator.reset();
+    receiver.received.length = 0;
+    receiver.statuses.length = 0;
+    for (const subscription of server.webhooks.list()) {
+      await server.webhooks.remove(subscription.id);
+    }
+    server.watcher.snapshot = null;
+  });
+
+  const subscribe = async (events = ['*']) => {
+    const response = await server.request('POST', '/webhooks', { body: { url: receiver.url, events } });
+    assert.equal(response.status, 201);
+    return response.body.data;
+  };
+
+  it('detects stock and order status changes between polls', async () => {
+    assert.deepEqual(await server.watcher.poll(), []);
+
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 1, locationId: 3, quantity: 5 } });
+    server.simulator.data.purchaseOrders.find(po => po.number === 'PO-1002').statusId = 20;
+
+    const events = await server.watcher.poll();
+    assert.deepEqual(events.map(event => event.type), ['inventory.changed', 'purchase_order.status_changed']);
+    assert.deepEqual(events[0].data, {
+      partNumber: 'B-100',
+      totalOnHand: 625,
+      previousTotalOnHand: 620,
+      change: 5,
+      locations: [{ locationGroup: 'Warehouse 2', location: 'Shelf A', quantityOnHand: 125, previousQuantityOnHand: 120 }]
+    });
+    assert.equal(events[1].data.number, 'PO-1002');
+    assert.equal(events[1].data.status, 'Issued');
+    assert.equal(events[1].data.previousStatus, 'Bid Request');
+
+    assert.deepEqual(await server.watcher.poll(), []);
+  });
+
+  it('delivers events signed with the subscription secret', async () => {
+    const subscription = await subscribe(['manufacture_order.status_changed']);
+    assert.ok(subscription.secret);
+
+    await server.watcher.poll();
+    server.simulator.data.manufactureOrders.find(mo => mo.number === 'MO-2001').statusId = 20;
+    await server.request('POST', '/mcp/inventory/add', { body: { partId: 1, locationId: 1, quantity: 1 } });
+    await server.watcher.poll();
+
+    await waitFor(() => receiver.received.length === 1);
+    const [delivery] = receiver.received;
+    assert.equal(delivery.headers['x-webhook-event'], 'manufacture_order.status_changed');
+    const expected = crypto.createHmac('sha256', subscription.secret)
+      .update(`${delivery.headers['x-webhook-timestamp']}.${delivery.body}`).digest('hex');
+    assert.equal(delivery.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(JSON.parse(delivery.body).data.number, 'MO-2001');
+  });
+
+  it('retries failed deliveries and dead-letters them after the last attempt', async () => {
+    const subscription = await subscribe();
+    receiver.statuses.push(500, 503);
+    await server.webhooks.dispatch({ id: 'e1', type: 'inventory.changed', occurredAt: new Date().toISOString(), data: {} });
+    await waitFor(() => receiver.received.length === 3);
+    // Every attempt carries the same delivery id
+    assert.equal(new Set(receiver.received.map(r => r.headers['x-webhook-id'])).size, 1);
+
+    receiver.statuses.push(500, 500, 500);
+    await server.webhooks.dispatch({ id: 'e2', type: 'inventory.changed', occurredAt: new Date().toISOString(), data: {} });
+    await waitFor(() => server.webhooks.deadLetters.length === 1);
+
+    const letters = await server.request('GET', `/webhooks/dead-letters?subscription=${subscription.id}`);
+    assert.equal(letters.body.data.length, 1);
+    assert.equal(letters.body.data[0].event.id, 'e2');
+    assert.equal(letters.body.data[0].attempts, 3);
+    assert.deepEqual(letters.body.data[0].errors.map(e => e.error), ['HTTP 500', 'HTTP 500', 'HTTP 500']);
+
+    const redelivered = await server.request('POST', `/webhooks/dead-letters/${letters.body.data[0].id}/redeliver`);
+    assert.equal(redelivered.body.data.delivered, true);
+    assert.equal(server.webhooks.deadLetters.length, 0);
+  });
+
+  it('keeps a dead letter whose subscription is inactive or deleted', async () => {
+    const subscription = await subscribe();
+    receiver.statuses.push(500, 500, 500);
+    await server.webhooks.dispatch({ id: 'e3', type: 'inventory.changed', occurredAt: new Date().toISOString(), data: {} });
+    await waitFor(() => server.webhooks.deadLetters.length === 1);
+    const [letter] = server.webhooks.deadLetters;
+
+    await server.request('PATCH', `/webhooks/${subscription.id}`, { body: { active: false } });
+    const inactive = await server.request('POST', `/webhooks/dead-letters/${letter.id}/redeliver`);
+    assert.equal(inactive.status, 409);
+    assert.equal(inactive.body.code, 'webhook_inactive');
+    assert.equal(server.webhooks.deadLetters.length, 1);
+
+    await server.request('DELETE', `/webhooks/${subscription.id}`);
+    const deleted = await server.request('POST', `/webhooks/dead-letters/${letter.id}/redeliver`);
+    assert.equal(deleted.status, 404);
+    assert.equal(deleted.body.code, 'webhook_not_found');
+    assert.deepEqual(server.webhooks.deadLetters.map(entry => entry.id), [letter.id]);
+
+    await server.request('DELETE', `/webhooks/dead-letters/${letter.id}`);
+  });
+
+  it('manages subscriptions without exposing their secrets', async () => {
+    const created = await subscribe(['inventory.changed']);
+
+    const listed = await server.request('GET', '/webhooks');
+    assert.equal(listed.body.data.length, 1);
+    assert.equal(listed.body.data[0].secret, undefined);
+
+    const updated = await server.request('PATCH', `/webhooks/${created.id}`, { body: { active: false, rotateSecret: true } });
+    assert.equal(updated.body.data.active, false);
+    assert.notEqual(updated.body.data.secret, created.secret);
+    assert.equal(server.webhooks.hasActiveSubscriptions(), false);
+
+    assert.equal((await server.request('DELETE', `/webhooks/${created.id}`)).status, 200);
+    assert.equal((await server.request('GET', `/webhooks/${created.id}`)).status, 404);
+  });
+
+  it('validates subscriptions and requires webhooks:manage', async () => {
+    const badUrl = await server.request('POST', '/webhooks', { body: { url: 'ftp://example.com', events: ['*'] } });
+    assert.equal(badUrl.status, 400);
+    assert.equal(badUrl.body.code, 'invalid_webhook');
+
+    const badEvent = await server.request('POST', '/webhooks', { body: { url: receiver.url, events: ['part.deleted'] } });
+    assert.equal(badEvent.status, 400);
+
+    assert.equal((await server.request('GET', '/webhooks', { key: 'writer' })).status, 403);
+  });
+
+  it('only polls while a subscription is active', async () => {
+    const before = server.simulator.requests.length;
+    assert.deepEqual(await server.watcher.tick(), []);
+    assert.equal(server.simulator.requests.length, before);
+
+    await subscribe();
+    await server.watcher.tick();
+    assert.ok(server.simulator.requests.some(r => r.message === 'PurchaseOrderQueryRq'));
+  });
+});